@@ -0,0 +1,177 @@
+import { mkdir, readFile, readdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { setCanvasBackend } from '../src/utils/canvas.js';
+import { protect } from '../src/utils/core.js';
+import { cleanPresetSettings, parsePresetFile } from '../src/utils/presets.js';
+import { EMBED_MODES } from '../src/utils/protect.js';
+import { CLOAK_LEVELS } from '../src/utils/cloak.js';
+import { defaultOwnership } from '../src/utils/payload.js';
+import { EXPORT_FORMATS } from '../src/utils/exportFormats.js';
+import { writeMetadata } from '../src/utils/metadata.js';
+import { protectedFileName } from '../src/utils/files.js';
+import { DEFAULT_KEPT_METADATA, carriedMetadata, readSourceMetadata } from '../src/utils/sourceMetadata.js';
+import { ANIMATED_FORMATS, animationInfo, decodeAnimation, exportAnimation, protectAnimation } from '../src/utils/animation.js';
+import { decodeImage, nodeCanvasBackend, registerFont } from './nodeCanvas.js';
+
+const USAGE = `Usage: protectorimg <input-dir> --preset <file.json> [options]
+
+Watermarks and protects every image in <input-dir> like the app does.
+
+  --preset <file>       Presets file exported by the app, or a JSON object of
+                        watermark settings (may also hold ownership, embedMode
+                        and cloak)
+  --name <name>         Preset to use from a presets file (default: the one
+                        marked as default, else the first)
+  --out <dir>           Output directory (default: <input-dir>-protected)
+  -r, --recursive       Include subdirectories, mirrored in the output
+  --format <format>     ${Object.keys(EXPORT_FORMATS).join(' | ')} (default: png). Animated GIF,
+                        APNG and WebP files keep their format
+  --quality <0..1>      Quality of lossy formats (default: 0.9)
+  --embed <mode>        Invisible watermarks: ${EMBED_MODES.join(' | ')} (default: both)
+  --cloak <level>       AI-training cloak: ${CLOAK_LEVELS.join(' | ')} (default: off)
+  --author, --contact, --license, --created, --note <text>
+                        Ownership details of the hidden payload and metadata
+  --no-metadata         Do not write ownership metadata into the files
+  --font <file[=Family]>
+                        Font file used by the preset, repeatable
+  -h, --help            Show this help`;
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp', '.gif', '.bmp', '.avif'];
+const OWNERSHIP_FIELDS = ['author', 'contact', 'license', 'created', 'note'];
+
+const usageError = (message) => {
+  console.error(`${message}\n\n${USAGE}`);
+  process.exit(2);
+};
+
+// Watermark settings and protection options from a presets file exported
+// by the app, or from a plain settings object
+const loadPreset = async (file, name) => {
+  const text = await readFile(file, 'utf8');
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new Error(`${file} is not valid JSON`);
+  }
+  if (json && json.type === 'protectorimg-presets') {
+    const presets = parsePresetFile(text);
+    const preset = name ? presets.find((entry) => entry.name === name) : presets.find((entry) => entry.default) || presets[0];
+    if (!preset) throw new Error(`There is no preset named "${name}" in ${file}`);
+    return { settings: preset.settings, protection: {} };
+  }
+  const { ownership, embedMode, cloak, ...settings } = json || {};
+  return { settings: cleanPresetSettings(settings), protection: { ownership, embedMode, cloak } };
+};
+
+// Image files below `dir`, relative to it
+const listImages = async (dir, recursive, skip) => {
+  const files = [];
+  const walk = async (relative) => {
+    const entries = await readdir(path.join(dir, relative), { withFileTypes: true });
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const child = path.join(relative, entry.name);
+      if (entry.isDirectory()) {
+        if (recursive && path.resolve(dir, child) !== skip) await walk(child);
+      } else if (IMAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+        files.push(child);
+      }
+    }
+  };
+  await walk('');
+  return files;
+};
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    preset: { type: 'string' },
+    name: { type: 'string' },
+    out: { type: 'string' },
+    recursive: { type: 'boolean', short: 'r' },
+    format: { type: 'string', default: 'png' },
+    quality: { type: 'string', default: '0.9' },
+    embed: { type: 'string' },
+    cloak: { type: 'string' },
+    author: { type: 'string' },
+    contact: { type: 'string' },
+    license: { type: 'string' },
+    created: { type: 'string' },
+    note: { type: 'string' },
+    'no-metadata': { type: 'boolean' },
+    font: { type: 'string', multiple: true },
+    help: { type: 'boolean', short: 'h' },
+  },
+});
+
+if (values.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+if (positionals.length !== 1) usageError('Give exactly one input directory.');
+if (!values.preset) usageError('A preset is required (--preset).');
+if (!EXPORT_FORMATS[values.format]) usageError(`Unknown format "${values.format}".`);
+const quality = Number(values.quality);
+if (!(quality > 0 && quality <= 1)) usageError('The quality must be between 0 and 1.');
+
+setCanvasBackend(nodeCanvasBackend);
+(values.font || []).forEach((font) => {
+  const [file, family] = font.split('=');
+  registerFont(file, family);
+});
+
+const input = path.resolve(positionals[0]);
+const out = path.resolve(values.out || `${input}-protected`);
+const { settings, protection } = await loadPreset(values.preset, values.name).catch((error) => usageError(error.message));
+const embedMode = values.embed || protection.embedMode || 'both';
+const cloak = values.cloak || protection.cloak || 'off';
+if (!EMBED_MODES.includes(embedMode)) usageError(`Unknown embed mode "${embedMode}".`);
+if (!CLOAK_LEVELS.includes(cloak)) usageError(`Unknown cloak level "${cloak}".`);
+
+const ownership = { ...defaultOwnership(), ...protection.ownership };
+OWNERSHIP_FIELDS.forEach((field) => {
+  if (values[field] !== undefined) ownership[field] = values[field];
+});
+
+if (settings.signatureImage) {
+  settings.signatureImage = await decodeImage(Buffer.from(settings.signatureImage.split(',')[1], 'base64'));
+}
+if (!settings.signature && !settings.signatureImage) usageError('The preset has neither a signature text nor a signature image.');
+
+const files = await listImages(input, values.recursive, out);
+if (!files.length) usageError(`No images found in ${input}.`);
+
+let failed = 0;
+for (const [i, relative] of files.entries()) {
+  const prefix = `[${i + 1}/${files.length}] ${relative}`;
+  try {
+    const bytes = await readFile(path.join(input, relative));
+    const options = { ...settings, ownership, embedMode, cloak };
+    const carried = carriedMetadata(await readSourceMetadata(new Blob([bytes])), DEFAULT_KEPT_METADATA);
+    const animated = await animationInfo(new Blob([bytes]));
+    let blob;
+    let extension = EXPORT_FORMATS[values.format].extension;
+    if (animated) {
+      // Every frame is watermarked and the animation keeps its format
+      const animation = await decodeAnimation(new Blob([bytes]), animated.format);
+      const protectedAnimation = await protectAnimation(animation, (frame) => protect(frame, options));
+      const result = await exportAnimation(protectedAnimation, animated.format, { quality, metadata: !values['no-metadata'] }, ownership, carried);
+      blob = result.blob;
+      extension = ANIMATED_FORMATS[result.format].extension;
+    } else {
+      const encoded = await protect(await decodeImage(bytes), { ...options, output: { format: values.format, quality } });
+      blob = await writeMetadata(encoded, values.format, values['no-metadata'] ? null : ownership, carried);
+    }
+    const target = path.join(out, protectedFileName(relative, extension));
+    await mkdir(path.dirname(target), { recursive: true });
+    await writeFile(target, Buffer.from(await blob.arrayBuffer()));
+    console.log(`${prefix} -> ${path.relative(process.cwd(), target)}`);
+  } catch (error) {
+    failed++;
+    console.error(`${prefix}: ${error.message}`);
+  }
+}
+
+console.log(`${files.length - failed} of ${files.length} images protected.`);
+process.exitCode = failed ? 1 : 0;
@@ -0,0 +1,23 @@
+import { GlobalFonts, ImageData, createCanvas, loadImage } from '@napi-rs/canvas';
+
+const ENCODINGS = { 'image/png': 'png', 'image/jpeg': 'jpeg', 'image/webp': 'webp' };
+
+// Canvas backend for src/utils/canvas.js on top of @napi-rs/canvas (Skia)
+export const nodeCanvasBackend = {
+  createCanvas: (width, height) => createCanvas(width, height),
+  createImageData: (data, width, height) => new ImageData(data, width, height),
+  toBlob: async (canvas, type = 'image/png', quality = 0.92) => {
+    const format = ENCODINGS[type] || 'png';
+    const bytes = format === 'png' ? await canvas.encode('png') : await canvas.encode(format, Math.round(quality * 100));
+    return new Blob([bytes], { type: `image/${format}` });
+  },
+  decodeBlob: async (blob) => loadImage(Buffer.from(await blob.arrayBuffer())),
+};
+
+// Decodes image bytes (Buffer or data URL) into something drawable
+export const decodeImage = (source) => loadImage(source);
+
+// Makes a font file usable by its family name, or by `family` when given
+export const registerFont = (file, family) => {
+  if (!GlobalFonts.registerFromPath(file, family)) throw new Error(`Could not load the font ${file}`);
+};
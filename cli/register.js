@@ -0,0 +1,4 @@
+import { register } from 'node:module';
+
+// Load with `node --import ./cli/register.js` before importing src/ modules
+register('./resolve.js', import.meta.url);
@@ -0,0 +1,11 @@
+// Module resolution hook for running the app's sources in Node: they import
+// sibling modules without a file extension, which Vite allows and Node does
+// not.
+export const resolve = async (specifier, context, nextResolve) => {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (error.code !== 'ERR_MODULE_NOT_FOUND' || !/^\.{1,2}\//.test(specifier)) throw error;
+    return nextResolve(`${specifier}.js`, context);
+  }
+};
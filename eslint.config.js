@@ -30,4 +30,16 @@ export default [
       ],
     },
   },
+  {
+    files: ['cli/**/*.js', 'test/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
+  {
+    files: ['src/sw.js'],
+    languageOptions: {
+      globals: globals.serviceworker,
+    },
+  },
 ]
@@ -1,26 +1,51 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import WatermarkApp from './components/WatermarkApp';
-import { translations } from './translations';
+import LanguagePicker from './components/LanguagePicker';
+import { DEFAULT_LANGUAGE, LANGUAGES, initialLanguage, isLoaded, loadTranslations, saveLanguage, translate } from './utils/i18n';
 import './App.css';
 
+// Texts of a language, or of the default language when they cannot be fetched
+const loadLanguage = (language) =>
+  loadTranslations(language).then(
+    () => language,
+    (error) => {
+      console.error(`Loading the ${language} texts failed:`, error);
+      return DEFAULT_LANGUAGE;
+    }
+  );
+
 function App() {
-  const [language, setLanguage] = useState('en');
+  const [preferred] = useState(initialLanguage);
+  // Null until the texts of the preferred language are loaded
+  const [language, setLanguage] = useState(() => (isLoaded(preferred) ? preferred : null));
+
+  useEffect(() => {
+    if (!isLoaded(preferred)) loadLanguage(preferred).then(setLanguage);
+  }, [preferred]);
 
-  const toggleLanguage = () => {
-    setLanguage(prevLang => prevLang === 'en' ? 'es' : 'en');
+  // The page's language, text direction and title follow the interface
+  useEffect(() => {
+    if (!language) return;
+    document.documentElement.lang = language;
+    document.documentElement.dir = LANGUAGES[language].dir;
+    document.title = translate(language, 'appTitle');
+  }, [language]);
+
+  const changeLanguage = (next) => {
+    saveLanguage(next);
+    loadLanguage(next).then(setLanguage);
   };
 
+  if (!language) return null;
+
   return (
     <div className="relative min-h-screen">
-      <button
-        onClick={toggleLanguage}
-        className="absolute top-4 right-4 bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors z-10"
-      >
-        {language === 'en' ? 'ES' : 'EN'}
-      </button>
+      <div className="absolute top-4 end-4 z-10">
+        <LanguagePicker value={language} onChange={changeLanguage} />
+      </div>
       <WatermarkApp language={language} />
     </div>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
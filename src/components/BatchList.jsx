@@ -0,0 +1,69 @@
+import { translator } from '../utils/i18n';
+
+const STATUS_STYLES = {
+  pending: 'text-gray-500',
+  processing: 'text-indigo-600',
+  done: 'text-green-600',
+  error: 'text-red-600',
+};
+
+export default function BatchList({ items, language = 'en', isProcessing, onDownloadZip, onClear }) {
+  const t = translator(language);
+  const doneCount = items.filter((item) => item.status === 'done').length;
+
+  const statusLabel = {
+    pending: t('batchPending'),
+    processing: t('batchProcessing'),
+    done: t('batchDone'),
+    error: t('batchError'),
+  };
+
+  return (
+    <div className="mt-4 text-start">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-medium text-gray-700">
+          {t('batchFiles', { count: items.length })}
+        </h3>
+        <button
+          type="button"
+          onClick={onClear}
+          disabled={isProcessing}
+          className="text-xs text-red-600 hover:text-red-800 disabled:opacity-50"
+        >
+          {t('clearBatch')}
+        </button>
+      </div>
+      <ul className="max-h-48 overflow-y-auto border border-gray-200 rounded-lg divide-y divide-gray-100 text-sm">
+        {items.map((item) => (
+          <li key={item.id} className="flex items-center justify-between px-3 py-1.5">
+            <span className="truncate me-2" title={item.name}>{item.name}</span>
+            <span className={`shrink-0 text-xs ${STATUS_STYLES[item.status]}`}>
+              {statusLabel[item.status]}
+            </span>
+          </li>
+        ))}
+      </ul>
+      {isProcessing && (
+        <div className="mt-2 h-2 bg-gray-200 rounded-full overflow-hidden">
+          <div
+            className="h-full bg-indigo-600 transition-all"
+            style={{ width: `${(items.filter((item) => item.status === 'done' || item.status === 'error').length / items.length) * 100}%` }}
+          />
+        </div>
+      )}
+      <button
+        type="button"
+        onClick={onDownloadZip}
+        disabled={isProcessing}
+        className="mt-2 w-full bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50"
+      >
+        {isProcessing ? t('processingYourImage') : t('downloadZip')}
+      </button>
+      {!isProcessing && doneCount > 0 && (
+        <p className="mt-1 text-xs text-gray-500 text-center">
+          {t('batchDoneCount', { count: doneCount, total: items.length })}
+        </p>
+      )}
+    </div>
+  );
+}
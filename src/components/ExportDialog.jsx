@@ -0,0 +1,187 @@
+import { useEffect, useState } from 'react';
+import { translator } from '../utils/i18n';
+import { EXPORT_FORMATS, encodeImage, formatBytes, supportsFormat } from '../utils/exportFormats';
+import { EMBED_MODES } from '../utils/protect';
+import { CLOAK_LEVELS } from '../utils/cloak';
+import { ANIMATED_FORMATS } from '../utils/animation';
+
+export default function ExportDialog({
+  previewUrl,
+  previewScale = 1,
+  options,
+  onOptionsChange,
+  embedMode,
+  onEmbedModeChange,
+  cloak = 'off',
+  onCloakChange,
+  cloakReport = null, // { psnr, ssim } measured on the last export at this strength
+  isBatch = false,
+  animation = null,
+  onConfirm,
+  onClose,
+  language = 'en',
+}) {
+  const t = translator(language);
+  const [estimatedSize, setEstimatedSize] = useState(null);
+  // Animations keep their format: WebP frames are lossy, GIF reduces the colours
+  const lossy = animation ? animation.format === 'webp' : EXPORT_FORMATS[options.format].lossy;
+  const destroysLsb = (lossy || animation?.format === 'gif') && embedMode !== 'robust';
+
+  // Encode the preview in the chosen format to estimate the download size.
+  // The preview is reduced, the estimate grows with the pixel count.
+  // Animations are not estimated, their size depends on every frame.
+  useEffect(() => {
+    if (!previewUrl || animation) return;
+    let cancelled = false;
+    setEstimatedSize(null);
+    const timer = setTimeout(() => {
+      encodeImage(previewUrl, options)
+        .then((blob) => !cancelled && setEstimatedSize(blob.size / (previewScale * previewScale)))
+        .catch((error) => console.error('Size estimate failed:', error));
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [previewUrl, previewScale, options, animation]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-xl max-w-md w-full mx-4 p-6 text-start">
+        <h3 className="text-xl font-bold text-gray-800 mb-4">{t('exportOptions')}</h3>
+
+        <div className="mb-4">
+          <span className="block text-sm font-medium text-gray-700 mb-1">{t('format')}</span>
+          {animation ? (
+            <p className="text-sm text-gray-600">{t('animatedExportFormat', { format: ANIMATED_FORMATS[animation.format].name })}</p>
+          ) : (
+            <div className="grid grid-cols-3 gap-2">
+              {Object.keys(EXPORT_FORMATS).map((format) => (
+                <button
+                  key={format}
+                  type="button"
+                  disabled={!supportsFormat(format)}
+                  onClick={() => onOptionsChange({ ...options, format })}
+                  className={`py-2 rounded-lg border text-sm font-medium transition-colors disabled:opacity-40
+                    ${options.format === format ? 'border-indigo-600 bg-indigo-50 text-indigo-700' : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+                >
+                  {format.toUpperCase()}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {lossy && (
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t('quality')} {Math.round(options.quality * 100)}
+            </label>
+            <input
+              type="range"
+              min="0.4"
+              max="1"
+              step="0.05"
+              value={options.quality}
+              onChange={(e) => onOptionsChange({ ...options, quality: parseFloat(e.target.value) })}
+              className="w-full"
+            />
+          </div>
+        )}
+
+        <label className="block text-sm font-medium text-gray-700 mb-4">
+          {t('invisibleWatermark')}
+          <select
+            value={embedMode}
+            onChange={(e) => onEmbedModeChange(e.target.value)}
+            className="mt-1 w-full p-2 border border-gray-300 rounded-lg text-sm font-normal"
+          >
+            {EMBED_MODES.map((mode) => (
+              <option key={mode} value={mode}>
+                {t(`embedMode_${mode}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700">
+            {t('aiCloak')}
+            <select
+              value={cloak}
+              onChange={(e) => onCloakChange(e.target.value)}
+              className="mt-1 w-full p-2 border border-gray-300 rounded-lg text-sm font-normal"
+            >
+              {CLOAK_LEVELS.map((level) => (
+                <option key={level} value={level}>
+                  {t(`cloak_${level}`)}
+                </option>
+              ))}
+            </select>
+          </label>
+          {cloak !== 'off' && (
+            <div className="mt-1 text-xs text-gray-500">
+              {t('aiCloakHint')}
+              {cloakReport && (
+                <p className="mt-1 text-gray-700">
+                  {t('cloakLastExport')}: PSNR <span className="font-medium">{cloakReport.psnr.toFixed(1)} dB</span> · SSIM{' '}
+                  <span className="font-medium">{cloakReport.ssim.toFixed(3)}</span>
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+
+        <label className="flex items-start gap-2 text-sm text-gray-700 mb-4">
+          <input
+            type="checkbox"
+            checked={options.metadata !== false}
+            onChange={(e) => onOptionsChange({ ...options, metadata: e.target.checked })}
+            className="mt-1"
+          />
+          <span>
+            {t('writeMetadata')}
+            <span className="block text-xs text-gray-500">{t('writeMetadataHint')}</span>
+          </span>
+        </label>
+
+        {destroysLsb && (
+          <div className="mb-4 p-3 rounded-lg bg-yellow-50 border border-yellow-200 text-sm text-yellow-800">
+            {t(animation ? 'animationDestroysLsb' : 'lossyDestroysLsb')}
+            <button
+              type="button"
+              onClick={() => onEmbedModeChange('robust')}
+              className="block mt-2 text-indigo-600 hover:text-indigo-800 font-medium"
+            >
+              {t('switchToRobust')}
+            </button>
+          </div>
+        )}
+
+        {!animation && (
+          <p className="text-sm text-gray-600 mb-6">
+            {isBatch ? t('estimatedSizePerImage') : t('estimatedSize')}:{' '}
+            <span className="font-medium">{estimatedSize === null ? '…' : formatBytes(estimatedSize)}</span>
+          </p>
+        )}
+
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="flex-1 border border-gray-300 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-100 transition-colors"
+          >
+            {t('cancel')}
+          </button>
+          <button
+            type="button"
+            onClick={onConfirm}
+            className="flex-1 bg-indigo-600 text-white py-2 px-4 rounded-lg hover:bg-indigo-700 transition-colors"
+          >
+            {isBatch ? t('downloadZip') : t('downloadProtectedImage')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+import { useState } from 'react';
+import { translator } from '../utils/i18n';
+import { downloadBlob } from '../utils/files';
+import { deleteKeyPair, exportKeyPair, exportPublicKey, generateKeyPair, importKeyPair } from '../utils/signing';
+
+const buttonClass = 'text-xs border border-gray-300 text-gray-700 py-1 px-2 rounded-lg hover:bg-gray-100 transition-colors disabled:opacity-50';
+
+const downloadJson = (text, filename) =>
+  downloadBlob(new Blob([text], { type: 'application/json' }), filename);
+
+export default function KeyManager({ keyPair, onChange, signEnabled, onSignEnabledChange, onNotify, language = 'en' }) {
+  const t = translator(language);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const run = (action, successMessage) => async (...args) => {
+    setIsBusy(true);
+    try {
+      await action(...args);
+      if (successMessage) onNotify(successMessage);
+    } catch (error) {
+      console.error('Key operation failed:', error);
+      onNotify('keyOperationFailed', 'error');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleGenerate = run(async () => {
+    if (keyPair && !window.confirm(t('replaceKeyConfirm'))) return;
+    onChange(await generateKeyPair());
+    onSignEnabledChange(true);
+  }, 'keyGenerated');
+
+  const handleImport = run(async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    onChange(await importKeyPair(await file.text()));
+    onSignEnabledChange(true);
+  }, 'keyImported');
+
+  const handleDelete = run(async () => {
+    if (!window.confirm(t('deleteKeyConfirm'))) return;
+    await deleteKeyPair();
+    onChange(null);
+    onSignEnabledChange(false);
+  });
+
+  return (
+    <details className="mb-4 border border-gray-200 rounded-lg p-3 text-start">
+      <summary className="cursor-pointer text-sm font-medium text-gray-700">
+        {t('signingKey')}
+      </summary>
+      <p className="text-xs text-gray-500 mt-1 mb-3">{t('signingKeyHint')}</p>
+
+      {keyPair ? (
+        <>
+          <div className="text-xs text-gray-600 mb-2">
+            {t('keyFingerprint')}: <code className="text-gray-800">{keyPair.fingerprint}</code>
+          </div>
+          <label className="flex items-center gap-2 text-sm text-gray-700 mb-3">
+            <input type="checkbox" checked={signEnabled} onChange={(e) => onSignEnabledChange(e.target.checked)} />
+            {t('signHiddenPayload')}
+          </label>
+        </>
+      ) : (
+        <p className="text-xs text-gray-600 mb-3">{t('noSigningKey')}</p>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        <button type="button" className={buttonClass} disabled={isBusy} onClick={handleGenerate}>
+          {t('generateKey')}
+        </button>
+        <label className={`${buttonClass} cursor-pointer`}>
+          {t('importKeyPair')}
+          <input type="file" accept=".json,application/json" className="hidden" disabled={isBusy} onChange={handleImport} />
+        </label>
+        {keyPair && (
+          <>
+            <button
+              type="button"
+              className={buttonClass}
+              disabled={isBusy}
+              onClick={run(async () => downloadJson(await exportPublicKey(keyPair), `public-key-${keyPair.fingerprint}.json`))}
+            >
+              {t('exportPublicKey')}
+            </button>
+            <button
+              type="button"
+              className={buttonClass}
+              disabled={isBusy}
+              onClick={run(async () => downloadJson(await exportKeyPair(keyPair), `key-pair-backup-${keyPair.fingerprint}.json`))}
+            >
+              {t('backUpKeyPair')}
+            </button>
+            <button type="button" className={`${buttonClass} text-red-600`} disabled={isBusy} onClick={handleDelete}>
+              {t('deleteKey')}
+            </button>
+          </>
+        )}
+      </div>
+    </details>
+  );
+}
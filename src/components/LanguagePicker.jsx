@@ -0,0 +1,25 @@
+import { LANGUAGES, translator } from '../utils/i18n';
+
+// Interface language menu, every language listed under its own name
+export default function LanguagePicker({ value, onChange }) {
+  const t = translator(value);
+
+  return (
+    <label className="inline-flex items-center gap-1 bg-indigo-600 text-white ps-3 pe-2 py-2 rounded-lg hover:bg-indigo-700 transition-colors">
+      <span aria-hidden="true">🌐</span>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        aria-label={t('language')}
+        title={t('language')}
+        className="bg-transparent text-sm font-medium cursor-pointer focus:outline-none"
+      >
+        {Object.entries(LANGUAGES).map(([code, { name }]) => (
+          <option key={code} value={code} lang={code} className="text-gray-900">
+            {name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
@@ -0,0 +1,59 @@
+import { translator } from '../utils/i18n';
+
+export default function MetadataReport({ fields, kept, onKeptChange, isBatch = false, language = 'en' }) {
+  const t = translator(language);
+  const toggle = (id, keep) => onKeptChange(keep ? [...kept, id] : kept.filter((k) => k !== id));
+  const sensitiveCount = fields.filter((field) => field.sensitive && kept.includes(field.id)).length;
+
+  return (
+    <details className="mt-4 mb-4 border border-gray-200 rounded-lg p-3 text-start" open>
+      <summary className="cursor-pointer text-sm font-medium text-gray-700">
+        {t('sourceMetadata')} ({fields.length})
+      </summary>
+
+      {fields.length === 0 ? (
+        <p className="text-xs text-gray-500 mt-2">{t('noSourceMetadata')}</p>
+      ) : (
+        <>
+          <p className="text-xs text-gray-500 mt-1 mb-3">
+            {t('sourceMetadataHint')} {isBatch && t('sourceMetadataBatchHint')}
+          </p>
+          <ul className="divide-y divide-gray-100 text-sm">
+            {fields.map((field) => {
+              const canKeep = field.entries.length > 0;
+              const isKept = canKeep && kept.includes(field.id);
+              return (
+                <li key={field.id} className="flex items-center justify-between gap-3 py-1.5">
+                  <div className="min-w-0">
+                    <div className="text-gray-700">
+                      {t(`metadataField_${field.id}`)}
+                      {field.sensitive && (
+                        <span className="ms-2 text-xs px-1.5 py-0.5 rounded bg-red-50 text-red-700">{t('sensitive')}</span>
+                      )}
+                    </div>
+                    {field.value && <div className="text-xs text-gray-500 truncate" title={field.value}>{field.value}</div>}
+                  </div>
+                  {canKeep ? (
+                    <select
+                      value={isKept ? 'keep' : 'strip'}
+                      onChange={(e) => toggle(field.id, e.target.value === 'keep')}
+                      className={`shrink-0 p-1 border rounded text-xs ${isKept ? 'border-green-300 text-green-700' : 'border-gray-300 text-gray-600'}`}
+                    >
+                      <option value="strip">{t('stripField')}</option>
+                      <option value="keep">{t('keepField')}</option>
+                    </select>
+                  ) : (
+                    <span className="shrink-0 text-xs text-gray-400">{t('alwaysRemoved')}</span>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+          {sensitiveCount > 0 && (
+            <p className="mt-2 text-xs text-red-600">{t('keepingSensitiveMetadata')}</p>
+          )}
+        </>
+      )}
+    </details>
+  );
+}
@@ -0,0 +1,70 @@
+import { translator } from '../utils/i18n';
+import { OUTPUT_SIZES, outputDimensions } from '../utils/sizes';
+
+const MAX_CUSTOM_SIZE = 10000;
+
+// Crop and resize applied before watermarking. `value` is an output size
+// as made by defaultOutputSize().
+export default function OutputSizeControls({ value, onChange, image, language = 'en' }) {
+  const t = translator(language);
+  const preset = OUTPUT_SIZES[value.id];
+  const dimensions = image ? outputDimensions(image, value) : null;
+
+  const sizeLabel = (id) => {
+    if (id === 'original') return t('originalSize');
+    if (id === 'custom') return t('customSize');
+    const { label, width, height, fit } = OUTPUT_SIZES[id];
+    return fit === 'fit' ? `${label} (${t('upTo')} ${width} px)` : `${label} (${width} × ${height})`;
+  };
+
+  const updateCustom = (field) => (e) => {
+    const number = parseInt(e.target.value, 10);
+    onChange({ ...value, [field]: Number.isFinite(number) ? Math.min(MAX_CUSTOM_SIZE, Math.max(1, number)) : '' });
+  };
+
+  const updateFocus = (axis) => (e) => onChange({ ...value, focus: { ...value.focus, [axis]: parseInt(e.target.value, 10) / 100 } });
+
+  // Only the axis the crop trims can move
+  const cropsAxis = (axis) => dimensions && preset.fit === 'cover' && (axis === 'x' ? dimensions.crop.width < image.width : dimensions.crop.height < image.height);
+
+  return (
+    <details className="mb-4 border border-gray-200 rounded-lg p-3 text-start">
+      <summary className="cursor-pointer text-sm font-medium text-gray-700">
+        {t('outputSize')}
+      </summary>
+      <p className="text-xs text-gray-500 mt-1 mb-3">{t('outputSizeHint')}</p>
+
+      <select
+        value={value.id}
+        onChange={(e) => onChange({ ...value, id: e.target.value })}
+        className="w-full p-2 border border-gray-300 rounded-lg text-sm mb-2"
+      >
+        {Object.keys(OUTPUT_SIZES).map((id) => (
+          <option key={id} value={id}>{sizeLabel(id)}</option>
+        ))}
+      </select>
+
+      {value.id === 'custom' && (
+        <div className="flex items-center gap-2 mb-2 text-xs text-gray-600">
+          <input type="number" min="1" max={MAX_CUSTOM_SIZE} value={value.width} onChange={updateCustom('width')} className="w-24 p-1 border border-gray-300 rounded" aria-label={t('outputWidth')} />
+          ×
+          <input type="number" min="1" max={MAX_CUSTOM_SIZE} value={value.height} onChange={updateCustom('height')} className="w-24 p-1 border border-gray-300 rounded" aria-label={t('outputHeight')} />
+          px
+        </div>
+      )}
+
+      {['x', 'y'].map((axis) => cropsAxis(axis) && (
+        <label key={axis} className="block text-xs text-gray-600 mb-2">
+          {axis === 'x' ? t('cropHorizontal') : t('cropVertical')}: {Math.round(value.focus[axis] * 100)}%
+          <input type="range" min="0" max="100" step="1" value={Math.round(value.focus[axis] * 100)} onChange={updateFocus(axis)} className="w-full" />
+        </label>
+      ))}
+
+      {dimensions && (
+        <p className="text-xs text-gray-600">
+          {t('outputDimensions', dimensions)}
+        </p>
+      )}
+    </details>
+  );
+}
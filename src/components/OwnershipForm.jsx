@@ -0,0 +1,72 @@
+import { translator } from '../utils/i18n';
+import { LICENSES, SIGNATURE_PLACEHOLDER, buildPayload, payloadCapacity } from '../utils/payload';
+
+const inputClass = 'w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500';
+
+export default function OwnershipForm({ value, onChange, image, signed = false, language = 'en' }) {
+  const t = translator(language);
+  const update = (field) => (e) => onChange({ ...value, [field]: e.target.value });
+
+  // Capacity depends on the pixel count of the image being protected
+  const payloadLength = image
+    ? buildPayload(value, { width: image.width, height: image.height }, signed ? SIGNATURE_PLACEHOLDER : {}).length
+    : 0;
+  const capacity = image ? payloadCapacity(image.width, image.height) : 0;
+  const tooLarge = image && payloadLength > capacity;
+
+  return (
+    <details className="mt-4 mb-4 border border-gray-200 rounded-lg p-3 text-start" open>
+      <summary className="cursor-pointer text-sm font-medium text-gray-700">
+        {t('ownershipDetails')}
+      </summary>
+      <p className="text-xs text-gray-500 mt-1 mb-3">{t('ownershipDetailsHint')}</p>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <label className="block text-xs text-gray-600">
+          {t('authorName')}
+          <input type="text" className={inputClass} value={value.author} onChange={update('author')} />
+        </label>
+        <label className="block text-xs text-gray-600">
+          {t('contactUrl')}
+          <input type="text" className={inputClass} value={value.contact} onChange={update('contact')} placeholder="https://" />
+        </label>
+        <label className="block text-xs text-gray-600">
+          {t('license')}
+          <select className={inputClass} value={value.license} onChange={update('license')}>
+            {LICENSES.map((license) => (
+              <option key={license} value={license}>
+                {license === LICENSES[0] ? t('allRightsReserved') : license}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="block text-xs text-gray-600">
+          {t('creationDate')}
+          <input type="date" className={inputClass} value={value.created} onChange={update('created')} />
+        </label>
+        <label className="block text-xs text-gray-600 sm:col-span-2">
+          {t('note')}
+          <textarea rows={2} className={inputClass} value={value.note} onChange={update('note')} />
+        </label>
+      </div>
+
+      {image && (
+        <div className="mt-3">
+          <div className="flex justify-between text-xs text-gray-600">
+            <span>{t('embeddingCapacity')}</span>
+            <span className={tooLarge ? 'text-red-600 font-medium' : ''}>
+              {t('characters', { used: payloadLength, count: capacity })}
+            </span>
+          </div>
+          <div className="mt-1 h-1.5 bg-gray-200 rounded-full overflow-hidden">
+            <div
+              className={`h-full ${tooLarge ? 'bg-red-500' : 'bg-indigo-500'}`}
+              style={{ width: `${Math.min(100, capacity ? (payloadLength / capacity) * 100 : 100)}%` }}
+            />
+          </div>
+          {tooLarge && <p className="mt-1 text-xs text-red-600">{t('payloadTooLarge')}</p>}
+        </div>
+      )}
+    </details>
+  );
+}
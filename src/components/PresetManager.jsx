@@ -0,0 +1,183 @@
+import { useEffect, useState } from 'react';
+import { translator } from '../utils/i18n';
+import { downloadBlob } from '../utils/files';
+import {
+  deletePreset,
+  exportPresets,
+  getDefaultPresetId,
+  importPresets,
+  listPresets,
+  savePreset,
+  setDefaultPresetId,
+  uniquePresetName,
+} from '../utils/presets';
+
+const buttonClass = 'text-xs border border-gray-300 text-gray-700 py-1 px-2 rounded-lg hover:bg-gray-100 transition-colors disabled:opacity-50';
+
+// Saved watermark looks. `getSettings()` returns the current ones,
+// `onApply(settings)` loads a preset into the editor.
+export default function PresetManager({ getSettings, onApply, onNotify, language = 'en' }) {
+  const t = translator(language);
+  const [presets, setPresets] = useState([]);
+  const [defaultId, setDefaultId] = useState(getDefaultPresetId);
+  const [newName, setNewName] = useState('');
+  const [renaming, setRenaming] = useState(null); // { id, name } while a preset is being renamed
+  const [isBusy, setIsBusy] = useState(false);
+
+  const refresh = async () => {
+    setPresets(await listPresets());
+    setDefaultId(getDefaultPresetId());
+  };
+
+  useEffect(() => {
+    listPresets()
+      .then(setPresets)
+      .catch((error) => console.error('Could not load presets:', error));
+  }, []);
+
+  const names = presets.map((preset) => preset.name);
+
+  const run = (action, successMessage) => async (...args) => {
+    setIsBusy(true);
+    try {
+      await action(...args);
+      await refresh();
+      if (successMessage) onNotify(successMessage);
+    } catch (error) {
+      console.error('Preset operation failed:', error);
+      onNotify(error.message === 'invalidPresetFile' ? 'invalidPresetFile' : 'presetOperationFailed', 'error');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleSave = run(async (e) => {
+    e.preventDefault();
+    await savePreset({ name: uniquePresetName(newName || t('untitledPreset'), names), settings: getSettings() });
+    setNewName('');
+  }, 'presetSaved');
+
+  const handleUpdate = run(async (preset) => {
+    if (!window.confirm(t('updatePresetConfirm', { name: preset.name }))) return;
+    await savePreset({ ...preset, settings: getSettings() });
+  }, 'presetSaved');
+
+  const handleRename = run(async (e) => {
+    e.preventDefault();
+    if (!renaming) return;
+    const preset = presets.find((p) => p.id === renaming.id);
+    const name = renaming.name.trim();
+    setRenaming(null);
+    if (!preset || !name || name === preset.name) return;
+    await savePreset({ ...preset, name: uniquePresetName(name, names.filter((n) => n !== preset.name)) });
+  });
+
+  const handleDuplicate = run(async (preset) => {
+    await savePreset({ name: uniquePresetName(`${preset.name} ${t('copySuffix')}`, names), settings: preset.settings });
+  });
+
+  const handleDelete = run(async (preset) => {
+    if (!window.confirm(t('deletePresetConfirm', { name: preset.name }))) return;
+    await deletePreset(preset.id);
+  });
+
+  const handleDefault = run(async (preset) => {
+    setDefaultPresetId(defaultId === preset.id ? null : preset.id);
+  });
+
+  const handleImport = run(async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    await importPresets(await file.text(), names);
+  }, 'presetsImported');
+
+  const handleExport = () =>
+    downloadBlob(new Blob([exportPresets(presets)], { type: 'application/json' }), 'watermark-presets.json');
+
+  return (
+    <details className="mb-4 border border-gray-200 rounded-lg p-3 text-start">
+      <summary className="cursor-pointer text-sm font-medium text-gray-700">
+        {t('presets')}
+      </summary>
+      <p className="text-xs text-gray-500 mt-1 mb-3">{t('presetsHint')}</p>
+
+      {presets.length ? (
+        <ul className="mb-3 divide-y divide-gray-100 border border-gray-100 rounded-lg">
+          {presets.map((preset) => (
+            <li key={preset.id} className="flex flex-wrap items-center gap-1 p-2">
+              <button
+                type="button"
+                onClick={() => handleDefault(preset)}
+                disabled={isBusy}
+                title={t('defaultPreset')}
+                aria-label={t('defaultPreset')}
+                aria-pressed={defaultId === preset.id}
+                className={`text-lg leading-none ${defaultId === preset.id ? 'text-yellow-500' : 'text-gray-300 hover:text-gray-500'}`}
+              >
+                ★
+              </button>
+              {renaming && renaming.id === preset.id ? (
+                <form onSubmit={handleRename} className="flex-1 min-w-0">
+                  <input
+                    autoFocus
+                    value={renaming.name}
+                    onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                    onBlur={handleRename}
+                    onKeyDown={(e) => e.key === 'Escape' && setRenaming(null)}
+                    className="w-full p-1 border border-gray-300 rounded text-sm"
+                  />
+                </form>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => onApply(preset.settings, preset.name)}
+                  className="flex-1 min-w-0 truncate text-start text-sm text-indigo-700 hover:underline"
+                  title={t('applyPreset')}
+                >
+                  {preset.name}
+                </button>
+              )}
+              <button type="button" className={buttonClass} disabled={isBusy} onClick={() => handleUpdate(preset)}>
+                {t('updatePreset')}
+              </button>
+              <button type="button" className={buttonClass} disabled={isBusy} onClick={() => setRenaming({ id: preset.id, name: preset.name })}>
+                {t('renamePreset')}
+              </button>
+              <button type="button" className={buttonClass} disabled={isBusy} onClick={() => handleDuplicate(preset)}>
+                {t('duplicatePreset')}
+              </button>
+              <button type="button" className={`${buttonClass} text-red-600`} disabled={isBusy} onClick={() => handleDelete(preset)}>
+                {t('deletePreset')}
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-xs text-gray-600 mb-3">{t('noPresets')}</p>
+      )}
+
+      <form onSubmit={handleSave} className="flex gap-2 mb-3">
+        <input
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder={t('presetNamePlaceholder')}
+          className="flex-1 p-2 border border-gray-300 rounded-lg text-sm"
+        />
+        <button type="submit" disabled={isBusy} className="shrink-0 bg-indigo-600 text-white text-sm py-2 px-3 rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50">
+          {t('saveCurrentAsPreset')}
+        </button>
+      </form>
+
+      <div className="flex flex-wrap gap-2">
+        <label className={`${buttonClass} cursor-pointer`}>
+          {t('importPresets')}
+          <input type="file" accept=".json,application/json" className="hidden" disabled={isBusy} onChange={handleImport} />
+        </label>
+        <button type="button" className={buttonClass} disabled={isBusy || !presets.length} onClick={handleExport}>
+          {t('exportPresets')}
+        </button>
+      </div>
+    </details>
+  );
+}
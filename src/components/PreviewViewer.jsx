@@ -0,0 +1,285 @@
+import { useEffect, useLayoutEffect, useRef, useState } from 'react';
+import { translator } from '../utils/i18n';
+import { previewRegion } from '../utils/protect';
+import { MAX_CANVAS_AREA, previewScale } from '../utils/pipeline';
+import { differenceImage } from '../utils/compare';
+
+const VIEWS = ['watermarked', 'split', 'difference'];
+const ZOOM_STEP = 1.5;
+const MAX_ZOOM = 8;
+
+const toggleClass = (active) =>
+  `px-2 py-1 rounded border text-xs ${active ? 'bg-indigo-600 border-indigo-600 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100'}`;
+
+// Zoomable, pannable preview of the watermarked image. Zoom is in original
+// image pixels (1 = 1:1); past the reduced preview's resolution the visible
+// part is rendered again at full resolution. Compares against the original
+// with a draggable split or an amplified difference view.
+export default function PreviewViewer({ image, previewUrl, settings, isProcessing, placement, markPosition, onMarkPositionChange, language = 'en' }) {
+  const t = translator(language);
+  const scrollerRef = useRef(null);
+  const zoomAnchor = useRef(null); // Image point to keep centred across a zoom change
+  const pan = useRef(null); // { x, y, left, top } while dragging the view with the mouse
+  const [viewport, setViewport] = useState({ width: 0, height: 0 });
+  const [scroll, setScroll] = useState({ left: 0, top: 0 });
+  const [zoom, setZoom] = useState(null); // null fits the image in the viewer
+  const [view, setView] = useState('watermarked');
+  const [split, setSplit] = useState(0.5); // Before/after divider, relative to the image width
+  const [isSplitting, setIsSplitting] = useState(false);
+  const [dragPosition, setDragPosition] = useState(null); // Pointer position while dragging the free mark
+  const [detail, setDetail] = useState(null); // { url, region, settings } full resolution render of the visible part
+  const [difference, setDifference] = useState(null); // { url, coverage, previewUrl }
+
+  const fit = Math.max(0.01, Math.min(1, viewport.width / image.width, viewport.height / image.height));
+  const scale = zoom || fit;
+  const baseScale = previewScale(image.width, image.height);
+  const needsDetail = scale > baseScale * 1.05 && view !== 'difference';
+
+  useEffect(() => {
+    const scroller = scrollerRef.current;
+    const observer = new ResizeObserver(() => setViewport({ width: scroller.clientWidth, height: scroller.clientHeight }));
+    observer.observe(scroller);
+    return () => observer.disconnect();
+  }, []);
+
+  // Keep the same part of the image in the middle when zooming
+  useLayoutEffect(() => {
+    const scroller = scrollerRef.current;
+    const anchor = zoomAnchor.current;
+    if (!anchor) return;
+    zoomAnchor.current = null;
+    scroller.scrollLeft = anchor.x * scale - scroller.clientWidth / 2;
+    scroller.scrollTop = anchor.y * scale - scroller.clientHeight / 2;
+  }, [scale]);
+
+  const changeZoom = (next) => {
+    const scroller = scrollerRef.current;
+    const nextZoom = next === null ? null : Math.min(MAX_ZOOM, Math.max(Math.min(fit, 0.05), next));
+    if ((nextZoom || fit) !== scale) {
+      zoomAnchor.current = {
+        x: (scroller.scrollLeft + scroller.clientWidth / 2) / scale,
+        y: (scroller.scrollTop + scroller.clientHeight / 2) / scale,
+      };
+    }
+    setZoom(nextZoom);
+  };
+
+  // Full resolution render of what is on screen (plus a margin for small
+  // pans) once zooming and scrolling settle
+  useEffect(() => {
+    if (!needsDetail) return;
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      const margin = 0.25;
+      const visibleWidth = viewport.width / scale;
+      const visibleHeight = viewport.height / scale;
+      const x = Math.max(0, Math.floor(scroll.left / scale - visibleWidth * margin));
+      const y = Math.max(0, Math.floor(scroll.top / scale - visibleHeight * margin));
+      const region = {
+        x,
+        y,
+        width: Math.min(image.width - x, Math.ceil(visibleWidth * (1 + 2 * margin))),
+        height: Math.min(image.height - y, Math.ceil(visibleHeight * (1 + 2 * margin))),
+      };
+      if (region.width < 1 || region.height < 1 || region.width * region.height > MAX_CANVAS_AREA) return;
+      previewRegion(image, settings, region)
+        .then((blob) => {
+          if (!cancelled && blob) setDetail({ url: URL.createObjectURL(blob), region, settings });
+        })
+        .catch((error) => console.error('Zoomed preview failed:', error));
+    }, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [needsDetail, image, settings, scale, scroll, viewport]);
+
+  useEffect(() => () => detail && URL.revokeObjectURL(detail.url), [detail]);
+
+  useEffect(() => {
+    if (view !== 'difference') return;
+    let cancelled = false;
+    differenceImage(image, previewUrl)
+      .then(({ blob, coverage }) => {
+        if (!cancelled) setDifference({ url: URL.createObjectURL(blob), coverage, previewUrl });
+      })
+      .catch((error) => console.error('Difference view failed:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [view, image, previewUrl]);
+
+  useEffect(() => () => difference && URL.revokeObjectURL(difference.url), [difference]);
+
+  const pointerPosition = (e, element) => {
+    const rect = element.getBoundingClientRect();
+    return {
+      x: Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+      y: Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height)),
+    };
+  };
+
+  // Free placement drags the mark, otherwise the mouse pans the view (touch
+  // scrolls natively)
+  const handlePointerDown = (e) => {
+    if (placement === 'free') {
+      e.currentTarget.setPointerCapture(e.pointerId);
+      setDragPosition(pointerPosition(e, e.currentTarget));
+    } else if (e.pointerType === 'mouse') {
+      const scroller = scrollerRef.current;
+      e.currentTarget.setPointerCapture(e.pointerId);
+      pan.current = { x: e.clientX, y: e.clientY, left: scroller.scrollLeft, top: scroller.scrollTop };
+    }
+  };
+
+  const handlePointerMove = (e) => {
+    if (dragPosition) {
+      setDragPosition(pointerPosition(e, e.currentTarget));
+    } else if (pan.current) {
+      const scroller = scrollerRef.current;
+      scroller.scrollLeft = pan.current.left - (e.clientX - pan.current.x);
+      scroller.scrollTop = pan.current.top - (e.clientY - pan.current.y);
+    }
+  };
+
+  const handlePointerUp = () => {
+    pan.current = null;
+    if (!dragPosition) return;
+    onMarkPositionChange(dragPosition);
+    setDragPosition(null);
+  };
+
+  const handleSplitPointerDown = (e) => {
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setIsSplitting(true);
+  };
+
+  const handleSplitPointerMove = (e) => {
+    if (isSplitting) setSplit(pointerPosition(e, e.currentTarget.parentElement).x);
+  };
+
+  const showDetail = needsDetail && detail && detail.settings === settings;
+  const showDifference = view === 'difference' && difference && difference.previewUrl === previewUrl;
+  const afterClip = view === 'split' ? { clipPath: `inset(0 0 0 ${split * 100}%)` } : undefined;
+  const mark = dragPosition || markPosition;
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-1 mb-2">
+        {VIEWS.map((option) => (
+          <button key={option} type="button" onClick={() => setView(option)} className={toggleClass(view === option)}>
+            {t(`${option}View`)}
+          </button>
+        ))}
+        <span className="flex-1" />
+        <button type="button" onClick={() => changeZoom(scale / ZOOM_STEP)} className={toggleClass(false)} title={t('zoomOut')} aria-label={t('zoomOut')}>
+          −
+        </button>
+        <span className="w-12 text-center text-xs text-gray-600">{Math.round(scale * 100)}%</span>
+        <button type="button" onClick={() => changeZoom(scale * ZOOM_STEP)} className={toggleClass(false)} title={t('zoomIn')} aria-label={t('zoomIn')}>
+          +
+        </button>
+        <button type="button" onClick={() => changeZoom(1)} className={toggleClass(zoom === 1)} title={t('zoomActualSize')}>
+          1:1
+        </button>
+        <button type="button" onClick={() => changeZoom(null)} className={toggleClass(zoom === null)}>
+          {t('zoomFit')}
+        </button>
+      </div>
+
+      {/* Image space stays left-to-right in RTL languages, scroll offsets and the split keep their meaning */}
+      <div
+        ref={scrollerRef}
+        dir="ltr"
+        onScroll={(e) => setScroll({ left: e.currentTarget.scrollLeft, top: e.currentTarget.scrollTop })}
+        className="h-72 md:h-96 overflow-auto rounded-lg bg-gray-200"
+      >
+        <div className="w-max min-w-full min-h-full flex items-center justify-center">
+          <div
+            className={`relative shrink-0 select-none ${placement === 'free' ? 'cursor-crosshair touch-none' : scale > fit ? 'cursor-grab' : ''}`}
+            style={{ width: image.width * scale, height: image.height * scale }}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={() => {
+              pan.current = null;
+              setDragPosition(null);
+            }}
+          >
+            {view === 'split' && (
+              <img src={image.src} alt={t('originalImage')} draggable={false} className="absolute inset-0 w-full h-full" />
+            )}
+            <div className={`absolute inset-0 transition-opacity ${isProcessing ? 'opacity-60' : ''}`} style={afterClip}>
+              <img
+                src={showDifference ? difference.url : previewUrl}
+                alt={t('watermarkedPreview')}
+                draggable={false}
+                className="absolute inset-0 w-full h-full"
+                style={{ imageRendering: scale >= 2 ? 'pixelated' : 'auto' }}
+              />
+              {showDetail && (
+                <img
+                  src={detail.url}
+                  alt=""
+                  draggable={false}
+                  className="absolute"
+                  style={{
+                    left: detail.region.x * scale,
+                    top: detail.region.y * scale,
+                    width: detail.region.width * scale,
+                    height: detail.region.height * scale,
+                    imageRendering: scale >= 2 ? 'pixelated' : 'auto',
+                  }}
+                />
+              )}
+            </div>
+            {view === 'split' && (
+              <>
+                <span className="absolute top-2 left-2 px-1.5 py-0.5 rounded bg-black bg-opacity-50 text-white text-xs pointer-events-none">
+                  {t('beforeLabel')}
+                </span>
+                <span className="absolute top-2 right-2 px-1.5 py-0.5 rounded bg-black bg-opacity-50 text-white text-xs pointer-events-none">
+                  {t('afterLabel')}
+                </span>
+                <div
+                  role="slider"
+                  aria-label={t('splitView')}
+                  aria-valuemin="0"
+                  aria-valuemax="100"
+                  aria-valuenow={Math.round(split * 100)}
+                  tabIndex={0}
+                  onKeyDown={(e) => {
+                    if (e.key === 'ArrowLeft') setSplit((value) => Math.max(0, value - 0.05));
+                    if (e.key === 'ArrowRight') setSplit((value) => Math.min(1, value + 0.05));
+                  }}
+                  onPointerDown={handleSplitPointerDown}
+                  onPointerMove={handleSplitPointerMove}
+                  onPointerUp={() => setIsSplitting(false)}
+                  onPointerCancel={() => setIsSplitting(false)}
+                  className="absolute top-0 bottom-0 w-6 -ml-3 flex justify-center cursor-ew-resize touch-none"
+                  style={{ left: `${split * 100}%` }}
+                >
+                  <div className="w-0.5 h-full bg-white shadow" />
+                  <div className="absolute top-1/2 -mt-3 w-6 h-6 rounded-full bg-white shadow border border-gray-300" />
+                </div>
+              </>
+            )}
+            {placement === 'free' && (
+              <div
+                className="absolute w-6 h-6 -ml-3 -mt-3 rounded-full border-2 border-indigo-600 bg-indigo-200 bg-opacity-40 pointer-events-none"
+                style={{ left: `${mark.x * 100}%`, top: `${mark.y * 100}%` }}
+              />
+            )}
+          </div>
+        </div>
+      </div>
+
+      {showDifference && (
+        <p className="mt-1 text-xs text-gray-600">
+          {t('markCoverage', { percent: (difference.coverage * 100).toFixed(1) })}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+import { translator } from '../utils/i18n';
+
+// Light and grey squares behind the preview so transparent areas show
+const CHECKERBOARD = {
+  backgroundImage: 'repeating-conic-gradient(#e5e7eb 0% 25%, #ffffff 0% 50%)',
+  backgroundSize: '16px 16px',
+};
+
+// Preview and cleanup of the signature image. `cleanup` is a signature
+// cleanup as made by defaultSignatureCleanup(); without `onCleanupChange`
+// (an image from a preset or an earlier session) only tinting is offered.
+// The preview is tinted with `tintColor` when `tint` is on.
+export default function SignatureCleanup({ image, cleanup, onCleanupChange, tint, tintColor, onTintChange, onRemove, language = 'en' }) {
+  const t = translator(language);
+  const update = (field) => (e) => onCleanupChange({ ...cleanup, [field]: e.target.type === 'checkbox' ? e.target.checked : parseInt(e.target.value, 10) });
+
+  // A tinted preview paints the text colour through the image's alpha
+  const tinted = {
+    backgroundColor: tintColor,
+    WebkitMaskImage: `url(${image.src})`,
+    maskImage: `url(${image.src})`,
+    WebkitMaskSize: '100% 100%',
+    maskSize: '100% 100%',
+  };
+
+  return (
+    <div className="mt-2 border border-gray-200 rounded-lg p-3 text-start">
+      <div className="flex justify-center rounded p-2" style={CHECKERBOARD}>
+        {tint ? (
+          <div
+            role="img"
+            aria-label={t('signaturePreview')}
+            className="h-20 max-w-full"
+            style={{ ...tinted, aspectRatio: `${image.width} / ${image.height}` }}
+          />
+        ) : (
+          <img src={image.src} alt={t('signaturePreview')} className="max-h-20 max-w-full object-contain" />
+        )}
+      </div>
+
+      {onCleanupChange && (
+        <div className="mt-3 space-y-2 text-xs text-gray-600">
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={cleanup.removeBackground} onChange={update('removeBackground')} />
+            {t('removeSignatureBackground')}
+          </label>
+          {cleanup.removeBackground && (
+            <>
+              <label className="block">
+                {t('backgroundThreshold')}: {cleanup.threshold}%
+                <input type="range" min="0" max="50" step="1" value={cleanup.threshold} onChange={update('threshold')} className="w-full" />
+              </label>
+              <label className="block">
+                {t('backgroundFeather')}: {cleanup.feather}%
+                <input type="range" min="0" max="30" step="1" value={cleanup.feather} onChange={update('feather')} className="w-full" />
+              </label>
+            </>
+          )}
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={cleanup.trim} onChange={update('trim')} />
+            {t('trimSignatureMargins')}
+          </label>
+        </div>
+      )}
+
+      <label className={`flex items-center gap-2 text-xs text-gray-600 ${onCleanupChange ? 'mt-2' : 'mt-3'}`}>
+        <input type="checkbox" checked={tint} onChange={(e) => onTintChange(e.target.checked)} />
+        {t('tintSignature')}
+      </label>
+
+      <button
+        type="button"
+        onClick={onRemove}
+        className="mt-2 text-xs text-red-600 hover:text-red-800"
+      >
+        {t('removeSignatureImage')}
+      </button>
+    </div>
+  );
+}
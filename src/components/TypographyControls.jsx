@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import { translator } from '../utils/i18n';
+import { SYSTEM_FONTS, TEXT_ALIGNS, loadFontFile } from '../utils/typography';
+
+const toggleClass = (active) =>
+  `px-3 py-1 rounded border text-sm ${active ? 'bg-indigo-600 border-indigo-600 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100'}`;
+
+export default function TypographyControls({ value, onChange, onNotify, language = 'en' }) {
+  const t = translator(language);
+  const [customFonts, setCustomFonts] = useState([]); // Families registered through FontFace this session
+  const update = (field, parse = (v) => v) => (e) => onChange({ ...value, [field]: parse(e.target.value) });
+  const fonts = [...new Set([...customFonts, ...SYSTEM_FONTS, value.fontFamily])];
+
+  const handleFontUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const family = await loadFontFile(file);
+      setCustomFonts((list) => [family, ...list.filter((f) => f !== family)]);
+      onChange({ ...value, fontFamily: family });
+      onNotify('fontLoaded');
+    } catch (error) {
+      onNotify(error.message === 'invalidFont' ? 'invalidFont' : 'fontLoadFailed', 'error');
+    }
+  };
+
+  return (
+    <details className="mt-4 mb-4 border border-gray-200 rounded-lg p-3 text-start">
+      <summary className="cursor-pointer text-sm font-medium text-gray-700">
+        {t('typography')}
+      </summary>
+
+      <div className="mt-3 space-y-3 text-xs text-gray-600">
+        <label className="block">
+          {t('font')}
+          <div className="flex gap-2 mt-1">
+            <select
+              value={value.fontFamily}
+              onChange={update('fontFamily')}
+              className="flex-1 p-2 border border-gray-300 rounded-lg text-sm"
+              style={{ fontFamily: value.fontFamily }}
+            >
+              {fonts.map((font) => (
+                <option key={font} value={font} style={{ fontFamily: font }}>
+                  {font}
+                </option>
+              ))}
+            </select>
+            <input type="file" accept=".ttf,.otf,.woff,.woff2" className="hidden" id="font-upload" onChange={handleFontUpload} />
+            <label htmlFor="font-upload" className="shrink-0 px-3 py-2 border border-gray-300 rounded-lg text-sm text-indigo-600 hover:bg-gray-50 cursor-pointer">
+              {t('uploadFont')}
+            </label>
+          </div>
+        </label>
+
+        <div className="flex flex-wrap gap-2">
+          <button type="button" onClick={() => onChange({ ...value, bold: !value.bold })} className={`${toggleClass(value.bold)} font-bold`}>
+            {t('bold')}
+          </button>
+          <button type="button" onClick={() => onChange({ ...value, italic: !value.italic })} className={`${toggleClass(value.italic)} italic`}>
+            {t('italic')}
+          </button>
+          <span className="w-px bg-gray-200" />
+          {TEXT_ALIGNS.map((align) => (
+            <button key={align} type="button" onClick={() => onChange({ ...value, textAlign: align })} className={toggleClass(value.textAlign === align)}>
+              {t(`align_${align}`)}
+            </button>
+          ))}
+        </div>
+
+        <label className="block">
+          {t('letterSpacing')} {value.letterSpacing}px
+          <input type="range" min="-5" max="40" step="1" value={value.letterSpacing} onChange={update('letterSpacing', parseInt)} className="w-full" />
+        </label>
+
+        <div className="grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 items-center">
+          <input type="color" value={value.strokeColor} onChange={update('strokeColor')} className="h-8 w-10 rounded cursor-pointer" aria-label={t('outlineColor')} />
+          <label className="block">
+            {t('outline')} {value.strokeWidth}px
+            <input type="range" min="0" max="10" step="0.5" value={value.strokeWidth} onChange={update('strokeWidth', parseFloat)} className="w-full" />
+          </label>
+          <input type="color" value={value.shadowColor} onChange={update('shadowColor')} className="h-8 w-10 rounded cursor-pointer" aria-label={t('shadowColor')} />
+          <label className="block">
+            {t('shadow')} {value.shadowBlur}px
+            <input type="range" min="0" max="30" step="1" value={value.shadowBlur} onChange={update('shadowBlur', parseInt)} className="w-full" />
+          </label>
+        </div>
+      </div>
+    </details>
+  );
+}
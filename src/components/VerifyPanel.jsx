@@ -0,0 +1,226 @@
+import { Fragment, useState } from 'react';
+import { translator } from '../utils/i18n';
+import { isImageFile, loadImageFile } from '../utils/files';
+import { verifyImage } from '../utils/verify';
+import { readPublicKeyFile } from '../utils/signing';
+import { formatOwnerId, robustOwnerId } from '../utils/robustWatermark';
+
+const PAYLOAD_FIELDS = ['author', 'contact', 'license', 'created', 'note'];
+const FIELD_LABELS = {
+  author: 'authorName',
+  contact: 'contactUrl',
+  license: 'license',
+  created: 'creationDate',
+  note: 'note',
+};
+
+const SIGNATURE_STYLES = {
+  valid: 'text-green-700',
+  invalid: 'text-red-700',
+  unknownKey: 'text-yellow-700',
+  unsigned: 'text-gray-600',
+};
+
+export default function VerifyPanel({ keyPair = null, ownership = null, language = 'en' }) {
+  const t = translator(language);
+  const [isDragging, setIsDragging] = useState(false);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [suspect, setSuspect] = useState(null); // { name, src }
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [publishedKeys, setPublishedKeys] = useState([]); // Public keys loaded from files
+
+  // Who a robust owner ID belongs to, as far as this browser knows
+  const robustOwnerLabel = (ownerId) => {
+    const id = formatOwnerId(ownerId);
+    if (keyPair && keyPair.fingerprint.startsWith(id)) return t('yourKey');
+    const published = publishedKeys.find((k) => k.fingerprint.startsWith(id));
+    if (published) return published.fingerprint;
+    if (ownership && formatOwnerId(robustOwnerId(ownership, null)) === id) return ownership.author || t('yourDetails');
+    return null;
+  };
+
+  const handleFile = async (file) => {
+    if (!isImageFile(file)) {
+      setError(t('invalidImage'));
+      return;
+    }
+    setError(null);
+    setResult(null);
+    setIsVerifying(true);
+    try {
+      const img = await loadImageFile(file);
+      setSuspect({ name: file.name, src: img.src });
+      const knownKeys = keyPair ? [keyPair, ...publishedKeys] : publishedKeys;
+      setResult(await verifyImage(file, img, knownKeys));
+    } catch (err) {
+      console.error('Verification failed:', err);
+      setError(t('verificationFailed'));
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-8 text-start">
+      <h2 className="text-xl font-semibold mb-1">{t('verifyOwnership')}</h2>
+      <p className="text-sm text-gray-600 mb-4">{t('verifyDescription')}</p>
+
+      <div
+        className={`border-2 border-dashed rounded-lg p-4 text-center cursor-pointer transition-colors
+          ${isDragging ? 'border-indigo-500 bg-indigo-50' : 'border-gray-300 hover:bg-gray-50'}`}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setIsDragging(true);
+        }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={(e) => {
+          e.preventDefault();
+          setIsDragging(false);
+          if (e.dataTransfer.files && e.dataTransfer.files[0]) {
+            handleFile(e.dataTransfer.files[0]);
+          }
+        }}
+      >
+        <input
+          type="file"
+          accept="image/*"
+          className="hidden"
+          id="verify-upload"
+          onChange={(e) => {
+            if (e.target.files[0]) handleFile(e.target.files[0]);
+            e.target.value = '';
+          }}
+        />
+        <label htmlFor="verify-upload" className="cursor-pointer">
+          <div className="text-indigo-600 font-medium">{t('dropSuspectImage')}</div>
+          {suspect && <p className="text-xs text-gray-500 mt-1 truncate">{suspect.name}</p>}
+        </label>
+      </div>
+
+      <div className="mt-3 text-sm">
+        <label className="inline-block text-indigo-600 hover:text-indigo-800 cursor-pointer">
+          {t('loadPublicKey')}
+          <input
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={async (e) => {
+              const file = e.target.files[0];
+              e.target.value = '';
+              if (!file) return;
+              try {
+                const key = await readPublicKeyFile(await file.text());
+                setPublishedKeys((keys) => [...keys.filter((k) => k.fingerprint !== key.fingerprint), key]);
+                setError(null);
+              } catch (err) {
+                console.error('Public key import failed:', err);
+                setError(t('invalidKeyFile'));
+              }
+            }}
+          />
+        </label>
+        {(keyPair || publishedKeys.length > 0) && (
+          <p className="text-xs text-gray-500 mt-1">
+            {t('knownKeys')}: {[keyPair && `${keyPair.fingerprint} (${t('yourKey')})`, ...publishedKeys.map((k) => k.fingerprint)].filter(Boolean).join(', ')}
+          </p>
+        )}
+      </div>
+
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+
+      {isVerifying && (
+        <div className="mt-4 text-center">
+          <div className="inline-block h-6 w-6 animate-spin rounded-full border-4 border-solid border-indigo-600 border-r-transparent"></div>
+          <p className="mt-2 text-gray-600 text-sm">{t('verifying')}</p>
+        </div>
+      )}
+
+      {result && !isVerifying && (
+        <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+          <img src={suspect.src} alt={suspect.name} className="max-w-full max-h-64 rounded-lg shadow-md mx-auto" />
+          <div className="space-y-3 text-sm">
+            {result.found ? (
+              <div className="p-3 rounded-lg bg-green-50 border border-green-200">
+                <div className="font-medium text-green-800">{t('hiddenMessageFound')}</div>
+                {result.payload && !result.payload.legacy && result.payload.version ? (
+                  <>
+                    <dl className="mt-2 grid grid-cols-3 gap-x-2 gap-y-1">
+                      {PAYLOAD_FIELDS.filter((field) => result.payload.fields[field]).map((field) => (
+                        <Fragment key={field}>
+                          <dt className="text-gray-500">{t(FIELD_LABELS[field])}</dt>
+                          <dd className="col-span-2 break-words text-gray-800">{result.payload.fields[field]}</dd>
+                        </Fragment>
+                      ))}
+                    </dl>
+                    <p className={`mt-2 text-xs ${result.payload.valid ? 'text-green-700' : 'text-red-700'}`}>
+                      {t('payloadVersion')} {result.payload.version} • {result.payload.valid ? t('checksumValid') : t('checksumInvalid')}
+                    </p>
+                    <p className={`mt-1 text-xs font-medium ${SIGNATURE_STYLES[result.signature.status]}`}>
+                      {{
+                        valid: t('signatureValid'),
+                        invalid: t('signatureInvalid'),
+                        unknownKey: t('signatureUnknownKey'),
+                        unsigned: t('signatureMissing'),
+                      }[result.signature.status]}
+                      {result.signature.fingerprint && ` (${result.signature.fingerprint})`}
+                    </p>
+                    {result.signature.status !== 'unsigned' && (
+                      <p className={`mt-1 text-xs ${result.signature.imageMatches ? 'text-green-700' : 'text-red-700'}`}>
+                        {result.signature.imageMatches ? t('visibleImageMatches') : t('visibleImageDiffers')}
+                      </p>
+                    )}
+                  </>
+                ) : (
+                  <code className="block mt-1 break-all text-gray-800">{result.message}</code>
+                )}
+              </div>
+            ) : (
+              <div className="p-3 rounded-lg bg-red-50 border border-red-200">
+                <div className="font-medium text-red-800">{t('noHiddenMessage')}</div>
+                <p className="mt-1 text-red-700">
+                  {result.damaged ? t('hiddenMessageDamaged') : t('noHiddenMessageHint')}
+                </p>
+              </div>
+            )}
+
+            {result.robust.found ? (
+              <div className="p-3 rounded-lg bg-green-50 border border-green-200">
+                <div className="font-medium text-green-800">{t('robustWatermarkFound')}</div>
+                <p className="mt-1 text-gray-800">
+                  {t('ownerId')}: <code>{formatOwnerId(result.robust.ownerId)}</code>
+                  {robustOwnerLabel(result.robust.ownerId) && ` (${robustOwnerLabel(result.robust.ownerId)})`}
+                </p>
+                <p className="mt-1 text-xs text-gray-600">
+                  {t('confidence')}: {Math.round(result.robust.confidence * 100)}%
+                  {result.robust.cropped && ` • ${t('looksCropped')}`}
+                </p>
+              </div>
+            ) : (
+              <div className="p-3 rounded-lg bg-gray-50 border border-gray-200 text-gray-700">
+                {t('noRobustWatermark')}
+              </div>
+            )}
+
+            <ul className="space-y-1 text-gray-700">
+              <li>
+                <span className="font-medium">{t('recompression')}:</span>{' '}
+                {result.recompressed
+                  ? (result.lossyFormat ? t('recompressedLossyFormat') : t('recompressedArtifacts'))
+                  : t('noRecompression')}
+              </li>
+              <li>
+                <span className="font-medium">{t('resizing')}:</span>{' '}
+                {result.resized === null
+                  ? t('resizeUnknown')
+                  : result.resized
+                    ? `${t('resizedFrom')} ${result.originalSize.width}x${result.originalSize.height} → ${result.size.width}x${result.size.height}px`
+                    : t('notResized')}
+              </li>
+            </ul>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
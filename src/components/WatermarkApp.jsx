@@ -1,31 +1,107 @@
-import { useState, useRef, useEffect } from 'react';
-import { encode } from 'ts-steganography';
-import { translations } from '../translations';
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { translator } from '../utils/i18n';
+import { ANCHORS, BLEND_MODES, COLOR_MODES, INTERFERENCE, PLACEMENTS } from '../utils/watermark';
+import { defaultTypography } from '../utils/typography';
+import { previewImage, protectImage } from '../utils/protect';
+import { previewScale } from '../utils/pipeline';
+import { EXPORT_FORMATS, defaultExportOptions, exportBlob } from '../utils/exportFormats';
+import ExportDialog from './ExportDialog';
+import { collectDroppedFiles, downloadBlob, isImageFile, loadImageFile, protectedFileName, relativePath } from '../utils/files';
+import { protectAnimationFrames, protectBatchToZip, protectSizesToZip } from '../utils/batch';
+import BatchList from './BatchList';
+import VerifyPanel from './VerifyPanel';
+import OwnershipForm from './OwnershipForm';
+import KeyManager from './KeyManager';
+import MetadataReport from './MetadataReport';
+import TypographyControls from './TypographyControls';
+import PresetManager from './PresetManager';
+import PreviewViewer from './PreviewViewer';
+import OutputSizeControls from './OutputSizeControls';
+import { loadKeyPair } from '../utils/signing';
+import { defaultOwnership } from '../utils/payload';
+import { DEFAULT_KEPT_METADATA, carriedMetadata, readSourceMetadata } from '../utils/sourceMetadata';
+import { cleanPresetSettings, loadDefaultPreset, loadPresetImage } from '../utils/presets';
+import { MAX_SESSION_MB, clearSession, loadSession, saveSession } from '../utils/session';
+import { canRedo, canUndo, emptyHistory, isTextEntry, recordSnapshot, redo, undo } from '../utils/history';
+import { ALL_SIZES, defaultOutputSize, resizeImage } from '../utils/sizes';
+import { canShareFiles, shareFile, takeSharedFiles } from '../utils/share';
+import { canCopyImages, copyImage, pasteTarget, pastedImageFiles } from '../utils/clipboard';
+import { ANIMATED_FORMATS, animationInfo, decodeAnimation } from '../utils/animation';
+import { cleanSignatureImage, defaultSignatureCleanup } from '../utils/signatureCleanup';
+import SignatureCleanup from './SignatureCleanup';
 
 
 // Replace these with your actual donation links
 const PAYPAL_DONATION_LINK = 'https://www.paypal.com/donate/?hosted_button_id=V9ZXQCWSRCZEE';
-// const PAYONEER_DONATION_LINK = 'https://p.payoneer.com/YOUR_PAYONEER_LINK';
+// Leave empty to hide the Payoneer button
+const PAYONEER_DONATION_LINK = '';
+
+// Seed for the jitter pattern
+const randomSeed = () => Math.random().toString(36).slice(2, 8);
+
+// Export failures with a message of their own, the rest get `fallback`
+const EXPORT_ERRORS = ['payloadTooLarge', 'animationTooLarge', 'imageTooLarge'];
+const exportErrorKey = (error, fallback) => (EXPORT_ERRORS.includes(error.message) ? error.message : fallback);
+
+// Signature images photographed or scanned on paper are cleaned up on upload
+const SIGNATURE_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
 
 export default function WatermarkApp({ language = 'en' }) {
+  const t = translator(language);
   const [signature, setSignature] = useState('');
   const [signatureImage, setSignatureImage] = useState(null);
+  const [signatureSource, setSignatureSource] = useState(null); // { image, cleanup, result } uploaded signature before cleanup, the cleanup run and its result
+  const [signatureCleanup, setSignatureCleanup] = useState(defaultSignatureCleanup); // Background keying and trimming of uploaded signatures
+  const [signatureTint, setSignatureTint] = useState(false); // Recolour the signature image with the text colour
   const [image, setImage] = useState(null);
-  const [watermarkedImage, setWatermarkedImage] = useState(null);
+  const [imageName, setImageName] = useState('');
+  const [sourceFile, setSourceFile] = useState(null); // Original file behind `image`, kept for session restore
+  const [animation, setAnimation] = useState(null); // { format, frames } when the source file is animated
+  const [outputSize, setOutputSize] = useState(defaultOutputSize); // Crop and resize applied before watermarking
+  const [sizedImage, setSizedImage] = useState(null); // { source, size, image } `image` cropped and resized to `outputSize`
+  const [savedSession, setSavedSession] = useState(undefined); // Previous visit's session: undefined while loading, null once restored or discarded
+  const [batchItems, setBatchItems] = useState([]); // [{ id, file, name, status }] when several files are uploaded
+  const [isProcessingBatch, setIsProcessingBatch] = useState(false);
+  const [watermarkedImage, setWatermarkedImage] = useState(null); // Object URL of the reduced live preview
   const [opacity, setOpacity] = useState(0.5);
   const [angle, setAngle] = useState(45);
   const [density, setDensity] = useState(3);
   const [fontSize, setFontSize] = useState(20);
   const [signatureSize, setSignatureSize] = useState(100); // For image signature size
   const [textColor, setTextColor] = useState('#000000');
+  const [colorMode, setColorMode] = useState('fixed'); // 'fixed' | 'adaptive' | 'invert'
+  const [blendMode, setBlendMode] = useState('source-over'); // Canvas composite mode of the watermark layer
+  const [typography, setTypography] = useState(defaultTypography); // Font, weight, spacing, outline, shadow, line alignment
+  const [placement, setPlacement] = useState('tiled'); // 'tiled' | 'brick' | 'single' | 'border' | 'free'
+  const [anchor, setAnchor] = useState('bottom-right'); // 9-point anchor of the single mark
+  const [margin, setMargin] = useState(3); // Distance from the edges, % of the shorter side
+  const [markPosition, setMarkPosition] = useState({ x: 0.5, y: 0.5 }); // Free placement, relative to the image size
+  const [jitter, setJitter] = useState(0); // Per-tile variation strength in %, 0 = identical tiles
+  const [seed, setSeed] = useState(randomSeed); // Reproduces the jitter pattern
+  const [interference, setInterference] = useState('none'); // 'none' | 'noise' | 'mesh'
+  const [history, setHistory] = useState(emptyHistory); // Undo/redo snapshots of the watermark look
+  const [ownership, setOwnership] = useState(defaultOwnership); // Hidden payload fields: author, contact, license, created, note
+  const [keyPair, setKeyPair] = useState(null); // { publicKey, privateKey, fingerprint } from IndexedDB
+  const [signEnabled, setSignEnabled] = useState(false);
+  const [embedMode, setEmbedMode] = useState('both'); // Invisible watermark engines: 'both' | 'lsb' | 'robust'
+  const [cloak, setCloak] = useState('off'); // AI-training cloak strength: 'off' | 'low' | 'medium' | 'high'
+  const [cloakReport, setCloakReport] = useState(null); // { image, level, report } of the last export with the cloak on
+  const [exportOptions, setExportOptions] = useState(defaultExportOptions); // { format, quality, metadata }
+  const [sourceMetadata, setSourceMetadata] = useState(null); // Report fields read from the previewed original
+  const [keptMetadata, setKeptMetadata] = useState(DEFAULT_KEPT_METADATA); // Field ids carried over to exports
+  const [exportTarget, setExportTarget] = useState(null); // null | 'single' | 'share' | 'batch' | 'sizes' while the export dialog is open
+  const [canShare] = useState(canShareFiles); // The Web Share API accepts files
+  const [canCopy] = useState(canCopyImages); // The async Clipboard API accepts images
+  const [pendingShare, setPendingShare] = useState(null); // Protected file rendered too slowly to share without another tap
   const [isProcessing, setIsProcessing] = useState(false);
   const [isDragging, setIsDragging] = useState(false);
   const [isDraggingSignature, setIsDraggingSignature] = useState(false);
   const [notification, setNotification] = useState(null);
   const [isProcessingDownload, setIsProcessingDownload] = useState(false);
+  const [downloadProgress, setDownloadProgress] = useState(0); // 0..1 while the full resolution export renders
   const [showDonationModal, setShowDonationModal] = useState(false);
+  const [mode, setMode] = useState('protect'); // 'protect' | 'verify'
   const [donationStatus, setDonationStatus] = useState(null); // null: not interacted, 'considered': closed without donating, 'donated': completed donation
-  const canvasRef = useRef(null);
 
   // Show donation modal on every page load
   useEffect(() => {
@@ -70,16 +146,16 @@ export default function WatermarkApp({ language = 'en' }) {
               <div className="text-center">
                 <div className="text-5xl mb-4">🎉</div>
                 <h3 className="text-xl font-bold text-gray-800 mb-2">
-                  {translations[language].thanksForSupport || 'Thank You for Your Support!'}
+                  {t('thanksForSupport')}
                 </h3>
                 <p className="text-gray-600 mb-6">
-                  Your support helps us keep improving this tool and is greatly appreciated!
+                  {t('donationThanksMessage')}
                 </p>
                 <button
                   onClick={handleCloseModal}
                   className="w-full bg-indigo-600 text-white py-2 px-4 rounded-lg hover:bg-indigo-700 transition-colors"
                 >
-                  {translations[language].close || 'Close'}
+                  {t('close')}
                 </button>
               </div>
             </div>
@@ -87,66 +163,66 @@ export default function WatermarkApp({ language = 'en' }) {
             <div className="text-center">
               <div className="text-4xl mb-4">🙏</div>
               <h3 className="text-xl font-bold text-gray-800 mb-2">
-                {translations[language].thanksForConsidering || 'Thanks for Considering!'}
+                {t('thanksForConsidering')}
               </h3>
               <p className="text-gray-600 mb-6">
-                We appreciate you considering to support us. You can always donate later from the menu.
+                {t('donationConsideredMessage')}
               </p>
               <button
                 onClick={handleCloseModal}
                 className="w-full bg-indigo-600 text-white py-2 px-4 rounded-lg hover:bg-indigo-700 transition-colors"
               >
-                {translations[language].close || 'Close'}
+                {t('close')}
               </button>
             </div>
           ) : (
             <>
               <div className="text-center mb-6">
                 <h3 className="text-xl font-bold text-gray-800 mb-2">
-                  {translations[language].supportUs}
+                  {t('supportUs')}
                 </h3>
                 <p className="text-gray-600">
-                  {translations[language].supportMessage}
+                  {t('supportMessage')}
                 </p>
               </div>
               
               <div className="mb-6">
                 <p className="text-sm text-gray-500 uppercase tracking-wider mb-3">
-                  {translations[language].oneTimeDonation}
+                  {t('oneTimeDonation')}
                 </p>
                 
                 <button
                   onClick={() => handleDonate('paypal')}
                   className="w-full mb-3 bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded-lg flex items-center justify-center transition-colors"
                 >
-                  <svg className="w-5 h-5 mr-2" viewBox="0 0 24 24" fill="currentColor">
+                  <svg className="w-5 h-5 me-2" viewBox="0 0 24 24" fill="currentColor">
                     <path d="M7.076 21.337H2.47a.641.641 0 0 1-.633-.74L4.944.901C5.026.382 5.474 0 5.998 0h7.08c3.476 0 5.09.615 5.098.617.564.196 1.17.78 1.315 1.35.186.738.378 1.508.378 2.292 0 .42-.168.819-.48 1.105a.688.688 0 0 0-.25.515c0 .055.013.14.05.23.05.106.1.212.14.318.26.56.41 1.15.41 1.75 0 .28-.05.55-.15.79-.07.16-.18.3-.32.41.18.15.34.31.48.5.19.25.31.54.35.85.02.09.03.18.03.27 0 .41-.16.8-.44 1.09.01.1.01.18.01.27 0 .69-.12 1.36-.38 1.99-.16.38-.37.74-.63 1.06-.18.23-.39.44-.61.63-.28.24-.58.44-.89.6-.31.17-.64.31-.98.42-.34.11-.7.18-1.06.2-.08 0-.16.01-.24.01H8.136c-.14 0-.26.1-.31.24l-1.13 3.41c-.05.14-.17.24-.31.24l-1.32 1.64c-.07.08-.18.12-.29.12z"/>
                   </svg>
-                  {translations[language].paypalDonate}
+                  {t('paypalDonate')}
                 </button>
                 
-                {/* Payoneer donation button commented out
-                <button
-                  onClick={() => handleDonate('payoneer')}
-                  className="w-full bg-orange-500 hover:bg-orange-600 text-white py-2 px-4 rounded-lg flex items-center justify-center transition-colors"
-                >
-                  <svg className="w-5 h-5 mr-2" viewBox="0 0 24 24" fill="currentColor">
-                    <path d="M9.715 17.5h1.5l-.75-5.5h-1.5l.75 5.5zm-3.5 0h1.5l.25-5.5h-1.5l-.25 5.5zm7 0h1.5l-.25-5.5h-1.5l.25 5.5zm-10.5 0h1.5l.75-5.5h-1.5l-.75 5.5zm14.5-5.5h-1.5l-.5 5.5h1.5l.5-5.5zm-5.25 0h-1.5l.5 5.5h1.5l-.5-5.5zm-4.5-8h10.5v3h-10.5v-3zm0 4h10.5v3h-10.5v-3z"/>
-                  </svg>
-                  {translations[language].payoneerDonate}
-                </button>
-                */}
+                {PAYONEER_DONATION_LINK && (
+                  <button
+                    onClick={() => handleDonate('payoneer')}
+                    className="w-full bg-orange-500 hover:bg-orange-600 text-white py-2 px-4 rounded-lg flex items-center justify-center transition-colors"
+                  >
+                    <svg className="w-5 h-5 me-2" viewBox="0 0 24 24" fill="currentColor">
+                      <path d="M9.715 17.5h1.5l-.75-5.5h-1.5l.75 5.5zm-3.5 0h1.5l.25-5.5h-1.5l-.25 5.5zm7 0h1.5l-.25-5.5h-1.5l.25 5.5zm-10.5 0h1.5l.75-5.5h-1.5l-.75 5.5zm14.5-5.5h-1.5l-.5 5.5h1.5l.5-5.5zm-5.25 0h-1.5l.5 5.5h1.5l-.5-5.5zm-4.5-8h10.5v3h-10.5v-3zm0 4h10.5v3h-10.5v-3z"/>
+                    </svg>
+                    {t('payoneerDonate')}
+                  </button>
+                )}
               </div>
               
               <div className="flex justify-center">
                 <button
                   onClick={() => {
                     setDonationStatus('considered');
-                    setShowDonationModal(false);
+                    onClose();
                   }}
                   className="text-sm text-gray-500 hover:text-gray-700"
                 >
-                  {translations[language].maybeLater || 'Maybe Later'}
+                  {t('maybeLater')}
                 </button>
               </div>
             </>
@@ -156,20 +232,242 @@ export default function WatermarkApp({ language = 'en' }) {
     </div>
   );
 
+  // Load the signing key pair saved by a previous visit
+  useEffect(() => {
+    loadKeyPair()
+      .then((stored) => {
+        if (stored) {
+          setKeyPair(stored);
+          setSignEnabled(true);
+        }
+      })
+      .catch((error) => console.error('Could not load signing key:', error));
+  }, []);
+
+  // Current watermark look, the state covered by undo/redo and presets
+  const look = useMemo(() => ({
+    signature,
+    signatureImage,
+    signatureTint,
+    opacity,
+    angle,
+    density,
+    fontSize,
+    signatureSize,
+    textColor,
+    colorMode,
+    blendMode,
+    typography,
+    placement,
+    anchor,
+    margin,
+    position: markPosition,
+    jitter,
+    seed,
+    interference,
+  }), [signature, signatureImage, signatureTint, opacity, angle, density, fontSize, signatureSize, textColor, colorMode, blendMode, typography, placement, anchor, margin, markPosition, jitter, seed, interference]);
+
+  // The look as the renderer takes it, typography fields flattened
+  const renderSettings = useMemo(() => {
+    const { typography: type, ...rest } = look;
+    return { ...rest, ...type };
+  }, [look]);
+
+  // Presets store the signature image as a PNG data URL
+  const presetSettings = () => ({ ...look, signatureImage: signatureImage ? signatureImage.src : null });
+
+  // Sets the given look fields, the others keep their current value
+  const applyLook = useCallback((fields) => {
+    const setters = {
+      signature: setSignature,
+      signatureImage: setSignatureImage,
+      signatureTint: setSignatureTint,
+      opacity: setOpacity,
+      angle: setAngle,
+      density: setDensity,
+      fontSize: setFontSize,
+      signatureSize: setSignatureSize,
+      textColor: setTextColor,
+      colorMode: setColorMode,
+      blendMode: setBlendMode,
+      typography: setTypography,
+      placement: setPlacement,
+      anchor: setAnchor,
+      margin: setMargin,
+      position: setMarkPosition,
+      jitter: setJitter,
+      seed: setSeed,
+      interference: setInterference,
+    };
+    Object.entries(fields).forEach(([field, value]) => setters[field] && setters[field](value));
+  }, []);
+
+  // Loads the fields a preset defines, the others keep their current value
+  const applyPreset = useCallback(async ({ signatureImage: dataUrl, ...settings }) => {
+    const loaded = dataUrl ? await loadPresetImage(dataUrl) : null;
+    applyLook(dataUrl === undefined ? settings : { ...settings, signatureImage: loaded });
+  }, [applyLook]);
+
+  // Every look change lands in the history; undo and redo apply the
+  // history's present, which then records as no change
+  useEffect(() => {
+    setHistory((current) => recordSnapshot(current, look));
+  }, [look]);
+
+  const stepHistory = useCallback((step) => {
+    const next = step(history);
+    if (next === history) return;
+    setHistory(next);
+    applyLook(next.present);
+  }, [history, applyLook]);
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS, Ctrl+Y also redoes)
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || isTextEntry(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' || key === 'y') {
+        e.preventDefault();
+        stepHistory(key === 'y' || e.shiftKey ? redo : undo);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [stepHistory]);
+
+  // Start with the default preset when one is set
+  useEffect(() => {
+    loadDefaultPreset()
+      .then((preset) => preset && applyPreset(preset.settings))
+      .catch((error) => console.error('Could not load the default preset:', error));
+  }, [applyPreset]);
+
+  // Offer the session saved by a previous visit
+  useEffect(() => {
+    loadSession()
+      .then(setSavedSession)
+      .catch((error) => {
+        console.error('Could not load the saved session:', error);
+        setSavedSession(null);
+      });
+  }, []);
+
+  // Keep the current session, once the saved one is restored or discarded.
+  // Nothing worth restoring clears it.
+  useEffect(() => {
+    if (savedSession !== null) return;
+    const timer = setTimeout(() => {
+      const saving = sourceFile || signature || signatureImage
+        ? saveSession({
+          image: sourceFile,
+          imageName,
+          signatureImage: signatureImage ? signatureImage.src : null,
+          signatureSource: signatureSource && signatureSource.result === signatureImage ? signatureSource.image.src : null,
+          settings: {
+            signature, signatureTint, opacity, angle, density, fontSize, signatureSize, textColor, colorMode, blendMode, typography, placement, anchor, margin, position: markPosition, jitter, seed, interference,
+            ownership, embedMode, cloak, exportOptions, keptMetadata, outputSize, signatureCleanup,
+          },
+        })
+        : clearSession();
+      saving.catch((error) => console.error('Could not save the session:', error));
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [savedSession, sourceFile, imageName, signature, signatureImage, signatureSource, signatureCleanup, signatureTint, opacity, angle, density, fontSize, signatureSize, textColor, colorMode, blendMode, typography, placement, anchor, margin, markPosition, jitter, seed, interference, ownership, embedMode, cloak, exportOptions, keptMetadata, outputSize]);
+
+  const restoreSession = async () => {
+    const { image: file, imageName: name, signatureImage: signatureBlob, signatureSource: sourceBlob, settings } = savedSession;
+    try {
+      // The restored signature stays tied to its upload, so its cleanup can
+      // still be adjusted
+      const restoredSignature = signatureBlob ? await loadImageFile(signatureBlob) : null;
+      const cleanup = settings.signatureCleanup ? { ...defaultSignatureCleanup(), ...settings.signatureCleanup } : signatureCleanup;
+      applyLook({ ...cleanPresetSettings(settings), signatureImage: restoredSignature });
+      setSignatureCleanup(cleanup);
+      setSignatureSource(restoredSignature && sourceBlob
+        ? { image: await loadImageFile(sourceBlob), cleanup, result: restoredSignature }
+        : null);
+      if (settings.ownership) setOwnership({ ...defaultOwnership(), ...settings.ownership });
+      if (settings.embedMode) setEmbedMode(settings.embedMode);
+      if (settings.cloak) setCloak(settings.cloak);
+      if (settings.exportOptions) setExportOptions({ ...defaultExportOptions(), ...settings.exportOptions });
+      if (Array.isArray(settings.keptMetadata)) setKeptMetadata(settings.keptMetadata);
+      if (settings.outputSize) setOutputSize({ ...defaultOutputSize(), ...settings.outputSize });
+      if (file) {
+        setImage(await loadImageFile(file));
+        setImageName(name);
+        setSourceFile(file);
+        setBatchItems([]);
+        readSourceMetadata(file)
+          .then(setSourceMetadata)
+          .catch(() => setSourceMetadata([]));
+      }
+      showNotification('sessionRestored');
+    } catch (error) {
+      console.error('Session restore failed:', error);
+      showNotification('sessionRestoreFailed', 'error');
+    } finally {
+      // Saving resumes from the restored state
+      setSavedSession(null);
+    }
+  };
+
+  const discardSession = () => {
+    setSavedSession(null);
+    clearSession().catch((error) => console.error('Could not discard the session:', error));
+  };
+
+  // The image actually watermarked: the upload, or its crop at the output size
+  const workingImage = outputSize.id === 'original'
+    ? image
+    : sizedImage && sizedImage.source === image && sizedImage.size === outputSize ? sizedImage.image : null;
+
+  useEffect(() => {
+    if (!image || outputSize.id === 'original') return;
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      resizeImage(image, outputSize)
+        .then((resized) => !cancelled && setSizedImage({ source: image, size: outputSize, image: resized }))
+        .catch((error) => console.error('Resize failed:', error));
+    }, 150);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [image, outputSize]);
+
+  // Animated sources are exported frame by frame, the preview shows the first
+  useEffect(() => {
+    setAnimation(null);
+    if (!sourceFile) return;
+    let cancelled = false;
+    animationInfo(sourceFile)
+      .then((info) => !cancelled && setAnimation(info))
+      .catch((error) => console.error('Animation check failed:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [sourceFile]);
+
   // Show notification for a few seconds
-  const showNotification = (message, type = 'success') => {
+  const showNotification = useCallback((key, type = 'success', params) => {
     setNotification({ 
-      message: translations[language][message] || message, 
+      message: t(key, params), 
       type 
     });
     setTimeout(() => setNotification(null), 3000);
-  };
+  }, [t]);
 
   // Reset all form fields and state
   const resetAll = () => {
     setSignature('');
     setSignatureImage(null);
+    setSignatureSource(null);
+    setSignatureTint(false);
     setImage(null);
+    setImageName('');
+    setSourceFile(null);
+    setSourceMetadata(null);
+    setBatchItems([]);
     setWatermarkedImage(null);
     setOpacity(0.5);
     setAngle(45);
@@ -177,24 +475,72 @@ export default function WatermarkApp({ language = 'en' }) {
     setFontSize(20);
     setSignatureSize(100);
     setTextColor('#000000');
+    setColorMode('fixed');
+    setBlendMode('source-over');
+    setTypography(defaultTypography());
+    setPlacement('tiled');
+    setAnchor('bottom-right');
+    setMargin(3);
+    setMarkPosition({ x: 0.5, y: 0.5 });
+    setJitter(0);
+    setSeed(randomSeed());
+    setInterference('none');
+    setOutputSize(defaultOutputSize());
+    setOwnership(defaultOwnership());
+    setSignatureCleanup(defaultSignatureCleanup());
+    setEmbedMode('both');
+    setCloak('off');
+    setCloakReport(null);
+    setExportOptions(defaultExportOptions());
+    setKeptMetadata(DEFAULT_KEPT_METADATA);
     showNotification('resetSuccess');
   };
 
+  // Load one file for preview, or queue several for batch processing
+  const handleFiles = useCallback(async (fileList) => {
+    const files = Array.from(fileList).filter(isImageFile);
+    if (!files.length) {
+      showNotification('invalidImage', 'error');
+      return;
+    }
+
+    setBatchItems(files.length > 1
+      ? files.map((file, i) => ({ id: `${i}-${relativePath(file)}`, file, name: relativePath(file), status: 'pending' }))
+      : []);
+
+    try {
+      // The first file drives the preview in both modes
+      const img = await loadImageFile(files[0]);
+      setImage(img);
+      setImageName(files[0].name);
+      setSourceFile(files[0]);
+      readSourceMetadata(files[0])
+        .then(setSourceMetadata)
+        .catch((error) => {
+          console.error('Metadata read failed:', error);
+          setSourceMetadata([]);
+        });
+      showNotification(files.length > 1 ? 'batchLoaded' : 'imageUploaded', 'success', { count: files.length });
+    } catch (error) {
+      console.error('Image load failed:', error);
+      showNotification('invalidImage', 'error');
+    }
+  }, [showNotification]);
+
+  // Open the images shared to the installed app from another app
+  useEffect(() => {
+    takeSharedFiles()
+      .then((files) => files.length && handleFiles(files))
+      .catch((error) => console.error('Could not open the shared images:', error));
+  }, [handleFiles]);
+
   // Handle main image upload
   const handleImageUpload = (e) => {
-    const file = e.target.files[0];
-    if (file && file.type.match('image.*')) {
-      const reader = new FileReader();
-      reader.onload = (event) => {
-        const img = new Image();
-        img.onload = () => {
-          setImage(img);
-          showNotification('imageUploaded');
-        };
-        img.src = event.target.result;
-      };
-      reader.readAsDataURL(file);
+    if (e.target.files && e.target.files.length) {
+      handleFiles(e.target.files);
     }
+    // Allow picking the same file/folder again
+    e.target.value = '';
   };
 
   // Handle main image drag and drop
@@ -207,205 +553,278 @@ export default function WatermarkApp({ language = 'en' }) {
     setIsDragging(false);
   };
 
-  const handleDrop = (e) => {
+  const handleDrop = async (e) => {
     e.preventDefault();
     setIsDragging(false);
     
-    if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-      const file = e.dataTransfer.files[0];
-      if (file.type.match('image.*')) {
-        const reader = new FileReader();
-        reader.onload = (event) => {
-          const img = new Image();
-          img.onload = () => {
-            setImage(img);
-            showNotification('imageUploaded');
-          };
-          img.src = event.target.result;
-        };
-        reader.readAsDataURL(file);
-      } else {
-        showNotification('invalidImage', 'error');
-      }
+    const files = await collectDroppedFiles(e.dataTransfer);
+    if (files.length) {
+      handleFiles(files);
     }
   };
 
-  // Handle signature image upload
-  const handleSignatureImageUpload = (e) => {
-    const file = e.target.files[0];
+  // Load a PNG, JPG or WebP as the signature image, cleaned up with the
+  // current cleanup settings. The original is kept to adjust them later.
+  const handleSignatureFile = useCallback(async (file) => {
     if (!file) return;
 
-    if (!file.type.match('image/png')) {
+    if (!SIGNATURE_TYPES.includes(file.type)) {
       showNotification('invalidSignatureImage', 'error');
       return;
     }
 
-    const reader = new FileReader();
-    reader.onload = (event) => {
-      const img = new Image();
-      img.onload = () => {
-        // Process the image to ensure transparency
-        const canvas = document.createElement('canvas');
-        canvas.width = img.width;
-        canvas.height = img.height;
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(img, 0, 0);
-        
-        const processedImg = new Image();
-        processedImg.onload = () => {
-          setSignatureImage(processedImg);
-          showNotification('signatureImageUploaded');
-        };
-        processedImg.src = canvas.toDataURL('image/png');
-      };
-      img.src = event.target.result;
+    try {
+      const original = await loadImageFile(file);
+      const cleaned = await cleanSignatureImage(original, signatureCleanup);
+      setSignatureSource({ image: original, cleanup: signatureCleanup, result: cleaned });
+      setSignatureImage(cleaned);
+      showNotification('signatureImageUploaded');
+    } catch (error) {
+      console.error('Signature image load failed:', error);
+      showNotification('invalidSignatureImage', 'error');
+    }
+  }, [showNotification, signatureCleanup]);
+
+  // Clean the uploaded original again once the cleanup settings settle. A
+  // signature image from elsewhere (preset, undo) is left alone.
+  useEffect(() => {
+    if (!signatureSource || signatureSource.cleanup === signatureCleanup || signatureSource.result !== signatureImage) return;
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      cleanSignatureImage(signatureSource.image, signatureCleanup)
+        .then((cleaned) => {
+          if (cancelled) return;
+          setSignatureSource({ image: signatureSource.image, cleanup: signatureCleanup, result: cleaned });
+          setSignatureImage(cleaned);
+        })
+        .catch((error) => console.error('Signature cleanup failed:', error));
+    }, 200);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [signatureSource, signatureCleanup, signatureImage]);
+
+  // Handle signature image upload
+  const handleSignatureImageUpload = (e) => handleSignatureFile(e.target.files[0]);
+
+  // Pasted images go to the signature when its area has focus, else to the
+  // artwork. Text pasted into a field is left alone.
+  useEffect(() => {
+    if (mode !== 'protect') return;
+    const handlePaste = (e) => {
+      const files = pastedImageFiles(e.clipboardData);
+      if (!files.length) return;
+      if (isTextEntry(e.target) && e.clipboardData.types.includes('text/plain')) return;
+      e.preventDefault();
+      if (pasteTarget(e.target) === 'signature') handleSignatureFile(files[0]);
+      else handleFiles(files);
     };
-    reader.readAsDataURL(file);
-  };
+    document.addEventListener('paste', handlePaste);
+    return () => document.removeEventListener('paste', handlePaste);
+  }, [mode, handleFiles, handleSignatureFile]);
 
-  // Update the useEffect to handle both text and image watermarks
+  // Render a reduced preview in the pipeline worker whenever a setting
+  // changes. Quick successive changes only render the last one.
   useEffect(() => {
-    if (!image || !canvasRef.current) return;
+    if (!workingImage) return;
     if (!signature && !signatureImage) return;
     
+    let cancelled = false;
     setIsProcessing(true);
     
-    setTimeout(() => {
-      const canvas = canvasRef.current;
-      const ctx = canvas.getContext('2d');
-      
-      // Set canvas dimensions to match image
-      canvas.width = image.width;
-      canvas.height = image.height;
-      
-      // Draw the original image
-      ctx.drawImage(image, 0, 0);
-      
-      // Calculate spacing based on density
-      const spacing = Math.max(canvas.width, canvas.height) / density;
-      
-      // Save current state before rotation
-      ctx.save();
-      
-      // Rotate context for diagonal watermark
-      ctx.rotate((angle * Math.PI) / 180);
-      
-      // Set global alpha for opacity
-      ctx.globalAlpha = opacity;
-      
-      // Draw text watermark if signature exists
-      if (signature) {
-        ctx.font = `${fontSize}px Arial`;
-        
-        // Parse the hex color and add opacity
-        let r = parseInt(textColor.substr(1, 2), 16);
-        let g = parseInt(textColor.substr(3, 2), 16);
-        let b = parseInt(textColor.substr(5, 2), 16);
-        ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${opacity})`;
-        
-        // Draw text watermarks
-        for (let y = -canvas.height; y < canvas.height * 2; y += spacing) {
-          for (let x = -canvas.width; x < canvas.width * 2; x += spacing) {
-            ctx.fillText(signature, x, y);
-          }
-        }
+    const timer = setTimeout(() => {
+      previewImage(workingImage, renderSettings)
+        .then((blob) => {
+          if (cancelled || !blob) return;
+          setWatermarkedImage(URL.createObjectURL(blob));
+          setIsProcessing(false);
+        })
+        .catch((error) => {
+          console.error('Preview failed:', error);
+          if (!cancelled) setIsProcessing(false);
+        });
+    }, 150);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      setIsProcessing(false);
+    };
+  }, [workingImage, signature, signatureImage, renderSettings]);
+
+  // Previews are object URLs, release each one once it is replaced
+  useEffect(() => () => watermarkedImage && URL.revokeObjectURL(watermarkedImage), [watermarkedImage]);
+
+  // The preview is reduced, downloads and shares are rendered again at full
+  // resolution. Animations keep their format unless a `still` image is asked for.
+  const renderProtectedFile = async (options = exportOptions, { still = false } = {}) => {
+    const settings = { ...renderSettings, ownership, keyPair: signEnabled ? keyPair : null, embedMode, cloak };
+    const carried = carriedMetadata(sourceMetadata, keptMetadata);
+    let blob;
+    let extension;
+    if (animation && !still) {
+      ({ blob, extension } = await protectAnimationFrames(
+        await decodeAnimation(sourceFile, animation.format),
+        animation.format,
+        outputSize,
+        { ...settings, exportOptions: options },
+        carried,
+        setDownloadProgress
+      ));
+    } else {
+      const { blob: protectedImage, cloakReport: report } = await protectImage(workingImage, { ...settings, output: options }, setDownloadProgress);
+      if (report) {
+        setCloakReport({ image: workingImage, level: cloak, report });
+        showNotification('cloakMeasured', 'success', { psnr: report.psnr.toFixed(1), ssim: report.ssim.toFixed(3) });
       }
-      
-      // Draw image watermark if signature image exists
-      if (signatureImage) {
-        // Calculate size based on signatureSize (percentage of canvas width)
-        const size = (canvas.width * signatureSize) / 100;
-        const ratio = signatureImage.width / signatureImage.height;
-        const width = size;
-        const height = size / ratio;
-        
-        // Draw image watermarks
-        for (let y = -canvas.height; y < canvas.height * 2; y += spacing) {
-          for (let x = -canvas.width; x < canvas.width * 2; x += spacing) {
-            ctx.drawImage(signatureImage, x, y, width, height);
-          }
-        }
+      ({ extension } = EXPORT_FORMATS[options.format]);
+      blob = await exportBlob(protectedImage, options, ownership, carried);
+    }
+    return new File(
+      [blob],
+      imageName ? protectedFileName(imageName, extension) : `protected-artwork-${Date.now()}.${extension}`,
+      { type: blob.type }
+    );
+  };
+
+  const handleDownload = async () => {
+    if (!watermarkedImage || !workingImage) return;
+    
+    setIsProcessingDownload(true);
+    setDownloadProgress(0);
+    try {
+      const file = await renderProtectedFile();
+      downloadBlob(file, file.name);
+    } catch (error) {
+      console.error('Download failed:', error);
+      showNotification(exportErrorKey(error, 'downloadFailed'), 'error');
+    } finally {
+      setIsProcessingDownload(false);
+    }
+  };
+
+  // The clipboard only takes PNG, whatever the export format. The hidden
+  // payload survives it, the metadata chunks may not. The render is handed
+  // over unfinished (Safari drops writes that start after the click), so its
+  // own error is looked at to tell a failed render from a refused write.
+  const handleCopy = async () => {
+    if (!watermarkedImage || !workingImage) return;
+
+    setIsProcessingDownload(true);
+    setDownloadProgress(0);
+    const file = renderProtectedFile({ ...exportOptions, format: 'png' }, { still: true });
+    const renderError = file.then(() => null, (error) => error);
+    try {
+      await copyImage(file);
+      showNotification('imageCopied');
+    } catch (error) {
+      const failure = (await renderError) || error;
+      console.error('Copy failed:', failure);
+      showNotification(exportErrorKey(failure, 'copyFailed'), 'error');
+    } finally {
+      setIsProcessingDownload(false);
+    }
+  };
+
+  // Hand a protected file to the share sheet. Browsers only open it within a
+  // few seconds of the tap, a slow render is kept for a second tap instead.
+  const shareProtectedFile = async (file) => {
+    try {
+      await shareFile(file, t('appTitle'));
+      setPendingShare(null);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        setPendingShare(null);
+      } else if (error.name === 'NotAllowedError' && file !== pendingShare) {
+        setPendingShare(file);
+      } else {
+        console.error('Share failed:', error);
+        setPendingShare(null);
+        showNotification('shareFailed', 'error');
       }
-      
-      // Restore the unrotated context
-      ctx.restore();
-      
-      // Save the watermarked image
-      setWatermarkedImage(canvas.toDataURL());
-      setIsProcessing(false);
-    }, 100);
-  }, [image, signature, signatureImage, opacity, angle, density, fontSize, textColor, signatureSize]);
-
-  // Add these new functions
-  const generateCaptcha = () => {
-    const chars = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-    let result = '';
-    for (let i = 0; i < 6; i++) {
-      result += chars.charAt(Math.floor(Math.random() * chars.length));
     }
-    return result;
   };
 
-  const applySteganography = async (imageUrl) => {
+  const handleShare = async () => {
+    if (!watermarkedImage || !workingImage) return;
+
+    setIsProcessingDownload(true);
+    setDownloadProgress(0);
+    setPendingShare(null);
+    let file;
     try {
-      const hiddenMessage = `Copyright ${new Date().getFullYear()}`;
-      const img = new Image();
-      img.crossOrigin = 'Anonymous';
-      
-      return new Promise((resolve) => {
-        img.onload = async () => {
-          const canvas = document.createElement('canvas');
-          const ctx = canvas.getContext('2d');
-          canvas.width = img.width;
-          canvas.height = img.height;
-          ctx.drawImage(img, 0, 0);
-          
-          try {
-            const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-            const encoded = await encode(hiddenMessage, imageData);
-            ctx.putImageData(encoded, 0, 0);
-            resolve(canvas.toDataURL('image/png'));
-          } catch (error) {
-            console.error('Steganography error:', error);
-            resolve(imageUrl); // Fallback to original
-          }
-        };
-        img.src = imageUrl;
-      });
+      file = await renderProtectedFile();
     } catch (error) {
-      console.error('Error in steganography:', error);
-      return imageUrl; // Fallback to original
+      console.error('Share failed:', error);
+      showNotification(exportErrorKey(error, 'downloadFailed'), 'error');
+      return;
+    } finally {
+      setIsProcessingDownload(false);
     }
+    await shareProtectedFile(file);
   };
 
-  const handleDownload = async () => {
-    if (!watermarkedImage) return;
-    
+  // A rendered file no longer matches once the preview changes
+  useEffect(() => setPendingShare(null), [watermarkedImage]);
+
+  // One protected file per platform size, each watermarked after resizing
+  const handleExportAllSizes = async () => {
+    if (!image) return;
+
     setIsProcessingDownload(true);
+    setDownloadProgress(0);
     try {
-      const protectedImage = await applySteganography(watermarkedImage);
-      
-      const link = document.createElement('a');
-      link.href = protectedImage;
-      link.download = `protected-artwork-${Date.now()}.png`;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
+      const animated = animation && { animation: await decodeAnimation(sourceFile, animation.format), format: animation.format };
+      const zip = await protectSizesToZip(
+        image,
+        imageName || 'artwork.png',
+        ALL_SIZES,
+        { ...renderSettings, ownership, keyPair: signEnabled ? keyPair : null, embedMode, cloak, exportOptions, outputSize },
+        carriedMetadata(sourceMetadata, keptMetadata),
+        setDownloadProgress,
+        animated
+      );
+      downloadBlob(zip, imageName ? protectedFileName(imageName, 'zip') : `protected-artwork-${Date.now()}.zip`);
     } catch (error) {
-      console.error('Download failed:', error);
-      showNotification(translations[language].downloadFailed, 'error');
+      console.error('Export of all sizes failed:', error);
+      showNotification(exportErrorKey(error, 'downloadFailed'), 'error');
     } finally {
       setIsProcessingDownload(false);
     }
   };
 
+  const handleDownloadZip = async () => {
+    if (!batchItems.length) return;
+
+    setIsProcessingBatch(true);
+    setBatchItems((items) => items.map((item) => ({ ...item, status: 'pending' })));
+    try {
+      const zip = await protectBatchToZip(
+        batchItems.map((item) => item.file),
+        { ...renderSettings, ownership, keyPair: signEnabled ? keyPair : null, embedMode, cloak, exportOptions, keptMetadata, outputSize },
+        (index, status) => {
+          setBatchItems((items) => items.map((item, i) => (i === index ? { ...item, status } : item)));
+        }
+      );
+      if (!zip) throw new Error('No file could be processed');
+      downloadBlob(zip, `protected-artwork-${Date.now()}.zip`);
+    } catch (error) {
+      console.error('Batch download failed:', error);
+      showNotification('downloadFailed', 'error');
+    } finally {
+      setIsProcessingBatch(false);
+    }
+  };
+
   const signatureImageUpload = (
     <div className="mt-4">
       <label className="block text-sm font-medium text-gray-700 mb-1">
-        {translations[language].orUploadCustomSignature}
+        {t('orUploadCustomSignature')}
       </label>
       <div 
-        className={`border-2 border-dashed rounded-lg p-4 text-center cursor-pointer transition-colors
+        tabIndex={0}
+        data-paste-target="signature"
+        className={`border-2 border-dashed rounded-lg p-4 text-center cursor-pointer transition-colors focus:outline-none focus:ring-2 focus:ring-indigo-500
           ${isDraggingSignature ? 'border-indigo-500 bg-indigo-50' : 'border-gray-300 hover:bg-gray-50'}`}
         onDragOver={(e) => {
           e.preventDefault();
@@ -416,50 +835,70 @@ export default function WatermarkApp({ language = 'en' }) {
           e.preventDefault();
           setIsDraggingSignature(false);
           if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-            handleSignatureImageUpload({ target: { files: [e.dataTransfer.files[0]] } });
+            handleSignatureFile(e.dataTransfer.files[0]);
           }
         }}
       >
         <input
           type="file"
-          accept=".png,image/png"
+          accept=".png,.jpg,.jpeg,.webp,image/png,image/jpeg,image/webp"
           className="hidden"
           id="signature-upload"
           onChange={handleSignatureImageUpload}
         />
         <label htmlFor="signature-upload" className="cursor-pointer">
           <div className="text-indigo-600 font-medium">
-            {signatureImage ? translations[language].changeSignatureImage : translations[language].clickOrDragToUploadPNG}
+            {signatureImage ? t('changeSignatureImage') : t('clickOrDragToUploadPNG')}
           </div>
-          <p className="text-xs text-gray-500 mt-1">{translations[language].transparentPNGRecommended}</p>
-          {signatureImage && (
-            <div className="mt-2">
-              <div className="mt-2 flex justify-center">
-                <img 
-                  src={signatureImage.src} 
-                  alt={translations[language].signaturePreview} 
-                  className="max-h-20 max-w-full object-contain"
-                />
-              </div>
-              <button
-                type="button"
-                onClick={(e) => {
-                  e.stopPropagation();
-                  setSignatureImage(null);
-                }}
-                className="mt-1 text-xs text-red-600 hover:text-red-800"
-              >
-                {translations[language].removeSignatureImage}
-              </button>
-            </div>
-          )}
+          <p className="text-xs text-gray-500 mt-1">{t('transparentPNGRecommended')}</p>
+          <p className="text-xs text-gray-500">{t('pasteHint')}</p>
         </label>
       </div>
+      {signatureImage && (
+        <SignatureCleanup
+          image={signatureImage}
+          cleanup={signatureCleanup}
+          onCleanupChange={signatureSource && signatureSource.result === signatureImage ? setSignatureCleanup : null}
+          tint={signatureTint}
+          tintColor={textColor}
+          onTintChange={setSignatureTint}
+          onRemove={() => {
+            setSignatureImage(null);
+            setSignatureSource(null);
+          }}
+          language={language}
+        />
+      )}
     </div>
   );
 
   return (
     <div className="relative">
+      {exportTarget && (
+        <ExportDialog
+          previewUrl={watermarkedImage}
+          previewScale={workingImage ? previewScale(workingImage.width, workingImage.height) : 1}
+          options={exportOptions}
+          onOptionsChange={setExportOptions}
+          embedMode={embedMode}
+          onEmbedModeChange={setEmbedMode}
+          cloak={cloak}
+          onCloakChange={setCloak}
+          cloakReport={cloakReport && cloakReport.image === workingImage && cloakReport.level === cloak ? cloakReport.report : null}
+          isBatch={exportTarget === 'batch' || exportTarget === 'sizes'}
+          animation={exportTarget === 'batch' ? null : animation}
+          onConfirm={() => {
+            const target = exportTarget;
+            setExportTarget(null);
+            if (target === 'batch') handleDownloadZip();
+            else if (target === 'sizes') handleExportAllSizes();
+            else if (target === 'share') handleShare();
+            else handleDownload();
+          }}
+          onClose={() => setExportTarget(null)}
+          language={language}
+        />
+      )}
       {showDonationModal && (
         <div className="fixed inset-0 z-50">
           <DonationModal onClose={() => setShowDonationModal(false)} />
@@ -470,50 +909,62 @@ export default function WatermarkApp({ language = 'en' }) {
           <header className="mb-8 text-center">
             <div className="flex justify-center items-center gap-4 mb-2">
               <h1 className="text-3xl font-bold text-indigo-600">
-                {translations[language].appTitle}
+                {t('appTitle')}
               </h1>
               <button 
                 onClick={() => setShowDonationModal(true)}
                 className="inline-flex items-center px-3 py-1 bg-yellow-500 hover:bg-yellow-600 text-white rounded-full text-sm font-medium transition-colors"
-                title={translations[language].supportUs}
+                title={t('supportUs')}
               >
-                <span className="mr-1">❤️</span>
-                {translations[language].donate || 'Donate'}
+                <span className="me-1">❤️</span>
+                {t('donate')}
               </button>
             </div>
-            <p className="text-gray-600">{translations[language].uploadAnImage}</p>
+            <p className="text-gray-600">{t('uploadAnImage')}</p>
+            <div className="mt-4 inline-flex rounded-lg bg-white shadow p-1">
+              {['protect', 'verify'].map((tab) => (
+                <button
+                  key={tab}
+                  onClick={() => setMode(tab)}
+                  className={`px-4 py-1.5 rounded-md text-sm font-medium transition-colors
+                    ${mode === tab ? 'bg-indigo-600 text-white' : 'text-gray-600 hover:bg-gray-100'}`}
+                >
+                  {tab === 'protect' ? t('protectTab') : t('verifyTab')}
+                </button>
+              ))}
+            </div>
           </header>
 
           <div className="bg-white rounded-xl shadow-lg p-6 mb-8">
             <h2 className="text-xl font-semibold mb-4">
-              {translations[language].howItWorks}
+              {t('howItWorks')}
             </h2>
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
               <div className="bg-indigo-50 p-4 rounded-lg">
                 <div className="text-indigo-600 font-bold text-xl mb-2">1</div>
                 <h3 className="font-medium mb-2">
-                  {translations[language].uploadYourArt}
+                  {t('uploadYourArt')}
                 </h3>
                 <p className="text-gray-600 text-sm">
-                  {translations[language].uploadAnyImage}
+                  {t('uploadAnyImage')}
                 </p>
               </div>
               <div className="bg-indigo-50 p-4 rounded-lg">
                 <div className="text-indigo-600 font-bold text-xl mb-2">2</div>
                 <h3 className="font-medium mb-2">
-                  {translations[language].addYourSignature}
+                  {t('addYourSignature')}
                 </h3>
                 <p className="text-gray-600 text-sm">
-                  {translations[language].enterYourName}
+                  {t('enterYourName')}
                 </p>
               </div>
               <div className="bg-indigo-50 p-4 rounded-lg">
                 <div className="text-indigo-600 font-bold text-xl mb-2">3</div>
                 <h3 className="font-medium mb-2">
-                  {translations[language].downloadProtectedArt}
+                  {t('downloadProtectedArt')}
                 </h3>
                 <p className="text-gray-600 text-sm">
-                  {translations[language].downloadYourArtwork}
+                  {t('downloadYourArtwork')}
                 </p>
               </div>
             </div>
@@ -526,36 +977,99 @@ export default function WatermarkApp({ language = 'en' }) {
             </div>
           )}
 
+          {savedSession && mode === 'protect' && (
+            <div className="mb-4 p-4 rounded-lg bg-white shadow border border-indigo-200 flex flex-col sm:flex-row sm:items-center gap-3">
+              <div className="flex-1 text-sm text-gray-700">
+                <p className="font-medium text-gray-800">{t('restoreSessionTitle')}</p>
+                <p>{t('restoreSessionPrompt', { time: new Date(savedSession.saved).toLocaleString(language) })}</p>
+                {savedSession.image && (
+                  <p className="text-xs text-gray-500">{t('restoreSessionImage', { name: savedSession.imageName })}</p>
+                )}
+                {savedSession.imageSkipped && (
+                  <p className="text-xs text-amber-700">{t('sessionImageSkipped', { size: MAX_SESSION_MB })}</p>
+                )}
+              </div>
+              <div className="flex gap-2 shrink-0">
+                <button
+                  type="button"
+                  onClick={restoreSession}
+                  className="bg-indigo-600 text-white text-sm py-2 px-4 rounded-lg hover:bg-indigo-700 transition-colors"
+                >
+                  {t('restoreSession')}
+                </button>
+                <button
+                  type="button"
+                  onClick={discardSession}
+                  className="border border-gray-300 text-gray-700 text-sm py-2 px-4 rounded-lg hover:bg-gray-100 transition-colors"
+                >
+                  {t('discardSession')}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {mode === 'verify' ? (
+            <VerifyPanel keyPair={keyPair} ownership={ownership} language={language} />
+          ) : (
           <div className="bg-white rounded-xl shadow-lg p-6 mb-8">
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
               <div>
                 <h2 className="text-xl font-semibold mb-4">
-                  {translations[language].uploadConfigure}
+                  {t('uploadConfigure')}
                 </h2>
                 
                 {/* Signature Input */}
-                <div className="mb-4">
+                <div className="mb-4" data-paste-target="signature">
                   <label className="block text-sm font-medium text-gray-700 mb-1">
-                    {translations[language].yourSignature}
+                    {t('yourSignature')}
                   </label>
-                  <input
-                    type="text"
-                    className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
-                    placeholder={translations[language].signaturePlaceholder}
+                  <textarea
+                    rows={signature.includes('\n') ? 3 : 1}
+                    className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 resize-y"
+                    placeholder={t('signaturePlaceholder')}
                     value={signature}
                     onChange={(e) => setSignature(e.target.value)}
                   />
+                  <p className="text-xs text-gray-500 mt-1">{t('multiLineHint')}</p>
                 </div>
+
+                <PresetManager
+                  getSettings={presetSettings}
+                  onApply={(settings, name) => {
+                    applyPreset(settings)
+                      .then(() => showNotification('presetApplied', 'success', { name }))
+                      .catch(() => showNotification('presetOperationFailed', 'error'));
+                  }}
+                  onNotify={showNotification}
+                  language={language}
+                />
+
+                <TypographyControls value={typography} onChange={setTypography} onNotify={showNotification} language={language} />
                 
                 {signatureImageUpload}
+
+                <OutputSizeControls value={outputSize} onChange={setOutputSize} image={image} language={language} />
+
+                <OwnershipForm value={ownership} onChange={setOwnership} image={workingImage || image} signed={signEnabled && Boolean(keyPair)} language={language} />
+
+                <KeyManager
+                  keyPair={keyPair}
+                  onChange={setKeyPair}
+                  signEnabled={signEnabled}
+                  onSignEnabledChange={setSignEnabled}
+                  onNotify={showNotification}
+                  language={language}
+                />
                 
                 {/* Image Upload */}
                 <div className="mb-4">
                   <label className="block text-sm font-medium text-gray-700 mb-1">
-                    {translations[language].uploadImage}
+                    {t('uploadImage')}
                   </label>
                   <div 
-                    className={`border-2 border-dashed rounded-lg p-4 text-center cursor-pointer transition-colors
+                    tabIndex={0}
+                    data-paste-target="artwork"
+                    className={`border-2 border-dashed rounded-lg p-4 text-center cursor-pointer transition-colors focus:outline-none focus:ring-2 focus:ring-indigo-500
                       ${isDragging ? 'border-indigo-500 bg-indigo-50' : 'border-gray-300 hover:bg-gray-50'}`}
                     onDragOver={handleDragOver}
                     onDragLeave={handleDragLeave}
@@ -564,43 +1078,172 @@ export default function WatermarkApp({ language = 'en' }) {
                     <input
                       type="file"
                       accept="image/*"
+                      multiple
                       className="hidden"
                       id="image-upload"
                       onChange={handleImageUpload}
                     />
+                    <input
+                      type="file"
+                      className="hidden"
+                      id="folder-upload"
+                      webkitdirectory=""
+                      onChange={handleImageUpload}
+                    />
                     <label htmlFor="image-upload" className="cursor-pointer">
                       <div className="text-indigo-600 font-medium">
-                        {translations[language].clickOrDragToUpload}
+                        {t('clickOrDragToUpload')}
                       </div>
                       <p className="text-xs text-gray-500 mt-1">
-                        {translations[language].pngJpgGifUpTo10MB}
+                        {t('pngJpgGifUpTo10MB')}
                       </p>
+                      <p className="text-xs text-gray-500">{t('pasteHint')}</p>
                       {image && (
                         <div className="mt-2 text-sm text-gray-600">
-                          {translations[language].imageLoaded} {Math.round(image.width)}x{Math.round(image.height)}px
+                          {t('imageLoaded', { width: Math.round(image.width), height: Math.round(image.height) })}
                         </div>
                       )}
+                      {image && animation && (
+                        <p className="text-xs text-indigo-700">
+                          {t('animatedImageInfo', { format: ANIMATED_FORMATS[animation.format].name, count: animation.frames })}
+                        </p>
+                      )}
+                    </label>
+                    <label htmlFor="folder-upload" className="block mt-1 text-xs text-indigo-600 hover:text-indigo-800 cursor-pointer">
+                      {t('orSelectFolder')}
                     </label>
                   </div>
+                  {batchItems.length > 0 && (
+                    <BatchList
+                      items={batchItems}
+                      language={language}
+                      isProcessing={isProcessingBatch}
+                      onDownloadZip={() => setExportTarget('batch')}
+                      onClear={() => setBatchItems([])}
+                    />
+                  )}
+                  {image && sourceMetadata && (
+                    <MetadataReport
+                      fields={sourceMetadata}
+                      kept={keptMetadata}
+                      onKeptChange={setKeptMetadata}
+                      isBatch={batchItems.length > 0}
+                      language={language}
+                    />
+                  )}
                 </div>
                 
                 {/* Controls */}
                 <div className="space-y-4">
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-1">
-                      {translations[language].textColor}
+                      {t('placement')}
+                    </label>
+                    <select
+                      value={placement}
+                      onChange={(e) => setPlacement(e.target.value)}
+                      className="w-full p-2 border border-gray-300 rounded-lg"
+                    >
+                      {PLACEMENTS.map((value) => (
+                        <option key={value} value={value}>
+                          {t(`placement_${value}`)}
+                        </option>
+                      ))}
+                    </select>
+                    {placement === 'free' && (
+                      <p className="text-xs text-gray-500 mt-1">{t('dragMarkHint')}</p>
+                    )}
+                  </div>
+
+                  {placement === 'single' && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        {t('anchor')}
+                      </label>
+                      {/* Mirrors the image, which keeps its orientation in right-to-left languages */}
+                      <div dir="ltr" className="grid grid-cols-3 gap-1 w-24">
+                        {ANCHORS.map((value) => (
+                          <button
+                            key={value}
+                            type="button"
+                            title={t(`anchor_${value}`)}
+                            aria-label={t(`anchor_${value}`)}
+                            onClick={() => setAnchor(value)}
+                            className={`h-7 rounded border ${anchor === value ? 'bg-indigo-600 border-indigo-600' : 'bg-white border-gray-300 hover:bg-gray-100'}`}
+                          />
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  {(placement === 'single' || placement === 'border') && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        {t('margin')} {margin}%
+                      </label>
+                      <input
+                        type="range"
+                        min="0"
+                        max="20"
+                        step="1"
+                        value={margin}
+                        onChange={(e) => setMargin(parseInt(e.target.value))}
+                        className="w-full"
+                      />
+                    </div>
+                  )}
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      {t('textColor')}
                     </label>
                     <input
                       type="color"
                       value={textColor}
+                      disabled={colorMode === 'invert'}
                       onChange={(e) => setTextColor(e.target.value)}
-                      className="w-full h-10 rounded-lg cursor-pointer"
+                      className="w-full h-10 rounded-lg cursor-pointer disabled:opacity-40"
                     />
                   </div>
+
+                  <div className="grid grid-cols-2 gap-3">
+                    <label className="block text-sm font-medium text-gray-700">
+                      {t('colorMode')}
+                      <select
+                        value={colorMode}
+                        onChange={(e) => setColorMode(e.target.value)}
+                        className="mt-1 w-full p-2 border border-gray-300 rounded-lg font-normal"
+                      >
+                        {COLOR_MODES.map((value) => (
+                          <option key={value} value={value}>
+                            {t(`colorMode_${value}`)}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                    <label className="block text-sm font-medium text-gray-700">
+                      {t('blendMode')}
+                      <select
+                        value={colorMode === 'invert' ? 'difference' : blendMode}
+                        disabled={colorMode === 'invert'}
+                        onChange={(e) => setBlendMode(e.target.value)}
+                        className="mt-1 w-full p-2 border border-gray-300 rounded-lg font-normal disabled:opacity-40"
+                      >
+                        {BLEND_MODES.map((value) => (
+                          <option key={value} value={value}>
+                            {t(`blendMode_${value}`)}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  </div>
+                  {colorMode === 'adaptive' && (
+                    <p className="text-xs text-gray-500 -mt-2">{t('adaptiveColorHint')}</p>
+                  )}
                   
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-1">
-                      {translations[language].opacity} {opacity.toFixed(2)}
+                      {t('opacity')} {opacity.toFixed(2)}
                     </label>
                     <input
                       type="range"
@@ -613,9 +1256,10 @@ export default function WatermarkApp({ language = 'en' }) {
                     />
                   </div>
                   
+                  {placement !== 'border' && (
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-1">
-                      {translations[language].angle} {angle}°
+                      {t('angle')} {angle}°
                     </label>
                     <input
                       type="range"
@@ -627,10 +1271,12 @@ export default function WatermarkApp({ language = 'en' }) {
                       className="w-full"
                     />
                   </div>
+                  )}
                   
+                  {placement !== 'single' && placement !== 'free' && (
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-1">
-                      {translations[language].density} {density}
+                      {t('density')} {density}
                     </label>
                     <input
                       type="range"
@@ -642,10 +1288,68 @@ export default function WatermarkApp({ language = 'en' }) {
                       className="w-full"
                     />
                   </div>
+                  )}
                   
+                  {placement !== 'single' && placement !== 'free' && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        {t('jitter')} {jitter}%
+                      </label>
+                      <input
+                        type="range"
+                        min="0"
+                        max="100"
+                        step="5"
+                        value={jitter}
+                        onChange={(e) => setJitter(parseInt(e.target.value))}
+                        className="w-full"
+                      />
+                    </div>
+                  )}
+
+                  <div className="grid grid-cols-2 gap-3">
+                    <label className="block text-sm font-medium text-gray-700">
+                      {t('interference')}
+                      <select
+                        value={interference}
+                        onChange={(e) => setInterference(e.target.value)}
+                        className="mt-1 w-full p-2 border border-gray-300 rounded-lg font-normal"
+                      >
+                        {INTERFERENCE.map((value) => (
+                          <option key={value} value={value}>
+                            {t(`interference_${value}`)}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                    <label className="block text-sm font-medium text-gray-700">
+                      {t('seed')}
+                      <div className="mt-1 flex gap-1">
+                        <input
+                          type="text"
+                          value={seed}
+                          onChange={(e) => setSeed(e.target.value)}
+                          className="w-full min-w-0 p-2 border border-gray-300 rounded-lg font-normal font-mono text-sm"
+                        />
+                        <button
+                          type="button"
+                          title={t('newSeed')}
+                          aria-label={t('newSeed')}
+                          onClick={() => setSeed(randomSeed())}
+                          className="shrink-0 px-2 border border-gray-300 rounded-lg hover:bg-gray-100"
+                        >
+                          🎲
+                        </button>
+                      </div>
+                    </label>
+                  </div>
+                  {(jitter > 0 || interference !== 'none') && (
+                    <p className="text-xs text-gray-500 -mt-2">{t('seedHint')}</p>
+                  )}
+
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-1">
-                      {signatureImage ? translations[language].customSignatureSize : translations[language].fontSize} {signatureImage ? `${signatureSize}%` : `${fontSize}px`}
+                      {signatureImage ? t('customSignatureSize') : t('fontSize')} {signatureImage ? `${signatureSize}%` : `${fontSize}px`}
                     </label>
                     <input
                       type="range"
@@ -661,67 +1365,136 @@ export default function WatermarkApp({ language = 'en' }) {
                     />
                   </div>
                   
+                  <div className="mt-4 flex gap-2">
+                    <button
+                      type="button"
+                      onClick={() => stepHistory(undo)}
+                      disabled={!canUndo(history)}
+                      title={`${t('undo')} (Ctrl+Z)`}
+                      className="flex-1 border border-gray-300 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-100 transition-colors disabled:opacity-50"
+                    >
+                      ↶ {t('undo')}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => stepHistory(redo)}
+                      disabled={!canRedo(history)}
+                      title={`${t('redo')} (Ctrl+Shift+Z)`}
+                      className="flex-1 border border-gray-300 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-100 transition-colors disabled:opacity-50"
+                    >
+                      ↷ {t('redo')}
+                    </button>
+                  </div>
+
                   <button
                     onClick={resetAll}
-                    className="mt-4 w-full border border-gray-300 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-100 transition-colors"
+                    className="mt-2 w-full border border-gray-300 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-100 transition-colors"
                   >
-                    {translations[language].resetAllSettings}
+                    {t('resetAllSettings')}
                   </button>
                 </div>
               </div>
               
               <div>
                 <h2 className="text-xl font-semibold mb-4">
-                  {translations[language].preview}
+                  {t('preview')}
                 </h2>
                 <div 
                   className="bg-gray-100 bg-opacity-50 rounded-lg flex items-center justify-center p-2" 
                   style={{ minHeight: "300px" }}
                 >
-                  {isProcessing ? (
+                  {isProcessing && !watermarkedImage ? (
                     <div className="text-center">
                       <div className="inline-block h-8 w-8 animate-spin rounded-full border-4 border-solid border-indigo-600 border-r-transparent"></div>
                       <p className="mt-2 text-gray-600">
-                        {translations[language].processingYourImage}
+                        {t('processingYourImage')}
                       </p>
                     </div>
                   ) : watermarkedImage ? (
-                    <div className="relative">
-                      <img
-                        src={watermarkedImage}
-                        alt={translations[language].watermarkedPreview}
-                        className="max-w-full max-h-64 md:max-h-80 rounded-lg shadow-md"
+                    <div className="relative w-full">
+                      <PreviewViewer
+                        image={workingImage || image}
+                        previewUrl={watermarkedImage}
+                        settings={renderSettings}
+                        isProcessing={isProcessing}
+                        placement={placement}
+                        markPosition={markPosition}
+                        onMarkPositionChange={setMarkPosition}
+                        language={language}
                       />
-                      <button
-                        onClick={handleDownload}
-                        disabled={isProcessingDownload}
-                        className="mt-2 bg-indigo-600 text-white px-4 py-2 rounded-lg flex items-center justify-center hover:bg-indigo-700 transition-colors disabled:opacity-50"
-                      >
-                        {isProcessingDownload ? (
-                          <>
-                            <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                      <div className="mt-2 flex flex-wrap gap-2">
+                        <button
+                          onClick={() => setExportTarget('single')}
+                          disabled={isProcessingDownload || !workingImage}
+                          className="bg-indigo-600 text-white px-4 py-2 rounded-lg flex items-center justify-center hover:bg-indigo-700 transition-colors disabled:opacity-50"
+                        >
+                          {isProcessingDownload ? (
+                            <>
+                              <svg className="animate-spin -ms-1 me-2 h-4 w-4 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                              </svg>
+                              {t('processingYourImage')}
+                            </>
+                          ) : (
+                            <>
+                              <svg className="w-5 h-5 me-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"></path>
+                              </svg>
+                              {t('downloadProtectedImage')}
+                            </>
+                          )}
+                        </button>
+                        {canCopy && (
+                          <button
+                            onClick={handleCopy}
+                            disabled={isProcessingDownload || !workingImage}
+                            title={t('copyProtectedImageHint')}
+                            className="border border-indigo-600 text-indigo-700 px-4 py-2 rounded-lg flex items-center justify-center hover:bg-indigo-50 transition-colors disabled:opacity-50"
+                          >
+                            <svg className="w-5 h-5 me-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z"></path>
                             </svg>
-                            {translations[language].processingYourImage}
-                          </>
-                        ) : (
-                          <>
-                            <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"></path>
+                            {t('copyProtectedImage')}
+                          </button>
+                        )}
+                        <button
+                          onClick={() => setExportTarget('sizes')}
+                          disabled={isProcessingDownload}
+                          title={t('exportAllSizesHint')}
+                          className="border border-indigo-600 text-indigo-700 px-4 py-2 rounded-lg hover:bg-indigo-50 transition-colors disabled:opacity-50"
+                        >
+                          {t('exportAllSizes')}
+                        </button>
+                        {canShare && (
+                          <button
+                            onClick={() => (pendingShare ? shareProtectedFile(pendingShare) : setExportTarget('share'))}
+                            disabled={isProcessingDownload || !workingImage}
+                            title={pendingShare ? pendingShare.name : t('shareProtectedImageHint')}
+                            className={`px-4 py-2 rounded-lg flex items-center justify-center transition-colors disabled:opacity-50 ${
+                              pendingShare ? 'bg-green-600 text-white hover:bg-green-700' : 'border border-indigo-600 text-indigo-700 hover:bg-indigo-50'
+                            }`}
+                          >
+                            <svg className="w-5 h-5 me-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8.684 13.342C8.886 12.938 9 12.482 9 12c0-.482-.114-.938-.316-1.342m0 2.684a3 3 0 110-2.684m0 2.684l6.632 3.316m-6.632-6l6.632-3.316m0 0a3 3 0 105.367-2.684 3 3 0 00-5.367 2.684zm0 9.316a3 3 0 105.368 2.684 3 3 0 00-5.368-2.684z"></path>
                             </svg>
-                            {translations[language].downloadProtectedImage}
-                          </>
+                            {pendingShare ? t('shareReady') : t('shareProtectedImage')}
+                          </button>
                         )}
-                      </button>
+                      </div>
+                      {isProcessingDownload && (
+                        <div className="mt-2 h-1.5 bg-gray-200 rounded" role="progressbar" aria-valuenow={Math.round(downloadProgress * 100)} aria-valuemin="0" aria-valuemax="100">
+                          <div className="h-full bg-indigo-600 rounded transition-all" style={{ width: `${Math.round(downloadProgress * 100)}%` }} />
+                        </div>
+                      )}
                     </div>
                   ) : (
                     <div className="text-gray-500 text-center py-10">
                       {image ? (
                         signature || signatureImage ? (
-                          translations[language].generatingPreview
+                          t('generatingPreview')
                         ) : (
-                          translations[language].enterYourSignature
+                          t('enterYourSignature')
                         )
                       ) : (
                         <div>
@@ -729,7 +1502,7 @@ export default function WatermarkApp({ language = 'en' }) {
                             <path d="M28 8H12a4 4 0 00-4 4v20m32-12v8m0 0v8a4 4 0 01-4 4H12a4 4 0 01-4-4v-4m32-4l-3.172-3.172a4 4 0 00-5.656 0L28 28M8 32l9.172-9.172a4 4 0 015.656 0L28 28m0 0l4 4m4-24h8m-4-4v8m-12 4h.02" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
                           </svg>
                           <p className="mt-1">
-                            {translations[language].uploadAnImageToSeePreview}
+                            {t('uploadAnImageToSeePreview')}
                           </p>
                         </div>
                       )}
@@ -739,48 +1512,46 @@ export default function WatermarkApp({ language = 'en' }) {
               </div>
             </div>
           </div>
+          )}
           
           {/* Information section */}
       {/*     <div className="bg-white rounded-xl shadow-lg p-6 mb-8">
             <h2 className="text-xl font-semibold mb-4">
-              {translations[language].howItWorks}
+              {t('howItWorks')}
             </h2>
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
               <div className="bg-indigo-50 p-4 rounded-lg">
                 <div className="text-indigo-600 font-bold text-xl mb-2">1</div>
                 <h3 className="font-medium mb-2">
-                  {translations[language].uploadYourArt}
+                  {t('uploadYourArt')}
                 </h3>
                 <p className="text-gray-600 text-sm">
-                  {translations[language].uploadAnyImage}
+                  {t('uploadAnyImage')}
                 </p>
               </div>
               <div className="bg-indigo-50 p-4 rounded-lg">
                 <div className="text-indigo-600 font-bold text-xl mb-2">2</div>
                 <h3 className="font-medium mb-2">
-                  {translations[language].addYourSignature}
+                  {t('addYourSignature')}
                 </h3>
                 <p className="text-gray-600 text-sm">
-                  {translations[language].enterYourName}
+                  {t('enterYourName')}
                 </p>
               </div>
               <div className="bg-indigo-50 p-4 rounded-lg">
                 <div className="text-indigo-600 font-bold text-xl mb-2">3</div>
                 <h3 className="font-medium mb-2">
-                  {translations[language].downloadProtectedArt}
+                  {t('downloadProtectedArt')}
                 </h3>
                 <p className="text-gray-600 text-sm">
-                  {translations[language].downloadYourArtwork}
+                  {t('downloadYourArtwork')}
                 </p>
               </div>
             </div>
           </div> */}
           
-          {/* Hidden canvas for processing */}
-          <canvas ref={canvasRef} style={{ display: 'none' }} />
-          
           <footer className="text-center text-gray-500 text-sm py-4">
-            <p> {new Date().getFullYear()} {translations[language].digitalArtProtector} • {translations[language].allRightsReserved}</p>
+            <p> {new Date().getFullYear()} {t('digitalArtProtector')} • {t('allRightsReserved')}</p>
           </footer>
         </div>
       </div>
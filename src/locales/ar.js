@@ -0,0 +1,350 @@
+export const ar = {
+  appTitle: "حامي الفن الرقمي",
+  uploadAnImage: "ارفع صورة للبدء",
+  signaturePlaceholder: "أدخل توقيعك أو نص العلامة المائية",
+  yourSignature: "توقيعك",
+  uploadImage: "رفع صورة",
+  clickOrDragToUpload: "انقر أو اسحب للرفع",
+  pngJpgGifUpTo10MB: "PNG أو JPG أو GIF حتى 10 ميغابايت",
+  imageLoaded: "تم تحميل الصورة: {width} × {height} بكسل",
+  textColor: "لون النص",
+  opacity: "العتامة",
+  angle: "الزاوية",
+  density: "الكثافة",
+  fontSize: "حجم الخط",
+  customSignatureSize: "حجم صورة التوقيع",
+  resetAllSettings: "إعادة ضبط كل الإعدادات",
+  preview: "معاينة",
+  processingYourImage: "جارٍ معالجة صورتك...",
+  watermarkedPreview: "معاينة بالعلامة المائية",
+  downloadProtectedImage: "تنزيل الصورة المحمية",
+  generatingPreview: "جارٍ إنشاء المعاينة...",
+  enterYourSignature: "أدخل توقيعك أو ارفع صورة توقيع",
+  uploadAnImageToSeePreview: "ارفع صورة لرؤية المعاينة",
+  howItWorks: "كيف يعمل",
+  uploadYourArt: "ارفع عملك الفني",
+  uploadAnyImage: "ارفع أي صورة تريد حمايتها من الاستخدام غير المصرح به.",
+  addYourSignature: "أضف توقيعك",
+  enterYourName: "أدخل اسمك أو توقيعك وخصّص مظهره.",
+  downloadProtectedArt: "نزّل العمل المحمي",
+  downloadYourArtwork: "نزّل عملك الفني مع علامات مائية قطرية مدمجة.",
+  orUploadCustomSignature: "أو ارفع توقيعًا مخصصًا (PNG أو JPG أو WebP)",
+  clickOrDragToUploadPNG: "انقر أو اسحب لرفع ملف PNG أو JPG أو WebP",
+  transparentPNGRecommended: "ملف PNG بخلفية شفافة أو صورة على ورق سادة",
+  signaturePreview: "معاينة التوقيع",
+  removeSignatureImage: "إزالة صورة التوقيع",
+  uploadConfigure: "الرفع والإعداد",
+  digitalArtProtector: "حامي الفن الرقمي",
+  allRightsReserved: "جميع الحقوق محفوظة",
+  resetSuccess: "تمت إعادة ضبط الإعدادات",
+  imageUploaded: "تم رفع الصورة!",
+  invalidImage: "يرجى رفع ملف صورة",
+  invalidSignatureImage: "يرجى رفع ملف PNG أو JPG أو WebP",
+  signatureImageUploaded: "تم رفع صورة التوقيع!",
+  noImageSelected: "لم يتم اختيار صورة",
+  language: "اللغة",
+  step1: "1",
+  step1Title: "ارفع عملك الفني",
+  step1Desc: "ارفع أي صورة تريد حمايتها من الاستخدام غير المصرح به.",
+  step2: "2",
+  step2Title: "أضف توقيعك",
+  step2Desc: "أدخل اسمك أو توقيعك وخصّص مظهره.",
+  step3: "3",
+  step3Title: "نزّل العمل المحمي",
+  step3Desc: "نزّل عملك الفني مع علامات مائية قطرية مدمجة.",
+  captchaInstructions: "يرجى التأكيد أنك لست روبوتًا للمتابعة",
+  captchaPlaceholder: "أدخل نص CAPTCHA",
+  captchaError: "فشل التحقق. يرجى المحاولة مرة أخرى.",
+  captchaExpired: "انتهت صلاحية التحقق. يرجى المحاولة مرة أخرى.",
+  captchaRequired: "يرجى إكمال التحقق",
+  verify: "تحقق",
+  cancel: "إلغاء",
+  downloadFailed: "فشل التنزيل. يرجى المحاولة مرة أخرى.",
+  supportUs: "ادعم عملنا",
+  supportMessage: "إذا وجدت هذه الأداة مفيدة، ففكّر في دعمنا بتبرع.",
+  oneTimeDonation: "تبرع لمرة واحدة",
+  paypalDonate: "تبرع عبر PayPal",
+  payoneerDonate: "تبرع عبر Payoneer",
+  maybeLater: "ربما لاحقًا",
+  thanksForSupport: "شكرًا على دعمك! 💖",
+  close: "إغلاق",
+  orSelectFolder: "أو اختر مجلدًا كاملًا",
+  batchLoaded: {
+    zero: "لم تُضف أي صورة إلى الدفعة",
+    one: "أُضيفت صورة واحدة إلى الدفعة",
+    two: "أُضيفت صورتان إلى الدفعة",
+    few: "أُضيفت {count} صور إلى الدفعة",
+    many: "أُضيفت {count} صورة إلى الدفعة",
+    other: "أُضيفت {count} صورة إلى الدفعة",
+  },
+  batchFiles: {
+    zero: "الدفعة (لا صور)",
+    one: "الدفعة (صورة واحدة)",
+    two: "الدفعة (صورتان)",
+    few: "الدفعة ({count} صور)",
+    many: "الدفعة ({count} صورة)",
+    other: "الدفعة ({count} صورة)",
+  },
+  batchPending: "في الانتظار",
+  batchProcessing: "جارٍ المعالجة...",
+  batchDone: "تم",
+  batchError: "فشل",
+  clearBatch: "مسح القائمة",
+  downloadZip: "تنزيل الكل كملف ZIP",
+  protectTab: "حماية",
+  verifyTab: "التحقق من الملكية",
+  verifyOwnership: "التحقق من الملكية",
+  verifyDescription: "أسقط نسخة مشبوهة من عملك لقراءة الرسالة المخفية التي أُدمجت عند حمايته.",
+  dropSuspectImage: "انقر أو اسحب صورة مشبوهة إلى هنا",
+  verifying: "جارٍ فحص الصورة...",
+  verificationFailed: "تعذّرت قراءة هذه الصورة.",
+  hiddenMessageFound: "تم العثور على رسالة مخفية",
+  noHiddenMessage: "لم يتم العثور على رسالة مخفية",
+  noHiddenMessageHint: "لم تُحمَ هذه الصورة بهذا التطبيق، أو أُزيلت البيانات المخفية منها.",
+  hiddenMessageDamaged: "وُجدت آثار لبيانات مخفية لكن لم تعد قراءتها ممكنة. على الأرجح عُدّلت الصورة أو أُعيد ترميزها.",
+  recompression: "إعادة الضغط",
+  recompressedLossyFormat: "محفوظة بصيغة مع فقد (JPEG/WebP)، لذا أُعيد ضغطها",
+  recompressedArtifacts: "تظهر فيها تشوهات كتل JPEG، ويبدو أنها أُعيد ضغطها",
+  noRecompression: "لا توجد علامات على إعادة الضغط",
+  resizing: "تغيير الحجم",
+  resizeUnknown: "غير معروف (الحجم الأصلي غير متاح)",
+  resizedFrom: "تغيّر الحجم من",
+  notResized: "بنفس حجم الأصل المحمي",
+  ownershipDetails: "تفاصيل الملكية المخفية",
+  ownershipDetailsHint: "تُدمج بشكل غير مرئي في كل تنزيل ويعرضها التحقق من الملكية.",
+  authorName: "المؤلف",
+  contactUrl: "التواصل / الرابط",
+  license: "الترخيص",
+  creationDate: "تاريخ الإنشاء",
+  note: "ملاحظة",
+  embeddingCapacity: "سعة الإدماج",
+  characters: {
+    zero: "{used} / {count} حرف",
+    one: "{used} / {count} حرف",
+    two: "{used} / {count} حرف",
+    few: "{used} / {count} أحرف",
+    many: "{used} / {count} حرفًا",
+    other: "{used} / {count} حرف",
+  },
+  payloadTooLarge: "التفاصيل المخفية لا تتسع في هذه الصورة. اختصر الملاحظة أو استخدم صورة أكبر.",
+  payloadVersion: "إصدار البيانات",
+  checksumValid: "المجموع الاختباري سليم",
+  checksumInvalid: "المجموع الاختباري غير مطابق، البيانات عُدّلت",
+  signingKey: "مفتاح التوقيع",
+  signingKeyHint: "وقّع التفاصيل المخفية بمفتاحك الخاص حتى لا يتمكن أحد من تزويرها. انشر مفتاحك العام ليتمكن الآخرون من التحقق من صورك.",
+  noSigningKey: "لا يوجد مفتاح بعد. أنشئ مفتاحًا أو استورد نسخة احتياطية.",
+  keyFingerprint: "بصمة المفتاح",
+  signHiddenPayload: "توقيع التفاصيل المخفية",
+  generateKey: "إنشاء مفتاح",
+  importKeyPair: "استيراد زوج مفاتيح",
+  exportPublicKey: "تصدير المفتاح العام",
+  backUpKeyPair: "نسخ زوج المفاتيح احتياطيًا",
+  deleteKey: "حذف المفتاح",
+  replaceKeyConfirm: "استبدال مفتاحك الحالي؟ الصور الموقّعة به لا يمكن التحقق منها إلا بمفتاحه العام.",
+  deleteKeyConfirm: "حذف مفتاح التوقيع من هذا المتصفح؟ تأكد من وجود نسخة احتياطية.",
+  keyGenerated: "تم إنشاء مفتاح توقيع جديد",
+  keyImported: "تم استيراد مفتاح التوقيع",
+  keyOperationFailed: "فشلت عملية المفتاح",
+  loadPublicKey: "تحميل مفتاح عام منشور (.json)",
+  invalidKeyFile: "هذا الملف ليس مفتاحًا صالحًا.",
+  knownKeys: "المفاتيح المستخدمة في التحقق",
+  yourKey: "مفتاحك",
+  signatureValid: "توقيع صالح",
+  signatureInvalid: "توقيع غير صالح، التفاصيل المخفية مزوّرة أو معدّلة",
+  signatureUnknownKey: "موقّع بمفتاح غير محمّل",
+  signatureMissing: "غير موقّع",
+  visibleImageMatches: "بصمة الصورة الموقّعة تطابق هذه الصورة",
+  visibleImageDiffers: "بصمة الصورة الموقّعة لا تطابق هذه الصورة، ربما نُسخت التفاصيل من صورة أخرى",
+  invisibleWatermark: "العلامة المائية غير المرئية",
+  embedMode_both: "تفاصيل مخفية + معرّف مالك متين (موصى به)",
+  embedMode_lsb: "تفاصيل مخفية فقط (تضيع عند إعادة الترميز)",
+  embedMode_robust: "معرّف مالك متين فقط (يصمد أمام JPEG وتغيير الحجم والقص البسيط)",
+  robustWatermarkFound: "تم العثور على علامة مائية متينة",
+  noRobustWatermark: "لم يتم العثور على علامة مائية متينة",
+  ownerId: "معرّف المالك",
+  confidence: "الثقة",
+  looksCropped: "تبدو الصورة مقصوصة",
+  yourDetails: "تفاصيلك",
+  exportOptions: "خيارات التصدير",
+  format: "الصيغة",
+  quality: "الجودة",
+  estimatedSize: "الحجم التقديري للملف",
+  estimatedSizePerImage: "الحجم التقديري لهذه الصورة",
+  lossyDestroysLsb: "ضغط JPEG وWebP يمحو التفاصيل المخفية المخزنة في قيم البكسلات الدقيقة. لن يبقى إلا معرّف المالك المتين.",
+  switchToRobust: "استخدام العلامة المائية المتينة فقط",
+  writeMetadata: "كتابة بيانات حقوق النشر الوصفية",
+  writeMetadataHint: "يضيف اسمك وإشعار حقوق النشر في حقول EXIF وIPTC وXMP التي تقرؤها المعارض ومحركات البحث.",
+  sourceMetadata: "البيانات الوصفية في الملف الأصلي",
+  noSourceMetadata: "لا يحتوي الملف الأصلي على بيانات وصفية.",
+  sourceMetadataHint: "اختر ما يُنقل إلى الملف المحمي. كل ما عُيّن للإزالة يُحذف.",
+  sourceMetadataBatchHint: "تنطبق الاختيارات نفسها على كل صور الدفعة.",
+  sensitive: "حساس",
+  stripField: "إزالة",
+  keepField: "إبقاء",
+  alwaysRemoved: "يُزال دائمًا",
+  keepingSensitiveMetadata: "أنت تُبقي حقولًا قد تكشف مكان سكنك أو الكاميرا التي تملكها.",
+  metadataField_gps: "الموقع الجغرافي (GPS)",
+  metadataField_serialNumber: "الرقم التسلسلي للكاميرا",
+  metadataField_lensSerialNumber: "الرقم التسلسلي للعدسة",
+  metadataField_cameraOwner: "اسم مالك الكاميرا",
+  metadataField_software: "البرنامج",
+  metadataField_captureDate: "تاريخ الالتقاط",
+  metadataField_modifiedDate: "تواريخ التعديل",
+  metadataField_camera: "صانع الكاميرا وطرازها",
+  metadataField_lens: "العدسة",
+  metadataField_cameraSettings: "إعدادات التعريض",
+  metadataField_originalCopyright: "الفنان الأصلي وحقوق النشر",
+  metadataField_editHistory: "سجل التحرير",
+  metadataField_pngText: "حقول نص PNG",
+  placement: "التوزيع",
+  placement_tiled: "شبكة متكررة",
+  placement_brick: "طوب (صفوف متداخلة)",
+  placement_single: "علامة واحدة",
+  placement_border: "شريط على الحافة",
+  placement_free: "موضع حر",
+  dragMarkHint: "اسحب على المعاينة لتحديد موضع العلامة.",
+  anchor: "الموضع",
+  "anchor_top-left": "أعلى اليسار",
+  "anchor_top-center": "أعلى الوسط",
+  "anchor_top-right": "أعلى اليمين",
+  "anchor_middle-left": "وسط اليسار",
+  anchor_center: "الوسط",
+  "anchor_middle-right": "وسط اليمين",
+  "anchor_bottom-left": "أسفل اليسار",
+  "anchor_bottom-center": "أسفل الوسط",
+  "anchor_bottom-right": "أسفل اليمين",
+  margin: "الهامش",
+  typography: "نمط النص",
+  font: "الخط",
+  uploadFont: "رفع خط",
+  fontLoaded: "تم تحميل الخط",
+  invalidFont: "يرجى رفع ملف خط بصيغة TTF أو OTF أو WOFF أو WOFF2",
+  fontLoadFailed: "تعذّر تحميل الخط",
+  bold: "عريض",
+  italic: "مائل",
+  align_left: "يسار",
+  align_center: "وسط",
+  align_right: "يمين",
+  letterSpacing: "تباعد الأحرف",
+  outline: "الحد الخارجي",
+  outlineColor: "لون الحد الخارجي",
+  shadow: "الظل",
+  shadowColor: "لون الظل",
+  multiLineHint: "اضغط Enter لسطر جديد.",
+  colorMode: "وضع اللون",
+  colorMode_fixed: "لون ثابت",
+  colorMode_adaptive: "تباين تكيفي",
+  colorMode_invert: "عكس ألوان العمل",
+  adaptiveColorHint: "تُفتَّح كل علامة على المناطق الداكنة وتُعتَّم على المناطق الفاتحة مع الحفاظ على درجة لونك.",
+  blendMode: "وضع المزج",
+  "blendMode_source-over": "عادي",
+  blendMode_multiply: "ضرب",
+  blendMode_screen: "شاشة",
+  blendMode_overlay: "تراكب",
+  "blendMode_soft-light": "ضوء ناعم",
+  "blendMode_hard-light": "ضوء قوي",
+  blendMode_difference: "اختلاف",
+  jitter: "تنويع البلاطات",
+  interference: "التشويش",
+  interference_none: "بلا",
+  interference_noise: "ضوضاء خفيفة",
+  interference_mesh: "خطوط شبكية",
+  seed: "البذرة",
+  newSeed: "بذرة عشوائية جديدة",
+  seedHint: "البلاطات والطبقات المتنوعة أصعب بكثير في الإزالة. احتفظ بالبذرة لإعادة إنتاج النمط نفسه تمامًا.",
+  aiCloak: "الحماية من تدريب الذكاء الاصطناعي",
+  cloak_off: "متوقفة",
+  cloak_low: "منخفضة (بالكاد تُقاس)",
+  cloak_medium: "متوسطة",
+  cloak_high: "عالية (قد تظهر على المساحات المسطحة)",
+  aiCloakHint: "يضيف اضطرابًا ضئيلًا يُربك إحصاءات الملمس التي يعتمد عليها تدريب تقليد الأسلوب. يُحسب على جهازك ولا يُرفع أي شيء.",
+  presets: "الإعدادات المسبقة",
+  presetsHint: "احفظ مظهر علامتك المائية، بما فيه صورة التوقيع، وأعد استخدامه. يُحمَّل الإعداد المسبق المميز بنجمة عند فتح التطبيق. صدّر القائمة لمشاركة أسلوب موحد مع فريقك.",
+  noPresets: "لا توجد إعدادات مسبقة بعد.",
+  presetNamePlaceholder: "اسم الإعداد المسبق، مثل Instagram",
+  saveCurrentAsPreset: "حفظ الحالي",
+  untitledPreset: "إعداد مسبق بلا عنوان",
+  applyPreset: "تطبيق هذا الإعداد المسبق",
+  defaultPreset: "تحميل هذا الإعداد المسبق عند فتح التطبيق",
+  updatePreset: "تحديث",
+  renamePreset: "إعادة تسمية",
+  duplicatePreset: "تكرار",
+  deletePreset: "حذف",
+  copySuffix: "نسخة",
+  importPresets: "استيراد الإعدادات المسبقة",
+  exportPresets: "تصدير الإعدادات المسبقة",
+  updatePresetConfirm: "استبدال «{name}» بالإعدادات الحالية؟",
+  deletePresetConfirm: "حذف الإعداد المسبق «{name}»؟",
+  presetSaved: "تم حفظ الإعداد المسبق",
+  presetApplied: "تم تطبيق الإعداد المسبق «{name}»",
+  presetsImported: "تم استيراد الإعدادات المسبقة",
+  invalidPresetFile: "هذا ليس ملف إعدادات مسبقة صدّره التطبيق",
+  presetOperationFailed: "تعذّر حفظ الإعداد المسبق أو تحميله",
+  restoreSessionTitle: "هل تريد المتابعة من حيث توقفت؟",
+  restoreSessionPrompt: "جلستك الأخيرة من {time} محفوظة في هذا المتصفح.",
+  restoreSessionImage: "الصورة: {name}",
+  sessionImageSkipped: "كانت الصورة أكبر من {size} ميغابايت فلم تُحفظ، لكن يمكن استعادة التوقيع والإعدادات.",
+  restoreSession: "استعادة",
+  discardSession: "تجاهل",
+  sessionRestored: "تمت استعادة الجلسة السابقة",
+  sessionRestoreFailed: "تعذّرت استعادة الجلسة السابقة",
+  undo: "تراجع",
+  redo: "إعادة",
+  watermarkedView: "بالعلامة المائية",
+  splitView: "قبل / بعد",
+  differenceView: "الفرق",
+  zoomIn: "تكبير",
+  zoomOut: "تصغير",
+  zoomActualSize: "الحجم الفعلي (بكسل صورة لكل بكسل شاشة)",
+  zoomFit: "ملاءمة",
+  originalImage: "الصورة الأصلية",
+  beforeLabel: "قبل",
+  afterLabel: "بعد",
+  markCoverage: "تغيّر العلامة {percent}% من الصورة بشكل مرئي",
+  outputSize: "حجم الإخراج",
+  outputSizeHint: "يقص الصورة ويغيّر حجمها قبل وضع العلامة المائية، لتُقاس العلامة وتُدمج البيانات المخفية بالحجم النهائي.",
+  originalSize: "الحجم الأصلي",
+  customSize: "حجم مخصص",
+  upTo: "حتى",
+  outputWidth: "العرض",
+  outputHeight: "الارتفاع",
+  cropHorizontal: "موضع القص (أفقي)",
+  cropVertical: "موضع القص (عمودي)",
+  outputDimensions: "الإخراج: {width} × {height} بكسل",
+  exportAllSizes: "تصدير كل الأحجام",
+  exportAllSizesHint: "ملف ZIP يضم ملفًا بعلامة منفصلة لكل من Instagram 1:1 و4:5 و16:9 وTwitter / X وArtStation",
+  changeSignatureImage: "تغيير صورة التوقيع",
+  donate: "تبرّع",
+  thanksForConsidering: "شكرًا على التفكير في ذلك!",
+  donationThanksMessage: "دعمك يساعدنا على الاستمرار في تحسين هذه الأداة، ونحن ممتنون له كثيرًا!",
+  donationConsideredMessage: "نقدّر تفكيرك في دعمنا. يمكنك دائمًا التبرع لاحقًا من زر «تبرّع».",
+  batchDoneCount: "تم {count} من {total}",
+  shareProtectedImage: "مشاركة",
+  shareProtectedImageHint: "أرسل الصورة المحمية إلى تطبيق آخر",
+  shareReady: "جاهزة، انقر للمشاركة",
+  shareFailed: "تعذّرت المشاركة. نزّل الصورة بدلًا من ذلك.",
+  pasteHint: "أو الصق صورة باستخدام Ctrl+V",
+  copyProtectedImage: "نسخ الصورة المحمية",
+  copyProtectedImageHint: "انسخ الصورة المحمية بصيغة PNG مع العلامة المائية المخفية",
+  imageCopied: "تم نسخ الصورة المحمية إلى الحافظة",
+  copyFailed: "تعذّر نسخ الصورة. نزّلها بدلًا من ذلك.",
+  animatedImageInfo: {
+    zero: "{format} متحرك بلا إطارات",
+    one: "{format} متحرك بإطار واحد: تُوضع العلامة المائية على كل إطار",
+    two: "{format} متحرك بإطارين: تُوضع العلامة المائية على كل إطار",
+    few: "{format} متحرك بـ {count} إطارات: تُوضع العلامة المائية على كل إطار",
+    many: "{format} متحرك بـ {count} إطارًا: تُوضع العلامة المائية على كل إطار",
+    other: "{format} متحرك بـ {count} إطار: تُوضع العلامة المائية على كل إطار",
+  },
+  animatedExportFormat: "{format} متحرك. تُوضع العلامة المائية على كل إطار ويبقى الملف المنزّل {format} متحركًا.",
+  animationDestroysLsb: "تقليص الإطارات إلى ألوان GIF أو ضغطها بصيغة WebP يمحو التفاصيل المخفية في القيم الدقيقة للبكسلات. لن يبقى إلا معرّف المالك المتين.",
+  animationTooLarge: "تحتوي هذه الصورة المتحركة على إطارات كثيرة جدًا لمعالجتها. قصّرها أو صغّر حجمها.",
+  removeSignatureBackground: "إزالة خلفية الورق",
+  backgroundThreshold: "تسامح الخلفية",
+  backgroundFeather: "نعومة الحواف",
+  trimSignatureMargins: "قص الهوامش الفارغة",
+  tintSignature: "التلوين بلون النص",
+  imageTooLarge: "هذه الصورة أكبر من أن تُحفظ بصيغة JPEG أو WebP. اختر PNG أو حجم إخراج أصغر.",
+  cloakLastExport: "آخر تصدير",
+  cloakMeasured: "تم تطبيق الحماية من تدريب الذكاء الاصطناعي: PSNR {psnr} dB · SSIM {ssim}",
+};
@@ -0,0 +1,322 @@
+export const de = {
+  appTitle: "Schutz für digitale Kunst",
+  uploadAnImage: "Lade ein Bild hoch, um loszulegen",
+  signaturePlaceholder: "Signatur oder Wasserzeichentext eingeben",
+  yourSignature: "Deine Signatur",
+  uploadImage: "Bild hochladen",
+  clickOrDragToUpload: "Klicken oder hierher ziehen",
+  pngJpgGifUpTo10MB: "PNG, JPG, GIF bis 10 MB",
+  imageLoaded: "Bild geladen: {width} × {height} px",
+  textColor: "Textfarbe",
+  opacity: "Deckkraft",
+  angle: "Winkel",
+  density: "Dichte",
+  fontSize: "Schriftgröße",
+  customSignatureSize: "Größe der Signatur",
+  resetAllSettings: "Alle Einstellungen zurücksetzen",
+  preview: "Vorschau",
+  processingYourImage: "Bild wird verarbeitet...",
+  watermarkedPreview: "Vorschau mit Wasserzeichen",
+  downloadProtectedImage: "Geschütztes Bild herunterladen",
+  generatingPreview: "Vorschau wird erstellt...",
+  enterYourSignature: "Gib deine Signatur ein oder lade ein Signaturbild hoch",
+  uploadAnImageToSeePreview: "Lade ein Bild hoch, um die Vorschau zu sehen",
+  howItWorks: "So funktioniert's",
+  uploadYourArt: "Kunstwerk hochladen",
+  uploadAnyImage: "Lade ein beliebiges Bild hoch, das du vor unerlaubter Nutzung schützen willst.",
+  addYourSignature: "Signatur hinzufügen",
+  enterYourName: "Gib deinen Namen oder deine Signatur ein und passe das Aussehen an.",
+  downloadProtectedArt: "Geschütztes Werk herunterladen",
+  downloadYourArtwork: "Lade dein Kunstwerk mit eingebetteten diagonalen Wasserzeichen herunter.",
+  orUploadCustomSignature: "Oder eigene Signatur hochladen (PNG, JPG, WebP)",
+  clickOrDragToUploadPNG: "Klicken oder PNG, JPG oder WebP hierher ziehen",
+  transparentPNGRecommended: "Transparentes PNG oder ein Foto auf einfarbigem Papier",
+  signaturePreview: "Signaturvorschau",
+  removeSignatureImage: "Signaturbild entfernen",
+  uploadConfigure: "Hochladen & einrichten",
+  digitalArtProtector: "Schutz für digitale Kunst",
+  allRightsReserved: "Alle Rechte vorbehalten",
+  resetSuccess: "Einstellungen zurückgesetzt",
+  imageUploaded: "Bild hochgeladen!",
+  invalidImage: "Bitte lade eine Bilddatei hoch",
+  invalidSignatureImage: "Bitte lade eine PNG-, JPG- oder WebP-Datei hoch",
+  signatureImageUploaded: "Signaturbild hochgeladen!",
+  noImageSelected: "Kein Bild ausgewählt",
+  language: "Sprache",
+  step1: "1",
+  step1Title: "Kunstwerk hochladen",
+  step1Desc: "Lade ein beliebiges Bild hoch, das du vor unerlaubter Nutzung schützen willst.",
+  step2: "2",
+  step2Title: "Signatur hinzufügen",
+  step2Desc: "Gib deinen Namen oder deine Signatur ein und passe das Aussehen an.",
+  step3: "3",
+  step3Title: "Geschütztes Werk herunterladen",
+  step3Desc: "Lade dein Kunstwerk mit eingebetteten diagonalen Wasserzeichen herunter.",
+  captchaInstructions: "Bitte bestätige, dass du ein Mensch bist",
+  captchaPlaceholder: "CAPTCHA-Text eingeben",
+  captchaError: "Überprüfung fehlgeschlagen. Bitte versuche es erneut.",
+  captchaExpired: "Überprüfung abgelaufen. Bitte versuche es erneut.",
+  captchaRequired: "Bitte schließe die Überprüfung ab",
+  verify: "Prüfen",
+  cancel: "Abbrechen",
+  downloadFailed: "Download fehlgeschlagen. Bitte versuche es erneut.",
+  supportUs: "Unterstütze unsere Arbeit",
+  supportMessage: "Wenn dir dieses Werkzeug hilft, unterstütze uns bitte mit einer Spende.",
+  oneTimeDonation: "Einmalige Spende",
+  paypalDonate: "Mit PayPal spenden",
+  payoneerDonate: "Mit Payoneer spenden",
+  maybeLater: "Vielleicht später",
+  thanksForSupport: "Danke für deine Unterstützung! 💖",
+  close: "Schließen",
+  orSelectFolder: "oder einen ganzen Ordner auswählen",
+  batchLoaded: { one: "{count} Bild zum Stapel hinzugefügt", other: "{count} Bilder zum Stapel hinzugefügt" },
+  batchFiles: { one: "Stapel ({count} Bild)", other: "Stapel ({count} Bilder)" },
+  batchPending: "Wartet",
+  batchProcessing: "Wird verarbeitet...",
+  batchDone: "Fertig",
+  batchError: "Fehlgeschlagen",
+  clearBatch: "Liste leeren",
+  downloadZip: "Alle als ZIP herunterladen",
+  protectTab: "Schützen",
+  verifyTab: "Urheberschaft prüfen",
+  verifyOwnership: "Urheberschaft prüfen",
+  verifyDescription: "Ziehe eine verdächtige Kopie deines Werks hierher, um die beim Schützen eingebettete versteckte Nachricht zu lesen.",
+  dropSuspectImage: "Verdächtiges Bild anklicken oder hierher ziehen",
+  verifying: "Bild wird geprüft...",
+  verificationFailed: "Dieses Bild konnte nicht gelesen werden.",
+  hiddenMessageFound: "Versteckte Nachricht gefunden",
+  noHiddenMessage: "Keine versteckte Nachricht gefunden",
+  noHiddenMessageHint: "Dieses Bild wurde nicht mit dieser App geschützt oder die versteckten Daten wurden entfernt.",
+  hiddenMessageDamaged: "Es gibt Spuren versteckter Daten, aber sie sind nicht mehr lesbar. Das Bild wurde wahrscheinlich bearbeitet oder neu kodiert.",
+  recompression: "Neukomprimierung",
+  recompressedLossyFormat: "In einem verlustbehafteten Format (JPEG/WebP) gespeichert, also neu komprimiert",
+  recompressedArtifacts: "Zeigt JPEG-Blockartefakte, es wirkt neu komprimiert",
+  noRecompression: "Keine Anzeichen einer Neukomprimierung",
+  resizing: "Größenänderung",
+  resizeUnknown: "Unbekannt (Originalgröße nicht verfügbar)",
+  resizedFrom: "Verkleinert von",
+  notResized: "Gleiche Größe wie das geschützte Original",
+  ownershipDetails: "Versteckte Urheberangaben",
+  ownershipDetailsHint: "Unsichtbar in jeden Download eingebettet und von Urheberschaft prüfen angezeigt.",
+  authorName: "Urheber",
+  contactUrl: "Kontakt / URL",
+  license: "Lizenz",
+  creationDate: "Erstellt",
+  note: "Notiz",
+  embeddingCapacity: "Einbettungskapazität",
+  characters: "{used} / {count} Zeichen",
+  payloadTooLarge: "Die versteckten Angaben passen nicht in dieses Bild. Kürze die Notiz oder verwende ein größeres Bild.",
+  payloadVersion: "Datenversion",
+  checksumValid: "Prüfsumme OK",
+  checksumInvalid: "Prüfsumme stimmt nicht, die Daten wurden verändert",
+  signingKey: "Signaturschlüssel",
+  signingKeyHint: "Signiere die versteckten Angaben mit deinem eigenen Schlüssel, damit niemand sie fälschen kann. Veröffentliche deinen öffentlichen Schlüssel, damit andere deine Bilder prüfen können.",
+  noSigningKey: "Noch kein Schlüssel. Erzeuge einen oder importiere eine Sicherung.",
+  keyFingerprint: "Fingerabdruck des Schlüssels",
+  signHiddenPayload: "Versteckte Angaben signieren",
+  generateKey: "Schlüssel erzeugen",
+  importKeyPair: "Schlüsselpaar importieren",
+  exportPublicKey: "Öffentlichen Schlüssel exportieren",
+  backUpKeyPair: "Schlüsselpaar sichern",
+  deleteKey: "Schlüssel löschen",
+  replaceKeyConfirm: "Aktuellen Schlüssel ersetzen? Damit signierte Bilder lassen sich nur noch mit seinem öffentlichen Schlüssel prüfen.",
+  deleteKeyConfirm: "Signaturschlüssel aus diesem Browser löschen? Stelle sicher, dass du eine Sicherung hast.",
+  keyGenerated: "Neuer Signaturschlüssel erzeugt",
+  keyImported: "Signaturschlüssel importiert",
+  keyOperationFailed: "Schlüsselvorgang fehlgeschlagen",
+  loadPublicKey: "Veröffentlichten öffentlichen Schlüssel laden (.json)",
+  invalidKeyFile: "Diese Datei ist kein gültiger Schlüssel.",
+  knownKeys: "Zur Prüfung verwendete Schlüssel",
+  yourKey: "deiner",
+  signatureValid: "Gültige Signatur",
+  signatureInvalid: "Ungültige Signatur, die versteckten Angaben wurden gefälscht oder verändert",
+  signatureUnknownKey: "Mit einem nicht geladenen Schlüssel signiert",
+  signatureMissing: "Nicht signiert",
+  visibleImageMatches: "Der signierte Bild-Hash passt zu diesem Bild",
+  visibleImageDiffers: "Der signierte Bild-Hash passt nicht zu diesem Bild, die Angaben wurden möglicherweise aus einem anderen Bild kopiert",
+  invisibleWatermark: "Unsichtbares Wasserzeichen",
+  embedMode_both: "Versteckte Angaben + robuste Urheber-ID (empfohlen)",
+  embedMode_lsb: "Nur versteckte Angaben (gehen beim Neukodieren verloren)",
+  embedMode_robust: "Nur robuste Urheber-ID (übersteht JPEG, Größenänderung, kleine Zuschnitte)",
+  robustWatermarkFound: "Robustes Wasserzeichen gefunden",
+  noRobustWatermark: "Kein robustes Wasserzeichen gefunden",
+  ownerId: "Urheber-ID",
+  confidence: "Sicherheit",
+  looksCropped: "das Bild wirkt zugeschnitten",
+  yourDetails: "deine Angaben",
+  exportOptions: "Exportoptionen",
+  format: "Format",
+  quality: "Qualität",
+  estimatedSize: "Geschätzte Dateigröße",
+  estimatedSizePerImage: "Geschätzte Größe dieses Bildes",
+  lossyDestroysLsb: "JPEG- und WebP-Kompression löscht die versteckten Angaben, die in exakten Pixelwerten liegen. Nur die robuste Urheber-ID bleibt erhalten.",
+  switchToRobust: "Nur das robuste Wasserzeichen verwenden",
+  writeMetadata: "Copyright-Metadaten schreiben",
+  writeMetadataHint: "Fügt deinen Namen und Copyright-Vermerk als EXIF-, IPTC- und XMP-Felder hinzu, die Galerien und Suchmaschinen lesen.",
+  sourceMetadata: "Metadaten der Originaldatei",
+  noSourceMetadata: "Die Originaldatei enthält keine Metadaten.",
+  sourceMetadataHint: "Wähle, was in die geschützte Datei übernommen wird. Alles, was auf Entfernen steht, wird gelöscht.",
+  sourceMetadataBatchHint: "Dieselbe Auswahl gilt für jedes Bild im Stapel.",
+  sensitive: "sensibel",
+  stripField: "Entfernen",
+  keepField: "Behalten",
+  alwaysRemoved: "Wird immer entfernt",
+  keepingSensitiveMetadata: "Du behältst Felder, die verraten können, wo du wohnst oder welche Kamera du besitzt.",
+  metadataField_gps: "GPS-Position",
+  metadataField_serialNumber: "Seriennummer der Kamera",
+  metadataField_lensSerialNumber: "Seriennummer des Objektivs",
+  metadataField_cameraOwner: "Name des Kamerabesitzers",
+  metadataField_software: "Software",
+  metadataField_captureDate: "Aufnahmedatum",
+  metadataField_modifiedDate: "Änderungsdaten",
+  metadataField_camera: "Kamerahersteller und -modell",
+  metadataField_lens: "Objektiv",
+  metadataField_cameraSettings: "Belichtungseinstellungen",
+  metadataField_originalCopyright: "Ursprünglicher Künstler und Copyright",
+  metadataField_editHistory: "Bearbeitungsverlauf",
+  metadataField_pngText: "PNG-Textfelder",
+  placement: "Anordnung",
+  placement_tiled: "Kachelraster",
+  placement_brick: "Mauerwerk (versetzte Reihen)",
+  placement_single: "Einzelne Marke",
+  placement_border: "Randband",
+  placement_free: "Freie Position",
+  dragMarkHint: "Ziehe in der Vorschau, um die Marke zu platzieren.",
+  anchor: "Position",
+  "anchor_top-left": "Oben links",
+  "anchor_top-center": "Oben Mitte",
+  "anchor_top-right": "Oben rechts",
+  "anchor_middle-left": "Mitte links",
+  anchor_center: "Mitte",
+  "anchor_middle-right": "Mitte rechts",
+  "anchor_bottom-left": "Unten links",
+  "anchor_bottom-center": "Unten Mitte",
+  "anchor_bottom-right": "Unten rechts",
+  margin: "Rand",
+  typography: "Textstil",
+  font: "Schrift",
+  uploadFont: "Schrift hochladen",
+  fontLoaded: "Schrift geladen",
+  invalidFont: "Bitte lade eine TTF-, OTF-, WOFF- oder WOFF2-Schriftdatei hoch",
+  fontLoadFailed: "Die Schrift konnte nicht geladen werden",
+  bold: "Fett",
+  italic: "Kursiv",
+  align_left: "Links",
+  align_center: "Mitte",
+  align_right: "Rechts",
+  letterSpacing: "Zeichenabstand",
+  outline: "Kontur",
+  outlineColor: "Konturfarbe",
+  shadow: "Schatten",
+  shadowColor: "Schattenfarbe",
+  multiLineHint: "Drücke Enter für eine neue Zeile.",
+  colorMode: "Farbmodus",
+  colorMode_fixed: "Feste Farbe",
+  colorMode_adaptive: "Adaptiver Kontrast",
+  colorMode_invert: "Kunstwerk invertieren",
+  adaptiveColorHint: "Jede Marke wird auf dunklen Flächen aufgehellt und auf hellen abgedunkelt, der Farbton bleibt erhalten.",
+  blendMode: "Füllmethode",
+  "blendMode_source-over": "Normal",
+  blendMode_multiply: "Multiplizieren",
+  blendMode_screen: "Negativ multiplizieren",
+  blendMode_overlay: "Ineinanderkopieren",
+  "blendMode_soft-light": "Weiches Licht",
+  "blendMode_hard-light": "Hartes Licht",
+  blendMode_difference: "Differenz",
+  jitter: "Kachelvariation",
+  interference: "Störmuster",
+  interference_none: "Keines",
+  interference_noise: "Leichtes Rauschen",
+  interference_mesh: "Netzlinien",
+  seed: "Startwert",
+  newSeed: "Neuer zufälliger Startwert",
+  seedHint: "Variierte Kacheln und Überlagerungen sind viel schwerer zu entfernen. Behalte den Startwert, um genau dasselbe Muster zu erzeugen.",
+  aiCloak: "Schutz vor KI-Training",
+  cloak_off: "Aus",
+  cloak_low: "Niedrig (kaum messbar)",
+  cloak_medium: "Mittel",
+  cloak_high: "Hoch (kann auf glatten Flächen sichtbar sein)",
+  aiCloakHint: "Fügt eine winzige Störung hinzu, die die Texturstatistik durcheinanderbringt, auf die Stilnachahmungs-Training angewiesen ist. Wird auf deinem Gerät berechnet, nichts wird hochgeladen.",
+  presets: "Vorlagen",
+  presetsHint: "Speichere das Aussehen deines Wasserzeichens samt Signaturbild und verwende es wieder. Die markierte Vorlage wird beim Öffnen der App geladen. Exportiere die Liste, um einen Hausstil mit deinem Team zu teilen.",
+  noPresets: "Noch keine Vorlagen.",
+  presetNamePlaceholder: "Name der Vorlage, z. B. Instagram",
+  saveCurrentAsPreset: "Aktuelle speichern",
+  untitledPreset: "Unbenannte Vorlage",
+  applyPreset: "Diese Vorlage anwenden",
+  defaultPreset: "Diese Vorlage beim Öffnen der App laden",
+  updatePreset: "Aktualisieren",
+  renamePreset: "Umbenennen",
+  duplicatePreset: "Duplizieren",
+  deletePreset: "Löschen",
+  copySuffix: "Kopie",
+  importPresets: "Vorlagen importieren",
+  exportPresets: "Vorlagen exportieren",
+  updatePresetConfirm: "„{name}“ durch die aktuellen Einstellungen ersetzen?",
+  deletePresetConfirm: "Vorlage „{name}“ löschen?",
+  presetSaved: "Vorlage gespeichert",
+  presetApplied: "Vorlage „{name}“ angewendet",
+  presetsImported: "Vorlagen importiert",
+  invalidPresetFile: "Dies ist keine von der App exportierte Vorlagendatei",
+  presetOperationFailed: "Die Vorlage konnte nicht gespeichert oder geladen werden",
+  restoreSessionTitle: "Dort weitermachen, wo du aufgehört hast?",
+  restoreSessionPrompt: "Deine letzte Sitzung vom {time} ist in diesem Browser gespeichert.",
+  restoreSessionImage: "Bild: {name}",
+  sessionImageSkipped: "Das Bild war größer als {size} MB und wurde nicht behalten; Signatur und Einstellungen lassen sich trotzdem wiederherstellen.",
+  restoreSession: "Wiederherstellen",
+  discardSession: "Verwerfen",
+  sessionRestored: "Vorherige Sitzung wiederhergestellt",
+  sessionRestoreFailed: "Die vorherige Sitzung konnte nicht wiederhergestellt werden",
+  undo: "Rückgängig",
+  redo: "Wiederholen",
+  watermarkedView: "Mit Wasserzeichen",
+  splitView: "Vorher / nachher",
+  differenceView: "Differenz",
+  zoomIn: "Vergrößern",
+  zoomOut: "Verkleinern",
+  zoomActualSize: "Originalgröße (ein Bildpixel pro Bildschirmpixel)",
+  zoomFit: "Einpassen",
+  originalImage: "Originalbild",
+  beforeLabel: "Vorher",
+  afterLabel: "Nachher",
+  markCoverage: "Die Marke verändert sichtbar {percent} % des Bildes",
+  outputSize: "Ausgabegröße",
+  outputSizeHint: "Schneidet das Bild vor dem Wasserzeichen zu und skaliert es, damit die Marke und die versteckten Daten auf die Endgröße abgestimmt sind.",
+  originalSize: "Originalgröße",
+  customSize: "Eigene Größe",
+  upTo: "bis",
+  outputWidth: "Breite",
+  outputHeight: "Höhe",
+  cropHorizontal: "Zuschnittposition (horizontal)",
+  cropVertical: "Zuschnittposition (vertikal)",
+  outputDimensions: "Ausgabe: {width} × {height} px",
+  exportAllSizes: "Alle Größen exportieren",
+  exportAllSizesHint: "ZIP mit einer einzeln markierten Datei für Instagram 1:1 und 4:5, 16:9, Twitter / X und ArtStation",
+  changeSignatureImage: "Signaturbild ändern",
+  donate: "Spenden",
+  thanksForConsidering: "Danke fürs Überlegen!",
+  donationThanksMessage: "Deine Unterstützung hilft uns, dieses Werkzeug weiter zu verbessern. Vielen Dank!",
+  donationConsideredMessage: "Danke, dass du überlegt hast, uns zu unterstützen. Du kannst jederzeit später über die Schaltfläche Spenden spenden.",
+  batchDoneCount: "{count} von {total} fertig",
+  shareProtectedImage: "Teilen",
+  shareProtectedImageHint: "Das geschützte Bild an eine andere App senden",
+  shareReady: "Bereit, zum Teilen tippen",
+  shareFailed: "Teilen fehlgeschlagen. Lade das Bild stattdessen herunter.",
+  pasteHint: "oder ein Bild mit Strg+V einfügen",
+  copyProtectedImage: "Geschütztes Bild kopieren",
+  copyProtectedImageHint: "Das geschützte Bild als PNG kopieren, inklusive unsichtbarem Wasserzeichen",
+  imageCopied: "Geschütztes Bild in die Zwischenablage kopiert",
+  copyFailed: "Das Bild konnte nicht kopiert werden. Lade es stattdessen herunter.",
+  animatedImageInfo: { one: "Animiertes {format} mit {count} Bild: Jedes Bild erhält das Wasserzeichen", other: "Animiertes {format} mit {count} Bildern: Jedes Bild erhält das Wasserzeichen" },
+  animatedExportFormat: "Animiertes {format}. Jedes Bild erhält das Wasserzeichen und der Download bleibt ein animiertes {format}.",
+  animationDestroysLsb: "Die Reduktion auf GIF-Farben oder die WebP-Kompression löscht die versteckten Angaben in den exakten Pixelwerten. Nur die robuste Eigentümer-ID bleibt erhalten.",
+  animationTooLarge: "Diese Animation hat zu viele Bilder für die Verarbeitung. Kürze sie oder verkleinere sie.",
+  removeSignatureBackground: "Papierhintergrund entfernen",
+  backgroundThreshold: "Hintergrundtoleranz",
+  backgroundFeather: "Kantenweichheit",
+  trimSignatureMargins: "Leere Ränder zuschneiden",
+  tintSignature: "Mit der Textfarbe einfärben",
+  imageTooLarge: "Dieses Bild ist zu groß, um es als JPEG oder WebP zu speichern. Wähle PNG oder eine kleinere Ausgabegröße.",
+  cloakLastExport: "Letzter Export",
+  cloakMeasured: "Schutz vor KI-Training angewendet: PSNR {psnr} dB · SSIM {ssim}",
+};
@@ -0,0 +1,324 @@
+// English is the reference language: every key exists here and the other
+// languages fall back to it for anything they lack
+export const en = {
+  appTitle: "Digital Art Protector",
+  uploadAnImage: "Upload an image to get started",
+  signaturePlaceholder: "Enter your signature or watermark text",
+  yourSignature: "Your Signature",
+  uploadImage: "Upload Image",
+  clickOrDragToUpload: "Click or drag to upload",
+  pngJpgGifUpTo10MB: "PNG, JPG, GIF up to 10MB",
+  imageLoaded: "Image loaded: {width} × {height} px",
+  textColor: "Text Color",
+  opacity: "Opacity",
+  angle: "Angle",
+  density: "Density",
+  fontSize: "Font Size",
+  customSignatureSize: "Custom Signature Size",
+  resetAllSettings: "Reset All Settings",
+  preview: "Preview",
+  processingYourImage: "Processing your image...",
+  watermarkedPreview: "Watermarked preview",
+  downloadProtectedImage: "Download Protected Image",
+  generatingPreview: "Generating preview...",
+  enterYourSignature: "Enter your signature or upload a custom signature image",
+  uploadAnImageToSeePreview: "Upload an image to see preview",
+  howItWorks: "How It Works",
+  uploadYourArt: "Upload Your Art",
+  uploadAnyImage: "Upload any image you want to protect from unauthorized use.",
+  addYourSignature: "Add Your Signature",
+  enterYourName: "Enter your name or signature and customize its appearance.",
+  downloadProtectedArt: "Download Protected Art",
+  downloadYourArtwork: "Download your artwork with embedded diagonal watermarks.",
+  orUploadCustomSignature: "Or Upload Custom Signature (PNG, JPG, WebP)",
+  clickOrDragToUploadPNG: "Click or drag to upload PNG, JPG or WebP",
+  transparentPNGRecommended: "Transparent PNG or a photo on plain paper",
+  signaturePreview: "Signature preview",
+  removeSignatureImage: "Remove Signature Image",
+  uploadConfigure: "Upload & Configure",
+  digitalArtProtector: "Digital Art Protector",
+  allRightsReserved: "All rights reserved",
+  resetSuccess: "Settings reset successfully",
+  imageUploaded: "Image uploaded successfully!",
+  invalidImage: "Please upload an image file",
+  invalidSignatureImage: "Please upload a PNG, JPG or WebP file",
+  signatureImageUploaded: "Signature image uploaded!",
+  noImageSelected: "No image selected",
+  language: "Language",
+  step1: "1",
+  step1Title: "Upload Your Art",
+  step1Desc: "Upload any image you want to protect from unauthorized use.",
+  step2: "2",
+  step2Title: "Add Your Signature",
+  step2Desc: "Enter your name or signature and customize its appearance.",
+  step3: "3",
+  step3Title: "Download Protected Art",
+  step3Desc: "Download your artwork with embedded diagonal watermarks.",
+  captchaInstructions: "Please verify you're human to continue",
+  captchaPlaceholder: "Enter CAPTCHA text",
+  captchaError: "Verification failed. Please try again.",
+  captchaExpired: "Verification expired. Please try again.",
+  captchaRequired: "Please complete the verification",
+  verify: "Verify",
+  cancel: "Cancel",
+  downloadFailed: "Download failed. Please try again.",
+  supportUs: "Support Our Work",
+  supportMessage: "If you find this tool useful, please consider supporting us with a donation.",
+  oneTimeDonation: "One-time donation",
+  paypalDonate: "Donate with PayPal",
+  payoneerDonate: "Donate with Payoneer",
+  maybeLater: "Maybe Later",
+  thanksForSupport: "Thank you for your support! 💖",
+  close: "Close",
+  orSelectFolder: "or select a whole folder",
+  batchLoaded: { one: "{count} image added to the batch", other: "{count} images added to the batch" },
+  batchFiles: { one: "Batch ({count} image)", other: "Batch ({count} images)" },
+  batchPending: "Waiting",
+  batchProcessing: "Processing...",
+  batchDone: "Done",
+  batchError: "Failed",
+  clearBatch: "Clear list",
+  downloadZip: "Download All as ZIP",
+  protectTab: "Protect",
+  verifyTab: "Verify Ownership",
+  verifyOwnership: "Verify Ownership",
+  verifyDescription: "Drop a suspect copy of your artwork to read the hidden message embedded when it was protected.",
+  dropSuspectImage: "Click or drag a suspect image here",
+  verifying: "Checking image...",
+  verificationFailed: "Could not read this image.",
+  hiddenMessageFound: "Hidden message found",
+  noHiddenMessage: "No hidden message found",
+  noHiddenMessageHint: "This image was not protected by this app, or the hidden data was removed.",
+  hiddenMessageDamaged: "Traces of hidden data were found, but it can no longer be read. The image was probably edited or re-encoded.",
+  recompression: "Recompression",
+  recompressedLossyFormat: "Saved in a lossy format (JPEG/WebP), so it has been recompressed",
+  recompressedArtifacts: "Shows JPEG block artifacts, it looks recompressed",
+  noRecompression: "No signs of recompression",
+  resizing: "Resizing",
+  resizeUnknown: "Unknown (original size not available)",
+  resizedFrom: "Resized from",
+  notResized: "Same size as the protected original",
+  ownershipDetails: "Hidden Ownership Details",
+  ownershipDetailsHint: "Invisibly embedded in every download and shown by Verify Ownership.",
+  authorName: "Author",
+  contactUrl: "Contact / URL",
+  license: "License",
+  creationDate: "Created",
+  note: "Note",
+  embeddingCapacity: "Embedding capacity",
+  characters: { one: "{used} / {count} character", other: "{used} / {count} characters" },
+  payloadTooLarge: "The hidden details do not fit in this image. Shorten the note or use a larger image.",
+  payloadVersion: "Payload version",
+  checksumValid: "checksum OK",
+  checksumInvalid: "checksum mismatch, the data was altered",
+  signingKey: "Signing Key",
+  signingKeyHint: "Sign the hidden details with your own key so nobody else can forge them. Publish your public key so others can verify your images.",
+  noSigningKey: "No key yet. Generate one or import a backup.",
+  keyFingerprint: "Key fingerprint",
+  signHiddenPayload: "Sign hidden details",
+  generateKey: "Generate Key",
+  importKeyPair: "Import Key Pair",
+  exportPublicKey: "Export Public Key",
+  backUpKeyPair: "Back Up Key Pair",
+  deleteKey: "Delete Key",
+  replaceKeyConfirm: "Replace your current key? Images signed with it can only be verified with its public key.",
+  deleteKeyConfirm: "Delete your signing key from this browser? Make sure you have a backup.",
+  keyGenerated: "New signing key generated",
+  keyImported: "Signing key imported",
+  keyOperationFailed: "Key operation failed",
+  loadPublicKey: "Load a published public key (.json)",
+  invalidKeyFile: "This file is not a valid key.",
+  knownKeys: "Keys used for verification",
+  yourKey: "yours",
+  signatureValid: "Valid signature",
+  signatureInvalid: "Invalid signature, the hidden details were forged or altered",
+  signatureUnknownKey: "Signed with a key that is not loaded",
+  signatureMissing: "Not signed",
+  visibleImageMatches: "The signed image hash matches this picture",
+  visibleImageDiffers: "The signed image hash does not match this picture, the details may have been copied from another image",
+  invisibleWatermark: "Invisible watermark",
+  embedMode_both: "Hidden details + robust owner ID (recommended)",
+  embedMode_lsb: "Hidden details only (lost on re-encoding)",
+  embedMode_robust: "Robust owner ID only (survives JPEG, resizing, small crops)",
+  robustWatermarkFound: "Robust watermark found",
+  noRobustWatermark: "No robust watermark found",
+  ownerId: "Owner ID",
+  confidence: "Confidence",
+  looksCropped: "the image looks cropped",
+  yourDetails: "your details",
+  exportOptions: "Export Options",
+  format: "Format",
+  quality: "Quality",
+  estimatedSize: "Estimated file size",
+  estimatedSizePerImage: "Estimated size of this image",
+  lossyDestroysLsb: "JPEG and WebP compression wipes out the hidden details stored in exact pixel values. Only the robust owner ID will survive.",
+  switchToRobust: "Use the robust watermark only",
+  writeMetadata: "Write copyright metadata",
+  writeMetadataHint: "Adds your name and copyright notice as EXIF, IPTC and XMP fields that galleries and search engines read.",
+  sourceMetadata: "Metadata in the original file",
+  noSourceMetadata: "The original file carries no metadata.",
+  sourceMetadataHint: "Choose what to carry over to the protected file. Everything set to strip is removed.",
+  sourceMetadataBatchHint: "The same choices apply to every image in the batch.",
+  sensitive: "sensitive",
+  stripField: "Strip",
+  keepField: "Keep",
+  alwaysRemoved: "Always removed",
+  keepingSensitiveMetadata: "You are keeping fields that can reveal where you live or which camera you own.",
+  metadataField_gps: "GPS location",
+  metadataField_serialNumber: "Camera serial number",
+  metadataField_lensSerialNumber: "Lens serial number",
+  metadataField_cameraOwner: "Camera owner name",
+  metadataField_software: "Software",
+  metadataField_captureDate: "Capture date",
+  metadataField_modifiedDate: "Modification dates",
+  metadataField_camera: "Camera make and model",
+  metadataField_lens: "Lens",
+  metadataField_cameraSettings: "Exposure settings",
+  metadataField_originalCopyright: "Original artist and copyright",
+  metadataField_editHistory: "Editing history",
+  metadataField_pngText: "PNG text fields",
+  placement: "Placement",
+  placement_tiled: "Tiled grid",
+  placement_brick: "Brick (offset rows)",
+  placement_single: "Single mark",
+  placement_border: "Border band",
+  placement_free: "Free position",
+  dragMarkHint: "Drag on the preview to position the mark.",
+  anchor: "Position",
+  "anchor_top-left": "Top left",
+  "anchor_top-center": "Top center",
+  "anchor_top-right": "Top right",
+  "anchor_middle-left": "Middle left",
+  anchor_center: "Center",
+  "anchor_middle-right": "Middle right",
+  "anchor_bottom-left": "Bottom left",
+  "anchor_bottom-center": "Bottom center",
+  "anchor_bottom-right": "Bottom right",
+  margin: "Margin",
+  typography: "Text style",
+  font: "Font",
+  uploadFont: "Upload font",
+  fontLoaded: "Font loaded",
+  invalidFont: "Please upload a TTF, OTF, WOFF or WOFF2 font file",
+  fontLoadFailed: "The font could not be loaded",
+  bold: "Bold",
+  italic: "Italic",
+  align_left: "Left",
+  align_center: "Center",
+  align_right: "Right",
+  letterSpacing: "Letter spacing",
+  outline: "Outline",
+  outlineColor: "Outline color",
+  shadow: "Shadow",
+  shadowColor: "Shadow color",
+  multiLineHint: "Press Enter for a new line.",
+  colorMode: "Color mode",
+  colorMode_fixed: "Fixed color",
+  colorMode_adaptive: "Adaptive contrast",
+  colorMode_invert: "Invert artwork",
+  adaptiveColorHint: "Each mark is lightened on dark areas and darkened on light areas, keeping your color's hue.",
+  blendMode: "Blend mode",
+  "blendMode_source-over": "Normal",
+  blendMode_multiply: "Multiply",
+  blendMode_screen: "Screen",
+  blendMode_overlay: "Overlay",
+  "blendMode_soft-light": "Soft light",
+  "blendMode_hard-light": "Hard light",
+  blendMode_difference: "Difference",
+  jitter: "Tile variation",
+  interference: "Interference",
+  interference_none: "None",
+  interference_noise: "Faint noise",
+  interference_mesh: "Mesh lines",
+  seed: "Seed",
+  newSeed: "New random seed",
+  seedHint: "Varied tiles and overlays are much harder to remove. Keep the seed to reproduce the exact same pattern.",
+  aiCloak: "AI-training cloak",
+  cloak_off: "Off",
+  cloak_low: "Low (barely measurable)",
+  cloak_medium: "Medium",
+  cloak_high: "High (may show on flat areas)",
+  aiCloakHint: "Adds a tiny perturbation that scrambles the texture statistics style-mimicry training relies on. Computed on your device, nothing is uploaded.",
+  presets: "Presets",
+  presetsHint: "Save the look of your watermark, signature image included, and reuse it. The starred preset loads when the app opens. Export the list to share a house style with your team.",
+  noPresets: "No presets yet.",
+  presetNamePlaceholder: "Preset name, e.g. Instagram",
+  saveCurrentAsPreset: "Save current",
+  untitledPreset: "Untitled preset",
+  applyPreset: "Apply this preset",
+  defaultPreset: "Load this preset when the app opens",
+  updatePreset: "Update",
+  renamePreset: "Rename",
+  duplicatePreset: "Duplicate",
+  deletePreset: "Delete",
+  copySuffix: "copy",
+  importPresets: "Import presets",
+  exportPresets: "Export presets",
+  updatePresetConfirm: "Replace \"{name}\" with the current settings?",
+  deletePresetConfirm: "Delete the preset \"{name}\"?",
+  presetSaved: "Preset saved",
+  presetApplied: "Preset \"{name}\" applied",
+  presetsImported: "Presets imported",
+  invalidPresetFile: "This is not a presets file exported by the app",
+  presetOperationFailed: "The preset could not be saved or loaded",
+  restoreSessionTitle: "Pick up where you left off?",
+  restoreSessionPrompt: "Your last session from {time} is saved in this browser.",
+  restoreSessionImage: "Image: {name}",
+  sessionImageSkipped: "The image was larger than {size} MB and was not kept; the signature and settings can still be restored.",
+  restoreSession: "Restore",
+  discardSession: "Discard",
+  sessionRestored: "Previous session restored",
+  sessionRestoreFailed: "The previous session could not be restored",
+  undo: "Undo",
+  redo: "Redo",
+  watermarkedView: "Watermarked",
+  splitView: "Before / after",
+  differenceView: "Difference",
+  zoomIn: "Zoom in",
+  zoomOut: "Zoom out",
+  zoomActualSize: "Actual size (one image pixel per screen pixel)",
+  zoomFit: "Fit",
+  originalImage: "Original image",
+  beforeLabel: "Before",
+  afterLabel: "After",
+  markCoverage: "The mark visibly changes {percent}% of the picture",
+  outputSize: "Output size",
+  outputSizeHint: "Crops and resizes the image before watermarking, so the mark is scaled and the hidden data embedded at the final size.",
+  originalSize: "Original size",
+  customSize: "Custom size",
+  upTo: "up to",
+  outputWidth: "Width",
+  outputHeight: "Height",
+  cropHorizontal: "Crop position (horizontal)",
+  cropVertical: "Crop position (vertical)",
+  outputDimensions: "Output: {width} × {height} px",
+  exportAllSizes: "Export all sizes",
+  exportAllSizesHint: "ZIP with a separately watermarked file for Instagram 1:1 and 4:5, 16:9, Twitter / X and ArtStation",
+  changeSignatureImage: "Change Signature Image",
+  donate: "Donate",
+  thanksForConsidering: "Thanks for Considering!",
+  donationThanksMessage: "Your support helps us keep improving this tool and is greatly appreciated!",
+  donationConsideredMessage: "We appreciate you considering to support us. You can always donate later with the Donate button.",
+  batchDoneCount: "{count} of {total} done",
+  shareProtectedImage: "Share",
+  shareProtectedImageHint: "Send the protected image to another app",
+  shareReady: "Ready, tap to share",
+  shareFailed: "Sharing failed. Download the image instead.",
+  pasteHint: "or paste an image with Ctrl+V",
+  copyProtectedImage: "Copy protected image",
+  copyProtectedImageHint: "Copy the protected image as PNG, hidden watermark included",
+  imageCopied: "Protected image copied to the clipboard",
+  copyFailed: "Could not copy the image. Download it instead.",
+  animatedImageInfo: { one: "Animated {format} with {count} frame: every frame is watermarked", other: "Animated {format} with {count} frames: every frame is watermarked" },
+  animatedExportFormat: "Animated {format}. Every frame is watermarked and the download stays an animated {format}.",
+  animationDestroysLsb: "Reducing the frames to GIF colours or compressing them as WebP wipes out the hidden details stored in exact pixel values. Only the robust owner ID will survive.",
+  animationTooLarge: "This animation has too many frames to process. Shorten it or reduce its size.",
+  removeSignatureBackground: "Remove the paper background",
+  backgroundThreshold: "Background tolerance",
+  backgroundFeather: "Edge softness",
+  trimSignatureMargins: "Trim empty margins",
+  tintSignature: "Recolour with the text colour",
+  imageTooLarge: "This image is too large to save as JPEG or WebP. Choose PNG or a smaller output size.",
+  cloakLastExport: "Last export",
+  cloakMeasured: "AI-training cloak applied: PSNR {psnr} dB · SSIM {ssim}",
+};
@@ -0,0 +1,322 @@
+export const es = {
+  appTitle: "Protector de Arte Digital",
+  uploadAnImage: "Sube una imagen para comenzar",
+  signaturePlaceholder: "Ingresa tu firma o texto de marca de agua",
+  yourSignature: "Tu Firma",
+  uploadImage: "Subir Imagen",
+  clickOrDragToUpload: "Haz clic o arrastra para subir",
+  pngJpgGifUpTo10MB: "PNG, JPG, GIF hasta 10MB",
+  imageLoaded: "Imagen cargada: {width} × {height} px",
+  textColor: "Color del Texto",
+  opacity: "Opacidad",
+  angle: "Ángulo",
+  density: "Densidad",
+  fontSize: "Tamaño de Fuente",
+  customSignatureSize: "Tamaño de Firma Personalizada",
+  resetAllSettings: "Restablecer Configuración",
+  preview: "Vista Previa",
+  processingYourImage: "Procesando tu imagen...",
+  watermarkedPreview: "Vista previa con marca de agua",
+  downloadProtectedImage: "Descargar Imagen Protegida",
+  generatingPreview: "Generando vista previa...",
+  enterYourSignature: "Ingresa tu firma o sube una imagen de firma personalizada",
+  uploadAnImageToSeePreview: "Sube una imagen para ver la vista previa",
+  howItWorks: "Cómo Funciona",
+  uploadYourArt: "Sube tu Arte",
+  uploadAnyImage: "Sube cualquier imagen que quieras proteger de uso no autorizado.",
+  addYourSignature: "Agrega tu Firma",
+  enterYourName: "Ingresa tu nombre o firma y personaliza su apariencia.",
+  downloadProtectedArt: "Descarga tu Arte Protegido",
+  downloadYourArtwork: "Descarga tu obra con marcas de agua diagonales integradas.",
+  orUploadCustomSignature: "O Sube una Firma Personalizada (PNG, JPG, WebP)",
+  clickOrDragToUploadPNG: "Haz clic o arrastra para subir PNG, JPG o WebP",
+  transparentPNGRecommended: "PNG transparente o una foto sobre papel liso",
+  signaturePreview: "Vista previa de la firma",
+  removeSignatureImage: "Eliminar Imagen de Firma",
+  uploadConfigure: "Subir y Configurar",
+  digitalArtProtector: "Protector de Arte Digital",
+  allRightsReserved: "Todos los derechos reservados",
+  resetSuccess: "Configuración restablecida exitosamente",
+  imageUploaded: "¡Imagen subida exitosamente!",
+  invalidImage: "Por favor sube un archivo de imagen",
+  invalidSignatureImage: "Por favor sube un archivo PNG, JPG o WebP",
+  signatureImageUploaded: "¡Imagen de firma subida!",
+  noImageSelected: "Ninguna imagen seleccionada",
+  language: "Idioma",
+  step1: "1",
+  step1Title: "Sube tu Arte",
+  step1Desc: "Sube cualquier imagen que quieras proteger de uso no autorizado.",
+  step2: "2",
+  step2Title: "Agrega tu Firma",
+  step2Desc: "Ingresa tu nombre o firma y personaliza su apariencia.",
+  step3: "3",
+  step3Title: "Descarga tu Arte Protegido",
+  step3Desc: "Descarga tu obra con marcas de agua diagonales integradas.",
+  captchaInstructions: "Por favor, verifica que eres humano para continuar",
+  captchaPlaceholder: "Ingresa el texto CAPTCHA",
+  captchaError: "Error en la verificación. Por favor, inténtalo de nuevo.",
+  captchaExpired: "La verificación ha expirado. Por favor, inténtalo de nuevo.",
+  captchaRequired: "Por favor, completa la verificación",
+  verify: "Verificar",
+  cancel: "Cancelar",
+  downloadFailed: "Error al descargar. Por favor, inténtalo de nuevo.",
+  supportUs: "Apoya Nuestro Trabajo",
+  supportMessage: "Si encuentras útil esta herramienta, por favor considera apoyarnos con una donación.",
+  oneTimeDonation: "Donación única",
+  paypalDonate: "Donar con PayPal",
+  payoneerDonate: "Donar con Payoneer",
+  maybeLater: "Quizás más tarde",
+  thanksForSupport: "¡Gracias por tu apoyo! 💖",
+  close: "Cerrar",
+  orSelectFolder: "o selecciona una carpeta completa",
+  batchLoaded: { one: "{count} imagen añadida al lote", other: "{count} imágenes añadidas al lote" },
+  batchFiles: { one: "Lote ({count} imagen)", other: "Lote ({count} imágenes)" },
+  batchPending: "En espera",
+  batchProcessing: "Procesando...",
+  batchDone: "Listo",
+  batchError: "Error",
+  clearBatch: "Vaciar lista",
+  downloadZip: "Descargar Todo en ZIP",
+  protectTab: "Proteger",
+  verifyTab: "Verificar Autoría",
+  verifyOwnership: "Verificar Autoría",
+  verifyDescription: "Arrastra una copia sospechosa de tu obra para leer el mensaje oculto que se incrustó al protegerla.",
+  dropSuspectImage: "Haz clic o arrastra aquí una imagen sospechosa",
+  verifying: "Comprobando imagen...",
+  verificationFailed: "No se pudo leer esta imagen.",
+  hiddenMessageFound: "Mensaje oculto encontrado",
+  noHiddenMessage: "No se encontró ningún mensaje oculto",
+  noHiddenMessageHint: "Esta imagen no fue protegida con esta aplicación o los datos ocultos fueron eliminados.",
+  hiddenMessageDamaged: "Se encontraron restos de datos ocultos, pero ya no se pueden leer. Probablemente la imagen fue editada o recodificada.",
+  recompression: "Recompresión",
+  recompressedLossyFormat: "Guardada en un formato con pérdida (JPEG/WebP), por lo que fue recomprimida",
+  recompressedArtifacts: "Muestra artefactos de bloques JPEG, parece recomprimida",
+  noRecompression: "Sin señales de recompresión",
+  resizing: "Redimensionado",
+  resizeUnknown: "Desconocido (tamaño original no disponible)",
+  resizedFrom: "Redimensionada desde",
+  notResized: "Mismo tamaño que el original protegido",
+  ownershipDetails: "Datos de Autoría Ocultos",
+  ownershipDetailsHint: "Se incrustan de forma invisible en cada descarga y se muestran en Verificar Autoría.",
+  authorName: "Autor",
+  contactUrl: "Contacto / URL",
+  license: "Licencia",
+  creationDate: "Creación",
+  note: "Nota",
+  embeddingCapacity: "Capacidad de incrustación",
+  characters: { one: "{used} / {count} carácter", other: "{used} / {count} caracteres" },
+  payloadTooLarge: "Los datos ocultos no caben en esta imagen. Acorta la nota o usa una imagen más grande.",
+  payloadVersion: "Versión de datos",
+  checksumValid: "suma de verificación correcta",
+  checksumInvalid: "la suma de verificación no coincide, los datos fueron alterados",
+  signingKey: "Clave de Firma",
+  signingKeyHint: "Firma los datos ocultos con tu propia clave para que nadie pueda falsificarlos. Publica tu clave pública para que otros puedan verificar tus imágenes.",
+  noSigningKey: "Aún no tienes clave. Genera una o importa una copia de seguridad.",
+  keyFingerprint: "Huella de la clave",
+  signHiddenPayload: "Firmar datos ocultos",
+  generateKey: "Generar Clave",
+  importKeyPair: "Importar Par de Claves",
+  exportPublicKey: "Exportar Clave Pública",
+  backUpKeyPair: "Respaldar Par de Claves",
+  deleteKey: "Eliminar Clave",
+  replaceKeyConfirm: "¿Reemplazar tu clave actual? Las imágenes firmadas con ella solo podrán verificarse con su clave pública.",
+  deleteKeyConfirm: "¿Eliminar tu clave de firma de este navegador? Asegúrate de tener una copia de seguridad.",
+  keyGenerated: "Nueva clave de firma generada",
+  keyImported: "Clave de firma importada",
+  keyOperationFailed: "La operación con la clave falló",
+  loadPublicKey: "Cargar una clave pública publicada (.json)",
+  invalidKeyFile: "Este archivo no es una clave válida.",
+  knownKeys: "Claves usadas para verificar",
+  yourKey: "tuya",
+  signatureValid: "Firma válida",
+  signatureInvalid: "Firma inválida, los datos ocultos fueron falsificados o alterados",
+  signatureUnknownKey: "Firmada con una clave que no está cargada",
+  signatureMissing: "Sin firma",
+  visibleImageMatches: "El hash firmado coincide con esta imagen",
+  visibleImageDiffers: "El hash firmado no coincide con esta imagen, los datos pueden haberse copiado de otra imagen",
+  invisibleWatermark: "Marca de agua invisible",
+  embedMode_both: "Datos ocultos + ID de propietario robusto (recomendado)",
+  embedMode_lsb: "Solo datos ocultos (se pierden al recodificar)",
+  embedMode_robust: "Solo ID de propietario robusto (resiste JPEG, redimensionado y recortes pequeños)",
+  robustWatermarkFound: "Marca de agua robusta encontrada",
+  noRobustWatermark: "No se encontró marca de agua robusta",
+  ownerId: "ID de propietario",
+  confidence: "Confianza",
+  looksCropped: "la imagen parece recortada",
+  yourDetails: "tus datos",
+  exportOptions: "Opciones de Exportación",
+  format: "Formato",
+  quality: "Calidad",
+  estimatedSize: "Tamaño estimado del archivo",
+  estimatedSizePerImage: "Tamaño estimado de esta imagen",
+  lossyDestroysLsb: "La compresión JPEG y WebP borra los datos ocultos guardados en los valores exactos de los píxeles. Solo sobrevivirá el ID de propietario robusto.",
+  switchToRobust: "Usar solo la marca de agua robusta",
+  writeMetadata: "Escribir metadatos de copyright",
+  writeMetadataHint: "Añade tu nombre y aviso de copyright como campos EXIF, IPTC y XMP que leen galerías y buscadores.",
+  sourceMetadata: "Metadatos del archivo original",
+  noSourceMetadata: "El archivo original no contiene metadatos.",
+  sourceMetadataHint: "Elige qué conservar en el archivo protegido. Todo lo marcado para eliminar se quita.",
+  sourceMetadataBatchHint: "Las mismas opciones se aplican a todas las imágenes del lote.",
+  sensitive: "sensible",
+  stripField: "Eliminar",
+  keepField: "Conservar",
+  alwaysRemoved: "Siempre se elimina",
+  keepingSensitiveMetadata: "Estás conservando datos que pueden revelar dónde vives o qué cámara tienes.",
+  metadataField_gps: "Ubicación GPS",
+  metadataField_serialNumber: "Número de serie de la cámara",
+  metadataField_lensSerialNumber: "Número de serie del objetivo",
+  metadataField_cameraOwner: "Propietario de la cámara",
+  metadataField_software: "Software",
+  metadataField_captureDate: "Fecha de captura",
+  metadataField_modifiedDate: "Fechas de modificación",
+  metadataField_camera: "Marca y modelo de cámara",
+  metadataField_lens: "Objetivo",
+  metadataField_cameraSettings: "Ajustes de exposición",
+  metadataField_originalCopyright: "Autor y copyright originales",
+  metadataField_editHistory: "Historial de edición",
+  metadataField_pngText: "Campos de texto PNG",
+  placement: "Colocación",
+  placement_tiled: "Cuadrícula",
+  placement_brick: "Ladrillo (filas desplazadas)",
+  placement_single: "Marca única",
+  placement_border: "Banda en los bordes",
+  placement_free: "Posición libre",
+  dragMarkHint: "Arrastra sobre la vista previa para colocar la marca.",
+  anchor: "Posición",
+  "anchor_top-left": "Arriba a la izquierda",
+  "anchor_top-center": "Arriba al centro",
+  "anchor_top-right": "Arriba a la derecha",
+  "anchor_middle-left": "Centro a la izquierda",
+  anchor_center: "Centro",
+  "anchor_middle-right": "Centro a la derecha",
+  "anchor_bottom-left": "Abajo a la izquierda",
+  "anchor_bottom-center": "Abajo al centro",
+  "anchor_bottom-right": "Abajo a la derecha",
+  margin: "Margen",
+  typography: "Estilo del texto",
+  font: "Fuente",
+  uploadFont: "Subir fuente",
+  fontLoaded: "Fuente cargada",
+  invalidFont: "Sube un archivo de fuente TTF, OTF, WOFF o WOFF2",
+  fontLoadFailed: "No se pudo cargar la fuente",
+  bold: "Negrita",
+  italic: "Cursiva",
+  align_left: "Izquierda",
+  align_center: "Centro",
+  align_right: "Derecha",
+  letterSpacing: "Espaciado entre letras",
+  outline: "Contorno",
+  outlineColor: "Color del contorno",
+  shadow: "Sombra",
+  shadowColor: "Color de la sombra",
+  multiLineHint: "Pulsa Intro para añadir una línea.",
+  colorMode: "Modo de color",
+  colorMode_fixed: "Color fijo",
+  colorMode_adaptive: "Contraste adaptativo",
+  colorMode_invert: "Invertir la obra",
+  adaptiveColorHint: "Cada marca se aclara sobre zonas oscuras y se oscurece sobre zonas claras, manteniendo el tono de tu color.",
+  blendMode: "Modo de fusión",
+  "blendMode_source-over": "Normal",
+  blendMode_multiply: "Multiplicar",
+  blendMode_screen: "Trama",
+  blendMode_overlay: "Superponer",
+  "blendMode_soft-light": "Luz suave",
+  "blendMode_hard-light": "Luz fuerte",
+  blendMode_difference: "Diferencia",
+  jitter: "Variación de mosaicos",
+  interference: "Interferencia",
+  interference_none: "Ninguna",
+  interference_noise: "Ruido tenue",
+  interference_mesh: "Líneas de malla",
+  seed: "Semilla",
+  newSeed: "Nueva semilla aleatoria",
+  seedHint: "Los mosaicos variados y las superposiciones son mucho más difíciles de eliminar. Guarda la semilla para reproducir exactamente el mismo patrón.",
+  aiCloak: "Protección contra entrenamiento de IA",
+  cloak_off: "Desactivada",
+  cloak_low: "Baja (apenas medible)",
+  cloak_medium: "Media",
+  cloak_high: "Alta (puede notarse en zonas planas)",
+  aiCloakHint: "Añade una perturbación mínima que altera las estadísticas de textura en las que se basa el entrenamiento para imitar estilos. Se calcula en tu dispositivo, no se sube nada.",
+  presets: "Ajustes guardados",
+  presetsHint: "Guarda el aspecto de tu marca de agua, imagen de firma incluida, y reutilízalo. El ajuste marcado con estrella se carga al abrir la aplicación. Exporta la lista para compartir un estilo de la casa con tu equipo.",
+  noPresets: "Todavía no hay ajustes guardados.",
+  presetNamePlaceholder: "Nombre, p. ej. Instagram",
+  saveCurrentAsPreset: "Guardar actual",
+  untitledPreset: "Ajuste sin nombre",
+  applyPreset: "Aplicar este ajuste",
+  defaultPreset: "Cargar este ajuste al abrir la aplicación",
+  updatePreset: "Actualizar",
+  renamePreset: "Renombrar",
+  duplicatePreset: "Duplicar",
+  deletePreset: "Eliminar",
+  copySuffix: "copia",
+  importPresets: "Importar ajustes",
+  exportPresets: "Exportar ajustes",
+  updatePresetConfirm: "¿Reemplazar \"{name}\" con los ajustes actuales?",
+  deletePresetConfirm: "¿Eliminar el ajuste \"{name}\"?",
+  presetSaved: "Ajuste guardado",
+  presetApplied: "Ajuste \"{name}\" aplicado",
+  presetsImported: "Ajustes importados",
+  invalidPresetFile: "Este no es un archivo de ajustes exportado por la aplicación",
+  presetOperationFailed: "No se pudo guardar o cargar el ajuste",
+  restoreSessionTitle: "¿Continuar donde lo dejaste?",
+  restoreSessionPrompt: "Tu última sesión del {time} está guardada en este navegador.",
+  restoreSessionImage: "Imagen: {name}",
+  sessionImageSkipped: "La imagen superaba {size} MB y no se guardó; la firma y los ajustes aún se pueden restaurar.",
+  restoreSession: "Restaurar",
+  discardSession: "Descartar",
+  sessionRestored: "Sesión anterior restaurada",
+  sessionRestoreFailed: "No se pudo restaurar la sesión anterior",
+  undo: "Deshacer",
+  redo: "Rehacer",
+  watermarkedView: "Con marca",
+  splitView: "Antes / después",
+  differenceView: "Diferencia",
+  zoomIn: "Acercar",
+  zoomOut: "Alejar",
+  zoomActualSize: "Tamaño real (un píxel de la imagen por píxel de pantalla)",
+  zoomFit: "Ajustar",
+  originalImage: "Imagen original",
+  beforeLabel: "Antes",
+  afterLabel: "Después",
+  markCoverage: "La marca cambia visiblemente el {percent}% de la imagen",
+  outputSize: "Tamaño de salida",
+  outputSizeHint: "Recorta y redimensiona la imagen antes de aplicar la marca, para que la marca se escale y los datos ocultos se incrusten al tamaño final.",
+  originalSize: "Tamaño original",
+  customSize: "Tamaño personalizado",
+  upTo: "hasta",
+  outputWidth: "Ancho",
+  outputHeight: "Alto",
+  cropHorizontal: "Posición del recorte (horizontal)",
+  cropVertical: "Posición del recorte (vertical)",
+  outputDimensions: "Salida: {width} × {height} px",
+  exportAllSizes: "Exportar todos los tamaños",
+  exportAllSizesHint: "ZIP con un archivo con marca propia para Instagram 1:1 y 4:5, 16:9, Twitter / X y ArtStation",
+  changeSignatureImage: "Cambiar imagen de firma",
+  donate: "Donar",
+  thanksForConsidering: "¡Gracias por pensarlo!",
+  donationThanksMessage: "Tu apoyo nos ayuda a seguir mejorando esta herramienta. ¡Lo agradecemos mucho!",
+  donationConsideredMessage: "Gracias por pensar en apoyarnos. Siempre puedes donar más tarde con el botón Donar.",
+  batchDoneCount: "{count} de {total} listas",
+  shareProtectedImage: "Compartir",
+  shareProtectedImageHint: "Envía la imagen protegida a otra app",
+  shareReady: "Lista, toca para compartir",
+  shareFailed: "No se pudo compartir. Descarga la imagen en su lugar.",
+  pasteHint: "o pega una imagen con Ctrl+V",
+  copyProtectedImage: "Copiar imagen protegida",
+  copyProtectedImageHint: "Copia la imagen protegida como PNG, con la marca de agua invisible incluida",
+  imageCopied: "Imagen protegida copiada al portapapeles",
+  copyFailed: "No se pudo copiar la imagen. Descárgala en su lugar.",
+  animatedImageInfo: { one: "{format} animado con {count} fotograma: se marca cada fotograma", other: "{format} animado con {count} fotogramas: se marca cada fotograma" },
+  animatedExportFormat: "{format} animado. Cada fotograma lleva la marca de agua y la descarga sigue siendo un {format} animado.",
+  animationDestroysLsb: "Reducir los fotogramas a los colores de GIF o comprimirlos como WebP borra los detalles ocultos guardados en los valores exactos de los píxeles. Solo sobrevivirá el ID de propietario robusto.",
+  animationTooLarge: "Esta animación tiene demasiados fotogramas para procesarla. Acórtala o reduce su tamaño.",
+  removeSignatureBackground: "Quitar el fondo del papel",
+  backgroundThreshold: "Tolerancia del fondo",
+  backgroundFeather: "Suavizado de bordes",
+  trimSignatureMargins: "Recortar márgenes vacíos",
+  tintSignature: "Colorear con el color del texto",
+  imageTooLarge: "Esta imagen es demasiado grande para guardarla como JPEG o WebP. Elige PNG o un tamaño de salida menor.",
+  cloakLastExport: "Última exportación",
+  cloakMeasured: "Protección contra entrenamiento de IA aplicada: PSNR {psnr} dB · SSIM {ssim}",
+};
@@ -0,0 +1,322 @@
+export const fr = {
+  appTitle: "Protecteur d'Art Numérique",
+  uploadAnImage: "Importez une image pour commencer",
+  signaturePlaceholder: "Saisissez votre signature ou le texte du filigrane",
+  yourSignature: "Votre signature",
+  uploadImage: "Importer une image",
+  clickOrDragToUpload: "Cliquez ou glissez pour importer",
+  pngJpgGifUpTo10MB: "PNG, JPG, GIF jusqu'à 10 Mo",
+  imageLoaded: "Image chargée : {width} × {height} px",
+  textColor: "Couleur du texte",
+  opacity: "Opacité",
+  angle: "Angle",
+  density: "Densité",
+  fontSize: "Taille de police",
+  customSignatureSize: "Taille de la signature",
+  resetAllSettings: "Réinitialiser tous les réglages",
+  preview: "Aperçu",
+  processingYourImage: "Traitement de votre image...",
+  watermarkedPreview: "Aperçu avec filigrane",
+  downloadProtectedImage: "Télécharger l'image protégée",
+  generatingPreview: "Génération de l'aperçu...",
+  enterYourSignature: "Saisissez votre signature ou importez une image de signature",
+  uploadAnImageToSeePreview: "Importez une image pour voir l'aperçu",
+  howItWorks: "Comment ça marche",
+  uploadYourArt: "Importez votre œuvre",
+  uploadAnyImage: "Importez n'importe quelle image à protéger contre une utilisation non autorisée.",
+  addYourSignature: "Ajoutez votre signature",
+  enterYourName: "Saisissez votre nom ou votre signature et personnalisez son apparence.",
+  downloadProtectedArt: "Téléchargez l'œuvre protégée",
+  downloadYourArtwork: "Téléchargez votre œuvre avec des filigranes diagonaux intégrés.",
+  orUploadCustomSignature: "Ou importez une signature personnalisée (PNG, JPG, WebP)",
+  clickOrDragToUploadPNG: "Cliquez ou glissez pour importer un PNG, JPG ou WebP",
+  transparentPNGRecommended: "PNG transparent ou photo sur papier uni",
+  signaturePreview: "Aperçu de la signature",
+  removeSignatureImage: "Retirer l'image de signature",
+  uploadConfigure: "Importer et configurer",
+  digitalArtProtector: "Protecteur d'Art Numérique",
+  allRightsReserved: "Tous droits réservés",
+  resetSuccess: "Réglages réinitialisés",
+  imageUploaded: "Image importée !",
+  invalidImage: "Veuillez importer un fichier image",
+  invalidSignatureImage: "Veuillez importer un fichier PNG, JPG ou WebP",
+  signatureImageUploaded: "Image de signature importée !",
+  noImageSelected: "Aucune image sélectionnée",
+  language: "Langue",
+  step1: "1",
+  step1Title: "Importez votre œuvre",
+  step1Desc: "Importez n'importe quelle image à protéger contre une utilisation non autorisée.",
+  step2: "2",
+  step2Title: "Ajoutez votre signature",
+  step2Desc: "Saisissez votre nom ou votre signature et personnalisez son apparence.",
+  step3: "3",
+  step3Title: "Téléchargez l'œuvre protégée",
+  step3Desc: "Téléchargez votre œuvre avec des filigranes diagonaux intégrés.",
+  captchaInstructions: "Veuillez confirmer que vous êtes humain pour continuer",
+  captchaPlaceholder: "Saisissez le texte du CAPTCHA",
+  captchaError: "La vérification a échoué. Veuillez réessayer.",
+  captchaExpired: "La vérification a expiré. Veuillez réessayer.",
+  captchaRequired: "Veuillez terminer la vérification",
+  verify: "Vérifier",
+  cancel: "Annuler",
+  downloadFailed: "Le téléchargement a échoué. Veuillez réessayer.",
+  supportUs: "Soutenez notre travail",
+  supportMessage: "Si cet outil vous est utile, pensez à nous soutenir par un don.",
+  oneTimeDonation: "Don ponctuel",
+  paypalDonate: "Faire un don avec PayPal",
+  payoneerDonate: "Faire un don avec Payoneer",
+  maybeLater: "Plus tard",
+  thanksForSupport: "Merci pour votre soutien ! 💖",
+  close: "Fermer",
+  orSelectFolder: "ou sélectionnez un dossier entier",
+  batchLoaded: { one: "{count} image ajoutée au lot", other: "{count} images ajoutées au lot" },
+  batchFiles: { one: "Lot ({count} image)", other: "Lot ({count} images)" },
+  batchPending: "En attente",
+  batchProcessing: "Traitement...",
+  batchDone: "Terminé",
+  batchError: "Échec",
+  clearBatch: "Vider la liste",
+  downloadZip: "Tout télécharger en ZIP",
+  protectTab: "Protéger",
+  verifyTab: "Vérifier la propriété",
+  verifyOwnership: "Vérifier la propriété",
+  verifyDescription: "Déposez une copie suspecte de votre œuvre pour lire le message caché intégré lors de sa protection.",
+  dropSuspectImage: "Cliquez ou glissez une image suspecte ici",
+  verifying: "Analyse de l'image...",
+  verificationFailed: "Impossible de lire cette image.",
+  hiddenMessageFound: "Message caché trouvé",
+  noHiddenMessage: "Aucun message caché trouvé",
+  noHiddenMessageHint: "Cette image n'a pas été protégée par cette application, ou les données cachées ont été supprimées.",
+  hiddenMessageDamaged: "Des traces de données cachées ont été trouvées, mais elles ne sont plus lisibles. L'image a probablement été modifiée ou réencodée.",
+  recompression: "Recompression",
+  recompressedLossyFormat: "Enregistrée dans un format avec perte (JPEG/WebP), elle a donc été recompressée",
+  recompressedArtifacts: "Présente des artefacts de blocs JPEG, elle semble recompressée",
+  noRecompression: "Aucun signe de recompression",
+  resizing: "Redimensionnement",
+  resizeUnknown: "Inconnu (taille d'origine indisponible)",
+  resizedFrom: "Redimensionnée de",
+  notResized: "Même taille que l'original protégé",
+  ownershipDetails: "Informations de propriété cachées",
+  ownershipDetailsHint: "Intégrées de façon invisible dans chaque téléchargement et affichées par Vérifier la propriété.",
+  authorName: "Auteur",
+  contactUrl: "Contact / URL",
+  license: "Licence",
+  creationDate: "Création",
+  note: "Note",
+  embeddingCapacity: "Capacité d'intégration",
+  characters: { one: "{used} / {count} caractère", other: "{used} / {count} caractères" },
+  payloadTooLarge: "Les informations cachées ne tiennent pas dans cette image. Raccourcissez la note ou utilisez une image plus grande.",
+  payloadVersion: "Version des données",
+  checksumValid: "somme de contrôle correcte",
+  checksumInvalid: "somme de contrôle incorrecte, les données ont été modifiées",
+  signingKey: "Clé de signature",
+  signingKeyHint: "Signez les informations cachées avec votre propre clé pour que personne ne puisse les falsifier. Publiez votre clé publique pour que d'autres puissent vérifier vos images.",
+  noSigningKey: "Pas encore de clé. Générez-en une ou importez une sauvegarde.",
+  keyFingerprint: "Empreinte de la clé",
+  signHiddenPayload: "Signer les informations cachées",
+  generateKey: "Générer une clé",
+  importKeyPair: "Importer une paire de clés",
+  exportPublicKey: "Exporter la clé publique",
+  backUpKeyPair: "Sauvegarder la paire de clés",
+  deleteKey: "Supprimer la clé",
+  replaceKeyConfirm: "Remplacer votre clé actuelle ? Les images signées avec elle ne pourront être vérifiées qu'avec sa clé publique.",
+  deleteKeyConfirm: "Supprimer votre clé de signature de ce navigateur ? Assurez-vous d'avoir une sauvegarde.",
+  keyGenerated: "Nouvelle clé de signature générée",
+  keyImported: "Clé de signature importée",
+  keyOperationFailed: "L'opération sur la clé a échoué",
+  loadPublicKey: "Charger une clé publique publiée (.json)",
+  invalidKeyFile: "Ce fichier n'est pas une clé valide.",
+  knownKeys: "Clés utilisées pour la vérification",
+  yourKey: "la vôtre",
+  signatureValid: "Signature valide",
+  signatureInvalid: "Signature invalide, les informations cachées ont été falsifiées ou modifiées",
+  signatureUnknownKey: "Signée avec une clé qui n'est pas chargée",
+  signatureMissing: "Non signée",
+  visibleImageMatches: "L'empreinte de l'image signée correspond à cette image",
+  visibleImageDiffers: "L'empreinte de l'image signée ne correspond pas à cette image, les informations ont peut-être été copiées d'une autre image",
+  invisibleWatermark: "Filigrane invisible",
+  embedMode_both: "Informations cachées + identifiant robuste (recommandé)",
+  embedMode_lsb: "Informations cachées seulement (perdues au réencodage)",
+  embedMode_robust: "Identifiant robuste seulement (résiste au JPEG, au redimensionnement et aux petits recadrages)",
+  robustWatermarkFound: "Filigrane robuste trouvé",
+  noRobustWatermark: "Aucun filigrane robuste trouvé",
+  ownerId: "Identifiant du propriétaire",
+  confidence: "Confiance",
+  looksCropped: "l'image semble recadrée",
+  yourDetails: "vos informations",
+  exportOptions: "Options d'export",
+  format: "Format",
+  quality: "Qualité",
+  estimatedSize: "Taille estimée du fichier",
+  estimatedSizePerImage: "Taille estimée de cette image",
+  lossyDestroysLsb: "La compression JPEG et WebP efface les informations cachées stockées dans la valeur exacte des pixels. Seul l'identifiant robuste survivra.",
+  switchToRobust: "Utiliser seulement le filigrane robuste",
+  writeMetadata: "Écrire les métadonnées de copyright",
+  writeMetadataHint: "Ajoute votre nom et votre mention de copyright dans les champs EXIF, IPTC et XMP lus par les galeries et les moteurs de recherche.",
+  sourceMetadata: "Métadonnées du fichier d'origine",
+  noSourceMetadata: "Le fichier d'origine ne contient aucune métadonnée.",
+  sourceMetadataHint: "Choisissez ce qui est conservé dans le fichier protégé. Tout ce qui est à supprimer est retiré.",
+  sourceMetadataBatchHint: "Les mêmes choix s'appliquent à toutes les images du lot.",
+  sensitive: "sensible",
+  stripField: "Supprimer",
+  keepField: "Conserver",
+  alwaysRemoved: "Toujours supprimé",
+  keepingSensitiveMetadata: "Vous conservez des champs qui peuvent révéler où vous habitez ou quel appareil vous possédez.",
+  metadataField_gps: "Position GPS",
+  metadataField_serialNumber: "Numéro de série de l'appareil",
+  metadataField_lensSerialNumber: "Numéro de série de l'objectif",
+  metadataField_cameraOwner: "Propriétaire de l'appareil",
+  metadataField_software: "Logiciel",
+  metadataField_captureDate: "Date de prise de vue",
+  metadataField_modifiedDate: "Dates de modification",
+  metadataField_camera: "Marque et modèle de l'appareil",
+  metadataField_lens: "Objectif",
+  metadataField_cameraSettings: "Réglages d'exposition",
+  metadataField_originalCopyright: "Artiste et copyright d'origine",
+  metadataField_editHistory: "Historique des modifications",
+  metadataField_pngText: "Champs de texte PNG",
+  placement: "Disposition",
+  placement_tiled: "Grille en mosaïque",
+  placement_brick: "Briques (rangées décalées)",
+  placement_single: "Marque unique",
+  placement_border: "Bande en bordure",
+  placement_free: "Position libre",
+  dragMarkHint: "Glissez sur l'aperçu pour placer la marque.",
+  anchor: "Position",
+  "anchor_top-left": "En haut à gauche",
+  "anchor_top-center": "En haut au centre",
+  "anchor_top-right": "En haut à droite",
+  "anchor_middle-left": "Au milieu à gauche",
+  anchor_center: "Centre",
+  "anchor_middle-right": "Au milieu à droite",
+  "anchor_bottom-left": "En bas à gauche",
+  "anchor_bottom-center": "En bas au centre",
+  "anchor_bottom-right": "En bas à droite",
+  margin: "Marge",
+  typography: "Style du texte",
+  font: "Police",
+  uploadFont: "Importer une police",
+  fontLoaded: "Police chargée",
+  invalidFont: "Veuillez importer un fichier de police TTF, OTF, WOFF ou WOFF2",
+  fontLoadFailed: "La police n'a pas pu être chargée",
+  bold: "Gras",
+  italic: "Italique",
+  align_left: "Gauche",
+  align_center: "Centre",
+  align_right: "Droite",
+  letterSpacing: "Espacement des lettres",
+  outline: "Contour",
+  outlineColor: "Couleur du contour",
+  shadow: "Ombre",
+  shadowColor: "Couleur de l'ombre",
+  multiLineHint: "Appuyez sur Entrée pour une nouvelle ligne.",
+  colorMode: "Mode de couleur",
+  colorMode_fixed: "Couleur fixe",
+  colorMode_adaptive: "Contraste adaptatif",
+  colorMode_invert: "Inverser l'œuvre",
+  adaptiveColorHint: "Chaque marque est éclaircie sur les zones sombres et assombrie sur les zones claires, en gardant la teinte de votre couleur.",
+  blendMode: "Mode de fusion",
+  "blendMode_source-over": "Normal",
+  blendMode_multiply: "Produit",
+  blendMode_screen: "Superposition claire",
+  blendMode_overlay: "Incrustation",
+  "blendMode_soft-light": "Lumière tamisée",
+  "blendMode_hard-light": "Lumière crue",
+  blendMode_difference: "Différence",
+  jitter: "Variation des tuiles",
+  interference: "Interférence",
+  interference_none: "Aucune",
+  interference_noise: "Bruit léger",
+  interference_mesh: "Lignes en maillage",
+  seed: "Graine",
+  newSeed: "Nouvelle graine aléatoire",
+  seedHint: "Des tuiles et des superpositions variées sont bien plus difficiles à retirer. Gardez la graine pour reproduire exactement le même motif.",
+  aiCloak: "Protection contre l'entraînement d'IA",
+  cloak_off: "Désactivée",
+  cloak_low: "Faible (à peine mesurable)",
+  cloak_medium: "Moyenne",
+  cloak_high: "Forte (peut se voir sur les aplats)",
+  aiCloakHint: "Ajoute une perturbation infime qui brouille les statistiques de texture dont dépend l'entraînement par imitation de style. Calculée sur votre appareil, rien n'est envoyé.",
+  presets: "Préréglages",
+  presetsHint: "Enregistrez l'apparence de votre filigrane, image de signature comprise, et réutilisez-la. Le préréglage marqué d'une étoile se charge à l'ouverture. Exportez la liste pour partager un style maison avec votre équipe.",
+  noPresets: "Aucun préréglage pour l'instant.",
+  presetNamePlaceholder: "Nom du préréglage, p. ex. Instagram",
+  saveCurrentAsPreset: "Enregistrer l'actuel",
+  untitledPreset: "Préréglage sans titre",
+  applyPreset: "Appliquer ce préréglage",
+  defaultPreset: "Charger ce préréglage à l'ouverture",
+  updatePreset: "Mettre à jour",
+  renamePreset: "Renommer",
+  duplicatePreset: "Dupliquer",
+  deletePreset: "Supprimer",
+  copySuffix: "copie",
+  importPresets: "Importer des préréglages",
+  exportPresets: "Exporter les préréglages",
+  updatePresetConfirm: "Remplacer « {name} » par les réglages actuels ?",
+  deletePresetConfirm: "Supprimer le préréglage « {name} » ?",
+  presetSaved: "Préréglage enregistré",
+  presetApplied: "Préréglage « {name} » appliqué",
+  presetsImported: "Préréglages importés",
+  invalidPresetFile: "Ce n'est pas un fichier de préréglages exporté par l'application",
+  presetOperationFailed: "Le préréglage n'a pas pu être enregistré ou chargé",
+  restoreSessionTitle: "Reprendre là où vous vous étiez arrêté ?",
+  restoreSessionPrompt: "Votre dernière session du {time} est enregistrée dans ce navigateur.",
+  restoreSessionImage: "Image : {name}",
+  sessionImageSkipped: "L'image dépassait {size} Mo et n'a pas été conservée ; la signature et les réglages peuvent tout de même être restaurés.",
+  restoreSession: "Restaurer",
+  discardSession: "Ignorer",
+  sessionRestored: "Session précédente restaurée",
+  sessionRestoreFailed: "La session précédente n'a pas pu être restaurée",
+  undo: "Annuler",
+  redo: "Rétablir",
+  watermarkedView: "Avec filigrane",
+  splitView: "Avant / après",
+  differenceView: "Différence",
+  zoomIn: "Zoom avant",
+  zoomOut: "Zoom arrière",
+  zoomActualSize: "Taille réelle (un pixel d'image par pixel d'écran)",
+  zoomFit: "Ajuster",
+  originalImage: "Image d'origine",
+  beforeLabel: "Avant",
+  afterLabel: "Après",
+  markCoverage: "La marque modifie visiblement {percent} % de l'image",
+  outputSize: "Taille de sortie",
+  outputSizeHint: "Recadre et redimensionne l'image avant le filigrane, pour que la marque soit mise à l'échelle et les données cachées intégrées à la taille finale.",
+  originalSize: "Taille d'origine",
+  customSize: "Taille personnalisée",
+  upTo: "jusqu'à",
+  outputWidth: "Largeur",
+  outputHeight: "Hauteur",
+  cropHorizontal: "Position du recadrage (horizontale)",
+  cropVertical: "Position du recadrage (verticale)",
+  outputDimensions: "Sortie : {width} × {height} px",
+  exportAllSizes: "Exporter toutes les tailles",
+  exportAllSizesHint: "ZIP avec un fichier filigrané séparément pour Instagram 1:1 et 4:5, 16:9, Twitter / X et ArtStation",
+  changeSignatureImage: "Changer l'image de signature",
+  donate: "Faire un don",
+  thanksForConsidering: "Merci d'y avoir pensé !",
+  donationThanksMessage: "Votre soutien nous aide à continuer d'améliorer cet outil, merci infiniment !",
+  donationConsideredMessage: "Merci d'avoir pensé à nous soutenir. Vous pourrez toujours faire un don plus tard avec le bouton Faire un don.",
+  batchDoneCount: "{count} sur {total} terminées",
+  shareProtectedImage: "Partager",
+  shareProtectedImageHint: "Envoyer l'image protégée vers une autre application",
+  shareReady: "Prête, touchez pour partager",
+  shareFailed: "Le partage a échoué. Téléchargez plutôt l'image.",
+  pasteHint: "ou collez une image avec Ctrl+V",
+  copyProtectedImage: "Copier l'image protégée",
+  copyProtectedImageHint: "Copier l'image protégée en PNG, filigrane invisible compris",
+  imageCopied: "Image protégée copiée dans le presse-papiers",
+  copyFailed: "Impossible de copier l'image. Téléchargez-la plutôt.",
+  animatedImageInfo: { one: "{format} animé de {count} image : chaque image est filigranée", other: "{format} animé de {count} images : chaque image est filigranée" },
+  animatedExportFormat: "{format} animé. Chaque image reçoit le filigrane et le téléchargement reste un {format} animé.",
+  animationDestroysLsb: "Réduire les images aux couleurs GIF ou les compresser en WebP efface les détails cachés dans les valeurs exactes des pixels. Seul l'identifiant robuste du propriétaire survivra.",
+  animationTooLarge: "Cette animation a trop d'images pour être traitée. Raccourcis-la ou réduis sa taille.",
+  removeSignatureBackground: "Retirer le fond du papier",
+  backgroundThreshold: "Tolérance du fond",
+  backgroundFeather: "Adoucissement des bords",
+  trimSignatureMargins: "Rogner les marges vides",
+  tintSignature: "Recolorer avec la couleur du texte",
+  imageTooLarge: "Cette image est trop grande pour être enregistrée en JPEG ou WebP. Choisissez PNG ou une taille de sortie plus petite.",
+  cloakLastExport: "Dernier export",
+  cloakMeasured: "Protection contre l'entraînement d'IA appliquée : PSNR {psnr} dB · SSIM {ssim}",
+};
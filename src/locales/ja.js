@@ -0,0 +1,322 @@
+export const ja = {
+  appTitle: "デジタルアート・プロテクター",
+  uploadAnImage: "画像をアップロードして始めましょう",
+  signaturePlaceholder: "署名またはウォーターマークの文字を入力",
+  yourSignature: "署名",
+  uploadImage: "画像をアップロード",
+  clickOrDragToUpload: "クリックまたはドラッグでアップロード",
+  pngJpgGifUpTo10MB: "PNG、JPG、GIF(最大 10MB)",
+  imageLoaded: "画像を読み込みました: {width} × {height} px",
+  textColor: "文字の色",
+  opacity: "不透明度",
+  angle: "角度",
+  density: "密度",
+  fontSize: "フォントサイズ",
+  customSignatureSize: "署名画像のサイズ",
+  resetAllSettings: "すべての設定をリセット",
+  preview: "プレビュー",
+  processingYourImage: "画像を処理しています...",
+  watermarkedPreview: "ウォーターマーク付きプレビュー",
+  downloadProtectedImage: "保護した画像をダウンロード",
+  generatingPreview: "プレビューを作成しています...",
+  enterYourSignature: "署名を入力するか、署名画像をアップロードしてください",
+  uploadAnImageToSeePreview: "画像をアップロードするとプレビューが表示されます",
+  howItWorks: "使い方",
+  uploadYourArt: "作品をアップロード",
+  uploadAnyImage: "無断使用から守りたい画像をアップロードします。",
+  addYourSignature: "署名を追加",
+  enterYourName: "名前や署名を入力し、見た目を調整します。",
+  downloadProtectedArt: "保護した作品をダウンロード",
+  downloadYourArtwork: "斜めのウォーターマークを埋め込んだ作品をダウンロードします。",
+  orUploadCustomSignature: "または署名画像をアップロード(PNG・JPG・WebP)",
+  clickOrDragToUploadPNG: "クリックまたはドラッグで PNG・JPG・WebP をアップロード",
+  transparentPNGRecommended: "背景が透明な PNG か、無地の紙に書いた署名の写真",
+  signaturePreview: "署名のプレビュー",
+  removeSignatureImage: "署名画像を削除",
+  uploadConfigure: "アップロードと設定",
+  digitalArtProtector: "デジタルアート・プロテクター",
+  allRightsReserved: "All rights reserved",
+  resetSuccess: "設定をリセットしました",
+  imageUploaded: "画像をアップロードしました",
+  invalidImage: "画像ファイルをアップロードしてください",
+  invalidSignatureImage: "PNG・JPG・WebP ファイルをアップロードしてください",
+  signatureImageUploaded: "署名画像をアップロードしました",
+  noImageSelected: "画像が選択されていません",
+  language: "言語",
+  step1: "1",
+  step1Title: "作品をアップロード",
+  step1Desc: "無断使用から守りたい画像をアップロードします。",
+  step2: "2",
+  step2Title: "署名を追加",
+  step2Desc: "名前や署名を入力し、見た目を調整します。",
+  step3: "3",
+  step3Title: "保護した作品をダウンロード",
+  step3Desc: "斜めのウォーターマークを埋め込んだ作品をダウンロードします。",
+  captchaInstructions: "続行するには人間であることを確認してください",
+  captchaPlaceholder: "CAPTCHA の文字を入力",
+  captchaError: "確認に失敗しました。もう一度お試しください。",
+  captchaExpired: "確認の有効期限が切れました。もう一度お試しください。",
+  captchaRequired: "確認を完了してください",
+  verify: "確認",
+  cancel: "キャンセル",
+  downloadFailed: "ダウンロードに失敗しました。もう一度お試しください。",
+  supportUs: "活動を応援する",
+  supportMessage: "このツールが役に立ったら、寄付での応援をご検討ください。",
+  oneTimeDonation: "1 回限りの寄付",
+  paypalDonate: "PayPal で寄付",
+  payoneerDonate: "Payoneer で寄付",
+  maybeLater: "また今度",
+  thanksForSupport: "応援ありがとうございます! 💖",
+  close: "閉じる",
+  orSelectFolder: "またはフォルダーごと選択",
+  batchLoaded: "{count} 枚の画像を一括処理に追加しました",
+  batchFiles: "一括処理({count} 枚)",
+  batchPending: "待機中",
+  batchProcessing: "処理中...",
+  batchDone: "完了",
+  batchError: "失敗",
+  clearBatch: "リストを消去",
+  downloadZip: "すべて ZIP でダウンロード",
+  protectTab: "保護",
+  verifyTab: "所有権の確認",
+  verifyOwnership: "所有権の確認",
+  verifyDescription: "作品の疑わしいコピーをドロップすると、保護したときに埋め込んだ隠しメッセージを読み取ります。",
+  dropSuspectImage: "疑わしい画像をクリックまたはここにドラッグ",
+  verifying: "画像を確認しています...",
+  verificationFailed: "この画像を読み取れませんでした。",
+  hiddenMessageFound: "隠しメッセージが見つかりました",
+  noHiddenMessage: "隠しメッセージは見つかりませんでした",
+  noHiddenMessageHint: "この画像はこのアプリで保護されていないか、隠しデータが削除されています。",
+  hiddenMessageDamaged: "隠しデータの痕跡はありますが、読み取れなくなっています。画像が編集または再エンコードされた可能性があります。",
+  recompression: "再圧縮",
+  recompressedLossyFormat: "非可逆形式(JPEG/WebP)で保存されているため、再圧縮されています",
+  recompressedArtifacts: "JPEG のブロックノイズがあり、再圧縮されたようです",
+  noRecompression: "再圧縮の形跡はありません",
+  resizing: "リサイズ",
+  resizeUnknown: "不明(元のサイズがわかりません)",
+  resizedFrom: "リサイズ:",
+  notResized: "保護した元画像と同じサイズです",
+  ownershipDetails: "隠し所有者情報",
+  ownershipDetailsHint: "すべてのダウンロードに見えない形で埋め込まれ、「所有権の確認」で表示されます。",
+  authorName: "作者",
+  contactUrl: "連絡先 / URL",
+  license: "ライセンス",
+  creationDate: "作成日",
+  note: "メモ",
+  embeddingCapacity: "埋め込み容量",
+  characters: "{used} / {count} 文字",
+  payloadTooLarge: "隠し情報がこの画像に収まりません。メモを短くするか、大きな画像を使ってください。",
+  payloadVersion: "データのバージョン",
+  checksumValid: "チェックサム OK",
+  checksumInvalid: "チェックサム不一致、データが改変されています",
+  signingKey: "署名鍵",
+  signingKeyHint: "隠し情報を自分の鍵で署名すれば、他人に偽造されません。公開鍵を公開すると、他の人があなたの画像を検証できます。",
+  noSigningKey: "鍵がまだありません。生成するか、バックアップを読み込んでください。",
+  keyFingerprint: "鍵のフィンガープリント",
+  signHiddenPayload: "隠し情報に署名する",
+  generateKey: "鍵を生成",
+  importKeyPair: "鍵ペアを読み込む",
+  exportPublicKey: "公開鍵を書き出す",
+  backUpKeyPair: "鍵ペアをバックアップ",
+  deleteKey: "鍵を削除",
+  replaceKeyConfirm: "現在の鍵を置き換えますか? その鍵で署名した画像は、その公開鍵でしか検証できなくなります。",
+  deleteKeyConfirm: "このブラウザーから署名鍵を削除しますか? バックアップがあることを確認してください。",
+  keyGenerated: "新しい署名鍵を生成しました",
+  keyImported: "署名鍵を読み込みました",
+  keyOperationFailed: "鍵の操作に失敗しました",
+  loadPublicKey: "公開されている公開鍵を読み込む(.json)",
+  invalidKeyFile: "このファイルは有効な鍵ではありません。",
+  knownKeys: "検証に使う鍵",
+  yourKey: "あなたの鍵",
+  signatureValid: "署名は有効です",
+  signatureInvalid: "署名が無効です。隠し情報が偽造または改変されています",
+  signatureUnknownKey: "読み込まれていない鍵で署名されています",
+  signatureMissing: "署名なし",
+  visibleImageMatches: "署名された画像ハッシュはこの画像と一致します",
+  visibleImageDiffers: "署名された画像ハッシュがこの画像と一致しません。情報が別の画像からコピーされた可能性があります",
+  invisibleWatermark: "見えないウォーターマーク",
+  embedMode_both: "隠し情報 + 堅牢な所有者 ID(推奨)",
+  embedMode_lsb: "隠し情報のみ(再エンコードで失われます)",
+  embedMode_robust: "堅牢な所有者 ID のみ(JPEG、リサイズ、小さなトリミングに耐えます)",
+  robustWatermarkFound: "堅牢なウォーターマークが見つかりました",
+  noRobustWatermark: "堅牢なウォーターマークは見つかりませんでした",
+  ownerId: "所有者 ID",
+  confidence: "信頼度",
+  looksCropped: "画像はトリミングされているようです",
+  yourDetails: "あなたの情報",
+  exportOptions: "書き出しオプション",
+  format: "形式",
+  quality: "画質",
+  estimatedSize: "推定ファイルサイズ",
+  estimatedSizePerImage: "この画像の推定サイズ",
+  lossyDestroysLsb: "JPEG や WebP の圧縮は、ピクセル値に保存された隠し情報を消してしまいます。残るのは堅牢な所有者 ID だけです。",
+  switchToRobust: "堅牢なウォーターマークのみを使う",
+  writeMetadata: "著作権メタデータを書き込む",
+  writeMetadataHint: "ギャラリーや検索エンジンが読み取る EXIF、IPTC、XMP の項目に名前と著作権表示を追加します。",
+  sourceMetadata: "元ファイルのメタデータ",
+  noSourceMetadata: "元ファイルにメタデータはありません。",
+  sourceMetadataHint: "保護したファイルに残す項目を選んでください。削除に設定した項目はすべて取り除かれます。",
+  sourceMetadataBatchHint: "一括処理のすべての画像に同じ選択が適用されます。",
+  sensitive: "要注意",
+  stripField: "削除",
+  keepField: "残す",
+  alwaysRemoved: "常に削除",
+  keepingSensitiveMetadata: "住んでいる場所や所有しているカメラがわかる項目を残そうとしています。",
+  metadataField_gps: "GPS 位置情報",
+  metadataField_serialNumber: "カメラのシリアル番号",
+  metadataField_lensSerialNumber: "レンズのシリアル番号",
+  metadataField_cameraOwner: "カメラ所有者名",
+  metadataField_software: "ソフトウェア",
+  metadataField_captureDate: "撮影日時",
+  metadataField_modifiedDate: "更新日時",
+  metadataField_camera: "カメラのメーカーとモデル",
+  metadataField_lens: "レンズ",
+  metadataField_cameraSettings: "露出設定",
+  metadataField_originalCopyright: "元の作者と著作権",
+  metadataField_editHistory: "編集履歴",
+  metadataField_pngText: "PNG テキスト項目",
+  placement: "配置",
+  placement_tiled: "タイル状",
+  placement_brick: "レンガ状(段ずらし)",
+  placement_single: "1 か所",
+  placement_border: "縁に帯状",
+  placement_free: "自由配置",
+  dragMarkHint: "プレビュー上でドラッグしてマークを配置します。",
+  anchor: "位置",
+  "anchor_top-left": "左上",
+  "anchor_top-center": "上中央",
+  "anchor_top-right": "右上",
+  "anchor_middle-left": "左中央",
+  anchor_center: "中央",
+  "anchor_middle-right": "右中央",
+  "anchor_bottom-left": "左下",
+  "anchor_bottom-center": "下中央",
+  "anchor_bottom-right": "右下",
+  margin: "余白",
+  typography: "文字スタイル",
+  font: "フォント",
+  uploadFont: "フォントをアップロード",
+  fontLoaded: "フォントを読み込みました",
+  invalidFont: "TTF、OTF、WOFF、WOFF2 のフォントファイルをアップロードしてください",
+  fontLoadFailed: "フォントを読み込めませんでした",
+  bold: "太字",
+  italic: "斜体",
+  align_left: "左揃え",
+  align_center: "中央揃え",
+  align_right: "右揃え",
+  letterSpacing: "文字間隔",
+  outline: "縁取り",
+  outlineColor: "縁取りの色",
+  shadow: "影",
+  shadowColor: "影の色",
+  multiLineHint: "Enter キーで改行します。",
+  colorMode: "カラーモード",
+  colorMode_fixed: "固定色",
+  colorMode_adaptive: "自動コントラスト",
+  colorMode_invert: "作品を反転",
+  adaptiveColorHint: "暗い部分では明るく、明るい部分では暗くして、色相はそのまま保ちます。",
+  blendMode: "描画モード",
+  "blendMode_source-over": "通常",
+  blendMode_multiply: "乗算",
+  blendMode_screen: "スクリーン",
+  blendMode_overlay: "オーバーレイ",
+  "blendMode_soft-light": "ソフトライト",
+  "blendMode_hard-light": "ハードライト",
+  blendMode_difference: "差の絶対値",
+  jitter: "タイルのばらつき",
+  interference: "干渉パターン",
+  interference_none: "なし",
+  interference_noise: "かすかなノイズ",
+  interference_mesh: "網目の線",
+  seed: "シード",
+  newSeed: "新しいランダムシード",
+  seedHint: "ばらつきのあるタイルや重ね模様は除去がずっと難しくなります。シードを残しておけば、まったく同じ模様を再現できます。",
+  aiCloak: "AI 学習対策",
+  cloak_off: "オフ",
+  cloak_low: "弱(ほとんど検出できない程度)",
+  cloak_medium: "中",
+  cloak_high: "強(平坦な部分で見えることがあります)",
+  aiCloakHint: "画風の模倣学習が頼りにするテクスチャの統計を乱す、ごくわずかな変化を加えます。計算はお使いの端末で行われ、何もアップロードされません。",
+  presets: "プリセット",
+  presetsHint: "署名画像を含むウォーターマークの見た目を保存して再利用できます。星印のプリセットはアプリを開いたときに読み込まれます。リストを書き出せば、チームで共通のスタイルを共有できます。",
+  noPresets: "プリセットはまだありません。",
+  presetNamePlaceholder: "プリセット名(例: Instagram)",
+  saveCurrentAsPreset: "現在の設定を保存",
+  untitledPreset: "無題のプリセット",
+  applyPreset: "このプリセットを適用",
+  defaultPreset: "アプリを開いたときにこのプリセットを読み込む",
+  updatePreset: "更新",
+  renamePreset: "名前を変更",
+  duplicatePreset: "複製",
+  deletePreset: "削除",
+  copySuffix: "のコピー",
+  importPresets: "プリセットを読み込む",
+  exportPresets: "プリセットを書き出す",
+  updatePresetConfirm: "「{name}」を現在の設定で置き換えますか?",
+  deletePresetConfirm: "プリセット「{name}」を削除しますか?",
+  presetSaved: "プリセットを保存しました",
+  presetApplied: "プリセット「{name}」を適用しました",
+  presetsImported: "プリセットを読み込みました",
+  invalidPresetFile: "このアプリで書き出したプリセットファイルではありません",
+  presetOperationFailed: "プリセットを保存または読み込みできませんでした",
+  restoreSessionTitle: "前回の続きから再開しますか?",
+  restoreSessionPrompt: "{time} の前回のセッションがこのブラウザーに保存されています。",
+  restoreSessionImage: "画像: {name}",
+  sessionImageSkipped: "画像が {size} MB を超えていたため保存されていません。署名と設定は復元できます。",
+  restoreSession: "復元",
+  discardSession: "破棄",
+  sessionRestored: "前回のセッションを復元しました",
+  sessionRestoreFailed: "前回のセッションを復元できませんでした",
+  undo: "元に戻す",
+  redo: "やり直す",
+  watermarkedView: "ウォーターマーク付き",
+  splitView: "比較",
+  differenceView: "差分",
+  zoomIn: "拡大",
+  zoomOut: "縮小",
+  zoomActualSize: "実寸(画像の 1 ピクセルを画面の 1 ピクセルで表示)",
+  zoomFit: "全体表示",
+  originalImage: "元の画像",
+  beforeLabel: "前",
+  afterLabel: "後",
+  markCoverage: "マークは画像の {percent}% を目に見えて変えています",
+  outputSize: "出力サイズ",
+  outputSizeHint: "ウォーターマークの前に画像をトリミング・リサイズするので、マークの大きさと隠しデータが最終サイズに合わせられます。",
+  originalSize: "元のサイズ",
+  customSize: "カスタムサイズ",
+  upTo: "最大",
+  outputWidth: "幅",
+  outputHeight: "高さ",
+  cropHorizontal: "トリミング位置(横)",
+  cropVertical: "トリミング位置(縦)",
+  outputDimensions: "出力: {width} × {height} px",
+  exportAllSizes: "すべてのサイズを書き出す",
+  exportAllSizesHint: "Instagram 1:1 と 4:5、16:9、Twitter / X、ArtStation 用に個別にマークを入れたファイルの ZIP",
+  changeSignatureImage: "署名画像を変更",
+  donate: "寄付する",
+  thanksForConsidering: "ご検討ありがとうございます!",
+  donationThanksMessage: "皆さまの応援がこのツールの改善を支えています。本当にありがとうございます!",
+  donationConsideredMessage: "応援をご検討いただきありがとうございます。「寄付する」ボタンからいつでも寄付できます。",
+  batchDoneCount: "{total} 枚中 {count} 枚完了",
+  shareProtectedImage: "共有",
+  shareProtectedImageHint: "保護した画像を別のアプリに送る",
+  shareReady: "準備完了、タップして共有",
+  shareFailed: "共有できませんでした。代わりに画像をダウンロードしてください。",
+  pasteHint: "または Ctrl+V で画像を貼り付け",
+  copyProtectedImage: "保護した画像をコピー",
+  copyProtectedImageHint: "見えない透かしを含めたまま、保護した画像を PNG でコピーします",
+  imageCopied: "保護した画像をクリップボードにコピーしました",
+  copyFailed: "画像をコピーできませんでした。代わりにダウンロードしてください。",
+  animatedImageInfo: "{count} フレームのアニメーション {format}: すべてのフレームに透かしを入れます",
+  animatedExportFormat: "アニメーション {format}。すべてのフレームに透かしを入れ、アニメーション {format} のままダウンロードします。",
+  animationDestroysLsb: "フレームを GIF の色数に減らしたり WebP で圧縮したりすると、ピクセル値に保存された隠し情報が消えます。残るのは堅牢な所有者 ID だけです。",
+  animationTooLarge: "このアニメーションはフレームが多すぎて処理できません。短くするか、サイズを小さくしてください。",
+  removeSignatureBackground: "紙の背景を除去",
+  backgroundThreshold: "背景の許容範囲",
+  backgroundFeather: "縁のぼかし",
+  trimSignatureMargins: "余白を切り取る",
+  tintSignature: "テキストの色で着色",
+  imageTooLarge: "この画像は大きすぎるため JPEG や WebP では保存できません。PNG を選ぶか、出力サイズを小さくしてください。",
+  cloakLastExport: "前回の書き出し",
+  cloakMeasured: "AI 学習対策を適用しました: PSNR {psnr} dB · SSIM {ssim}",
+};
@@ -0,0 +1,322 @@
+export const pt = {
+  appTitle: "Protetor de Arte Digital",
+  uploadAnImage: "Envie uma imagem para começar",
+  signaturePlaceholder: "Digite sua assinatura ou o texto da marca d'água",
+  yourSignature: "Sua assinatura",
+  uploadImage: "Enviar imagem",
+  clickOrDragToUpload: "Clique ou arraste para enviar",
+  pngJpgGifUpTo10MB: "PNG, JPG, GIF até 10 MB",
+  imageLoaded: "Imagem carregada: {width} × {height} px",
+  textColor: "Cor do texto",
+  opacity: "Opacidade",
+  angle: "Ângulo",
+  density: "Densidade",
+  fontSize: "Tamanho da fonte",
+  customSignatureSize: "Tamanho da assinatura",
+  resetAllSettings: "Redefinir todas as configurações",
+  preview: "Pré-visualização",
+  processingYourImage: "Processando sua imagem...",
+  watermarkedPreview: "Pré-visualização com marca d'água",
+  downloadProtectedImage: "Baixar imagem protegida",
+  generatingPreview: "Gerando pré-visualização...",
+  enterYourSignature: "Digite sua assinatura ou envie uma imagem de assinatura",
+  uploadAnImageToSeePreview: "Envie uma imagem para ver a pré-visualização",
+  howItWorks: "Como funciona",
+  uploadYourArt: "Envie sua arte",
+  uploadAnyImage: "Envie qualquer imagem que você queira proteger contra uso não autorizado.",
+  addYourSignature: "Adicione sua assinatura",
+  enterYourName: "Digite seu nome ou assinatura e personalize a aparência.",
+  downloadProtectedArt: "Baixe a arte protegida",
+  downloadYourArtwork: "Baixe sua arte com marcas d'água diagonais incorporadas.",
+  orUploadCustomSignature: "Ou envie uma assinatura personalizada (PNG, JPG, WebP)",
+  clickOrDragToUploadPNG: "Clique ou arraste para enviar um PNG, JPG ou WebP",
+  transparentPNGRecommended: "PNG transparente ou uma foto em papel liso",
+  signaturePreview: "Pré-visualização da assinatura",
+  removeSignatureImage: "Remover imagem de assinatura",
+  uploadConfigure: "Enviar e configurar",
+  digitalArtProtector: "Protetor de Arte Digital",
+  allRightsReserved: "Todos os direitos reservados",
+  resetSuccess: "Configurações redefinidas",
+  imageUploaded: "Imagem enviada!",
+  invalidImage: "Envie um arquivo de imagem",
+  invalidSignatureImage: "Envie um arquivo PNG, JPG ou WebP",
+  signatureImageUploaded: "Imagem de assinatura enviada!",
+  noImageSelected: "Nenhuma imagem selecionada",
+  language: "Idioma",
+  step1: "1",
+  step1Title: "Envie sua arte",
+  step1Desc: "Envie qualquer imagem que você queira proteger contra uso não autorizado.",
+  step2: "2",
+  step2Title: "Adicione sua assinatura",
+  step2Desc: "Digite seu nome ou assinatura e personalize a aparência.",
+  step3: "3",
+  step3Title: "Baixe a arte protegida",
+  step3Desc: "Baixe sua arte com marcas d'água diagonais incorporadas.",
+  captchaInstructions: "Confirme que você é humano para continuar",
+  captchaPlaceholder: "Digite o texto do CAPTCHA",
+  captchaError: "A verificação falhou. Tente novamente.",
+  captchaExpired: "A verificação expirou. Tente novamente.",
+  captchaRequired: "Conclua a verificação",
+  verify: "Verificar",
+  cancel: "Cancelar",
+  downloadFailed: "O download falhou. Tente novamente.",
+  supportUs: "Apoie nosso trabalho",
+  supportMessage: "Se esta ferramenta é útil para você, considere nos apoiar com uma doação.",
+  oneTimeDonation: "Doação única",
+  paypalDonate: "Doar com PayPal",
+  payoneerDonate: "Doar com Payoneer",
+  maybeLater: "Talvez depois",
+  thanksForSupport: "Obrigado pelo seu apoio! 💖",
+  close: "Fechar",
+  orSelectFolder: "ou selecione uma pasta inteira",
+  batchLoaded: { one: "{count} imagem adicionada ao lote", other: "{count} imagens adicionadas ao lote" },
+  batchFiles: { one: "Lote ({count} imagem)", other: "Lote ({count} imagens)" },
+  batchPending: "Aguardando",
+  batchProcessing: "Processando...",
+  batchDone: "Pronto",
+  batchError: "Falhou",
+  clearBatch: "Limpar lista",
+  downloadZip: "Baixar tudo em ZIP",
+  protectTab: "Proteger",
+  verifyTab: "Verificar autoria",
+  verifyOwnership: "Verificar autoria",
+  verifyDescription: "Solte uma cópia suspeita da sua arte para ler a mensagem oculta incorporada quando ela foi protegida.",
+  dropSuspectImage: "Clique ou arraste uma imagem suspeita para cá",
+  verifying: "Analisando imagem...",
+  verificationFailed: "Não foi possível ler esta imagem.",
+  hiddenMessageFound: "Mensagem oculta encontrada",
+  noHiddenMessage: "Nenhuma mensagem oculta encontrada",
+  noHiddenMessageHint: "Esta imagem não foi protegida por este aplicativo, ou os dados ocultos foram removidos.",
+  hiddenMessageDamaged: "Foram encontrados vestígios de dados ocultos, mas eles não podem mais ser lidos. A imagem provavelmente foi editada ou recodificada.",
+  recompression: "Recompressão",
+  recompressedLossyFormat: "Salva em um formato com perdas (JPEG/WebP), portanto foi recomprimida",
+  recompressedArtifacts: "Mostra artefatos de blocos JPEG, parece recomprimida",
+  noRecompression: "Sem sinais de recompressão",
+  resizing: "Redimensionamento",
+  resizeUnknown: "Desconhecido (tamanho original indisponível)",
+  resizedFrom: "Redimensionada de",
+  notResized: "Mesmo tamanho do original protegido",
+  ownershipDetails: "Dados de autoria ocultos",
+  ownershipDetailsHint: "Incorporados de forma invisível em cada download e exibidos por Verificar autoria.",
+  authorName: "Autor",
+  contactUrl: "Contato / URL",
+  license: "Licença",
+  creationDate: "Criação",
+  note: "Nota",
+  embeddingCapacity: "Capacidade de incorporação",
+  characters: { one: "{used} / {count} caractere", other: "{used} / {count} caracteres" },
+  payloadTooLarge: "Os dados ocultos não cabem nesta imagem. Encurte a nota ou use uma imagem maior.",
+  payloadVersion: "Versão dos dados",
+  checksumValid: "soma de verificação OK",
+  checksumInvalid: "soma de verificação incorreta, os dados foram alterados",
+  signingKey: "Chave de assinatura",
+  signingKeyHint: "Assine os dados ocultos com sua própria chave para que ninguém possa falsificá-los. Publique sua chave pública para que outras pessoas possam verificar suas imagens.",
+  noSigningKey: "Ainda não há chave. Gere uma ou importe um backup.",
+  keyFingerprint: "Impressão digital da chave",
+  signHiddenPayload: "Assinar dados ocultos",
+  generateKey: "Gerar chave",
+  importKeyPair: "Importar par de chaves",
+  exportPublicKey: "Exportar chave pública",
+  backUpKeyPair: "Fazer backup do par de chaves",
+  deleteKey: "Excluir chave",
+  replaceKeyConfirm: "Substituir sua chave atual? As imagens assinadas com ela só poderão ser verificadas com a chave pública dela.",
+  deleteKeyConfirm: "Excluir sua chave de assinatura deste navegador? Verifique se você tem um backup.",
+  keyGenerated: "Nova chave de assinatura gerada",
+  keyImported: "Chave de assinatura importada",
+  keyOperationFailed: "A operação com a chave falhou",
+  loadPublicKey: "Carregar uma chave pública publicada (.json)",
+  invalidKeyFile: "Este arquivo não é uma chave válida.",
+  knownKeys: "Chaves usadas na verificação",
+  yourKey: "sua",
+  signatureValid: "Assinatura válida",
+  signatureInvalid: "Assinatura inválida, os dados ocultos foram falsificados ou alterados",
+  signatureUnknownKey: "Assinada com uma chave que não está carregada",
+  signatureMissing: "Não assinada",
+  visibleImageMatches: "O hash da imagem assinada corresponde a esta imagem",
+  visibleImageDiffers: "O hash da imagem assinada não corresponde a esta imagem, os dados podem ter sido copiados de outra imagem",
+  invisibleWatermark: "Marca d'água invisível",
+  embedMode_both: "Dados ocultos + ID de autor robusto (recomendado)",
+  embedMode_lsb: "Somente dados ocultos (perdidos ao recodificar)",
+  embedMode_robust: "Somente ID de autor robusto (resiste a JPEG, redimensionamento e pequenos cortes)",
+  robustWatermarkFound: "Marca d'água robusta encontrada",
+  noRobustWatermark: "Nenhuma marca d'água robusta encontrada",
+  ownerId: "ID do autor",
+  confidence: "Confiança",
+  looksCropped: "a imagem parece cortada",
+  yourDetails: "seus dados",
+  exportOptions: "Opções de exportação",
+  format: "Formato",
+  quality: "Qualidade",
+  estimatedSize: "Tamanho estimado do arquivo",
+  estimatedSizePerImage: "Tamanho estimado desta imagem",
+  lossyDestroysLsb: "A compressão JPEG e WebP apaga os dados ocultos guardados nos valores exatos dos pixels. Somente o ID de autor robusto sobreviverá.",
+  switchToRobust: "Usar somente a marca d'água robusta",
+  writeMetadata: "Gravar metadados de direitos autorais",
+  writeMetadataHint: "Adiciona seu nome e aviso de direitos autorais em campos EXIF, IPTC e XMP lidos por galerias e buscadores.",
+  sourceMetadata: "Metadados do arquivo original",
+  noSourceMetadata: "O arquivo original não tem metadados.",
+  sourceMetadataHint: "Escolha o que levar para o arquivo protegido. Tudo o que estiver marcado para remover é apagado.",
+  sourceMetadataBatchHint: "As mesmas escolhas valem para todas as imagens do lote.",
+  sensitive: "sensível",
+  stripField: "Remover",
+  keepField: "Manter",
+  alwaysRemoved: "Sempre removido",
+  keepingSensitiveMetadata: "Você está mantendo campos que podem revelar onde você mora ou qual câmera você tem.",
+  metadataField_gps: "Localização GPS",
+  metadataField_serialNumber: "Número de série da câmera",
+  metadataField_lensSerialNumber: "Número de série da lente",
+  metadataField_cameraOwner: "Nome do dono da câmera",
+  metadataField_software: "Software",
+  metadataField_captureDate: "Data da captura",
+  metadataField_modifiedDate: "Datas de modificação",
+  metadataField_camera: "Marca e modelo da câmera",
+  metadataField_lens: "Lente",
+  metadataField_cameraSettings: "Configurações de exposição",
+  metadataField_originalCopyright: "Artista e direitos autorais originais",
+  metadataField_editHistory: "Histórico de edição",
+  metadataField_pngText: "Campos de texto PNG",
+  placement: "Posicionamento",
+  placement_tiled: "Grade em mosaico",
+  placement_brick: "Tijolos (fileiras deslocadas)",
+  placement_single: "Marca única",
+  placement_border: "Faixa na borda",
+  placement_free: "Posição livre",
+  dragMarkHint: "Arraste na pré-visualização para posicionar a marca.",
+  anchor: "Posição",
+  "anchor_top-left": "Superior esquerda",
+  "anchor_top-center": "Superior central",
+  "anchor_top-right": "Superior direita",
+  "anchor_middle-left": "Meio à esquerda",
+  anchor_center: "Centro",
+  "anchor_middle-right": "Meio à direita",
+  "anchor_bottom-left": "Inferior esquerda",
+  "anchor_bottom-center": "Inferior central",
+  "anchor_bottom-right": "Inferior direita",
+  margin: "Margem",
+  typography: "Estilo do texto",
+  font: "Fonte",
+  uploadFont: "Enviar fonte",
+  fontLoaded: "Fonte carregada",
+  invalidFont: "Envie um arquivo de fonte TTF, OTF, WOFF ou WOFF2",
+  fontLoadFailed: "Não foi possível carregar a fonte",
+  bold: "Negrito",
+  italic: "Itálico",
+  align_left: "Esquerda",
+  align_center: "Centro",
+  align_right: "Direita",
+  letterSpacing: "Espaçamento entre letras",
+  outline: "Contorno",
+  outlineColor: "Cor do contorno",
+  shadow: "Sombra",
+  shadowColor: "Cor da sombra",
+  multiLineHint: "Pressione Enter para uma nova linha.",
+  colorMode: "Modo de cor",
+  colorMode_fixed: "Cor fixa",
+  colorMode_adaptive: "Contraste adaptativo",
+  colorMode_invert: "Inverter a arte",
+  adaptiveColorHint: "Cada marca fica mais clara em áreas escuras e mais escura em áreas claras, mantendo o tom da sua cor.",
+  blendMode: "Modo de mesclagem",
+  "blendMode_source-over": "Normal",
+  blendMode_multiply: "Multiplicação",
+  blendMode_screen: "Divisão",
+  blendMode_overlay: "Sobreposição",
+  "blendMode_soft-light": "Luz suave",
+  "blendMode_hard-light": "Luz forte",
+  blendMode_difference: "Diferença",
+  jitter: "Variação dos blocos",
+  interference: "Interferência",
+  interference_none: "Nenhuma",
+  interference_noise: "Ruído leve",
+  interference_mesh: "Linhas em malha",
+  seed: "Semente",
+  newSeed: "Nova semente aleatória",
+  seedHint: "Blocos e sobreposições variados são muito mais difíceis de remover. Guarde a semente para reproduzir exatamente o mesmo padrão.",
+  aiCloak: "Proteção contra treinamento de IA",
+  cloak_off: "Desligada",
+  cloak_low: "Baixa (quase imperceptível)",
+  cloak_medium: "Média",
+  cloak_high: "Alta (pode aparecer em áreas lisas)",
+  aiCloakHint: "Adiciona uma perturbação mínima que embaralha as estatísticas de textura usadas no treinamento de imitação de estilo. Calculada no seu dispositivo, nada é enviado.",
+  presets: "Predefinições",
+  presetsHint: "Salve a aparência da sua marca d'água, com imagem de assinatura, e reutilize-a. A predefinição com estrela é carregada quando o aplicativo abre. Exporte a lista para compartilhar um estilo da casa com sua equipe.",
+  noPresets: "Nenhuma predefinição ainda.",
+  presetNamePlaceholder: "Nome da predefinição, ex. Instagram",
+  saveCurrentAsPreset: "Salvar atual",
+  untitledPreset: "Predefinição sem título",
+  applyPreset: "Aplicar esta predefinição",
+  defaultPreset: "Carregar esta predefinição ao abrir o aplicativo",
+  updatePreset: "Atualizar",
+  renamePreset: "Renomear",
+  duplicatePreset: "Duplicar",
+  deletePreset: "Excluir",
+  copySuffix: "cópia",
+  importPresets: "Importar predefinições",
+  exportPresets: "Exportar predefinições",
+  updatePresetConfirm: "Substituir “{name}” pelas configurações atuais?",
+  deletePresetConfirm: "Excluir a predefinição “{name}”?",
+  presetSaved: "Predefinição salva",
+  presetApplied: "Predefinição “{name}” aplicada",
+  presetsImported: "Predefinições importadas",
+  invalidPresetFile: "Este não é um arquivo de predefinições exportado pelo aplicativo",
+  presetOperationFailed: "Não foi possível salvar ou carregar a predefinição",
+  restoreSessionTitle: "Continuar de onde parou?",
+  restoreSessionPrompt: "Sua última sessão de {time} está salva neste navegador.",
+  restoreSessionImage: "Imagem: {name}",
+  sessionImageSkipped: "A imagem tinha mais de {size} MB e não foi guardada; a assinatura e as configurações ainda podem ser restauradas.",
+  restoreSession: "Restaurar",
+  discardSession: "Descartar",
+  sessionRestored: "Sessão anterior restaurada",
+  sessionRestoreFailed: "Não foi possível restaurar a sessão anterior",
+  undo: "Desfazer",
+  redo: "Refazer",
+  watermarkedView: "Com marca d'água",
+  splitView: "Antes / depois",
+  differenceView: "Diferença",
+  zoomIn: "Aumentar zoom",
+  zoomOut: "Diminuir zoom",
+  zoomActualSize: "Tamanho real (um pixel da imagem por pixel da tela)",
+  zoomFit: "Ajustar",
+  originalImage: "Imagem original",
+  beforeLabel: "Antes",
+  afterLabel: "Depois",
+  markCoverage: "A marca altera visivelmente {percent}% da imagem",
+  outputSize: "Tamanho de saída",
+  outputSizeHint: "Corta e redimensiona a imagem antes da marca d'água, para que a marca seja dimensionada e os dados ocultos incorporados no tamanho final.",
+  originalSize: "Tamanho original",
+  customSize: "Tamanho personalizado",
+  upTo: "até",
+  outputWidth: "Largura",
+  outputHeight: "Altura",
+  cropHorizontal: "Posição do corte (horizontal)",
+  cropVertical: "Posição do corte (vertical)",
+  outputDimensions: "Saída: {width} × {height} px",
+  exportAllSizes: "Exportar todos os tamanhos",
+  exportAllSizesHint: "ZIP com um arquivo marcado separadamente para Instagram 1:1 e 4:5, 16:9, Twitter / X e ArtStation",
+  changeSignatureImage: "Trocar imagem de assinatura",
+  donate: "Doar",
+  thanksForConsidering: "Obrigado por considerar!",
+  donationThanksMessage: "Seu apoio nos ajuda a continuar melhorando esta ferramenta. Muito obrigado!",
+  donationConsideredMessage: "Agradecemos por considerar nos apoiar. Você sempre pode doar mais tarde com o botão Doar.",
+  batchDoneCount: "{count} de {total} prontas",
+  shareProtectedImage: "Compartilhar",
+  shareProtectedImageHint: "Envie a imagem protegida para outro app",
+  shareReady: "Pronta, toque para compartilhar",
+  shareFailed: "Não foi possível compartilhar. Baixe a imagem em vez disso.",
+  pasteHint: "ou cole uma imagem com Ctrl+V",
+  copyProtectedImage: "Copiar imagem protegida",
+  copyProtectedImageHint: "Copia a imagem protegida como PNG, com a marca d'água invisível incluída",
+  imageCopied: "Imagem protegida copiada para a área de transferência",
+  copyFailed: "Não foi possível copiar a imagem. Baixe-a em vez disso.",
+  animatedImageInfo: { one: "{format} animado com {count} quadro: cada quadro recebe a marca d'água", other: "{format} animado com {count} quadros: cada quadro recebe a marca d'água" },
+  animatedExportFormat: "{format} animado. Cada quadro recebe a marca d'água e o download continua sendo um {format} animado.",
+  animationDestroysLsb: "Reduzir os quadros às cores do GIF ou comprimi-los como WebP apaga os detalhes ocultos guardados nos valores exatos dos pixels. Só o ID robusto do proprietário sobreviverá.",
+  animationTooLarge: "Esta animação tem quadros demais para ser processada. Encurte-a ou reduza o tamanho.",
+  removeSignatureBackground: "Remover o fundo do papel",
+  backgroundThreshold: "Tolerância do fundo",
+  backgroundFeather: "Suavidade das bordas",
+  trimSignatureMargins: "Cortar margens vazias",
+  tintSignature: "Recolorir com a cor do texto",
+  imageTooLarge: "Esta imagem é grande demais para salvar como JPEG ou WebP. Escolha PNG ou um tamanho de saída menor.",
+  cloakLastExport: "Última exportação",
+  cloakMeasured: "Proteção contra treinamento de IA aplicada: PSNR {psnr} dB · SSIM {ssim}",
+};
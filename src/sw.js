@@ -0,0 +1,74 @@
+// Service worker of the installed app. The build (vite.config.js) fills in
+// the file list and the version, so every deploy gets a fresh cache.
+const PRECACHE = self.__PRECACHE__ || [];
+const VERSION = self.__VERSION__ || 'dev';
+
+const CACHE = `protectorimg-${VERSION}`;
+// Images handed over by the OS share sheet, read once by the page
+const SHARE_CACHE = 'protectorimg-share';
+
+const scoped = (path) => new URL(path, self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE)
+      .then((cache) => cache.addAll(['./', ...PRECACHE].map(scoped)))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop the caches of earlier versions
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys
+          .filter((key) => key.startsWith('protectorimg-') && key !== CACHE && key !== SHARE_CACHE)
+          .map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The share target posts the files here. They are parked in a cache and the
+// app is opened, it picks them up with takeSharedFiles().
+const receiveShare = async (request) => {
+  const data = await request.formData();
+  const files = data.getAll('image').filter((file) => file instanceof File);
+  await caches.delete(SHARE_CACHE);
+  const cache = await caches.open(SHARE_CACHE);
+  await Promise.all(files.map((file, i) =>
+    cache.put(
+      scoped(`./shared/${i}`),
+      new Response(file, { headers: { 'Content-Type': file.type, 'X-File-Name': encodeURIComponent(file.name) } })
+    )
+  ));
+  return Response.redirect(scoped('./?share-target'), 303);
+};
+
+// Cache first. Pages fall back to the cached app when offline.
+const respond = async (request) => {
+  const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+  if (cached) return cached;
+  try {
+    return await fetch(request);
+  } catch (error) {
+    if (request.mode === 'navigate') {
+      const app = await caches.match(scoped('./'));
+      if (app) return app;
+    }
+    throw error;
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.method === 'POST' && url.href === scoped('./share-target')) {
+    event.respondWith(receiveShare(request));
+  } else if (request.method === 'GET') {
+    event.respondWith(respond(request));
+  }
+});
@@ -1,144 +0,0 @@
-export const translations = {
-    en: {
-      appTitle: "Digital Art Protector",
-      uploadAnImage: "Upload an image to get started",
-      signaturePlaceholder: "Enter your signature or watermark text",
-      yourSignature: "Your Signature",
-      uploadImage: "Upload Image",
-      clickOrDragToUpload: "Click or drag to upload",
-      pngJpgGifUpTo10MB: "PNG, JPG, GIF up to 10MB",
-      imageLoaded: "Image loaded",
-      textColor: "Text Color",
-      opacity: "Opacity",
-      angle: "Angle",
-      density: "Density",
-      fontSize: "Font Size",
-      customSignatureSize: "Custom Signature Size",
-      resetAllSettings: "Reset All Settings",
-      preview: "Preview",
-      processingYourImage: "Processing your image...",
-      watermarkedPreview: "Watermarked preview",
-      downloadProtectedImage: "Download Protected Image",
-      generatingPreview: "Generating preview...",
-      enterYourSignature: "Enter your signature or upload a custom signature image",
-      uploadAnImageToSeePreview: "Upload an image to see preview",
-      howItWorks: "How It Works",
-      uploadYourArt: "Upload Your Art",
-      uploadAnyImage: "Upload any image you want to protect from unauthorized use.",
-      addYourSignature: "Add Your Signature",
-      enterYourName: "Enter your name or signature and customize its appearance.",
-      downloadProtectedArt: "Download Protected Art",
-      downloadYourArtwork: "Download your artwork with embedded diagonal watermarks.",
-      orUploadCustomSignature: "Or Upload Custom Signature (PNG)",
-      clickOrDragToUploadPNG: "Click or drag to upload PNG",
-      transparentPNGRecommended: "Transparent PNG recommended",
-      signaturePreview: "Signature preview",
-      removeSignatureImage: "Remove Signature Image",
-      uploadConfigure: "Upload & Configure",
-      digitalArtProtector: "Digital Art Protector",
-      allRightsReserved: "All rights reserved",
-      resetSuccess: "Settings reset successfully",
-      imageUploaded: "Image uploaded successfully!",
-      invalidImage: "Please upload an image file",
-      invalidSignatureImage: "Please upload a PNG file",
-      signatureImageUploaded: "Signature image uploaded!",
-      noImageSelected: "No image selected",
-      language: "Language",
-      step1: "1",
-      step1Title: "Upload Your Art",
-      step1Desc: "Upload any image you want to protect from unauthorized use.",
-      step2: "2",
-      step2Title: "Add Your Signature",
-      step2Desc: "Enter your name or signature and customize its appearance.",
-      step3: "3",
-      step3Title: "Download Protected Art",
-      step3Desc: "Download your artwork with embedded diagonal watermarks.",
-      captchaInstructions: "Please verify you're human to continue",
-      captchaPlaceholder: "Enter CAPTCHA text",
-      captchaError: "Verification failed. Please try again.",
-      captchaExpired: "Verification expired. Please try again.",
-      captchaRequired: "Please complete the verification",
-      verify: "Verify",
-      cancel: "Cancel",
-      downloadFailed: "Download failed. Please try again.",
-      supportUs: "Support Our Work",
-      supportMessage: "If you find this tool useful, please consider supporting us with a donation.",
-      oneTimeDonation: "One-time donation",
-      paypalDonate: "Donate with PayPal",
-      payoneerDonate: "Donate with Payoneer",
-      maybeLater: "Maybe Later",
-      thanksForSupport: "Thank you for your support! 💖",
-      close: "Close",
-    },
-    es: {
-      appTitle: "Protector de Arte Digital",
-      uploadAnImage: "Sube una imagen para comenzar",
-      signaturePlaceholder: "Ingresa tu firma o texto de marca de agua",
-      yourSignature: "Tu Firma",
-      uploadImage: "Subir Imagen",
-      clickOrDragToUpload: "Haz clic o arrastra para subir",
-      pngJpgGifUpTo10MB: "PNG, JPG, GIF hasta 10MB",
-      imageLoaded: "Imagen cargada",
-      textColor: "Color del Texto",
-      opacity: "Opacidad",
-      angle: "Ángulo",
-      density: "Densidad",
-      fontSize: "Tamaño de Fuente",
-      customSignatureSize: "Tamaño de Firma Personalizada",
-      resetAllSettings: "Restablecer Configuración",
-      preview: "Vista Previa",
-      processingYourImage: "Procesando tu imagen...",
-      watermarkedPreview: "Vista previa con marca de agua",
-      downloadProtectedImage: "Descargar Imagen Protegida",
-      generatingPreview: "Generando vista previa...",
-      enterYourSignature: "Ingresa tu firma o sube una imagen de firma personalizada",
-      uploadAnImageToSeePreview: "Sube una imagen para ver la vista previa",
-      howItWorks: "Cómo Funciona",
-      uploadYourArt: "Sube tu Arte",
-      uploadAnyImage: "Sube cualquier imagen que quieras proteger de uso no autorizado.",
-      addYourSignature: "Agrega tu Firma",
-      enterYourName: "Ingresa tu nombre o firma y personaliza su apariencia.",
-      downloadProtectedArt: "Descarga tu Arte Protegido",
-      downloadYourArtwork: "Descarga tu obra con marcas de agua diagonales integradas.",
-      orUploadCustomSignature: "O Sube una Firma Personalizada (PNG)",
-      clickOrDragToUploadPNG: "Haz clic o arrastra para subir PNG",
-      transparentPNGRecommended: "Se recomienda PNG transparente",
-      signaturePreview: "Vista previa de la firma",
-      removeSignatureImage: "Eliminar Imagen de Firma",
-      uploadConfigure: "Subir y Configurar",
-      digitalArtProtector: "Protector de Arte Digital",
-      allRightsReserved: "Todos los derechos reservados",
-      resetSuccess: "Configuración restablecida exitosamente",
-      imageUploaded: "¡Imagen subida exitosamente!",
-      invalidImage: "Por favor sube un archivo de imagen",
-      invalidSignatureImage: "Por favor sube un archivo PNG",
-      signatureImageUploaded: "¡Imagen de firma subida!",
-      noImageSelected: "Ninguna imagen seleccionada",
-      language: "Idioma",
-      step1: "1",
-      step1Title: "Sube tu Arte",
-      step1Desc: "Sube cualquier imagen que quieras proteger de uso no autorizado.",
-      step2: "2",
-      step2Title: "Agrega tu Firma",
-      step2Desc: "Ingresa tu nombre o firma y personaliza su apariencia.",
-      step3: "3",
-      step3Title: "Descarga tu Arte Protegido",
-      step3Desc: "Descarga tu obra con marcas de agua diagonales integradas.",
-      captchaInstructions: "Por favor, verifica que eres humano para continuar",
-      captchaPlaceholder: "Ingresa el texto CAPTCHA",
-      captchaError: "Error en la verificación. Por favor, inténtalo de nuevo.",
-      captchaExpired: "La verificación ha expirado. Por favor, inténtalo de nuevo.",
-      captchaRequired: "Por favor, completa la verificación",
-      verify: "Verificar",
-      cancel: "Cancelar",
-      downloadFailed: "Error al descargar. Por favor, inténtalo de nuevo.",
-      supportUs: "Apoya Nuestro Trabajo",
-      supportMessage: "Si encuentras útil esta herramienta, por favor considera apoyarnos con una donación.",
-      oneTimeDonation: "Donación única",
-      paypalDonate: "Donar con PayPal",
-      payoneerDonate: "Donar con Payoneer",
-      maybeLater: "Quizás más tarde",
-      thanksForSupport: "¡Gracias por tu apoyo! 💖",
-      close: "Cerrar",
-    }
-  };
\ No newline at end of file
@@ -0,0 +1,108 @@
+import { readWebpChunks, riffChunk } from './metadata';
+import { canvasToBlob, decodeBlob, imagePixels, pixelsCanvas } from './canvas';
+import { addFrame, clearRegion, drawPatch } from './compositing';
+
+// Animated WebP decoder and encoder for animations ({ width, height, plays,
+// frames }, see animation.js). The VP8/VP8L bitstreams are left to the
+// canvas: each ANMF frame is unwrapped into a still WebP to decode, and each
+// frame is encoded as a still WebP and wrapped into an ANMF chunk.
+
+const utf8 = (text) => new TextEncoder().encode(text);
+
+const uint24 = (bytes, at) => bytes[at] | (bytes[at + 1] << 8) | (bytes[at + 2] << 16);
+
+const putUint24 = (bytes, at, value) => bytes.set([value & 255, (value >> 8) & 255, (value >> 16) & 255], at);
+
+const riff = (chunks) => {
+  const body = [utf8('WEBP'), ...chunks];
+  const head = new Uint8Array(8);
+  head.set(utf8('RIFF'));
+  new DataView(head.buffer).setUint32(4, body.reduce((n, part) => n + part.length, 0), true);
+  return new Blob([head, ...body], { type: 'image/webp' });
+};
+
+const isWebp = (bytes) => bytes.length > 20 && String.fromCharCode(...bytes.subarray(0, 4)) === 'RIFF' && String.fromCharCode(...bytes.subarray(8, 12)) === 'WEBP';
+
+const VP8X_ANIMATION = 0x02;
+const VP8X_ALPHA = 0x10;
+
+const vp8x = (flags, width, height) => {
+  const data = new Uint8Array(10);
+  data[0] = flags;
+  putUint24(data, 4, width - 1);
+  putUint24(data, 7, height - 1);
+  return riffChunk('VP8X', data);
+};
+
+// Number of frames of an animated WebP, 0 for a still one
+export const webpFrameCount = (bytes) => {
+  if (!isWebp(bytes)) return 0;
+  const chunks = readWebpChunks(bytes);
+  if (chunks[0]?.type !== 'VP8X' || !(chunks[0].data[0] & VP8X_ANIMATION)) return 0;
+  return chunks.filter((chunk) => chunk.type === 'ANMF').length;
+};
+
+// ---- Decoding ----
+
+const IMAGE_CHUNKS = ['ALPH', 'VP8 ', 'VP8L'];
+
+// A still WebP holding the image of one frame
+const stillFrame = (chunks, width, height) => {
+  const image = chunks.filter((chunk) => IMAGE_CHUNKS.includes(chunk.type));
+  // Lossy images keep their alpha in a separate ALPH chunk, which needs VP8X
+  const alpha = image.some((chunk) => chunk.type === 'ALPH');
+  return riff([...(alpha ? [vp8x(VP8X_ALPHA, width, height)] : []), ...image.map((chunk) => riffChunk(chunk.type, chunk.data))]);
+};
+
+export const decodeAnimatedWebp = async (bytes) => {
+  const chunks = isWebp(bytes) ? readWebpChunks(bytes) : [];
+  if (chunks[0]?.type !== 'VP8X' || !(chunks[0].data[0] & VP8X_ANIMATION)) throw new Error('Not an animated WebP file');
+  const width = uint24(chunks[0].data, 4) + 1;
+  const height = uint24(chunks[0].data, 7) + 1;
+  const anim = chunks.find((chunk) => chunk.type === 'ANIM');
+  // Browsers ignore the background colour and start from transparent
+  const surface = { data: new Uint8ClampedArray(width * height * 4), width, height };
+  const frames = [];
+
+  for (const { type, data } of chunks) {
+    if (type !== 'ANMF') continue;
+    const region = { x: uint24(data, 0) * 2, y: uint24(data, 3) * 2, width: uint24(data, 6) + 1, height: uint24(data, 9) + 1 };
+    const image = await decodeBlob(stillFrame(readWebpChunks(data, 16), region.width, region.height));
+    const patch = imagePixels(image).data;
+    // Bit 1: overwrite instead of alpha blending, bit 0: clear after showing
+    drawPatch(surface, patch, region, !(data[15] & 0x02));
+    addFrame(frames, surface, uint24(data, 12));
+    if (data[15] & 0x01) clearRegion(surface, region);
+  }
+  if (!frames.length) throw new Error('The WebP has no frames');
+  // The loop count is the number of plays, 0 for endless
+  return { width, height, plays: anim ? anim.data[4] | (anim.data[5] << 8) : 0, frames };
+};
+
+// ---- Encoding ----
+
+// Encodes an animation as an animated WebP file (Blob) with the canvas'
+// WebP encoder at `quality`. Throws 'webpUnsupported' where the canvas
+// cannot encode WebP (it falls back to PNG).
+export const encodeAnimatedWebp = async ({ width, height, plays, frames }, quality = 0.9) => {
+  const anim = new Uint8Array(6);
+  anim[4] = plays & 255;
+  anim[5] = (plays >> 8) & 255;
+  const parts = [vp8x(VP8X_ANIMATION | VP8X_ALPHA, width, height), riffChunk('ANIM', anim)];
+
+  for (const { data, delay } of frames) {
+    const still = await canvasToBlob(pixelsCanvas({ data, width, height }), 'image/webp', quality);
+    const bytes = new Uint8Array(await still.arrayBuffer());
+    if (!isWebp(bytes)) throw new Error('webpUnsupported');
+
+    const header = new Uint8Array(16);
+    putUint24(header, 6, width - 1);
+    putUint24(header, 9, height - 1);
+    putUint24(header, 12, Math.min(delay, 0xffffff));
+    // Full frames replace each other, no blending and no disposal
+    header[15] = 0x02;
+    const image = readWebpChunks(bytes).filter((chunk) => IMAGE_CHUNKS.includes(chunk.type));
+    parts.push(riffChunk('ANMF', new Uint8Array(await new Blob([header, ...image.map((chunk) => riffChunk(chunk.type, chunk.data))]).arrayBuffer())));
+  }
+  return riff(parts);
+};
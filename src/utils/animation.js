@@ -0,0 +1,77 @@
+import { decodeGif, encodeGif, gifFrameCount } from './gif';
+import { apngFrameCount, decodeApng, encodeApng } from './apng';
+import { decodeAnimatedWebp, encodeAnimatedWebp, webpFrameCount } from './animatedWebp';
+import { decodeBlob, imagePixels, pixelsCanvas } from './canvas';
+import { writeMetadata } from './metadata';
+
+// Animated GIF, APNG and WebP. Decoded animations are
+//   { width, height, plays, frames: [{ data, delay }] }
+// where `plays` is how often the animation runs (0 = endlessly) and each
+// frame holds the full composited picture (straight RGBA) and how long it
+// shows in milliseconds. Every frame is watermarked like a still image and
+// the result is encoded in the format it came in.
+
+// Animated formats, with the file type and extension they are saved with
+export const ANIMATED_FORMATS = {
+  gif: { name: 'GIF', mime: 'image/gif', extension: 'gif' },
+  apng: { name: 'APNG', mime: 'image/png', extension: 'png' },
+  webp: { name: 'WebP', mime: 'image/webp', extension: 'webp' },
+};
+
+const FRAME_COUNTS = { gif: gifFrameCount, apng: apngFrameCount, webp: webpFrameCount };
+
+// { format, frames } of an animated file (a Blob) with more than one frame,
+// else null. Only the container is read, no frame is decoded.
+export const animationInfo = async (file) => {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  for (const [format, frameCount] of Object.entries(FRAME_COUNTS)) {
+    const frames = frameCount(bytes);
+    if (frames > 1) return { format, frames };
+  }
+  return null;
+};
+
+const DECODERS = { gif: decodeGif, apng: decodeApng, webp: decodeAnimatedWebp };
+
+// The animation in a file of `format`, with every frame composited
+export const decodeAnimation = async (file, format) => DECODERS[format](new Uint8Array(await file.arrayBuffer()));
+
+// Encodes an animation in `format`, WebP at `quality`. Resolves to
+// { blob, format }: browsers that cannot encode WebP get an APNG instead.
+export const encodeAnimation = async (animation, format, quality) => {
+  if (format === 'gif') return { blob: encodeGif(animation), format };
+  if (format === 'webp') {
+    try {
+      return { blob: await encodeAnimatedWebp(animation, quality), format };
+    } catch (error) {
+      if (error.message !== 'webpUnsupported') throw error;
+    }
+  }
+  return { blob: await encodeApng(animation), format: 'apng' };
+};
+
+// Final file for a protected animation, like exportBlob for still images:
+// encoded in `format` with the ownership metadata and the kept EXIF entries
+// written in (GIF has no room for them). Resolves to { blob, format }.
+export const exportAnimation = async (animation, format, options, ownership = null, carried = []) => {
+  const encoded = await encodeAnimation(animation, format, options.quality);
+  const container = encoded.format === 'apng' ? 'png' : encoded.format;
+  const blob = await writeMetadata(encoded.blob, container, options.metadata === false ? null : ownership, carried);
+  return { blob, format: encoded.format };
+};
+
+// Runs every frame through `protectFrame(image, onProgress)`, which gets a
+// drawable frame and resolves to the protected PNG Blob, one frame at a
+// time. The protected frames may be resized; all must share one size.
+export const protectAnimation = async ({ plays, frames, width, height }, protectFrame, onProgress = () => {}) => {
+  const protectedFrames = [];
+  let size = null;
+  for (const [i, { data, delay }] of frames.entries()) {
+    const png = await protectFrame(pixelsCanvas({ data, width, height }), (progress) => onProgress((i + progress) / frames.length));
+    const pixels = imagePixels(await decodeBlob(png));
+    protectedFrames.push({ data: pixels.data, delay });
+    size = { width: pixels.width, height: pixels.height };
+  }
+  onProgress(1);
+  return { ...size, plays, frames: protectedFrames };
+};
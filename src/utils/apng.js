@@ -0,0 +1,218 @@
+import { SIGNATURE, chunk, compressPixels, paeth, rgbaHeader } from './png';
+import { addFrame, clearRegion, drawPatch, readRegion } from './compositing';
+
+// APNG decoder and encoder for animations ({ width, height, plays, frames },
+// see animation.js). Decoding reads every colour type, bit depth and
+// interlacing and composites the frames with their dispose and blend
+// operations; encoding writes full 8 bit RGBA frames.
+
+const isPng = (bytes) => bytes.length > 8 && SIGNATURE.every((byte, i) => bytes[i] === byte);
+
+const readChunks = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  for (let at = 8; at + 8 <= bytes.length;) {
+    const length = view.getUint32(at);
+    const type = String.fromCharCode(...bytes.subarray(at + 4, at + 8));
+    chunks.push({ type, data: bytes.subarray(at + 8, at + 8 + length) });
+    at += 12 + length;
+    if (type === 'IEND') break;
+  }
+  return chunks;
+};
+
+// An acTL chunk only counts before the image data
+const animationControl = (chunks) => {
+  for (const { type, data } of chunks) {
+    if (type === 'IDAT') return null;
+    if (type === 'acTL') return new DataView(data.buffer, data.byteOffset, data.byteLength);
+  }
+  return null;
+};
+
+// Number of frames of an APNG, 0 for a still PNG
+export const apngFrameCount = (bytes) => {
+  const control = isPng(bytes) && animationControl(readChunks(bytes));
+  return control ? control.getUint32(0) : 0;
+};
+
+// ---- Decoding ----
+
+const inflate = async (parts) => {
+  const stream = new Blob(parts).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Origin and step of the seven Adam7 passes
+const ADAM7 = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+// Reverses the row filters of a width × height image starting at `at`
+const unfilter = (data, at, width, height, bitsPerPixel) => {
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  const rows = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = data[at++];
+    const row = y * stride;
+    for (let i = 0; i < stride; i++) {
+      const left = i >= bpp ? rows[row + i - bpp] : 0;
+      const up = y ? rows[row - stride + i] : 0;
+      const upLeft = y && i >= bpp ? rows[row - stride + i - bpp] : 0;
+      let predicted = 0;
+      if (filter === 1) predicted = left;
+      else if (filter === 2) predicted = up;
+      else if (filter === 3) predicted = (left + up) >> 1;
+      else if (filter === 4) predicted = paeth(left, up, upLeft);
+      rows[row + i] = data[at + i] + predicted;
+    }
+    at += stride;
+  }
+  return { rows, stride, end: at };
+};
+
+// Value of sample `index` in a row, at any bit depth
+const sample = (rows, row, index, depth) => {
+  if (depth === 8) return rows[row + index];
+  if (depth === 16) return (rows[row + index * 2] << 8) | rows[row + index * 2 + 1];
+  const bit = index * depth;
+  return (rows[row + (bit >> 3)] >> (8 - depth - (bit & 7))) & ((1 << depth) - 1);
+};
+
+// RGBA of the pixels of an unfiltered image
+const toRgba = (rows, stride, width, height, header, put) => {
+  const { bitDepth: depth, colorType, palette, transparency } = header;
+  const channels = CHANNELS[colorType];
+  const max = (1 << depth) - 1;
+  const scale = (value) => (depth === 16 ? value >> 8 : Math.round((value * 255) / max));
+  const key = transparency && colorType !== 3
+    ? Array.from({ length: transparency.length / 2 }, (_, i) => (transparency[i * 2] << 8) | transparency[i * 2 + 1])
+    : null;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const values = [];
+      for (let c = 0; c < channels; c++) values.push(sample(rows, y * stride, x * channels + c, depth));
+      let rgba;
+      if (colorType === 3) {
+        const index = values[0];
+        rgba = palette && index * 3 < palette.length ? [...palette.subarray(index * 3, index * 3 + 3), transparency?.[index] ?? 255] : [0, 0, 0, 255];
+      } else if (colorType === 0 || colorType === 4) {
+        const gray = scale(values[0]);
+        rgba = [gray, gray, gray, colorType === 4 ? scale(values[1]) : 255];
+      } else {
+        rgba = [scale(values[0]), scale(values[1]), scale(values[2]), colorType === 6 ? scale(values[3]) : 255];
+      }
+      // tRNS of grey and RGB images names one fully transparent colour
+      if (key && colorType !== 4 && colorType !== 6 && key.every((value, c) => value === values[c])) rgba[3] = 0;
+      put(x, y, rgba);
+    }
+  }
+};
+
+const decodePixels = (data, width, height, header) => {
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  const bitsPerPixel = CHANNELS[header.colorType] * header.bitDepth;
+  let at = 0;
+  for (const [x0, y0, dx, dy] of header.interlace ? ADAM7 : [[0, 0, 1, 1]]) {
+    const passWidth = Math.max(0, Math.ceil((width - x0) / dx));
+    const passHeight = Math.max(0, Math.ceil((height - y0) / dy));
+    if (!passWidth || !passHeight) continue;
+    const { rows, stride, end } = unfilter(data, at, passWidth, passHeight, bitsPerPixel);
+    if (header.colorType === 6 && header.bitDepth === 8 && !header.interlace) {
+      // 8 bit RGBA, what ProtectorIMG and most tools write: rows are pixels already
+      pixels.set(rows);
+      break;
+    }
+    toRgba(rows, stride, passWidth, passHeight, header, (x, y, rgba) => {
+      pixels.set(rgba, ((y0 + y * dy) * width + x0 + x * dx) * 4);
+    });
+    at = end;
+  }
+  return pixels;
+};
+
+const readFrameControl = (data) => {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  return {
+    region: { width: view.getUint32(4), height: view.getUint32(8), x: view.getUint32(12), y: view.getUint32(16) },
+    // A zero denominator means hundredths of a second
+    delay: Math.round((view.getUint16(20) / (view.getUint16(22) || 100)) * 1000),
+    dispose: data[24],
+    blend: data[25],
+  };
+};
+
+export const decodeApng = async (bytes) => {
+  const chunks = isPng(bytes) ? readChunks(bytes) : [];
+  const control = animationControl(chunks);
+  if (!control) throw new Error('Not an animated PNG file');
+  const ihdr = new DataView(chunks[0].data.buffer, chunks[0].data.byteOffset, 13);
+  const width = ihdr.getUint32(0);
+  const height = ihdr.getUint32(4);
+  const header = { bitDepth: chunks[0].data[8], colorType: chunks[0].data[9], interlace: chunks[0].data[12], palette: null, transparency: null };
+
+  // The IDAT image is the first frame when an fcTL comes before it,
+  // otherwise a still fallback that is not part of the animation
+  const parts = [];
+  chunks.forEach(({ type, data }) => {
+    if (type === 'PLTE') header.palette = data;
+    else if (type === 'tRNS') header.transparency = data;
+    else if (type === 'fcTL') parts.push({ control: readFrameControl(data), data: [] });
+    else if (type === 'IDAT' && parts.length === 1) parts[0].data.push(data);
+    else if (type === 'fdAT' && parts.length) parts[parts.length - 1].data.push(data.subarray(4));
+  });
+
+  const surface = { data: new Uint8ClampedArray(width * height * 4), width, height };
+  const frames = [];
+  for (const [i, { control: { region, delay, dispose, blend }, data }] of parts.entries()) {
+    const patch = decodePixels(await inflate(data), region.width, region.height, header);
+    // Restoring the previous frame before there is one clears instead
+    const disposal = i === 0 && dispose === 2 ? 1 : dispose;
+    const saved = disposal === 2 ? readRegion(surface, region) : null;
+    drawPatch(surface, patch, region, blend === 1);
+    addFrame(frames, surface, delay);
+    if (disposal === 1) clearRegion(surface, region);
+    else if (disposal === 2) drawPatch(surface, saved, region, false);
+  }
+  if (!frames.length) throw new Error('The APNG has no frames');
+  return { width, height, plays: control.getUint32(4), frames };
+};
+
+// ---- Encoding ----
+
+const uint32s = (...values) => {
+  const bytes = new Uint8Array(values.length * 4);
+  const view = new DataView(bytes.buffer);
+  values.forEach((value, i) => view.setUint32(i * 4, value));
+  return bytes;
+};
+
+// Encodes an animation as an APNG file (Blob). Frames replace each other
+// whole, so partial transparency is kept exactly.
+export const encodeApng = async ({ width, height, plays, frames }) => {
+  const parts = [SIGNATURE, ...chunk('IHDR', rgbaHeader(width, height)), ...chunk('acTL', uint32s(frames.length, plays))];
+  let sequence = 0;
+  for (const [i, { data, delay }] of frames.entries()) {
+    // Delays past 65.5 s only fit in hundredths of a second
+    const [numerator, denominator] = delay <= 0xffff ? [delay, 1000] : [Math.min(0xffff, Math.round(delay / 10)), 100];
+    const control = new Uint8Array(26);
+    control.set(uint32s(sequence++, width, height, 0, 0));
+    new DataView(control.buffer).setUint16(20, numerator);
+    new DataView(control.buffer).setUint16(22, denominator);
+    parts.push(...chunk('fcTL', control));
+
+    const compressed = await compressPixels({ data, width, height });
+    if (i === 0) {
+      parts.push(...chunk('IDAT', compressed));
+    } else {
+      const frameData = new Uint8Array(4 + compressed.length);
+      frameData.set(uint32s(sequence++));
+      frameData.set(compressed, 4);
+      parts.push(...chunk('fdAT', frameData));
+    }
+  }
+  parts.push(...chunk('IEND', new Uint8Array(0)));
+  return new Blob(parts, { type: 'image/png' });
+};
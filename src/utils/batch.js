@@ -0,0 +1,107 @@
+import JSZip from 'jszip';
+import { protectImage } from './protect';
+import { loadImageFile, protectedFileName, relativePath } from './files';
+import { EXPORT_FORMATS, exportBlob } from './exportFormats';
+import { carriedMetadata, readSourceMetadata } from './sourceMetadata';
+import { resizeImage, sizedFileName } from './sizes';
+import { ANIMATED_FORMATS, animationInfo, decodeAnimation, exportAnimation, protectAnimation } from './animation';
+
+// Watermarks every frame of a decoded animation, each cropped and resized
+// to `size` first, and encodes the result in the animation's `format`.
+// Resolves to { blob, extension }: WebP may come back as APNG.
+export const protectAnimationFrames = async (animation, format, size, settings, carried = [], onProgress = () => {}) => {
+  const protectedAnimation = await protectAnimation(
+    animation,
+    async (frame, progress) => (await protectImage(await resizeImage(frame, size), settings, progress)).blob,
+    onProgress
+  );
+  const result = await exportAnimation(protectedAnimation, format, settings.exportOptions, settings.ownership, carried);
+  return { blob: result.blob, extension: ANIMATED_FORMATS[result.format].extension };
+};
+
+// Watermarks a single file with the given settings and returns
+// { blob, extension }: the protected image in the export format, cropped
+// and resized first when `settings.outputSize` asks for it. Animated files
+// keep their format and every frame is watermarked. The metadata fields
+// listed in `settings.keptMetadata` are read from each original and carried over.
+export const protectFile = async (file, settings) => {
+  const carried = carriedMetadata(await readSourceMetadata(file), settings.keptMetadata || []);
+  const animated = await animationInfo(file);
+  if (animated) {
+    const animation = await decodeAnimation(file, animated.format);
+    return protectAnimationFrames(animation, animated.format, settings.outputSize, settings, carried);
+  }
+  const image = await resizeImage(await loadImageFile(file), settings.outputSize);
+  const { blob: protectedImage } = await protectImage(image, { ...settings, output: settings.exportOptions });
+  const blob = await exportBlob(protectedImage, settings.exportOptions, settings.ownership, carried);
+  return { blob, extension: EXPORT_FORMATS[settings.exportOptions.format].extension };
+};
+
+// Keeps names unique inside the archive: foo-protected.png, foo-protected (2).png, ...
+const uniqueName = (name, used) => {
+  if (!used.has(name)) {
+    used.add(name);
+    return name;
+  }
+  const dot = name.lastIndexOf('.');
+  let n = 2;
+  let candidate;
+  do {
+    candidate = `${name.slice(0, dot)} (${n++})${name.slice(dot)}`;
+  } while (used.has(candidate));
+  used.add(candidate);
+  return candidate;
+};
+
+// Runs every file through the watermark + steganography pipeline one at a
+// time and packs the results in a ZIP. `onStatus(index, status, error)` is
+// called as each file moves through 'processing' -> 'done' | 'error'.
+export const protectBatchToZip = async (files, settings, onStatus = () => {}) => {
+  const zip = new JSZip();
+  const used = new Set();
+  let added = 0;
+
+  for (let i = 0; i < files.length; i++) {
+    onStatus(i, 'processing');
+    try {
+      const { blob, extension } = await protectFile(files[i], settings);
+      zip.file(uniqueName(protectedFileName(relativePath(files[i]), extension), used), blob);
+      added++;
+      onStatus(i, 'done');
+    } catch (error) {
+      console.error(`Batch item failed: ${files[i].name}`, error);
+      onStatus(i, 'error', error);
+    }
+  }
+
+  if (!added) return null;
+  // Images are already compressed, storing them keeps the ZIP fast to build
+  return zip.generateAsync({ type: 'blob', compression: 'STORE' });
+};
+
+// Protects one image once per output size (ids of OUTPUT_SIZES) and packs
+// the results in a ZIP. Each size is resized first and then watermarked, so
+// the mark and the hidden data match its pixels. `carried` holds the EXIF
+// entries kept from the original. `onProgress` gets 0..1. With `animated`
+// ({ animation, format }, the decoded original) every size is an animation.
+export const protectSizesToZip = async (image, name, sizes, settings, carried = [], onProgress = () => {}, animated = null) => {
+  const zip = new JSZip();
+  const used = new Set();
+
+  for (let i = 0; i < sizes.length; i++) {
+    const size = { ...settings.outputSize, id: sizes[i] };
+    const sizeProgress = (progress) => onProgress((i + progress) / sizes.length);
+    let blob;
+    let extension = EXPORT_FORMATS[settings.exportOptions.format].extension;
+    if (animated) {
+      ({ blob, extension } = await protectAnimationFrames(animated.animation, animated.format, size, settings, carried, sizeProgress));
+    } else {
+      const { blob: protectedImage } = await protectImage(await resizeImage(image, size), { ...settings, output: settings.exportOptions }, sizeProgress);
+      blob = await exportBlob(protectedImage, settings.exportOptions, settings.ownership, carried);
+    }
+    zip.file(uniqueName(protectedFileName(sizedFileName(name, sizes[i]), extension), used), blob);
+  }
+
+  onProgress(1);
+  return zip.generateAsync({ type: 'blob', compression: 'STORE' });
+};
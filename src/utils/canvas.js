@@ -0,0 +1,47 @@
+// Canvas helpers that work both on the page and inside workers. Other
+// environments (the Node CLI) plug in their own canvas implementation with
+// setCanvasBackend({ createCanvas, createImageData, toBlob, decodeBlob }).
+
+let backend = null;
+
+export const setCanvasBackend = (implementation) => {
+  backend = implementation;
+};
+
+export const createCanvas = (width, height) => {
+  if (backend) return backend.createCanvas(width, height);
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+export const createImageData = (data, width, height) =>
+  backend ? backend.createImageData(data, width, height) : new ImageData(data, width, height);
+
+export const canvasToBlob = (canvas, type = 'image/png', quality) => {
+  if (backend) return backend.toBlob(canvas, type, quality);
+  if (canvas.convertToBlob) return canvas.convertToBlob({ type, quality });
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Encoding failed'))), type, quality);
+  });
+};
+
+// Decodes an image file (Blob) into something drawable
+export const decodeBlob = (blob) => (backend ? backend.decodeBlob(blob) : createImageBitmap(blob));
+
+// RGBA pixels of a drawable image as { data, width, height }
+export const imagePixels = (image) => {
+  const canvas = createCanvas(image.width, image.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0);
+  return ctx.getImageData(0, 0, image.width, image.height);
+};
+
+// Canvas showing RGBA pixels, drawable like an image
+export const pixelsCanvas = ({ data, width, height }) => {
+  const canvas = createCanvas(width, height);
+  canvas.getContext('2d').putImageData(createImageData(data, width, height), 0, 0);
+  return canvas;
+};
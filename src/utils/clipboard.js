@@ -0,0 +1,25 @@
+import { isImageFile } from './files';
+
+// Image files of a paste event's clipboardData. Screenshots and copies from
+// drawing apps arrive as a single "image.png" file item.
+export const pastedImageFiles = (clipboardData) => {
+  if (!clipboardData) return [];
+  const items = Array.from(clipboardData.items || [])
+    .filter((item) => item.kind === 'file')
+    .map((item) => item.getAsFile());
+  return (items.length ? items : Array.from(clipboardData.files || [])).filter(isImageFile);
+};
+
+// Where a paste lands: the closest element marked with data-paste-target
+// around the focused element, the artwork when nothing is marked
+export const pasteTarget = (element) =>
+  (element && element.closest && element.closest('[data-paste-target]')?.dataset.pasteTarget) || 'artwork';
+
+// The async Clipboard API can only be trusted with PNG images
+export const canCopyImages = () =>
+  Boolean(navigator.clipboard && navigator.clipboard.write && window.ClipboardItem);
+
+// Copies a PNG. Takes the pending Blob rather than awaiting it, so the
+// clipboard write starts while the click still counts as a user gesture.
+export const copyImage = (pngBlob) =>
+  navigator.clipboard.write([new window.ClipboardItem({ 'image/png': pngBlob })]);
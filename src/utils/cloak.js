@@ -0,0 +1,267 @@
+import { resizePlane } from './robustWatermark';
+
+// AI-training cloak: a bounded, near-invisible perturbation that shifts the
+// texture statistics style-mimicry models pick up on. Without a network or a
+// GPU there is no trained model to attack, so it uses a proxy: the Gram
+// matrix ("style" representation) of a Gabor filter bank, which is what the
+// first layers of image CNNs learn. A few projected sign-gradient steps push
+// those statistics towards a decoy with every orientation rotated by 90°,
+// inside an L∞ budget that is masked by local contrast so flat areas stay
+// clean. Pure functions on RGBA buffers so it runs in a worker.
+
+export const CLOAK_LEVELS = ['off', 'low', 'medium', 'high'];
+
+// epsilon is the maximum change per channel (0..1), steps the PGD iterations
+export const CLOAK_PRESETS = {
+  low: { epsilon: 2 / 255, steps: 4 },
+  medium: { epsilon: 4 / 255, steps: 6 },
+  high: { epsilon: 8 / 255, steps: 8 },
+};
+
+// Longest side the perturbation is computed at
+const WORK_SIZE = 640;
+const ORIENTATIONS = 4;
+const SCALES = [
+  { sigma: 1.2, wavelength: 3.5, radius: 3 },
+  { sigma: 2, wavelength: 6, radius: 4 },
+];
+
+// Zero-mean, unit-energy cosine Gabor kernels. They are point symmetric, so
+// the same kernel serves for the forward and the backward pass.
+const gaborBank = () =>
+  SCALES.flatMap(({ sigma, wavelength, radius }) =>
+    Array.from({ length: ORIENTATIONS }, (_, o) => {
+      const theta = (o * Math.PI) / ORIENTATIONS;
+      const size = radius * 2 + 1;
+      const kernel = new Float32Array(size * size);
+      for (let y = -radius; y <= radius; y++) {
+        for (let x = -radius; x <= radius; x++) {
+          const u = x * Math.cos(theta) + y * Math.sin(theta);
+          const v = -x * Math.sin(theta) + y * Math.cos(theta);
+          kernel[(y + radius) * size + x + radius] =
+            Math.exp(-(u * u + v * v) / (2 * sigma * sigma)) * Math.cos((2 * Math.PI * u) / wavelength);
+        }
+      }
+      const mean = kernel.reduce((a, b) => a + b, 0) / kernel.length;
+      let energy = 0;
+      for (let i = 0; i < kernel.length; i++) {
+        kernel[i] -= mean;
+        energy += kernel[i] * kernel[i];
+      }
+      const norm = Math.sqrt(energy);
+      for (let i = 0; i < kernel.length; i++) kernel[i] /= norm;
+      return { kernel, radius };
+    })
+  );
+
+// 'same' size correlation with clamped edges. The plane is padded once so
+// the inner loops need no bounds checks.
+const convolve = (plane, width, height, { kernel, radius }) => {
+  const size = radius * 2 + 1;
+  const paddedWidth = width + radius * 2;
+  const padded = new Float32Array(paddedWidth * (height + radius * 2));
+  for (let y = 0; y < height + radius * 2; y++) {
+    const row = Math.min(height - 1, Math.max(0, y - radius)) * width;
+    for (let x = 0; x < paddedWidth; x++) {
+      padded[y * paddedWidth + x] = plane[row + Math.min(width - 1, Math.max(0, x - radius))];
+    }
+  }
+  const out = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let ky = 0; ky < size; ky++) {
+        const row = (y + ky) * paddedWidth + x;
+        const krow = ky * size;
+        for (let kx = 0; kx < size; kx++) sum += padded[row + kx] * kernel[krow + kx];
+      }
+      out[y * width + x] = sum;
+    }
+  }
+  return out;
+};
+
+const gram = (features) => {
+  const n = features.length;
+  const size = features[0].length;
+  const matrix = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) {
+    for (let j = i; j < n; j++) {
+      let sum = 0;
+      for (let p = 0; p < size; p++) sum += features[i][p] * features[j][p];
+      matrix[i * n + j] = matrix[j * n + i] = sum / size;
+    }
+  }
+  return matrix;
+};
+
+// Decoy statistics: every orientation rotated by 90° within its scale
+const decoyGram = (matrix, n) => {
+  const rotate = (k) => Math.floor(k / ORIENTATIONS) * ORIENTATIONS + ((k % ORIENTATIONS) + ORIENTATIONS / 2) % ORIENTATIONS;
+  const target = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) target[i * n + j] = matrix[rotate(i) * n + rotate(j)];
+  }
+  return target;
+};
+
+// Per-pixel budget scale from the local standard deviation (5×5): textured
+// areas hide changes, flat areas (skies, gradients) get a quarter of it
+const contrastMask = (plane, width, height) => {
+  const mask = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      let sq = 0;
+      let count = 0;
+      for (let j = Math.max(0, y - 2); j <= Math.min(height - 1, y + 2); j++) {
+        for (let i = Math.max(0, x - 2); i <= Math.min(width - 1, x + 2); i++) {
+          const v = plane[j * width + i];
+          sum += v;
+          sq += v * v;
+          count++;
+        }
+      }
+      const std = Math.sqrt(Math.max(0, sq / count - (sum / count) ** 2));
+      mask[y * width + x] = Math.min(1, 0.25 + std / 0.04);
+    }
+  }
+  return mask;
+};
+
+const luminance = (data, width, height) => {
+  const plane = new Float32Array(width * height);
+  for (let i = 0; i < plane.length; i++) {
+    plane[i] = (0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]) / 255;
+  }
+  return plane;
+};
+
+// Perturbation of the luminance at working resolution. Sign steps shrink as
+// the search goes on and the best iterate is kept, large budgets otherwise
+// overshoot the decoy.
+const computePerturbation = (plane, width, height, { epsilon, steps }, onProgress) => {
+  const bank = gaborBank();
+  const n = bank.length;
+  const target = decoyGram(gram(bank.map((filter) => convolve(plane, width, height, filter))), n);
+  const mask = contrastMask(plane, width, height);
+  const delta = new Float32Array(width * height);
+  const current = new Float32Array(width * height);
+  let best = new Float32Array(width * height);
+  let bestLoss = Infinity;
+
+  for (let step = 0; step <= steps; step++) {
+    for (let p = 0; p < current.length; p++) current[p] = plane[p] + delta[p];
+    const features = bank.map((filter) => convolve(current, width, height, filter));
+    const diff = gram(features);
+    let loss = 0;
+    for (let i = 0; i < diff.length; i++) {
+      diff[i] -= target[i];
+      loss += diff[i] * diff[i];
+    }
+    if (loss < bestLoss) {
+      bestLoss = loss;
+      best = Float32Array.from(delta);
+    }
+    if (step === steps) break;
+
+    // d(loss)/d(input) = Σ_i conv(Σ_j diff_ij F_j, G_i), constant factors dropped
+    const grad = new Float32Array(width * height);
+    for (let i = 0; i < n; i++) {
+      const mixed = new Float32Array(width * height);
+      for (let j = 0; j < n; j++) {
+        const weight = diff[i * n + j];
+        const feature = features[j];
+        for (let p = 0; p < mixed.length; p++) mixed[p] += weight * feature[p];
+      }
+      const back = convolve(mixed, width, height, bank[i]);
+      for (let p = 0; p < grad.length; p++) grad[p] += back[p];
+    }
+
+    const alpha = epsilon / (step + 1);
+    for (let p = 0; p < delta.length; p++) {
+      const bound = epsilon * mask[p];
+      const next = delta[p] - alpha * Math.sign(grad[p]);
+      delta[p] = Math.min(bound, Math.max(-bound, Math.min(1 - plane[p], Math.max(-plane[p], next))));
+    }
+    onProgress((step + 1) / (steps + 2));
+  }
+  return best;
+};
+
+const blockSsim = (sx, sy, sxx, syy, sxy, count) => {
+  const c1 = (0.01 * 255) ** 2;
+  const c2 = (0.03 * 255) ** 2;
+  const mx = sx / count;
+  const my = sy / count;
+  const vx = sxx / count - mx * mx;
+  const vy = syy / count - my * my;
+  const cov = sxy / count - mx * my;
+  return ((2 * mx * my + c1) * (2 * cov + c2)) / ((mx * mx + my * my + c1) * (vx + vy + c2));
+};
+
+// Cloaks RGBA `data` in place and returns { psnr, ssim } against the
+// original (PSNR over RGB, SSIM on luma over 8×8 windows).
+// `onProgress(fraction)` reports progress.
+export const computeCloak = (data, width, height, level, onProgress = () => {}) => {
+  const preset = CLOAK_PRESETS[level];
+  const k = Math.min(1, WORK_SIZE / Math.max(width, height));
+  const workWidth = Math.max(8, Math.round(width * k));
+  const workHeight = Math.max(8, Math.round(height * k));
+  const full = luminance(data, width, height);
+  const plane = k < 1 ? resizePlane(full, width, height, workWidth, workHeight) : full;
+  const delta = computePerturbation(plane, workWidth, workHeight, preset, onProgress);
+
+  // Bilinear upsampling of the perturbation, applied in 8×8 blocks so the
+  // quality metrics come for free
+  const sampleDelta = (x, y) => {
+    const fx = Math.min(workWidth - 1, Math.max(0, (x + 0.5) * (workWidth / width) - 0.5));
+    const fy = Math.min(workHeight - 1, Math.max(0, (y + 0.5) * (workHeight / height) - 0.5));
+    const x0 = Math.floor(fx);
+    const y0 = Math.floor(fy);
+    const x1 = Math.min(workWidth - 1, x0 + 1);
+    const y1 = Math.min(workHeight - 1, y0 + 1);
+    const tx = fx - x0;
+    const ty = fy - y0;
+    const top = delta[y0 * workWidth + x0] * (1 - tx) + delta[y0 * workWidth + x1] * tx;
+    const bottom = delta[y1 * workWidth + x0] * (1 - tx) + delta[y1 * workWidth + x1] * tx;
+    return (top * (1 - ty) + bottom * ty) * 255;
+  };
+
+  let squaredError = 0;
+  let ssimSum = 0;
+  let blocks = 0;
+  for (let by = 0; by < height; by += 8) {
+    for (let bx = 0; bx < width; bx += 8) {
+      let sx = 0, sy = 0, sxx = 0, syy = 0, sxy = 0, count = 0;
+      for (let y = by; y < Math.min(height, by + 8); y++) {
+        for (let x = bx; x < Math.min(width, bx + 8); x++) {
+          const i = (y * width + x) * 4;
+          const d = sampleDelta(x, y);
+          const before = full[y * width + x] * 255;
+          for (let c = 0; c < 3; c++) {
+            const value = Math.min(255, Math.max(0, Math.round(data[i + c] + d)));
+            squaredError += (value - data[i + c]) ** 2;
+            data[i + c] = value;
+          }
+          const after = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+          sx += before;
+          sy += after;
+          sxx += before * before;
+          syy += after * after;
+          sxy += before * after;
+          count++;
+        }
+      }
+      ssimSum += blockSsim(sx, sy, sxx, syy, sxy, count);
+      blocks++;
+    }
+  }
+  onProgress(1);
+
+  const mse = squaredError / (width * height * 3);
+  return {
+    psnr: mse ? 10 * Math.log10((255 * 255) / mse) : Infinity,
+    ssim: ssimSum / blocks,
+  };
+};
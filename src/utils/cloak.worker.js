@@ -0,0 +1,14 @@
+import { computeCloak } from './cloak';
+
+// Runs the cloak off the main thread. Receives { data, width, height, level }
+// and answers with progress messages and finally the cloaked pixels.
+self.onmessage = ({ data: { data, width, height, level } }) => {
+  try {
+    const report = computeCloak(data, width, height, level, (progress) => {
+      self.postMessage({ type: 'progress', progress });
+    });
+    self.postMessage({ type: 'done', data, report }, [data.buffer]);
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,38 @@
+import { canvasToBlob, createCanvas } from './canvas';
+
+// Pixels whose strongest channel moved by more than this count as covered
+const CHANGE_THRESHOLD = 12;
+// Faint changes are brightened so they show up at all
+const AMPLIFY = 4;
+
+// Difference between the original image and a watermarked preview (object
+// URL), at the preview's size. Resolves to { blob, coverage }: an amplified
+// per-channel difference image on black, and the share of pixels the mark
+// visibly changes (0..1).
+export const differenceImage = async (original, watermarkedUrl) => {
+  const after = await createImageBitmap(await (await fetch(watermarkedUrl)).blob());
+  const { width, height } = after;
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(original, 0, 0, width, height);
+  const before = ctx.getImageData(0, 0, width, height).data;
+  ctx.clearRect(0, 0, width, height);
+  ctx.drawImage(after, 0, 0);
+  after.close();
+
+  const result = ctx.getImageData(0, 0, width, height);
+  const { data } = result;
+  let changed = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    const r = Math.abs(data[i] - before[i]);
+    const g = Math.abs(data[i + 1] - before[i + 1]);
+    const b = Math.abs(data[i + 2] - before[i + 2]);
+    if (Math.max(r, g, b) > CHANGE_THRESHOLD) changed++;
+    data[i] = r * AMPLIFY;
+    data[i + 1] = g * AMPLIFY;
+    data[i + 2] = b * AMPLIFY;
+    data[i + 3] = 255;
+  }
+  ctx.putImageData(result, 0, 0);
+  return { blob: await canvasToBlob(canvas), coverage: changed / (width * height) };
+};
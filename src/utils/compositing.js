@@ -0,0 +1,65 @@
+// Compositing of animation frames onto a full-size surface
+// ({ data, width, height }, straight RGBA). Regions are { x, y, width, height }
+// and are clipped to the surface.
+
+const clip = (surface, { x, y, width, height }) => ({
+  left: Math.max(0, x),
+  top: Math.max(0, y),
+  right: Math.min(surface.width, x + width),
+  bottom: Math.min(surface.height, y + height),
+});
+
+// Makes a region transparent
+export const clearRegion = (surface, region) => {
+  const { left, top, right, bottom } = clip(surface, region);
+  for (let y = top; y < bottom; y++) {
+    surface.data.fill(0, (y * surface.width + left) * 4, (y * surface.width + right) * 4);
+  }
+};
+
+// Draws `patch` (RGBA, region.width × region.height) at the region. With
+// `blend` it goes over the surface, otherwise it replaces those pixels.
+export const drawPatch = (surface, patch, region, blend) => {
+  const { data, width } = surface;
+  const { left, top, right, bottom } = clip(surface, region);
+  for (let y = top; y < bottom; y++) {
+    for (let x = left; x < right; x++) {
+      const from = ((y - region.y) * region.width + (x - region.x)) * 4;
+      const to = (y * width + x) * 4;
+      const alpha = patch[from + 3];
+      if (!blend || alpha === 255) {
+        data[to] = patch[from];
+        data[to + 1] = patch[from + 1];
+        data[to + 2] = patch[from + 2];
+        data[to + 3] = alpha;
+      } else if (alpha) {
+        const under = (data[to + 3] * (255 - alpha)) / 255;
+        const total = alpha + under;
+        for (let c = 0; c < 3; c++) {
+          data[to + c] = Math.round((patch[from + c] * alpha + data[to + c] * under) / total);
+        }
+        data[to + 3] = Math.round(total);
+      }
+    }
+  }
+};
+
+// Copy of the pixels of a region
+export const readRegion = (surface, region) => {
+  const out = new Uint8ClampedArray(region.width * region.height * 4);
+  const { left, top, right, bottom } = clip(surface, region);
+  for (let y = top; y < bottom; y++) {
+    const from = (y * surface.width + left) * 4;
+    out.set(surface.data.subarray(from, from + (right - left) * 4), ((y - region.y) * region.width + (left - region.x)) * 4);
+  }
+  return out;
+};
+
+// Pixels all the frames of one animation may add up to (about 400 MB)
+export const MAX_ANIMATION_AREA = 100 * 1000 * 1000;
+
+// Appends a copy of the surface as the next frame, shown for `delay` ms
+export const addFrame = (frames, surface, delay) => {
+  if ((frames.length + 1) * surface.width * surface.height > MAX_ANIMATION_AREA) throw new Error('animationTooLarge');
+  frames.push({ data: surface.data.slice(), delay });
+};
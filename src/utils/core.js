@@ -0,0 +1,71 @@
+import { defaultTypography } from './typography';
+import { defaultOwnership } from './payload';
+import { encodeDrawable } from './exportFormats';
+import { pixelsCanvas } from './canvas';
+import { MAX_CANVAS_AREA, encodePixels, protectPixels, renderPixels } from './pipeline';
+
+// Framework independent entry points of the watermark pipeline, used by the
+// app (through the render worker) and by the Node CLI. `image` is anything
+// the canvas implementation can draw. Options are the app's settings, with
+// typography nested as presets store it or flattened as the app passes it;
+// missing ones take the app's defaults.
+
+// Defaults of the visible watermark (typography aside)
+export const WATERMARK_DEFAULTS = {
+  signature: '',
+  signatureImage: null,
+  signatureTint: false,
+  opacity: 0.5,
+  angle: 45,
+  density: 3,
+  fontSize: 20,
+  signatureSize: 100,
+  textColor: '#000000',
+  colorMode: 'fixed',
+  blendMode: 'source-over',
+  placement: 'tiled',
+  anchor: 'bottom-right',
+  margin: 3,
+  position: { x: 0.5, y: 0.5 },
+  jitter: 0,
+  seed: '',
+  interference: 'none',
+};
+
+// Complete, flattened options
+export const resolveOptions = ({ typography, ...options } = {}) => ({
+  ...WATERMARK_DEFAULTS,
+  ...defaultTypography(),
+  ...typography,
+  embedMode: 'both',
+  cloak: 'off',
+  keyPair: null,
+  ...options,
+  ownership: options.ownership || defaultOwnership(),
+});
+
+// Watermarked pixels at full resolution as { data, width, height }
+export const renderWatermark = (image, options, onProgress = () => {}) =>
+  renderPixels(image, resolveOptions(options), onProgress);
+
+// Full resolution protected image: the visible watermark, the optional
+// cloak, then the invisible watermarks selected by `embedMode`. A PNG unless
+// `output` ({ format, quality }) asks for another export format. Rendering
+// takes the first part of the progress, the cloak (when on) most of the rest.
+// Resolves to { blob, cloakReport }, the report ({ psnr, ssim }) measured on
+// the full resolution pixels, null without cloak.
+export const protectWithReport = async (image, options, onProgress = () => {}) => {
+  const { output, ...settings } = resolveOptions(options);
+  const encoded = output && output.format !== 'png';
+  // Checked up front rather than after the whole render
+  if (encoded && image.width * image.height > MAX_CANVAS_AREA) throw new Error('imageTooLarge');
+  const [rendered, protectedAt] = settings.cloak !== 'off' ? [0.25, 0.85] : [0.5, 0.6];
+  const pixels = renderPixels(image, settings, (progress) => onProgress(progress * rendered));
+  const cloakReport = await protectPixels(pixels, settings, (progress) => onProgress(rendered + progress * (protectedAt - rendered)));
+  const blob = encoded ? await encodeDrawable(pixelsCanvas(pixels), output) : await encodePixels(pixels);
+  onProgress(1);
+  return { blob, cloakReport };
+};
+
+// The protected image of protectWithReport() alone, as a Blob
+export const protect = async (image, options, onProgress) => (await protectWithReport(image, options, onProgress)).blob;
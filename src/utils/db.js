@@ -0,0 +1,43 @@
+// Tiny promise wrapper around the app's IndexedDB database.
+// Add new object stores to STORES and bump DB_VERSION.
+const DB_NAME = 'protectorimg';
+const DB_VERSION = 3;
+const STORES = ['keys', 'presets', 'session'];
+
+let dbPromise = null;
+
+const openDB = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        STORES.forEach((store) => {
+          if (!db.objectStoreNames.contains(store)) db.createObjectStore(store);
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const run = async (store, mode, action) => {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode);
+    const request = action(tx.objectStore(store));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+export const dbGet = (store, key) => run(store, 'readonly', (s) => s.get(key));
+export const dbGetAll = (store) => run(store, 'readonly', (s) => s.getAll());
+export const dbSet = (store, key, value) => run(store, 'readwrite', (s) => s.put(value, key));
+export const dbDelete = (store, key) => run(store, 'readwrite', (s) => s.delete(key));
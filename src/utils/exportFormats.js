@@ -0,0 +1,72 @@
+import { canvasToBlob, createCanvas, decodeBlob } from './canvas';
+import { dataUrlToBlob } from './files';
+import { writeMetadata } from './metadata';
+import { MAX_CANVAS_AREA } from './pipeline';
+
+export const EXPORT_FORMATS = {
+  png: { mime: 'image/png', extension: 'png', lossy: false },
+  jpeg: { mime: 'image/jpeg', extension: 'jpg', lossy: true },
+  webp: { mime: 'image/webp', extension: 'webp', lossy: true },
+};
+
+export const defaultExportOptions = () => ({ format: 'png', quality: 0.9, metadata: true });
+
+// Browsers silently fall back to PNG for formats they cannot encode. The
+// answer cannot change while the page is open, so each format is probed once.
+const supported = {};
+
+export const supportsFormat = (format) => {
+  if (!(format in supported)) {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 1;
+    supported[format] = canvas.toDataURL(EXPORT_FORMATS[format].mime).startsWith(`data:${EXPORT_FORMATS[format].mime}`);
+  }
+  return supported[format];
+};
+
+const loadImage = (url) =>
+  new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = reject;
+    img.src = url;
+  });
+
+// Encodes `image` (anything drawable) in `format`. Browsers encode a single
+// canvas, images larger than MAX_CANVAS_AREA are refused. Runs on the page,
+// in the pipeline worker and in the CLI.
+export const encodeDrawable = (image, { format, quality }) => {
+  if (image.width * image.height > MAX_CANVAS_AREA) return Promise.reject(new Error('imageTooLarge'));
+  const { mime, lossy } = EXPORT_FORMATS[format];
+  const canvas = createCanvas(image.width, image.height);
+  const ctx = canvas.getContext('2d');
+  if (format === 'jpeg') {
+    // JPEG has no alpha, transparent areas would turn black
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  ctx.drawImage(image, 0, 0);
+  return canvasToBlob(canvas, mime, lossy ? quality : undefined);
+};
+
+// Re-encodes an image (URL or Blob) to the chosen format and returns a Blob
+export const encodeImage = async (image, options) =>
+  encodeDrawable(image instanceof Blob ? await decodeBlob(image) : await loadImage(image), options);
+
+// Final file for a protected image (Blob or data URL). PNGs are passed
+// through untouched so the LSB payload in the alpha channel survives bit for
+// bit, and so are images protect() already encoded in the export format;
+// metadata is written into separate chunks/segments and never touches the
+// pixels. `carried` holds the EXIF entries kept from the original file.
+export const exportBlob = async (image, options, ownership = null, carried = []) => {
+  const { mime } = EXPORT_FORMATS[options.format];
+  let blob = image instanceof Blob ? image : await dataUrlToBlob(image);
+  if (options.format !== 'png' && blob.type !== mime) blob = await encodeImage(blob, options);
+  return writeMetadata(blob, options.format, options.metadata === false ? null : ownership, carried);
+};
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
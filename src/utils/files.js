@@ -0,0 +1,84 @@
+// Reads an image file into a loaded HTMLImageElement.
+export const loadImageFile = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = reject;
+      img.src = event.target.result;
+    };
+    reader.onerror = reject;
+    reader.readAsDataURL(file);
+  });
+
+export const isImageFile = (file) => Boolean(file && file.type.match('image.*'));
+
+// foo.jpg -> foo-protected.png (keeps any folder prefix)
+export const protectedFileName = (name, extension = 'png') => {
+  const dot = name.lastIndexOf('.');
+  const slash = name.lastIndexOf('/');
+  const base = dot > slash ? name.slice(0, dot) : name;
+  return `${base}-protected.${extension}`;
+};
+
+// Path of the file relative to the dropped/picked folder, or just its name
+export const relativePath = (file) => file.relativePath || file.webkitRelativePath || file.name;
+
+const readEntries = (reader) =>
+  new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+
+const entryToFiles = async (entry, path = '') => {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    file.relativePath = `${path}${file.name}`;
+    return [file];
+  }
+  if (!entry.isDirectory) return [];
+
+  const reader = entry.createReader();
+  const files = [];
+  // readEntries returns at most ~100 entries per call, keep reading until empty
+  let batch = await readEntries(reader);
+  while (batch.length) {
+    for (const child of batch) {
+      files.push(...(await entryToFiles(child, `${path}${entry.name}/`)));
+    }
+    batch = await readEntries(reader);
+  }
+  return files;
+};
+
+// Collects every file from a drop, walking into dropped folders
+export const collectDroppedFiles = async (dataTransfer) => {
+  const items = Array.from(dataTransfer.items || []);
+  // Entries must be grabbed synchronously, the DataTransfer is cleared after the event
+  const entries = items
+    .map((item) => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+    .filter(Boolean);
+
+  if (!entries.length) return Array.from(dataTransfer.files || []);
+
+  const files = [];
+  for (const entry of entries) {
+    files.push(...(await entryToFiles(entry)));
+  }
+  return files;
+};
+
+export const dataUrlToBlob = async (dataUrl) => (await fetch(dataUrl)).blob();
+
+export const downloadUrl = (url, filename) => {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+};
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  downloadUrl(url, filename);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
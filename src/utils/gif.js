@@ -0,0 +1,378 @@
+import { addFrame, clearRegion, drawPatch, readRegion } from './compositing';
+
+// GIF decoder and encoder for animations ({ width, height, plays, frames },
+// see animation.js). Decoding composites every frame with its disposal
+// method; encoding writes full frames with their own palette of up to 255
+// colours plus one transparent index.
+
+const ascii = (bytes, from, to) => String.fromCharCode(...bytes.subarray(from, to));
+
+const concat = (parts) => {
+  const out = new Uint8Array(parts.reduce((n, part) => n + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    out.set(part, offset);
+    offset += part.length;
+  });
+  return out;
+};
+
+// Data sub-blocks (a length byte, then that many bytes) up to the empty one
+const readSubBlocks = (bytes, at) => {
+  const parts = [];
+  while (at < bytes.length && bytes[at]) {
+    parts.push(bytes.subarray(at + 1, at + 1 + bytes[at]));
+    at += 1 + bytes[at];
+  }
+  return { data: concat(parts), end: at + 1 };
+};
+
+const colorTableSize = (flags) => 3 * (2 << (flags & 7));
+
+// ---- Decoding ----
+
+const lzwDecode = (minCodeSize, data, pixelCount) => {
+  const out = new Uint8Array(pixelCount);
+  const clear = 1 << minCodeSize;
+  const end = clear + 1;
+  const prefix = new Int16Array(4096);
+  const suffix = new Uint8Array(4096);
+  const first = new Uint8Array(4096);
+  const lengths = new Uint16Array(4096);
+  for (let code = 0; code < clear; code++) {
+    suffix[code] = first[code] = code;
+    lengths[code] = 1;
+  }
+
+  let codeSize = minCodeSize + 1;
+  let next = end + 1;
+  let previous = -1;
+  let buffer = 0;
+  let bits = 0;
+  let pos = 0;
+  for (let i = 0; pos < pixelCount;) {
+    while (bits < codeSize && i < data.length) {
+      buffer |= data[i++] << bits;
+      bits += 8;
+    }
+    if (bits < codeSize) break;
+    const code = buffer & ((1 << codeSize) - 1);
+    buffer >>>= codeSize;
+    bits -= codeSize;
+
+    if (code === clear) {
+      codeSize = minCodeSize + 1;
+      next = end + 1;
+      previous = -1;
+      continue;
+    }
+    if (code === end || code > next || (code === next && previous === -1)) break;
+
+    if (previous !== -1 && next < 4096) {
+      prefix[next] = previous;
+      suffix[next] = code < next ? first[code] : first[previous];
+      first[next] = first[previous];
+      lengths[next] = lengths[previous] + 1;
+      next++;
+      if (next === 1 << codeSize && codeSize < 12) codeSize++;
+    }
+    // The string of a code is written back to front along its prefixes
+    let link = code;
+    for (let at = pos + lengths[code] - 1; at >= pos; at--) {
+      if (at < pixelCount) out[at] = suffix[link];
+      link = prefix[link];
+    }
+    pos += lengths[code];
+    previous = code;
+  }
+  return out;
+};
+
+// Interlaced images store rows 0, 8, 16… then 4, 12… then 2, 6… then 1, 3…
+const deinterlace = (indices, width, height) => {
+  const out = new Uint8Array(indices.length);
+  let row = 0;
+  [[0, 8], [4, 8], [2, 4], [1, 2]].forEach(([start, step]) => {
+    for (let y = start; y < height; y += step) {
+      out.set(indices.subarray(row * width, (row + 1) * width), y * width);
+      row++;
+    }
+  });
+  return out;
+};
+
+const isGif = (bytes) => bytes.length > 13 && /^GIF8[79]a$/.test(ascii(bytes, 0, 6));
+
+// Walks the blocks of a GIF, calling onExtension(label, data) and
+// onImage(at) for each image descriptor, which returns the offset after it
+const walkGif = (bytes, { onExtension = () => {}, onImage }) => {
+  let at = 13 + (bytes[10] & 0x80 ? colorTableSize(bytes[10]) : 0);
+  while (at < bytes.length) {
+    const block = bytes[at++];
+    if (block === 0x21) {
+      const label = bytes[at++];
+      const { data, end } = readSubBlocks(bytes, at);
+      onExtension(label, data);
+      at = end;
+    } else if (block === 0x2c) {
+      at = onImage(at);
+    } else {
+      // 0x3b ends the file, anything else is damage after the last frame
+      break;
+    }
+  }
+};
+
+// Number of frames of a GIF, without decoding them
+export const gifFrameCount = (bytes) => {
+  if (!isGif(bytes)) return 0;
+  let count = 0;
+  walkGif(bytes, {
+    onImage: (at) => {
+      count++;
+      const flags = bytes[at + 8];
+      at += 9 + (flags & 0x80 ? colorTableSize(flags) : 0) + 1;
+      return readSubBlocks(bytes, at).end;
+    },
+  });
+  return count;
+};
+
+export const decodeGif = (bytes) => {
+  if (!isGif(bytes)) throw new Error('Not a GIF file');
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const width = view.getUint16(6, true);
+  const height = view.getUint16(8, true);
+  const globalPalette = bytes[10] & 0x80 ? bytes.subarray(13, 13 + colorTableSize(bytes[10])) : null;
+  const surface = { data: new Uint8ClampedArray(width * height * 4), width, height };
+  const frames = [];
+  let plays = 1;
+  let control = { disposal: 0, delay: 0, transparent: -1 };
+  let dispose = null; // Disposal of the previous frame, applied before the next one
+
+  walkGif(bytes, {
+    onExtension: (label, data) => {
+      if (label === 0xf9 && data.length >= 4) {
+        control = { disposal: (data[0] >> 2) & 7, delay: (data[1] | (data[2] << 8)) * 10, transparent: data[0] & 1 ? data[3] : -1 };
+      } else if (label === 0xff && ascii(data, 0, 11) === 'NETSCAPE2.0' && data[11] === 1) {
+        // The loop count is the number of repeats after the first play
+        const repeats = data[12] | (data[13] << 8);
+        plays = repeats ? repeats + 1 : 0;
+      }
+    },
+    onImage: (at) => {
+      const region = { x: view.getUint16(at, true), y: view.getUint16(at + 2, true), width: view.getUint16(at + 4, true), height: view.getUint16(at + 6, true) };
+      const flags = bytes[at + 8];
+      at += 9;
+      let palette = globalPalette;
+      if (flags & 0x80) {
+        palette = bytes.subarray(at, at + colorTableSize(flags));
+        at += colorTableSize(flags);
+      }
+      const minCodeSize = bytes[at++];
+      const { data, end } = readSubBlocks(bytes, at);
+      let indices = lzwDecode(minCodeSize, data, region.width * region.height);
+      if (flags & 0x40) indices = deinterlace(indices, region.width, region.height);
+
+      if (dispose) dispose();
+      const { disposal, delay, transparent } = control;
+      const saved = disposal === 3 ? readRegion(surface, region) : null;
+      const patch = new Uint8ClampedArray(indices.length * 4);
+      indices.forEach((index, i) => {
+        if (index === transparent || !palette || index * 3 >= palette.length) return;
+        patch.set(palette.subarray(index * 3, index * 3 + 3), i * 4);
+        patch[i * 4 + 3] = 255;
+      });
+      drawPatch(surface, patch, region, true);
+      addFrame(frames, surface, delay);
+
+      // Browsers treat "restore to background" as clearing to transparent
+      if (disposal === 2) dispose = () => clearRegion(surface, region);
+      else if (disposal === 3) dispose = () => drawPatch(surface, saved, region, false);
+      else dispose = null;
+      control = { disposal: 0, delay: 0, transparent: -1 };
+      return end;
+    },
+  });
+
+  if (!frames.length) throw new Error('The GIF has no frames');
+  return { width, height, plays, frames };
+};
+
+// ---- Encoding ----
+
+const MAX_COLORS = 255; // The 256th index is kept for transparency
+
+const colorKey = (r, g, b) => ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+
+// Palette of the opaque pixels ({ colors, exact }): their exact colours
+// when there are few enough, else a median cut of a 5 bit per channel
+// histogram
+const buildPalette = (data) => {
+  const exact = new Map();
+  const counts = new Uint32Array(32768);
+  const sums = new Float64Array(32768 * 3);
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < 128) continue;
+    const [r, g, b] = [data[i], data[i + 1], data[i + 2]];
+    if (exact.size <= MAX_COLORS) exact.set((r << 16) | (g << 8) | b, true);
+    const key = colorKey(r, g, b);
+    counts[key]++;
+    sums[key * 3] += r;
+    sums[key * 3 + 1] += g;
+    sums[key * 3 + 2] += b;
+  }
+  if (exact.size <= MAX_COLORS) {
+    return { colors: [...exact.keys()].map((rgb) => [rgb >> 16, (rgb >> 8) & 255, rgb & 255]), exact: true };
+  }
+
+  const channel = (key, c) => (key >> (10 - c * 5)) & 31;
+  const boxes = [[...counts.keys()].filter((key) => counts[key])];
+  while (boxes.length < MAX_COLORS) {
+    // Split the box with the widest channel range at its pixel median
+    let widest = null;
+    boxes.forEach((box, index) => {
+      if (box.length < 2) return;
+      for (let c = 0; c < 3; c++) {
+        let low = 31;
+        let high = 0;
+        box.forEach((key) => {
+          low = Math.min(low, channel(key, c));
+          high = Math.max(high, channel(key, c));
+        });
+        if (!widest || high - low > widest.range) widest = { index, c, range: high - low };
+      }
+    });
+    if (!widest) break;
+    const box = boxes[widest.index].sort((a, b) => channel(a, widest.c) - channel(b, widest.c));
+    const total = box.reduce((n, key) => n + counts[key], 0);
+    let split = 0;
+    for (let seen = 0; split < box.length - 1 && seen + counts[box[split]] <= total / 2; split++) seen += counts[box[split]];
+    split = Math.max(1, split);
+    boxes.splice(widest.index, 1, box.slice(0, split), box.slice(split));
+  }
+  const colors = boxes.map((box) => {
+    const total = box.reduce((n, key) => n + counts[key], 0);
+    return [0, 1, 2].map((c) => Math.round(box.reduce((n, key) => n + sums[key * 3 + c], 0) / total));
+  });
+  return { colors, exact: false };
+};
+
+// Palette index of every pixel, `transparent` for the see-through ones
+const mapPixels = (data, { colors: palette, exact }, transparent) => {
+  const indices = new Uint8Array(data.length / 4);
+  const exactIndex = new Map(exact ? palette.map(([r, g, b], index) => [(r << 16) | (g << 8) | b, index]) : []);
+  const nearest = new Int16Array(32768).fill(-1);
+  for (let i = 0; i < indices.length; i++) {
+    const r = data[i * 4];
+    const g = data[i * 4 + 1];
+    const b = data[i * 4 + 2];
+    if (data[i * 4 + 3] < 128) {
+      indices[i] = transparent;
+      continue;
+    }
+    if (exact) {
+      indices[i] = exactIndex.get((r << 16) | (g << 8) | b);
+      continue;
+    }
+    const key = colorKey(r, g, b);
+    if (nearest[key] === -1) {
+      let best = Infinity;
+      palette.forEach(([pr, pg, pb], index) => {
+        const distance = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+        if (distance < best) {
+          best = distance;
+          nearest[key] = index;
+        }
+      });
+    }
+    // Colours sharing a histogram bin differ only in their low bits
+    indices[i] = nearest[key];
+  }
+  return indices;
+};
+
+const lzwEncode = (minCodeSize, indices) => {
+  const clear = 1 << minCodeSize;
+  const end = clear + 1;
+  const out = [];
+  const codes = new Map();
+  let codeSize = minCodeSize + 1;
+  let next = end + 1;
+  let buffer = 0;
+  let bits = 0;
+  const emit = (code) => {
+    buffer |= code << bits;
+    bits += codeSize;
+    while (bits >= 8) {
+      out.push(buffer & 255);
+      buffer >>>= 8;
+      bits -= 8;
+    }
+  };
+
+  emit(clear);
+  let current = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const key = (current << 8) | indices[i];
+    const known = codes.get(key);
+    if (known !== undefined) {
+      current = known;
+      continue;
+    }
+    emit(current);
+    if (next < 4096) {
+      if (next >= 1 << codeSize) codeSize++;
+      codes.set(key, next++);
+    } else {
+      // The table is full, start over
+      emit(clear);
+      codes.clear();
+      codeSize = minCodeSize + 1;
+      next = end + 1;
+    }
+    current = indices[i];
+  }
+  emit(current);
+  emit(end);
+  if (bits) out.push(buffer & 255);
+  return Uint8Array.from(out);
+};
+
+const subBlocks = (data) => {
+  const parts = [];
+  for (let at = 0; at < data.length; at += 255) {
+    const part = data.subarray(at, at + 255);
+    parts.push(Uint8Array.of(part.length), part);
+  }
+  parts.push(Uint8Array.of(0));
+  return parts;
+};
+
+const u16 = (value) => Uint8Array.of(value & 255, (value >> 8) & 255);
+
+// Encodes an animation as a GIF file (Blob). Pixels under half opacity
+// become transparent, GIF has no partial transparency.
+export const encodeGif = ({ width, height, plays, frames }) => {
+  const parts = [new TextEncoder().encode('GIF89a'), u16(width), u16(height), Uint8Array.of(0, 0, 0)];
+  if (plays !== 1) {
+    parts.push(Uint8Array.of(0x21, 0xff, 11), new TextEncoder().encode('NETSCAPE2.0'), Uint8Array.of(3, 1), u16(plays ? plays - 1 : 0), Uint8Array.of(0));
+  }
+
+  frames.forEach(({ data, delay }) => {
+    const palette = buildPalette(data);
+    const transparent = palette.colors.length;
+    const indices = mapPixels(data, palette, transparent);
+    // The table holds a power of two entries, at least 4
+    const tableBits = Math.max(2, Math.ceil(Math.log2(transparent + 1)));
+    const table = new Uint8Array(3 << tableBits);
+    palette.colors.forEach((color, index) => table.set(color, index * 3));
+
+    // Each full frame clears the previous one, or its transparent pixels would show it
+    parts.push(Uint8Array.of(0x21, 0xf9, 4, (2 << 2) | 1), u16(Math.round(delay / 10)), Uint8Array.of(transparent, 0));
+    parts.push(Uint8Array.of(0x2c), u16(0), u16(0), u16(width), u16(height), Uint8Array.of(0x80 | (tableBits - 1)), table);
+    parts.push(Uint8Array.of(tableBits), ...subBlocks(lzwEncode(tableBits, indices)));
+  });
+  parts.push(Uint8Array.of(0x3b));
+  return new Blob(parts, { type: 'image/gif' });
+};
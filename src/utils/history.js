@@ -0,0 +1,61 @@
+// Undo/redo history of plain setting snapshots ({ field: value }). Values are
+// compared by reference, so objects must be replaced rather than mutated.
+const MAX_ENTRIES = 100;
+
+// Changes to the same fields closer together than this are one entry, so a
+// slider drag or a burst of typing is undone in one step
+const COALESCE_MS = 800;
+
+export const emptyHistory = () => ({ past: [], present: null, future: [], lastChange: null });
+
+const changedFields = (a, b) => Object.keys(b).filter((field) => a[field] !== b[field]);
+
+const sameFields = (a, b) => a.length === b.length && a.every((field) => b.includes(field));
+
+// Records `snapshot` as the present state. Returns `history` unchanged when
+// nothing differs, e.g. right after undo() or redo() applied it.
+export const recordSnapshot = (history, snapshot, now = Date.now()) => {
+  if (!history.present) return { ...history, present: snapshot };
+  const fields = changedFields(history.present, snapshot);
+  if (!fields.length) return history;
+
+  const { lastChange } = history;
+  const coalesce = lastChange && now - lastChange.time < COALESCE_MS && sameFields(lastChange.fields, fields);
+  return {
+    past: coalesce ? history.past : [...history.past, history.present].slice(-MAX_ENTRIES),
+    present: snapshot,
+    future: [],
+    lastChange: { fields, time: now },
+  };
+};
+
+export const canUndo = (history) => history.past.length > 0;
+export const canRedo = (history) => history.future.length > 0;
+
+// Step back: the new history, its present being the snapshot to apply
+export const undo = (history) => {
+  if (!canUndo(history)) return history;
+  return {
+    past: history.past.slice(0, -1),
+    present: history.past[history.past.length - 1],
+    future: [history.present, ...history.future],
+    lastChange: null,
+  };
+};
+
+export const redo = (history) => {
+  if (!canRedo(history)) return history;
+  return {
+    past: [...history.past, history.present],
+    present: history.future[0],
+    future: history.future.slice(1),
+    lastChange: null,
+  };
+};
+
+// Keyboard shortcuts are left to text fields, which have their own undo
+export const isTextEntry = (element) =>
+  Boolean(element) &&
+  (element.isContentEditable ||
+    element.tagName === 'TEXTAREA' ||
+    (element.tagName === 'INPUT' && !['range', 'checkbox', 'radio', 'color', 'button', 'submit', 'file'].includes(element.type)));
@@ -0,0 +1,96 @@
+import { en } from '../locales/en';
+
+// Interface languages by code, with their own name for the picker, the text
+// direction of the page and the loader of their texts
+export const LANGUAGES = {
+  en: { name: 'English', dir: 'ltr' },
+  es: { name: 'Español', dir: 'ltr', load: () => import('../locales/es') },
+  fr: { name: 'Français', dir: 'ltr', load: () => import('../locales/fr') },
+  de: { name: 'Deutsch', dir: 'ltr', load: () => import('../locales/de') },
+  pt: { name: 'Português', dir: 'ltr', load: () => import('../locales/pt') },
+  ja: { name: '日本語', dir: 'ltr', load: () => import('../locales/ja') },
+  ar: { name: 'العربية', dir: 'rtl', load: () => import('../locales/ar') },
+};
+
+// Every key exists in this language, the others fall back to it
+export const DEFAULT_LANGUAGE = 'en';
+
+// Texts by language code. English is bundled, the others are fetched by
+// loadTranslations() before the interface switches to them.
+const translations = { en };
+
+export const isLoaded = (language) => Boolean(translations[language]);
+
+export const loadTranslations = async (language) => {
+  if (!translations[language]) translations[language] = (await LANGUAGES[language].load())[language];
+  return translations[language];
+};
+
+const STORAGE_KEY = 'protectorimg:language';
+
+// First supported language in a preference list such as navigator.languages.
+// Regional variants match their base language ('pt-BR' -> 'pt').
+export const detectLanguage = (preferred = []) => {
+  for (const tag of preferred) {
+    const code = String(tag).toLowerCase().split(/[-_]/)[0];
+    if (LANGUAGES[code]) return code;
+  }
+  return DEFAULT_LANGUAGE;
+};
+
+// The language picked on an earlier visit, else the browser's preference
+export const initialLanguage = () => {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  if (LANGUAGES[saved]) return saved;
+  return detectLanguage(navigator.languages || [navigator.language]);
+};
+
+export const saveLanguage = (language) => localStorage.setItem(STORAGE_KEY, language);
+
+// Keys of the default language that a loaded `language` lacks
+export const missingKeys = (language) =>
+  Object.keys(translations[DEFAULT_LANGUAGE]).filter((key) => !(key in (translations[language] || {})));
+
+// Each missing key is reported once per language
+const reported = new Set();
+const reportMissing = (language, key) => {
+  if (reported.has(`${language}:${key}`)) return;
+  reported.add(`${language}:${key}`);
+  console.warn(`Missing ${language} translation: ${key}`);
+};
+
+const pluralRules = {};
+
+// Plural entries are objects keyed by Intl.PluralRules category
+// ({ one, other }, Arabic also uses zero, two, few and many)
+const pluralForm = (language, entry, count) => {
+  if (typeof entry === 'string') return entry;
+  pluralRules[language] ||= new Intl.PluralRules(language);
+  return entry[pluralRules[language].select(count ?? 0)] ?? entry.other;
+};
+
+// Text of `key` in `language` with {placeholders} filled from `params`.
+// A `count` param picks the plural form. Falls back to the default
+// language, then to the key itself.
+export const translate = (language, key, params = {}) => {
+  let entryLanguage = language;
+  let entry = translations[language]?.[key];
+  if (entry === undefined) {
+    reportMissing(language, key);
+    entryLanguage = DEFAULT_LANGUAGE;
+    entry = translations[DEFAULT_LANGUAGE][key];
+    if (entry === undefined) return key;
+  }
+  return pluralForm(entryLanguage, entry, params.count).replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] === undefined ? placeholder : String(params[name])
+  );
+};
+
+const translators = {};
+
+// t(key, params) bound to a language. The same function is returned for a
+// language every time, so it is safe in hook dependencies.
+export const translator = (language) => {
+  translators[language] ||= (key, params) => translate(language, key, params);
+  return translators[language];
+};
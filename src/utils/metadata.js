@@ -0,0 +1,403 @@
+import { crc32 } from './crc32';
+
+// Writes copyright metadata straight into encoded PNG, JPEG and WebP files:
+//   PNG  - tEXt/iTXt chunks plus the XMP packet in an iTXt chunk
+//   JPEG - EXIF (APP1), XMP (APP1) and IPTC-IIM (APP13 Photoshop block)
+//   WebP - EXIF and XMP chunks behind a VP8X header
+// EXIF fields the user chose to keep from the original file are merged in.
+// Pixel data is never touched, so hidden payloads survive.
+
+const SOFTWARE = 'ProtectorIMG';
+const utf8 = (text) => new TextEncoder().encode(text);
+
+const concat = (parts) => {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  parts.forEach((p) => {
+    out.set(p, offset);
+    offset += p.length;
+  });
+  return out;
+};
+
+const LICENSE_URLS = {
+  'CC BY': 'https://creativecommons.org/licenses/by/4.0/',
+  'CC BY-SA': 'https://creativecommons.org/licenses/by-sa/4.0/',
+  'CC BY-NC': 'https://creativecommons.org/licenses/by-nc/4.0/',
+  'CC BY-NC-SA': 'https://creativecommons.org/licenses/by-nc-sa/4.0/',
+  'CC BY-ND': 'https://creativecommons.org/licenses/by-nd/4.0/',
+  'CC BY-NC-ND': 'https://creativecommons.org/licenses/by-nc-nd/4.0/',
+  'CC0': 'https://creativecommons.org/publicdomain/zero/1.0/',
+};
+
+// "© 2026 Jane Doe. CC BY-NC" style notice
+export const copyrightNotice = ({ author, created, license }) => {
+  const year = (created || '').slice(0, 4) || new Date().getFullYear();
+  return [`© ${year}${author ? ` ${author.trim()}` : ''}`, license].filter(Boolean).join('. ');
+};
+
+// License and date always have a default, only details the user entered
+// make the file worth a copyright notice
+const hasMetadata = (ownership) =>
+  Boolean(ownership && ['author', 'contact', 'note'].some((field) => (ownership[field] || '').trim()));
+
+const escapeXml = (text) =>
+  String(text).replace(/[<>&'"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+
+export const buildXmp = (ownership) => {
+  const { author, contact, license, created, note } = ownership;
+  const notice = escapeXml(copyrightNotice(ownership));
+  const licenseUrl = LICENSE_URLS[license];
+  const webStatement = licenseUrl || (/^https?:\/\//.test(contact || '') ? contact : '');
+  const alt = (value) => `<rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(value)}</rdf:li></rdf:Alt>`;
+
+  return [
+    '<?xpacket begin="﻿" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    '<rdf:Description rdf:about=""',
+    ' xmlns:dc="http://purl.org/dc/elements/1.1/"',
+    ' xmlns:xmp="http://ns.adobe.com/xap/1.0/"',
+    ' xmlns:xmpRights="http://ns.adobe.com/xap/1.0/rights/"',
+    ' xmlns:photoshop="http://ns.adobe.com/photoshop/1.0/"',
+    ' xmlns:Iptc4xmpCore="http://iptc.org/std/Iptc4xmpCore/1.0/xmlns/"',
+    ' xmlns:cc="http://creativecommons.org/ns#"',
+    `  xmp:CreatorTool="${SOFTWARE}"`,
+    `  xmpRights:Marked="${license === 'CC0' ? 'False' : 'True'}"`,
+    webStatement ? `  xmpRights:WebStatement="${escapeXml(webStatement)}"` : '',
+    licenseUrl ? `  cc:license="${licenseUrl}"` : '',
+    created ? `  photoshop:DateCreated="${escapeXml(created)}"` : '',
+    author ? `  photoshop:Credit="${escapeXml(author)}"` : '',
+    '>',
+    author ? `<dc:creator><rdf:Seq><rdf:li>${escapeXml(author)}</rdf:li></rdf:Seq></dc:creator>` : '',
+    `<dc:rights>${alt(copyrightNotice(ownership))}</dc:rights>`,
+    license ? `<xmpRights:UsageTerms>${alt(license)}</xmpRights:UsageTerms>` : '',
+    note ? `<dc:description>${alt(note)}</dc:description>` : '',
+    contact ? `<Iptc4xmpCore:CreatorContactInfo rdf:parseType="Resource"><Iptc4xmpCore:CiUrlWork>${escapeXml(contact)}</Iptc4xmpCore:CiUrlWork></Iptc4xmpCore:CreatorContactInfo>` : '',
+    `<!-- ${notice} -->`,
+    '</rdf:Description>',
+    '</rdf:RDF>',
+    '</x:xmpmeta>',
+    '<?xpacket end="w"?>',
+  ].filter(Boolean).join('\n');
+};
+
+// ---- EXIF (TIFF structure) ----
+
+const EXIF_TYPES = { BYTE: 1, ASCII: 2, SHORT: 3, LONG: 4, RATIONAL: 5, UNDEFINED: 7, SRATIONAL: 10 };
+
+// EXIF ASCII holds 7-bit text only: accents are dropped, © is spelled out
+// and anything else becomes '?'. The full text goes into XMP and XP* tags.
+const NON_ASCII = /[\u0080-\uffff]/g;
+const isAscii = (text) => !text.match(NON_ASCII);
+const asciiText = (text) =>
+  text.replace(/©/g, '(c)').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(NON_ASCII, '?');
+
+// Null-terminated UTF-16LE, as Windows' XP* tags store text
+const ucs2 = (text) => {
+  const bytes = new Uint8Array((text.length + 1) * 2);
+  for (let i = 0; i < text.length; i++) {
+    bytes[i * 2] = text.charCodeAt(i) & 0xff;
+    bytes[i * 2 + 1] = text.charCodeAt(i) >> 8;
+  }
+  return bytes;
+};
+
+const encodeExifValue = ({ type, value }) => {
+  switch (type) {
+    case 'ASCII': {
+      const bytes = Uint8Array.from(asciiText(value), (c) => c.charCodeAt(0));
+      return { bytes: concat([bytes, new Uint8Array([0])]), count: bytes.length + 1 };
+    }
+    case 'SHORT': {
+      const values = [].concat(value);
+      const bytes = new Uint8Array(values.length * 2);
+      const view = new DataView(bytes.buffer);
+      values.forEach((v, i) => view.setUint16(i * 2, v, true));
+      return { bytes, count: values.length };
+    }
+    case 'LONG': {
+      const values = [].concat(value);
+      const bytes = new Uint8Array(values.length * 4);
+      const view = new DataView(bytes.buffer);
+      values.forEach((v, i) => view.setUint32(i * 4, v, true));
+      return { bytes, count: values.length };
+    }
+    case 'RATIONAL':
+    case 'SRATIONAL': {
+      const bytes = new Uint8Array(value.length * 8);
+      const view = new DataView(bytes.buffer);
+      value.forEach(([num, den], i) => {
+        if (type === 'RATIONAL') {
+          view.setUint32(i * 8, num, true);
+          view.setUint32(i * 8 + 4, den, true);
+        } else {
+          view.setInt32(i * 8, num, true);
+          view.setInt32(i * 8 + 4, den, true);
+        }
+      });
+      return { bytes, count: value.length };
+    }
+    default: {
+      const bytes = value instanceof Uint8Array ? value : new Uint8Array(value);
+      return { bytes, count: bytes.length };
+    }
+  }
+};
+
+const ifdSize = (entries) =>
+  2 + entries.length * 12 + 4 + entries.reduce((n, e) => {
+    const { length } = encodeExifValue(e).bytes;
+    return n + (length > 4 ? length + (length % 2) : 0);
+  }, 0);
+
+// Writes one IFD at `offset` (relative to the TIFF header) into `view`
+const writeIfd = (view, bytes, entries, offset) => {
+  const sorted = [...entries].sort((a, b) => a.tag - b.tag);
+  let dataOffset = offset + 2 + sorted.length * 12 + 4;
+  view.setUint16(offset, sorted.length, true);
+  sorted.forEach((entry, i) => {
+    const { bytes: value, count } = encodeExifValue(entry);
+    const at = offset + 2 + i * 12;
+    view.setUint16(at, entry.tag, true);
+    view.setUint16(at + 2, EXIF_TYPES[entry.type], true);
+    view.setUint32(at + 4, count, true);
+    if (value.length <= 4) {
+      bytes.set(value, at + 8);
+    } else {
+      view.setUint32(at + 8, dataOffset, true);
+      bytes.set(value, dataOffset);
+      dataOffset += value.length + (value.length % 2);
+    }
+  });
+  view.setUint32(offset + 2 + sorted.length * 12, 0, true);
+};
+
+// Builds a little-endian TIFF/EXIF block from tag lists for IFD0 and the
+// optional Exif and GPS sub-IFDs: [{ tag, type, value }]
+export const buildExif = ({ ifd0 = [], exif = [], gps = [] }) => {
+  const main = [...ifd0];
+  // Pointers are LONGs, their final value is patched in below
+  if (exif.length) main.push({ tag: 0x8769, type: 'LONG', value: 0 });
+  if (gps.length) main.push({ tag: 0x8825, type: 'LONG', value: 0 });
+
+  const ifd0Offset = 8;
+  const exifOffset = ifd0Offset + ifdSize(main);
+  const gpsOffset = exifOffset + (exif.length ? ifdSize(exif) : 0);
+  const total = gpsOffset + (gps.length ? ifdSize(gps) : 0);
+
+  main.forEach((entry) => {
+    if (entry.tag === 0x8769) entry.value = exifOffset;
+    if (entry.tag === 0x8825) entry.value = gpsOffset;
+  });
+
+  const bytes = new Uint8Array(total);
+  const view = new DataView(bytes.buffer);
+  bytes.set([0x49, 0x49, 0x2a, 0x00]); // "II*\0"
+  view.setUint32(4, ifd0Offset, true);
+  writeIfd(view, bytes, main, ifd0Offset);
+  if (exif.length) writeIfd(view, bytes, exif, exifOffset);
+  if (gps.length) writeIfd(view, bytes, gps, gpsOffset);
+  return bytes;
+};
+
+const ownershipExifTags = (ownership) => {
+  const author = (ownership.author || '').trim();
+  const note = (ownership.note || '').trim();
+  return [
+    author && { tag: 0x013b, type: 'ASCII', value: author }, // Artist
+    { tag: 0x8298, type: 'ASCII', value: copyrightNotice(ownership) }, // Copyright
+    note && { tag: 0x010e, type: 'ASCII', value: note }, // ImageDescription
+    { tag: 0x0131, type: 'ASCII', value: SOFTWARE }, // Software
+    // Text ASCII cannot hold is kept whole in the XP* tags
+    author && !isAscii(author) && { tag: 0x9c9d, type: 'BYTE', value: ucs2(author) }, // XPAuthor
+    note && !isAscii(note) && { tag: 0x9c9c, type: 'BYTE', value: ucs2(note) }, // XPComment
+  ].filter(Boolean);
+};
+
+// ---- IPTC-IIM ----
+
+const iimDataset = (record, dataset, value) => {
+  const data = typeof value === 'string' ? utf8(value) : value;
+  return concat([new Uint8Array([0x1c, record, dataset, data.length >> 8, data.length & 0xff]), data]);
+};
+
+const buildIptc = (ownership) => {
+  const { author, created, note } = ownership;
+  const datasets = [
+    iimDataset(1, 90, new Uint8Array([0x1b, 0x25, 0x47])), // Coded character set: UTF-8
+    author && iimDataset(2, 80, author.trim()), // By-line
+    iimDataset(2, 116, copyrightNotice(ownership)), // Copyright Notice
+    note && iimDataset(2, 120, note.trim()), // Caption/Abstract
+    created && iimDataset(2, 55, created.replace(/-/g, '')), // Date Created, CCYYMMDD
+  ].filter(Boolean);
+  const iim = concat(datasets);
+
+  // Photoshop image resource block 0x0404 holding the IIM records
+  const header = new Uint8Array(12);
+  header.set(utf8('8BIM'));
+  header.set([0x04, 0x04, 0x00, 0x00], 4); // resource id + empty pascal name
+  new DataView(header.buffer).setUint32(8, iim.length);
+  return concat([utf8('Photoshop 3.0\0'), header, iim, new Uint8Array(iim.length % 2)]);
+};
+
+// ---- JPEG ----
+
+const jpegSegment = (marker, payload) => {
+  const length = payload.length + 2;
+  if (length > 0xffff) throw new Error('Metadata segment too large');
+  return concat([new Uint8Array([0xff, marker, length >> 8, length & 0xff]), payload]);
+};
+
+const insertIntoJpeg = (bytes, segments) => {
+  // Keep SOI and a leading JFIF APP0 in front, as readers expect
+  let at = 2;
+  if (bytes[2] === 0xff && bytes[3] === 0xe0) at = 4 + ((bytes[4] << 8) | bytes[5]);
+  return concat([bytes.subarray(0, at), ...segments, bytes.subarray(at)]);
+};
+
+// ---- PNG ----
+
+const pngChunk = (type, data) => {
+  const typeBytes = utf8(type);
+  const head = new Uint8Array(4);
+  new DataView(head.buffer).setUint32(0, data.length);
+  const crc = new Uint8Array(4);
+  new DataView(crc.buffer).setUint32(0, crc32(data, crc32(typeBytes)));
+  return concat([head, typeBytes, data, crc]);
+};
+
+const isLatin1 = (text) => /^[\x20-\x7e\xa0-\xff\n]*$/.test(text);
+
+// tEXt when the value is plain Latin-1, iTXt (UTF-8) otherwise
+const pngTextChunk = (keyword, text) => {
+  if (isLatin1(text)) {
+    return pngChunk('tEXt', Uint8Array.from(`${keyword}\0${text}`, (c) => c.charCodeAt(0)));
+  }
+  return pngChunk('iTXt', concat([utf8(keyword), new Uint8Array([0, 0, 0, 0, 0]), utf8(text)]));
+};
+
+const insertIntoPng = (bytes, chunks) => {
+  // Right after IHDR: 8 byte signature + 25 byte IHDR chunk
+  const at = 33;
+  return concat([bytes.subarray(0, at), ...chunks, bytes.subarray(at)]);
+};
+
+// ---- WebP ----
+
+export const riffChunk = (type, data) => {
+  const head = new Uint8Array(8);
+  head.set(utf8(type));
+  new DataView(head.buffer).setUint32(4, data.length, true);
+  return concat([head, data, new Uint8Array(data.length % 2)]);
+};
+
+// Chunks of a WebP file, or of the frame data inside an ANMF chunk from `start`
+export const readWebpChunks = (bytes, start = 12) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  for (let at = start; at + 8 <= bytes.length;) {
+    const type = String.fromCharCode(...bytes.subarray(at, at + 4));
+    const size = view.getUint32(at + 4, true);
+    chunks.push({ type, data: bytes.subarray(at + 8, at + 8 + size) });
+    at += 8 + size + (size % 2);
+  }
+  return chunks;
+};
+
+// Canvas size and alpha usage from a simple (non VP8X) WebP bitstream
+const webpInfo = ({ type, data }) => {
+  if (type === 'VP8L') {
+    const bits = data[1] | (data[2] << 8) | (data[3] << 16) | (data[4] << 24);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1, alpha: Boolean((bits >> 28) & 1) };
+  }
+  // VP8 key frame: 3 byte frame tag, 3 byte start code, then 14 bit sizes
+  return {
+    width: (data[6] | (data[7] << 8)) & 0x3fff,
+    height: (data[8] | (data[9] << 8)) & 0x3fff,
+    alpha: false,
+  };
+};
+
+const insertIntoWebp = (bytes, { exif, xmp }) => {
+  let chunks = readWebpChunks(bytes).filter((c) => c.type !== 'EXIF' && c.type !== 'XMP ');
+  let vp8x = chunks.find((c) => c.type === 'VP8X');
+  if (!vp8x) {
+    const { width, height, alpha } = webpInfo(chunks[0]);
+    const data = new Uint8Array(10);
+    if (alpha) data[0] |= 0x10;
+    data.set([(width - 1) & 0xff, ((width - 1) >> 8) & 0xff, ((width - 1) >> 16) & 0xff], 4);
+    data.set([(height - 1) & 0xff, ((height - 1) >> 8) & 0xff, ((height - 1) >> 16) & 0xff], 7);
+    vp8x = { type: 'VP8X', data };
+    chunks = [vp8x, ...chunks];
+  } else {
+    vp8x.data = Uint8Array.from(vp8x.data);
+  }
+  if (exif) vp8x.data[0] |= 0x08;
+  if (xmp) vp8x.data[0] |= 0x04;
+
+  const body = concat([
+    utf8('WEBP'),
+    ...chunks.map((c) => riffChunk(c.type, c.data)),
+    exif ? riffChunk('EXIF', exif) : new Uint8Array(0),
+    xmp ? riffChunk('XMP ', xmp) : new Uint8Array(0),
+  ]);
+  const head = new Uint8Array(8);
+  head.set(utf8('RIFF'));
+  new DataView(head.buffer).setUint32(4, body.length, true);
+  return concat([head, body]);
+};
+
+// Returns a new Blob of the same type with the ownership metadata written in
+// Ownership tags plus the kept source entries ({ ifd, tag, type, value }).
+// Kept fields win, except Artist/Copyright/ImageDescription, which always
+// come from the ownership details when those are written.
+const exifGroups = (ownership, carried) => {
+  const own = hasMetadata(ownership) ? ownershipExifTags(ownership) : [];
+  const groups = { ifd0: [], exif: [], gps: [] };
+  const taken = new Set();
+  carried.forEach(({ ifd, ...entry }) => {
+    if (ifd === 'ifd0' && entry.tag !== 0x0131 && own.some((o) => o.tag === entry.tag)) return;
+    if (taken.has(`${ifd}:${entry.tag}`)) return;
+    groups[ifd].push(entry);
+    taken.add(`${ifd}:${entry.tag}`);
+  });
+  own.forEach((entry) => !taken.has(`ifd0:${entry.tag}`) && groups.ifd0.push(entry));
+  return groups.ifd0.length || groups.exif.length || groups.gps.length ? groups : null;
+};
+
+// Returns a new Blob of the same type with the ownership metadata and the
+// kept source fields written in
+export const writeMetadata = async (blob, format, ownership, carried = []) => {
+  const withOwnership = hasMetadata(ownership);
+  const groups = exifGroups(ownership, carried);
+  if (!withOwnership && !groups) return blob;
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const xmp = withOwnership ? utf8(buildXmp(ownership)) : null;
+  const exif = groups ? buildExif(groups) : null;
+  let out;
+
+  if (format === 'png') {
+    const { author, note, created } = ownership || {};
+    out = insertIntoPng(bytes, [
+      withOwnership && author && pngTextChunk('Author', author.trim()),
+      withOwnership && pngTextChunk('Copyright', copyrightNotice(ownership)),
+      withOwnership && note && pngTextChunk('Description', note.trim()),
+      withOwnership && created && pngTextChunk('Creation Time', created),
+      withOwnership && pngTextChunk('Software', SOFTWARE),
+      xmp && pngChunk('iTXt', concat([utf8('XML:com.adobe.xmp'), new Uint8Array([0, 0, 0, 0, 0]), xmp])),
+      carried.length > 0 && exif && pngChunk('eXIf', exif),
+    ].filter(Boolean));
+  } else if (format === 'jpeg') {
+    out = insertIntoJpeg(bytes, [
+      exif && jpegSegment(0xe1, concat([utf8('Exif\0\0'), exif])),
+      xmp && jpegSegment(0xe1, concat([utf8('http://ns.adobe.com/xap/1.0/\0'), xmp])),
+      withOwnership && jpegSegment(0xed, buildIptc(ownership)),
+    ].filter(Boolean));
+  } else if (format === 'webp') {
+    out = insertIntoWebp(bytes, { exif, xmp });
+  } else {
+    return blob;
+  }
+  return new Blob([out], { type: blob.type });
+};
@@ -0,0 +1,114 @@
+import { crc32Hex } from './crc32';
+
+// Hidden payload layout: PIMG<version>:<json>:<crc32 of json>
+// Short JSON keys keep the payload small enough for little images.
+// Version 2 adds the optional signature fields h (visible image hash),
+// k (key fingerprint) and g (signature), g always being the last key.
+export const PAYLOAD_VERSION = 2;
+const PREFIX = 'PIMG';
+
+export const LICENSES = [
+  'All rights reserved',
+  'CC BY',
+  'CC BY-SA',
+  'CC BY-NC',
+  'CC BY-NC-SA',
+  'CC BY-ND',
+  'CC BY-NC-ND',
+  'CC0',
+];
+
+export const defaultOwnership = () => ({
+  author: '',
+  contact: '',
+  license: LICENSES[0],
+  created: new Date().toISOString().slice(0, 10),
+  note: '',
+});
+
+const FIELD_KEYS = { author: 'a', contact: 'c', license: 'l', created: 'd', note: 'n' };
+
+export const buildPayloadBody = (ownership, { width, height }, extras = {}) => {
+  const body = { v: PAYLOAD_VERSION };
+  Object.entries(FIELD_KEYS).forEach(([field, key]) => {
+    const value = (ownership[field] || '').trim();
+    if (value) body[key] = value;
+  });
+  body.s = `${width}x${height}`;
+  return { ...body, ...extras };
+};
+
+export const serializePayload = (body) => {
+  const json = JSON.stringify(body);
+  return `${PREFIX}${body.v}:${json}:${crc32Hex(json)}`;
+};
+
+export const buildPayload = (ownership, size, extras) =>
+  serializePayload(buildPayloadBody(ownership, size, extras));
+
+// The exact bytes covered by the signature: the body without `g`
+export const signedContent = (body) => {
+  const rest = { ...body };
+  delete rest.g;
+  return JSON.stringify(rest);
+};
+
+// Same length as real signature fields, for capacity estimates before signing
+export const SIGNATURE_PLACEHOLDER = { h: '0'.repeat(64), k: '0'.repeat(16), g: '0'.repeat(88) };
+
+// Pre-versioned messages looked like "Copyright 2025 (1920x1080)"
+const parseLegacy = (message) => {
+  const match = message.match(/\((\d+)x(\d+)\)\s*$/);
+  return {
+    legacy: true,
+    valid: true,
+    text: message,
+    fields: {},
+    size: match ? { width: parseInt(match[1]), height: parseInt(match[2]) } : null,
+  };
+};
+
+// Returns null if the message is not a payload at all. `valid` is false when
+// the checksum does not match, i.e. the payload was damaged or tampered with.
+export const parsePayload = (message) => {
+  if (!message) return null;
+  if (!message.startsWith(PREFIX)) return parseLegacy(message);
+
+  const match = message.match(/^PIMG(\d+):(.*):([0-9a-f]{8})$/s);
+  if (!match) return { valid: false, version: null, fields: {}, size: null, body: null, text: message };
+
+  const [, version, json, checksum] = match;
+  let body = {};
+  try {
+    body = JSON.parse(json);
+  } catch {
+    return { valid: false, version: parseInt(version), fields: {}, size: null, body: null, text: message };
+  }
+
+  const fields = {};
+  Object.entries(FIELD_KEYS).forEach(([field, key]) => {
+    if (body[key]) fields[field] = body[key];
+  });
+  const size = typeof body.s === 'string' && body.s.match(/^(\d+)x(\d+)$/);
+
+  return {
+    valid: crc32Hex(json) === checksum,
+    version: parseInt(version),
+    fields,
+    size: size ? { width: parseInt(size[1]), height: parseInt(size[2]) } : null,
+    signed: Boolean(body.g),
+    body,
+    text: message,
+  };
+};
+
+// ts-steganography stores 3 bits per pixel (alpha channel) and 16 bits per
+// character, and needs a few spare pixels for its end-of-message marker.
+// Only opaque pixels carry it: `carriers` is their count when known.
+const RESERVED_PIXELS = 19;
+
+export const payloadCapacity = (width, height, carriers = width * height) =>
+  Math.max(0, Math.floor(((carriers - RESERVED_PIXELS) * 3) / 16));
+
+export const payloadFits = (payload, width, height, carriers) =>
+  payload.length <= payloadCapacity(width, height, carriers);
@@ -0,0 +1,142 @@
+import { drawWatermark, scaleSettings } from './watermark';
+import { computeCloak } from './cloak';
+import { embedRobustWatermark, robustOwnerId } from './robustWatermark';
+import { carrierPixels, createPayload, hideMessage } from './steganography';
+import { payloadFits } from './payload';
+import { canvasToBlob, createCanvas, createImageData } from './canvas';
+import { encodePng } from './png';
+
+// Rendering and protection on raw pixels. Runs in the pipeline worker, on
+// the page where workers cannot draw (no OffscreenCanvas 2D support), or in
+// Node behind core.js.
+
+// Largest canvas every browser accepts (iOS Safari stops at 16.7 megapixels).
+// Bigger images are drawn in tiles into a plain pixel buffer.
+export const MAX_CANVAS_AREA = 4096 * 4096;
+const TILE_SIZE = 2048;
+
+// Longest side of the live preview
+export const PREVIEW_SIZE = 1600;
+
+export const previewScale = (width, height) => Math.min(1, PREVIEW_SIZE / Math.max(width, height));
+
+// Reduced copies of the source image, reused while only settings change
+const previewBases = new WeakMap();
+
+const previewBase = (image) => {
+  if (!previewBases.has(image)) {
+    const scale = previewScale(image.width, image.height);
+    const canvas = createCanvas(Math.max(1, Math.round(image.width * scale)), Math.max(1, Math.round(image.height * scale)));
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    previewBases.set(image, { canvas, scale });
+  }
+  return previewBases.get(image);
+};
+
+// Watermarked preview at PREVIEW_SIZE as a PNG Blob
+export const renderPreview = (image, settings) => {
+  const { canvas, scale } = previewBase(image);
+  return canvasToBlob(drawWatermark(createCanvas(1, 1), canvas, scaleSettings(settings, scale)));
+};
+
+// Part of the image ({ x, y, width, height }) watermarked at full
+// resolution, for zoomed-in previews
+export const renderRegion = (image, settings, region) =>
+  canvasToBlob(drawWatermark(createCanvas(1, 1), image, settings, region));
+
+const tileRegions = (width, height) => {
+  if (width * height <= MAX_CANVAS_AREA) return [{ x: 0, y: 0, width, height }];
+  const regions = [];
+  for (let y = 0; y < height; y += TILE_SIZE) {
+    for (let x = 0; x < width; x += TILE_SIZE) {
+      regions.push({ x, y, width: Math.min(TILE_SIZE, width - x), height: Math.min(TILE_SIZE, height - y) });
+    }
+  }
+  return regions;
+};
+
+// Full resolution watermark as { data, width, height }
+export const renderPixels = (image, settings, onProgress = () => {}) => {
+  const { width, height } = image;
+  const regions = tileRegions(width, height);
+  if (regions.length === 1) {
+    const canvas = drawWatermark(createCanvas(width, height), image, settings);
+    onProgress(1);
+    return canvas.getContext('2d').getImageData(0, 0, width, height);
+  }
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  const tile = createCanvas(TILE_SIZE, TILE_SIZE);
+  regions.forEach((region, i) => {
+    drawWatermark(tile, image, settings, region);
+    const part = tile.getContext('2d').getImageData(0, 0, region.width, region.height).data;
+    const stride = region.width * 4;
+    for (let row = 0; row < region.height; row++) {
+      data.set(part.subarray(row * stride, (row + 1) * stride), ((region.y + row) * width + region.x) * 4);
+    }
+    onProgress((i + 1) / regions.length);
+  });
+  return { data, width, height };
+};
+
+// Pixels back on a canvas: full size when they fit, otherwise a reduced
+// copy assembled tile by tile (enough for the 17×16 visual hash)
+const toCanvas = ({ data, width, height }) => {
+  const regions = tileRegions(width, height);
+  if (regions.length === 1) {
+    const canvas = createCanvas(width, height);
+    canvas.getContext('2d').putImageData(createImageData(data, width, height), 0, 0);
+    return canvas;
+  }
+  const scale = Math.sqrt(MAX_CANVAS_AREA / (width * height));
+  const reduced = createCanvas(Math.round(width * scale), Math.round(height * scale));
+  const ctx = reduced.getContext('2d');
+  const tile = createCanvas(TILE_SIZE, TILE_SIZE);
+  regions.forEach((region) => {
+    const part = new Uint8ClampedArray(region.width * region.height * 4);
+    const stride = region.width * 4;
+    for (let row = 0; row < region.height; row++) {
+      const from = ((region.y + row) * width + region.x) * 4;
+      part.set(data.subarray(from, from + stride), row * stride);
+    }
+    tile.getContext('2d').putImageData(createImageData(part, region.width, region.height), 0, 0);
+    ctx.drawImage(tile, 0, 0, region.width, region.height, region.x * scale, region.y * scale, region.width * scale, region.height * scale);
+  });
+  return reduced;
+};
+
+// Runs the pixels through the optional cloak and the selected invisible
+// watermark engines, in place. The cloak goes first, then the robust mark:
+// both change colours, and the LSB payload (with its signed image hash) must
+// describe the final pixels. `cloakPixels` can replace computeCloak (same
+// arguments, may return a promise): the page hands the cloak to its worker.
+// Resolves to the cloak's { psnr, ssim } report, null without cloak.
+export const protectPixels = async (
+  pixels,
+  { ownership, keyPair = null, embedMode = 'both', cloak = 'off', cloakPixels = computeCloak },
+  onProgress = () => {}
+) => {
+  const { data, width, height } = pixels;
+  let cloakReport = null;
+  if (cloak !== 'off') {
+    cloakReport = await cloakPixels(data, width, height, cloak, onProgress);
+  }
+  if (embedMode === 'robust' || embedMode === 'both') {
+    embedRobustWatermark(pixels, robustOwnerId(ownership, keyPair));
+  }
+  if (embedMode === 'lsb' || embedMode === 'both') {
+    // Only signed payloads hash the picture (a reduced copy of huge images)
+    const payload = await createPayload(keyPair ? toCanvas(pixels) : null, ownership, keyPair, { width, height });
+    if (!payloadFits(payload, width, height, carrierPixels(data))) {
+      throw new Error('payloadTooLarge');
+    }
+    hideMessage(data, payload);
+  }
+  onProgress(1);
+  return cloakReport;
+};
+
+export const encodePixels = (pixels) => {
+  if (pixels.width * pixels.height > MAX_CANVAS_AREA) return encodePng(pixels);
+  return canvasToBlob(toCanvas(pixels));
+};
@@ -0,0 +1,44 @@
+import { renderPreview, renderRegion } from './pipeline';
+import { protectWithReport } from './core';
+
+// Renders previews and full resolution exports off the main thread. The
+// source image, the signature image and uploaded fonts are sent once and
+// kept. Messages are handled in order; a preview or zoomed region superseded
+// by a newer one before its turn is skipped and answered with a null blob.
+const assets = { source: null, signature: null };
+const latest = { preview: 0, region: 0 };
+let queue = Promise.resolve();
+
+const withSignature = (settings) => ({ ...settings, signatureImage: settings.signatureImage ? assets.signature : null });
+
+const handle = async (message) => {
+  const { type, id } = message;
+  if (type === 'source') {
+    assets.source = message.image;
+  } else if (type === 'signature') {
+    assets.signature = message.image;
+  } else if (type === 'font') {
+    const face = new FontFace(message.family, message.data);
+    self.fonts.add(await face.load());
+  } else if (type === 'preview') {
+    const blob = id === latest.preview ? await renderPreview(assets.source, withSignature(message.settings)) : null;
+    self.postMessage({ type: 'done', id, result: blob });
+  } else if (type === 'region') {
+    const blob = id === latest.region
+      ? await renderRegion(message.image || assets.source, withSignature(message.settings), message.region)
+      : null;
+    self.postMessage({ type: 'done', id, result: blob });
+  } else if (type === 'export') {
+    const result = await protectWithReport(message.image || assets.source, withSignature(message.settings), (progress) => {
+      self.postMessage({ type: 'progress', id, progress });
+    });
+    self.postMessage({ type: 'done', id, result });
+  }
+};
+
+self.onmessage = ({ data: message }) => {
+  if (message.type in latest) latest[message.type] = message.id;
+  queue = queue
+    .then(() => handle(message))
+    .catch((error) => self.postMessage({ type: 'error', id: message.id, message: error.message }));
+};
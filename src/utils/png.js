@@ -0,0 +1,75 @@
+import { crc32 } from './crc32';
+
+// RGBA PNG encoder for images larger than any canvas the browser can
+// encode, also used for the frames of APNG files (apng.js). Rows are Paeth
+// filtered and streamed through the native deflate compressor a band at a
+// time, so no second full-size buffer is needed.
+
+export const SIGNATURE = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const BAND_ROWS = 64;
+
+// Chunk as Blob parts, large IDAT data is not copied
+export const chunk = (type, data) => {
+  const typeBytes = new TextEncoder().encode(type);
+  const head = new Uint8Array(8);
+  const tail = new Uint8Array(4);
+  new DataView(head.buffer).setUint32(0, data.length);
+  head.set(typeBytes, 4);
+  new DataView(tail.buffer).setUint32(0, crc32(data, crc32(typeBytes)));
+  return [head, data, tail];
+};
+
+export const paeth = (a, b, c) => {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+};
+
+const filterBand = (data, stride, from, to) => {
+  const out = new Uint8Array((stride + 1) * (to - from));
+  for (let y = from; y < to; y++) {
+    const row = y * stride;
+    const at = (y - from) * (stride + 1);
+    out[at] = 4; // Paeth
+    for (let i = 0; i < stride; i++) {
+      const left = i >= 4 ? data[row + i - 4] : 0;
+      const up = y > 0 ? data[row - stride + i] : 0;
+      const upLeft = y > 0 && i >= 4 ? data[row - stride + i - 4] : 0;
+      out[at + 1 + i] = (data[row + i] - paeth(left, up, upLeft)) & 0xff;
+    }
+  }
+  return out;
+};
+
+// IHDR data of an 8 bit RGBA image
+export const rgbaHeader = (width, height) => {
+  const header = new Uint8Array(13);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  header.set([8, 6, 0, 0, 0], 8); // 8 bits per channel, RGBA, deflate, no interlace
+  return header;
+};
+
+// Filtered and deflated RGBA rows, the content of IDAT chunks
+export const compressPixels = async ({ data, width, height }) => {
+  const stream = new CompressionStream('deflate');
+  const compressed = new Response(stream.readable).arrayBuffer();
+  const writer = stream.writable.getWriter();
+  for (let y = 0; y < height; y += BAND_ROWS) {
+    await writer.write(filterBand(data, width * 4, y, Math.min(height, y + BAND_ROWS)));
+  }
+  await writer.close();
+  return new Uint8Array(await compressed);
+};
+
+export const encodePng = async (pixels) => {
+  if (typeof CompressionStream === 'undefined') throw new Error('imageTooLarge');
+  return new Blob(
+    [SIGNATURE, ...chunk('IHDR', rgbaHeader(pixels.width, pixels.height)), ...chunk('IDAT', await compressPixels(pixels)), ...chunk('IEND', new Uint8Array(0))],
+    { type: 'image/png' }
+  );
+};
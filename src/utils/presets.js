@@ -0,0 +1,175 @@
+import { dbDelete, dbGetAll, dbSet } from './db';
+import { ANCHORS, BLEND_MODES, COLOR_MODES, INTERFERENCE, PLACEMENTS } from './watermark';
+import { defaultTypography } from './typography';
+import { WATERMARK_DEFAULTS } from './core';
+
+// Named watermark presets ("house styles") kept in IndexedDB. A preset holds
+// the look of the watermark, signature image included as a PNG data URL;
+// ownership details and export options stay with each download.
+const STORE = 'presets';
+const DEFAULT_KEY = 'protectorimg:defaultPreset';
+const SEEDED_KEY = 'protectorimg:presetsSeeded';
+const FILE_TYPE = 'protectorimg-presets';
+const FILE_VERSION = 1;
+
+// Every preset field, with a value of the expected type
+const FIELDS = { ...WATERMARK_DEFAULTS, typography: defaultTypography() };
+
+const CHOICES = {
+  colorMode: COLOR_MODES,
+  blendMode: BLEND_MODES,
+  placement: PLACEMENTS,
+  anchor: ANCHORS,
+  interference: INTERFERENCE,
+};
+
+// Starter presets, added once. They leave the signature alone.
+const STARTER_PRESETS = [
+  {
+    name: 'Instagram',
+    settings: {
+      placement: 'single', anchor: 'bottom-right', margin: 3, angle: 0, opacity: 0.75, fontSize: 36, textColor: '#ffffff',
+      typography: { ...defaultTypography(), bold: true, shadowBlur: 6 },
+    },
+  },
+  {
+    name: 'Client proof',
+    settings: {
+      placement: 'tiled', angle: 30, density: 5, opacity: 0.45, fontSize: 48, colorMode: 'adaptive', jitter: 40, interference: 'mesh',
+      typography: { ...defaultTypography(), bold: true },
+    },
+  },
+  {
+    name: 'Print shop',
+    settings: { placement: 'border', angle: 0, density: 3, margin: 2, opacity: 0.3, fontSize: 28, textColor: '#000000' },
+  },
+];
+
+const isColor = (value) => /^#[0-9a-f]{6}$/i.test(value);
+
+// Keeps the known fields of `settings` that have a sensible value, so
+// imported files cannot smuggle anything else into the app state
+export const cleanPresetSettings = (settings = {}) => {
+  const clean = {};
+  Object.entries(FIELDS).forEach(([field, fallback]) => {
+    const value = settings[field];
+    if (value === undefined) return;
+    if (field === 'signatureImage') {
+      if (value === null || (typeof value === 'string' && value.startsWith('data:image/png;base64,'))) clean[field] = value;
+    } else if (field === 'typography') {
+      if (value && typeof value === 'object') {
+        clean[field] = { ...fallback };
+        Object.keys(fallback).forEach((key) => {
+          if (typeof value[key] === typeof fallback[key]) clean[field][key] = value[key];
+        });
+      }
+    } else if (field === 'position') {
+      if (value && Number.isFinite(value.x) && Number.isFinite(value.y)) {
+        clean[field] = { x: Math.min(1, Math.max(0, value.x)), y: Math.min(1, Math.max(0, value.y)) };
+      }
+    } else if (CHOICES[field]) {
+      if (CHOICES[field].includes(value)) clean[field] = value;
+    } else if (field === 'textColor') {
+      if (isColor(value)) clean[field] = value;
+    } else if (typeof value === typeof fallback && (typeof value !== 'number' || Number.isFinite(value))) {
+      clean[field] = value;
+    }
+  });
+  return clean;
+};
+
+const newId = () => (crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`);
+
+// "Name", "Name (2)", ... not clashing with `names`
+export const uniquePresetName = (name, names) => {
+  const base = name.trim() || 'Preset';
+  let candidate = base;
+  for (let n = 2; names.includes(candidate); n++) candidate = `${base} (${n})`;
+  return candidate;
+};
+
+export const savePreset = async ({ id = newId(), name, settings }) => {
+  const preset = { id, name, settings: cleanPresetSettings(settings), updated: Date.now() };
+  await dbSet(STORE, id, preset);
+  return preset;
+};
+
+// All presets sorted by name; the starters are added on first use
+export const listPresets = async () => {
+  if (!localStorage.getItem(SEEDED_KEY)) {
+    localStorage.setItem(SEEDED_KEY, '1');
+    await Promise.all(STARTER_PRESETS.map(savePreset));
+  }
+  const presets = await dbGetAll(STORE);
+  return presets.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+export const deletePreset = async (id) => {
+  await dbDelete(STORE, id);
+  if (getDefaultPresetId() === id) setDefaultPresetId(null);
+};
+
+export const getDefaultPresetId = () => localStorage.getItem(DEFAULT_KEY);
+
+export const setDefaultPresetId = (id) => {
+  if (id) localStorage.setItem(DEFAULT_KEY, id);
+  else localStorage.removeItem(DEFAULT_KEY);
+};
+
+// The preset to apply when the app opens, or null
+export const loadDefaultPreset = async () => {
+  const id = getDefaultPresetId();
+  if (!id) return null;
+  const presets = await dbGetAll(STORE);
+  return presets.find((preset) => preset.id === id) || null;
+};
+
+// JSON file with every preset, the default one flagged
+export const exportPresets = (presets) =>
+  JSON.stringify({
+    type: FILE_TYPE,
+    version: FILE_VERSION,
+    presets: presets.map(({ id, name, settings }) => ({ name, settings, ...(id === getDefaultPresetId() ? { default: true } : {}) })),
+  }, null, 2);
+
+// Presets of an exported file as [{ name, settings, default }], settings
+// cleaned. Throws 'invalidPresetFile' when there is none.
+export const parsePresetFile = (text) => {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new Error('invalidPresetFile');
+  }
+  if (!file || file.type !== FILE_TYPE || !Array.isArray(file.presets)) throw new Error('invalidPresetFile');
+
+  const presets = file.presets
+    .filter((entry) => entry && typeof entry.name === 'string' && entry.settings)
+    .map((entry) => ({ name: entry.name, settings: cleanPresetSettings(entry.settings), default: Boolean(entry.default) }));
+  if (!presets.length) throw new Error('invalidPresetFile');
+  return presets;
+};
+
+// Adds the presets of an exported file next to the existing ones (renamed on
+// clashes) and returns them. A flagged default becomes the default here too.
+export const importPresets = async (text, existingNames = []) => {
+  const names = [...existingNames];
+  const imported = [];
+  for (const entry of parsePresetFile(text)) {
+    const name = uniquePresetName(entry.name, names);
+    names.push(name);
+    const preset = await savePreset({ name, settings: entry.settings });
+    if (entry.default) setDefaultPresetId(preset.id);
+    imported.push(preset);
+  }
+  return imported;
+};
+
+// Signature image stored in a preset, loaded for drawing
+export const loadPresetImage = (dataUrl) =>
+  new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = reject;
+    img.src = dataUrl;
+  });
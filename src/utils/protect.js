@@ -0,0 +1,155 @@
+import { computeCloak } from './cloak';
+import { renderPreview, renderRegion } from './pipeline';
+import { protectWithReport } from './core';
+import { uploadedFontData } from './typography';
+
+// Invisible watermark engines selectable at download time
+export const EMBED_MODES = ['both', 'lsb', 'robust'];
+
+// Cloaks RGBA pixels in a worker, inline where workers are unavailable.
+// Resolves to { data, report: { psnr, ssim } }.
+const runCloak = (data, width, height, level, onProgress) => {
+  if (typeof Worker === 'undefined') {
+    const report = computeCloak(data, width, height, level, onProgress);
+    return Promise.resolve({ data, report });
+  }
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./cloak.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data: message }) => {
+      if (message.type === 'progress') {
+        onProgress(message.progress);
+        return;
+      }
+      worker.terminate();
+      if (message.type === 'done') resolve(message);
+      else reject(new Error(message.message));
+    };
+    worker.onerror = (error) => {
+      worker.terminate();
+      reject(error);
+    };
+    worker.postMessage({ data, width, height, level }, [data.buffer]);
+  });
+};
+
+// Cloak for exports rendered on the page, in place like computeCloak() but
+// off the main thread so the page does not freeze
+const cloakInWorker = async (data, width, height, level, onProgress) => {
+  const result = await runCloak(data.slice(), width, height, level, onProgress);
+  data.set(result.data);
+  return result.report;
+};
+
+// Workers can only draw with OffscreenCanvas 2D support
+const workersCanDraw = () => {
+  if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') return false;
+  try {
+    return Boolean(new OffscreenCanvas(1, 1).getContext('2d'));
+  } catch {
+    return false;
+  }
+};
+
+// Shared pipeline worker: undefined until first used, null where workers
+// cannot draw and everything runs on the page instead
+let pipelineWorker;
+let nextRequestId = 0;
+const requests = new Map(); // id -> { resolve, reject, onProgress }
+const sent = { source: null, signature: null, fonts: new Set() }; // What the worker already holds
+let outbox = Promise.resolve();
+
+const getPipelineWorker = () => {
+  if (pipelineWorker === undefined) {
+    pipelineWorker = workersCanDraw() ? new Worker(new URL('./pipeline.worker.js', import.meta.url), { type: 'module' }) : null;
+    if (pipelineWorker) {
+      pipelineWorker.onmessage = ({ data: message }) => {
+        const request = requests.get(message.id);
+        if (!request) return;
+        if (message.type === 'progress') {
+          request.onProgress(message.progress);
+          return;
+        }
+        requests.delete(message.id);
+        if (message.type === 'done') request.resolve(message.result);
+        else request.reject(new Error(message.message));
+      };
+      // A worker that fails to load or crashes answers nothing more: pending
+      // requests fail and later ones draw on the page
+      pipelineWorker.onerror = (error) => {
+        pipelineWorker.terminate();
+        pipelineWorker = null;
+        requests.forEach(({ reject }) => reject(new Error(error.message || 'Pipeline worker failed')));
+        requests.clear();
+      };
+    }
+  }
+  return pipelineWorker;
+};
+
+// Posts a request along with the images and uploaded font it needs that the
+// worker does not have yet. Previews replace the worker's source image,
+// exports of another image (batch files) send theirs along just once.
+// `extra` fields are added to the message.
+const postRequest = (worker, type, image, settings, onProgress, extra = {}) => {
+  const id = ++nextRequestId;
+  const result = new Promise((resolve, reject) => requests.set(id, { resolve, reject, onProgress }));
+  const { signatureImage, ...rest } = settings;
+
+  outbox = outbox
+    .then(async () => {
+      const message = { ...extra, type, id, settings: { ...rest, signatureImage: Boolean(signatureImage) } };
+      const transfer = [];
+      if (image !== sent.source) {
+        const bitmap = await createImageBitmap(image);
+        if (type === 'preview') {
+          worker.postMessage({ type: 'source', image: bitmap }, [bitmap]);
+          sent.source = image;
+        } else {
+          message.image = bitmap;
+          transfer.push(bitmap);
+        }
+      }
+      if (signatureImage && signatureImage !== sent.signature) {
+        const bitmap = await createImageBitmap(signatureImage);
+        worker.postMessage({ type: 'signature', image: bitmap }, [bitmap]);
+        sent.signature = signatureImage;
+      }
+      const font = uploadedFontData(settings.fontFamily);
+      if (font && !sent.fonts.has(settings.fontFamily)) {
+        worker.postMessage({ type: 'font', family: settings.fontFamily, data: font });
+        sent.fonts.add(settings.fontFamily);
+      }
+      worker.postMessage(message, transfer);
+    })
+    .catch((error) => {
+      requests.get(id)?.reject(error);
+      requests.delete(id);
+    });
+  return result;
+};
+
+// Watermarked live preview (longest side PREVIEW_SIZE) as a PNG Blob.
+// Resolves to null when a newer preview request made this one obsolete.
+export const previewImage = (image, settings) => {
+  const worker = getPipelineWorker();
+  return worker ? postRequest(worker, 'preview', image, settings, () => {}) : renderPreview(image, settings);
+};
+
+// Full resolution watermark on a part of the image ({ x, y, width, height })
+// as a PNG Blob, null when a newer region request made it obsolete
+export const previewRegion = (image, settings, region) => {
+  const worker = getPipelineWorker();
+  return worker ? postRequest(worker, 'region', image, settings, () => {}, { region }) : renderRegion(image, settings, region);
+};
+
+// Full resolution watermarked and protected image as { blob, cloakReport }:
+// a PNG unless `settings.output` asks for another export format (encoded in
+// the worker too), and the cloak's { psnr, ssim } measured on it. `settings`
+// holds the watermark settings plus ownership, keyPair, embedMode and cloak.
+// Large images are rendered in tiles.
+export const protectImage = (image, settings, onProgress = () => {}) => {
+  const worker = getPipelineWorker();
+  return worker
+    ? postRequest(worker, 'export', image, settings, onProgress)
+    : protectWithReport(image, { ...settings, cloakPixels: cloakInWorker }, onProgress);
+};
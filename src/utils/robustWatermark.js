@@ -0,0 +1,343 @@
+import { crc32 } from './crc32';
+import { createRandom } from './random';
+
+// Invisible watermark that survives JPEG re-encoding, downscaling and small
+// crops, unlike the LSB payload. A 32-bit owner ID is spread over the
+// mid-frequency DCT coefficients of 8x8 blocks on a normalised copy of the
+// image (longest side WORK_SIZE). Blocks are grouped in tiles of 8x8 blocks,
+// each block of a tile carrying one bit of a 64-bit codeword:
+//   8 sync bits | 32 owner ID bits | 24 check bits
+// The tile repeats over the whole image, so any large enough piece of it
+// still holds the full codeword.
+
+const WORK_SIZE = 512;
+const BLOCK = 8;
+const TILE = 8; // blocks per tile side, TILE * TILE = codeword length
+const SYNC_BITS = [1, -1, 1, 1, -1, 1, -1, -1];
+const BASE_STRENGTH = 14;
+const MAX_BOOST = 4;
+
+// Crops shrink the longest side, which enlarges the content once it is
+// normalised back to WORK_SIZE. The detector measures the tile period to
+// undo that, for crops of up to MAX_CROP of the longest side.
+const TILE_PERIOD = BLOCK * TILE;
+const MAX_CROP = 0.15;
+const MIN_SYNC_SCORE = 0.75;
+
+// Mid-frequency DCT coefficients that carry the mark and their fixed signs
+const COEFFICIENTS = [[1, 2], [2, 1], [2, 2], [1, 3], [3, 1]];
+
+const KERNEL = (() => {
+  const c = (u) => (u === 0 ? Math.sqrt(1 / 8) : Math.sqrt(2 / 8));
+  const random = createRandom(0x5eed);
+  const kernel = new Float32Array(BLOCK * BLOCK);
+  COEFFICIENTS.forEach(([u, v]) => {
+    const sign = random() < 0.5 ? -1 : 1;
+    for (let y = 0; y < BLOCK; y++) {
+      for (let x = 0; x < BLOCK; x++) {
+        kernel[y * BLOCK + x] += sign * c(u) * c(v)
+          * Math.cos(((2 * x + 1) * u * Math.PI) / 16)
+          * Math.cos(((2 * y + 1) * v * Math.PI) / 16);
+      }
+    }
+  });
+  // Unit norm, so a block's dot product with it is in DCT coefficient units
+  const norm = Math.sqrt(kernel.reduce((sum, k) => sum + k * k, 0));
+  return kernel.map((k) => k / norm);
+})();
+
+// Codeword slot of every bit, scattered over the tile so neighbouring
+// blocks do not carry neighbouring bits
+const SLOT_ORDER = (() => {
+  const random = createRandom(0x7113);
+  const slots = Array.from({ length: TILE * TILE }, (_, i) => i);
+  for (let i = slots.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [slots[i], slots[j]] = [slots[j], slots[i]];
+  }
+  return slots;
+})();
+
+const checkBits = (ownerId) => {
+  const bytes = new Uint8Array([ownerId >>> 24, ownerId >>> 16, ownerId >>> 8, ownerId].map((b) => b & 0xff));
+  return crc32(bytes) & 0xffffff;
+};
+
+const toBits = (value, count) =>
+  Array.from({ length: count }, (_, i) => ((value >>> (count - 1 - i)) & 1 ? 1 : -1));
+
+const fromBits = (bits) => bits.reduce((value, bit) => ((value << 1) | (bit > 0 ? 1 : 0)) >>> 0, 0);
+
+// Codeword as +-1 values indexed by tile slot
+const encodeCodeword = (ownerId) => {
+  const bits = [...SYNC_BITS, ...toBits(ownerId >>> 0, 32), ...toBits(checkBits(ownerId >>> 0), 24)];
+  const bySlot = new Int8Array(TILE * TILE);
+  bits.forEach((bit, i) => {
+    bySlot[SLOT_ORDER[i]] = bit;
+  });
+  return bySlot;
+};
+
+// Owner ID for an image: the start of the signing key fingerprint when there
+// is one, otherwise a hash of the author details
+export const robustOwnerId = (ownership, keyPair) => {
+  if (keyPair) return parseInt(keyPair.fingerprint.slice(0, 8), 16) >>> 0;
+  const text = `${(ownership.author || '').trim()}|${(ownership.contact || '').trim()}`;
+  return crc32(new TextEncoder().encode(text));
+};
+
+export const formatOwnerId = (ownerId) => (ownerId >>> 0).toString(16).padStart(8, '0');
+
+const lumaPlane = ({ data, width, height }) => {
+  const plane = new Float32Array(width * height);
+  for (let i = 0, p = 0; p < plane.length; i += 4, p++) {
+    plane[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  }
+  return plane;
+};
+
+// Separable triangle-filter resampling weights (antialiased when shrinking)
+const resampleWeights = (srcSize, dstSize) => {
+  const scale = srcSize / dstSize;
+  const support = Math.max(1, scale);
+  return Array.from({ length: dstSize }, (_, i) => {
+    const center = (i + 0.5) * scale;
+    const start = Math.max(0, Math.floor(center - support));
+    const end = Math.min(srcSize - 1, Math.ceil(center + support));
+    const weights = [];
+    let total = 0;
+    for (let j = start; j <= end; j++) {
+      const w = Math.max(0, 1 - Math.abs((j + 0.5 - center) / support));
+      weights.push(w);
+      total += w;
+    }
+    return { start, weights: weights.map((w) => w / (total || 1)) };
+  });
+};
+
+export const resizePlane = (plane, width, height, newWidth, newHeight) => {
+  const xWeights = resampleWeights(width, newWidth);
+  const yWeights = resampleWeights(height, newHeight);
+
+  const rows = new Float32Array(newWidth * height);
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 0; x < newWidth; x++) {
+      const { start, weights } = xWeights[x];
+      let sum = 0;
+      for (let k = 0; k < weights.length; k++) sum += plane[row + start + k] * weights[k];
+      rows[y * newWidth + x] = sum;
+    }
+  }
+
+  const out = new Float32Array(newWidth * newHeight);
+  for (let y = 0; y < newHeight; y++) {
+    const { start, weights } = yWeights[y];
+    for (let x = 0; x < newWidth; x++) {
+      let sum = 0;
+      for (let k = 0; k < weights.length; k++) sum += rows[(start + k) * newWidth + x] * weights[k];
+      out[y * newWidth + x] = sum;
+    }
+  }
+  return out;
+};
+
+const workSize = (width, height, longest = WORK_SIZE) => {
+  const k = longest / Math.max(width, height);
+  return { width: Math.max(BLOCK, Math.round(width * k)), height: Math.max(BLOCK, Math.round(height * k)) };
+};
+
+// Correlation of the block at (x0, y0) with the kernel
+const blockProjection = (plane, width, x0, y0) => {
+  let v = 0;
+  for (let y = 0; y < BLOCK; y++) {
+    const row = (y0 + y) * width + x0;
+    for (let x = 0; x < BLOCK; x++) v += plane[row + x] * KERNEL[y * BLOCK + x];
+  }
+  return v;
+};
+
+// Embeds `ownerId` in place. `strength` scales the default amplitude.
+export const embedRobustWatermark = (imageData, ownerId, { strength = 1 } = {}) => {
+  const { data, width, height } = imageData;
+  const work = workSize(width, height);
+  const luma = resizePlane(lumaPlane(imageData), width, height, work.width, work.height);
+  const codeword = encodeCodeword(ownerId);
+  const blocks = [];
+  const hostSum = new Float64Array(TILE * TILE);
+  const amplitudeSum = new Float64Array(TILE * TILE);
+
+  for (let by = 0; (by + 1) * BLOCK <= work.height; by++) {
+    for (let bx = 0; (bx + 1) * BLOCK <= work.width; bx++) {
+      const x0 = bx * BLOCK;
+      const y0 = by * BLOCK;
+
+      // Busy blocks hide a stronger mark than flat ones
+      let sum = 0, sumSq = 0;
+      for (let y = 0; y < BLOCK; y++) {
+        for (let x = 0; x < BLOCK; x++) {
+          const v = luma[(y0 + y) * work.width + x0 + x];
+          sum += v;
+          sumSq += v * v;
+        }
+      }
+      const std = Math.sqrt(Math.max(0, sumSq / 64 - (sum / 64) ** 2));
+      const amplitude = BASE_STRENGTH * strength * Math.min(2, Math.max(0.6, 0.6 + std / 25));
+      const slot = (by % TILE) * TILE + (bx % TILE);
+
+      blocks.push({ x0, y0, slot, amplitude });
+      hostSum[slot] += blockProjection(luma, work.width, x0, y0);
+      amplitudeSum[slot] += amplitude;
+    }
+  }
+
+  // The picture itself correlates with the kernel and can outvote the mark.
+  // Boost each bit just enough to keep a clear margin over that host signal.
+  const boost = Array.from(hostSum, (host, slot) => {
+    const margin = amplitudeSum[slot];
+    const needed = (margin - codeword[slot] * host) / (amplitudeSum[slot] || 1);
+    return Math.min(MAX_BOOST, Math.max(1, needed));
+  });
+
+  const delta = new Float32Array(work.width * work.height);
+  blocks.forEach(({ x0, y0, slot, amplitude }) => {
+    const value = amplitude * boost[slot] * codeword[slot];
+    for (let y = 0; y < BLOCK; y++) {
+      for (let x = 0; x < BLOCK; x++) {
+        delta[(y0 + y) * work.width + x0 + x] = value * KERNEL[y * BLOCK + x];
+      }
+    }
+  });
+
+  // Bring the pattern back to full resolution and add it to every channel
+  const full = resizePlane(delta, work.width, work.height, width, height);
+  for (let i = 0, p = 0; p < full.length; i += 4, p++) {
+    data[i] += full[p];
+    data[i + 1] += full[p];
+    data[i + 2] += full[p];
+  }
+  return imageData;
+};
+
+// Sums, per tile slot, the correlation of every block with the kernel for a
+// block grid starting at (dx, dy)
+const slotSums = (luma, width, height, dx, dy) => {
+  const sums = new Float64Array(TILE * TILE);
+  for (let by = 0; dy + (by + 1) * BLOCK <= height; by++) {
+    for (let bx = 0; dx + (bx + 1) * BLOCK <= width; bx++) {
+      const x0 = dx + bx * BLOCK;
+      const y0 = dy + by * BLOCK;
+      sums[(by % TILE) * TILE + (bx % TILE)] += blockProjection(luma, width, x0, y0);
+    }
+  }
+  return sums;
+};
+
+// Reads the codeword for a tile shift (sx, sy) and checks it
+const readCodeword = (sums, sx, sy) => {
+  const bySlot = new Float64Array(TILE * TILE);
+  let energy = 0;
+  for (let j = 0; j < TILE; j++) {
+    for (let i = 0; i < TILE; i++) {
+      const v = sums[(((j - sy) % TILE + TILE) % TILE) * TILE + (((i - sx) % TILE + TILE) % TILE)];
+      bySlot[j * TILE + i] = v;
+      energy += v * v;
+    }
+  }
+  const rms = Math.sqrt(energy / bySlot.length) || 1;
+  const values = SLOT_ORDER.map((slot) => bySlot[slot] / rms);
+
+  const syncScore = SYNC_BITS.reduce((sum, bit, i) => sum + bit * values[i], 0) / SYNC_BITS.length;
+  if (syncScore < MIN_SYNC_SCORE) return null;
+
+  const ownerId = fromBits(values.slice(8, 40));
+  const check = fromBits(values.slice(40, 64));
+  if (check !== checkBits(ownerId)) return null;
+
+  // How cleanly the bits separate from zero, 1 is a perfect mark
+  const confidence = values.reduce((sum, v) => sum + Math.min(1, Math.abs(v)), 0) / values.length;
+  return { ownerId, confidence: Math.min(1, (syncScore + confidence) / 2) };
+};
+
+// Candidate scales to normalise a suspect image with: 1 for uncropped
+// copies, plus the ones suggested by repetitions of the tile in the image,
+// strongest first, found through the autocorrelation of its fine detail.
+// Block edges repeat too, so the tile is not always the strongest peak.
+const candidateScales = (plane, width, height) => {
+  const residual = new Float32Array(plane.length);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      residual[i] = plane[i] - (plane[i - 1] + plane[i + 1] + plane[i - width] + plane[i + width]) / 4;
+    }
+  }
+
+  const minLag = TILE_PERIOD;
+  const maxLag = Math.ceil(TILE_PERIOD / (1 - MAX_CROP)) + 1;
+  const scores = [];
+  for (let lag = minLag - 1; lag <= maxLag; lag++) {
+    let sum = 0;
+    for (let y = 0; y < height; y++) {
+      const row = y * width;
+      for (let x = 0; x + lag < width; x++) sum += residual[row + x] * residual[row + x + lag];
+    }
+    for (let y = 0; y + lag < height; y++) {
+      const row = y * width;
+      const next = (y + lag) * width;
+      for (let x = 0; x < width; x++) sum += residual[row + x] * residual[next + x];
+    }
+    scores.push({ lag, sum });
+  }
+
+  // Local maxima, refined to sub-pixel precision with a parabola
+  const peaks = [];
+  for (let i = 1; i < scores.length - 1; i++) {
+    const [a, b, c] = [scores[i - 1].sum, scores[i].sum, scores[i + 1].sum];
+    if (b > a && b >= c && b > 0) {
+      const offset = (a - c) / (2 * (a - 2 * b + c) || 1);
+      peaks.push({ period: scores[i].lag + offset, strength: b });
+    }
+  }
+  peaks.sort((p, q) => q.strength - p.strength);
+
+  const scales = [1];
+  peaks.forEach(({ period }) => {
+    const scale = TILE_PERIOD / period;
+    if (scale < 0.999 && scale >= 1 - MAX_CROP) scales.push(scale);
+  });
+  return scales;
+};
+
+// Looks for a robust watermark. Returns { found, ownerId, confidence }.
+export const detectRobustWatermark = (imageData) => {
+  const { width, height } = imageData;
+  const luma = lumaPlane(imageData);
+  const work = workSize(width, height);
+  const basePlane = resizePlane(luma, width, height, work.width, work.height);
+  let best = null;
+
+  for (const scale of candidateScales(basePlane, work.width, work.height)) {
+    const scaled = workSize(width, height, WORK_SIZE * scale);
+    const plane = scale === 1 ? basePlane : resizePlane(luma, width, height, scaled.width, scaled.height);
+
+    for (let dy = 0; dy < BLOCK; dy++) {
+      for (let dx = 0; dx < BLOCK; dx++) {
+        const sums = slotSums(plane, scaled.width, scaled.height, dx, dy);
+        for (let sy = 0; sy < TILE; sy++) {
+          for (let sx = 0; sx < TILE; sx++) {
+            const result = readCodeword(sums, sx, sy);
+            if (result && (!best || result.confidence > best.confidence)) {
+              best = { ...result, scale };
+            }
+          }
+        }
+      }
+    }
+    // An undamaged mark is found at the first scale, no need to keep looking
+    if (best && best.confidence > 0.9) break;
+  }
+
+  return best
+    ? { found: true, ownerId: best.ownerId, confidence: best.confidence, cropped: best.scale !== 1 }
+    : { found: false, ownerId: null, confidence: 0, cropped: false };
+};
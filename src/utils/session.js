@@ -0,0 +1,35 @@
+import { dbDelete, dbGet, dbSet } from './db';
+import { dataUrlToBlob } from './files';
+
+// The working session (source image, signature image and settings) kept in
+// IndexedDB so an accidental reload or closed tab does not lose it.
+const STORE = 'session';
+const SESSION_ID = 'current';
+
+// Images bigger than this are not kept, only the settings and signature
+export const MAX_SESSION_MB = 50;
+const MAX_SESSION_BYTES = MAX_SESSION_MB * 1024 * 1024;
+
+// `signatureImage` is the PNG data URL of the signature image, or null.
+// `signatureSource` is the data URL of the upload it was cleaned from, kept
+// with it so the cleanup can still be adjusted after a restore.
+export const saveSession = async ({ image, imageName, signatureImage, signatureSource = null, settings }) => {
+  const signature = signatureImage ? await dataUrlToBlob(signatureImage) : null;
+  const source = signature && signatureSource ? await dataUrlToBlob(signatureSource) : null;
+  const signatureBytes = signature ? signature.size + (source ? source.size : 0) : 0;
+  const keepSignature = signatureBytes > 0 && signatureBytes <= MAX_SESSION_BYTES;
+  const keepImage = Boolean(image) && image.size + (keepSignature ? signatureBytes : 0) <= MAX_SESSION_BYTES;
+  await dbSet(STORE, SESSION_ID, {
+    saved: Date.now(),
+    image: keepImage ? image : null,
+    imageName: image ? imageName : '',
+    imageSkipped: Boolean(image) && !keepImage,
+    signatureImage: keepSignature ? signature : null,
+    signatureSource: keepSignature ? source : null,
+    settings,
+  });
+};
+
+export const loadSession = async () => (await dbGet(STORE, SESSION_ID)) || null;
+
+export const clearSession = () => dbDelete(STORE, SESSION_ID);
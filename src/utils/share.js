@@ -0,0 +1,29 @@
+// Must match SHARE_CACHE in sw.js
+const SHARE_CACHE = 'protectorimg-share';
+
+// Images handed over by the OS share sheet. The service worker parks them and
+// opens the app with ?share-target; they are returned once, then cleared.
+export const takeSharedFiles = async () => {
+  const url = new URL(window.location.href);
+  if (!url.searchParams.has('share-target')) return [];
+  url.searchParams.delete('share-target');
+  window.history.replaceState(null, '', url);
+  if (!('caches' in window)) return [];
+
+  const cache = await caches.open(SHARE_CACHE);
+  const requests = await cache.keys();
+  const files = await Promise.all(requests.map(async (request) => {
+    const response = await cache.match(request);
+    const name = decodeURIComponent(response.headers.get('X-File-Name') || 'shared-image');
+    return new File([await response.blob()], name, { type: response.headers.get('Content-Type') || '' });
+  }));
+  await caches.delete(SHARE_CACHE);
+  return files;
+};
+
+// Whether the Web Share API can hand a file to other apps
+export const canShareFiles = () =>
+  typeof navigator.canShare === 'function' &&
+  navigator.canShare({ files: [new File([''], 'test.png', { type: 'image/png' })] });
+
+export const shareFile = (file, title) => navigator.share({ files: [file], title });
@@ -0,0 +1,88 @@
+import { canvasToBlob, imagePixels, pixelsCanvas } from './canvas';
+import { readRegion } from './compositing';
+import { loadImageFile } from './files';
+
+// Cleanup of uploaded signature images, for signatures photographed or
+// scanned on paper: the paper colour is keyed out and the empty margins are
+// trimmed. Recolouring happens when the mark is drawn (`signatureTint`), so
+// it follows the text colour.
+
+// Threshold and feather are percentages of the largest RGB distance
+export const defaultSignatureCleanup = () => ({ removeBackground: true, threshold: 15, feather: 10, trim: true });
+
+const MAX_DISTANCE = Math.sqrt(3 * 255 * 255);
+
+// Pixels at most this opaque count as empty margin when trimming
+const TRIM_ALPHA = 16;
+
+// Median colour of the opaque pixels along the edges, null when most of the
+// edge is transparent already (nothing to key out)
+export const estimateBackground = ({ data, width, height }) => {
+  const channels = [[], [], []];
+  let edge = 0;
+  const sample = (x, y) => {
+    const at = (y * width + x) * 4;
+    edge++;
+    if (data[at + 3] < 128) return;
+    for (let c = 0; c < 3; c++) channels[c].push(data[at + c]);
+  };
+  for (let x = 0; x < width; x++) {
+    sample(x, 0);
+    if (height > 1) sample(x, height - 1);
+  }
+  for (let y = 1; y < height - 1; y++) {
+    sample(0, y);
+    if (width > 1) sample(width - 1, y);
+  }
+  if (channels[0].length * 2 < edge) return null;
+  return channels.map((values) => values.sort((a, b) => a - b)[values.length >> 1]);
+};
+
+// Makes pixels close to `background` transparent in place. Within
+// `threshold` they vanish, over the next `feather` they fade in, and the
+// paper colour is taken out of the faded edge pixels so no halo is left.
+export const keyBackground = ({ data }, background, threshold, feather) => {
+  const near = (threshold / 100) * MAX_DISTANCE;
+  const far = near + Math.max(1, (feather / 100) * MAX_DISTANCE);
+  for (let i = 0; i < data.length; i += 4) {
+    const distance = Math.hypot(data[i] - background[0], data[i + 1] - background[1], data[i + 2] - background[2]);
+    if (distance >= far) continue;
+    const kept = distance <= near ? 0 : (distance - near) / (far - near);
+    for (let c = 0; c < 3 && kept; c++) {
+      data[i + c] = background[c] + (data[i + c] - background[c]) / kept;
+    }
+    data[i + 3] *= kept;
+  }
+};
+
+// Smallest region holding every visible pixel, null when there is none
+export const visibleBounds = ({ data, width, height }) => {
+  let left = width;
+  let top = height;
+  let right = -1;
+  let bottom = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[(y * width + x) * 4 + 3] <= TRIM_ALPHA) continue;
+      left = Math.min(left, x);
+      right = Math.max(right, x);
+      top = Math.min(top, y);
+      bottom = y;
+    }
+  }
+  return right < 0 ? null : { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+};
+
+// The signature image cleaned up as a canvas. `cleanup` is
+// { removeBackground, threshold, feather, trim }.
+export const cleanSignature = (image, { removeBackground, threshold, feather, trim }) => {
+  const pixels = imagePixels(image);
+  const background = removeBackground && estimateBackground(pixels);
+  if (background) keyBackground(pixels, background, threshold, feather);
+  const bounds = trim && visibleBounds(pixels);
+  if (!bounds) return pixelsCanvas(pixels);
+  return pixelsCanvas({ data: readRegion(pixels, bounds), width: bounds.width, height: bounds.height });
+};
+
+// cleanSignature as a loaded PNG image, the form the app keeps signature images in
+export const cleanSignatureImage = async (image, cleanup) => loadImageFile(await canvasToBlob(cleanSignature(image, cleanup)));
@@ -0,0 +1,122 @@
+import { dbDelete, dbGet, dbSet } from './db';
+import { createCanvas } from './canvas';
+
+// ECDSA P-256 is the signature scheme every browser's Web Crypto supports
+const ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGN_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+const KEY_ID = 'signing';
+
+const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+const toHex = (buffer) =>
+  Array.from(new Uint8Array(buffer), (b) => b.toString(16).padStart(2, '0')).join('');
+
+// Short, human comparable id of a public key: first 8 bytes of SHA-256(raw key)
+export const keyFingerprint = async (publicKey) => {
+  const raw = await crypto.subtle.exportKey('raw', publicKey);
+  return toHex(await crypto.subtle.digest('SHA-256', raw)).slice(0, 16);
+};
+
+const withFingerprint = async (keyPair) => ({
+  ...keyPair,
+  fingerprint: await keyFingerprint(keyPair.publicKey),
+});
+
+// { publicKey, privateKey, fingerprint } or null
+export const loadKeyPair = async () => {
+  const stored = await dbGet('keys', KEY_ID);
+  return stored ? withFingerprint(stored) : null;
+};
+
+export const generateKeyPair = async () => {
+  // Extractable so the owner can back the key pair up
+  const { publicKey, privateKey } = await crypto.subtle.generateKey(ALGORITHM, true, ['sign', 'verify']);
+  await dbSet('keys', KEY_ID, { publicKey, privateKey });
+  return withFingerprint({ publicKey, privateKey });
+};
+
+export const deleteKeyPair = () => dbDelete('keys', KEY_ID);
+
+export const importPublicKey = (jwk) =>
+  crypto.subtle.importKey('jwk', { ...jwk, key_ops: ['verify'] }, ALGORITHM, true, ['verify']);
+
+// Accepts a backup made by exportKeyPair()
+export const importKeyPair = async (text) => {
+  const { publicKey, privateKey } = JSON.parse(text);
+  if (!publicKey || !privateKey) throw new Error('invalidKeyFile');
+  const keys = {
+    publicKey: await importPublicKey(publicKey),
+    privateKey: await crypto.subtle.importKey('jwk', { ...privateKey, key_ops: ['sign'] }, ALGORITHM, true, ['sign']),
+  };
+  await dbSet('keys', KEY_ID, keys);
+  return withFingerprint(keys);
+};
+
+// Public key as a JWK file anyone can use to verify signed images
+export const exportPublicKey = async ({ publicKey, fingerprint }) =>
+  JSON.stringify({ ...(await crypto.subtle.exportKey('jwk', publicKey)), kid: fingerprint }, null, 2);
+
+export const exportKeyPair = async ({ publicKey, privateKey }) =>
+  JSON.stringify({
+    publicKey: await crypto.subtle.exportKey('jwk', publicKey),
+    privateKey: await crypto.subtle.exportKey('jwk', privateKey),
+  }, null, 2);
+
+// Accepts either a published public key or a key pair backup
+export const readPublicKeyFile = async (text) => {
+  const json = JSON.parse(text);
+  const publicKey = await importPublicKey(json.publicKey || json);
+  return { publicKey, fingerprint: await keyFingerprint(publicKey) };
+};
+
+export const signText = async (privateKey, text) =>
+  toBase64(await crypto.subtle.sign(SIGN_PARAMS, privateKey, new TextEncoder().encode(text)));
+
+export const verifyText = async (publicKey, text, signature) => {
+  try {
+    return await crypto.subtle.verify(SIGN_PARAMS, publicKey, fromBase64(signature), new TextEncoder().encode(text));
+  } catch {
+    return false;
+  }
+};
+
+// 256-bit difference hash of the visible picture. Small pixel changes (like
+// the ones made when data is hidden in the alpha channel) leave it almost
+// untouched, while a different picture produces a very different hash.
+export const visualHash = (img) => {
+  const ctx = createCanvas(17, 16).getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(img, 0, 0, 17, 16);
+  const { data } = ctx.getImageData(0, 0, 17, 16);
+  const lum = (x, y) => {
+    const i = (y * 17 + x) * 4;
+    return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  };
+
+  let hex = '';
+  for (let y = 0; y < 16; y++) {
+    for (let x = 0; x < 16; x += 4) {
+      let nibble = 0;
+      for (let b = 0; b < 4; b++) {
+        nibble = (nibble << 1) | (lum(x + b + 1, y) > lum(x + b, y) ? 1 : 0);
+      }
+      hex += nibble.toString(16);
+    }
+  }
+  return hex;
+};
+
+export const hashDistance = (a, b) => {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (bits) {
+      distance += bits & 1;
+      bits >>= 1;
+    }
+  }
+  return distance;
+};
+
+// Up to ~10% of the 256 bits may flip before we call it a different image
+export const VISUAL_HASH_TOLERANCE = 26;
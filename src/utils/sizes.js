@@ -0,0 +1,100 @@
+import { canvasToBlob, createCanvas } from './canvas';
+import { loadImageFile } from './files';
+import { MAX_CANVAS_AREA } from './pipeline';
+
+// Output sizes applied before watermarking, so the mark is laid out and the
+// hidden data embedded at the final size. 'cover' crops to the exact aspect
+// ratio around the crop focus, 'fit' scales down keeping the whole picture.
+// Images are never enlarged: a too small source keeps its resolution.
+export const OUTPUT_SIZES = {
+  original: { fit: null },
+  'instagram-square': { label: 'Instagram 1:1', width: 1080, height: 1080, fit: 'cover' },
+  'instagram-portrait': { label: 'Instagram 4:5', width: 1080, height: 1350, fit: 'cover' },
+  widescreen: { label: '16:9', width: 1920, height: 1080, fit: 'cover' },
+  twitter: { label: 'Twitter / X', width: 1600, height: 900, fit: 'cover' },
+  artstation: { label: 'ArtStation', width: 3840, height: 3840, fit: 'fit' },
+  custom: { fit: 'cover' },
+};
+
+// Sizes produced by "export all sizes"
+export const ALL_SIZES = ['instagram-square', 'instagram-portrait', 'widescreen', 'twitter', 'artstation'];
+
+// `width`/`height` are used by the custom size, `focus` (relative to the
+// image) picks what a crop keeps
+export const defaultOutputSize = () => ({ id: 'original', width: 1080, height: 1080, focus: { x: 0.5, y: 0.5 } });
+
+// Source rectangle and output size for an image, null when it is used as is
+export const outputDimensions = (image, size) => {
+  const preset = OUTPUT_SIZES[size.id];
+  if (!preset || !preset.fit) return null;
+  const target = size.id === 'custom' ? size : preset;
+  const targetWidth = Math.max(1, Math.round(target.width) || 1);
+  const targetHeight = Math.max(1, Math.round(target.height) || 1);
+
+  if (preset.fit === 'fit') {
+    const scale = Math.min(1, targetWidth / image.width, targetHeight / image.height);
+    return {
+      crop: { x: 0, y: 0, width: image.width, height: image.height },
+      width: Math.max(1, Math.round(image.width * scale)),
+      height: Math.max(1, Math.round(image.height * scale)),
+    };
+  }
+
+  const aspect = targetWidth / targetHeight;
+  const cropWidth = Math.min(image.width, image.height * aspect);
+  const { x = 0.5, y = 0.5 } = size.focus || {};
+  const scale = Math.min(1, cropWidth / targetWidth);
+  // Placed from the rounded size, so the crop never runs past the edge
+  const width = Math.round(cropWidth);
+  const height = Math.min(image.height, Math.round(cropWidth / aspect));
+  return {
+    crop: {
+      x: Math.round((image.width - width) * x),
+      y: Math.round((image.height - height) * y),
+      width,
+      height,
+    },
+    width: Math.max(1, Math.round(targetWidth * scale)),
+    height: Math.max(1, Math.round(targetHeight * scale)),
+  };
+};
+
+// Draws the crop at the output size. Large reductions go through halving
+// steps; a single drawImage would skip source pixels and alias fine detail.
+const drawResized = (image, { crop, width, height }) => {
+  let source = image;
+  let { x, y, width: w, height: h } = crop;
+  let stepWidth = w;
+  let stepHeight = h;
+  while (stepWidth / 2 >= width && stepHeight / 2 >= height) {
+    stepWidth /= 2;
+    stepHeight /= 2;
+    if (stepWidth * stepHeight > MAX_CANVAS_AREA) continue;
+    const step = createCanvas(Math.round(stepWidth), Math.round(stepHeight));
+    const ctx = step.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(source, x, y, w, h, 0, 0, step.width, step.height);
+    source = step;
+    [x, y, w, h] = [0, 0, step.width, step.height];
+  }
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(source, x, y, w, h, 0, 0, width, height);
+  return canvas;
+};
+
+// The image cropped and resized to `size`, loaded like an uploaded file.
+// Resolves to the image itself when nothing changes.
+export const resizeImage = async (image, size) => {
+  const dimensions = size && outputDimensions(image, size);
+  if (!dimensions) return image;
+  return loadImageFile(await canvasToBlob(drawResized(image, dimensions)));
+};
+
+// foo.jpg -> foo-instagram-square.jpg
+export const sizedFileName = (name, id) => {
+  const dot = name.lastIndexOf('.');
+  const slash = name.lastIndexOf('/');
+  return dot > slash ? `${name.slice(0, dot)}-${id}${name.slice(dot)}` : `${name}-${id}`;
+};
@@ -0,0 +1,287 @@
+// Reads the metadata an uploaded JPEG, PNG or WebP carries (EXIF, XMP and
+// PNG text chunks) and sorts it into report fields the user can strip or
+// keep. Kept fields are written back as EXIF entries by writeMetadata.
+
+const TYPES = {
+  1: { name: 'BYTE', size: 1 },
+  2: { name: 'ASCII', size: 1 },
+  3: { name: 'SHORT', size: 2 },
+  4: { name: 'LONG', size: 4 },
+  5: { name: 'RATIONAL', size: 8 },
+  7: { name: 'UNDEFINED', size: 1 },
+  10: { name: 'SRATIONAL', size: 8 },
+};
+
+const decodeText = (bytes) => new TextDecoder().decode(bytes).replace(/\0+$/, '').trim();
+const latin1 = (bytes) => String.fromCharCode(...bytes);
+
+// Parses a TIFF/EXIF block into { ifd0, exif, gps } maps of tag -> { type, value }
+const readTiff = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const little = view.getUint16(0) === 0x4949;
+  if (view.getUint16(2, little) !== 42) return null;
+
+  const readValue = (type, at, count) => {
+    switch (type) {
+      case 'ASCII':
+        return decodeText(bytes.subarray(at, at + count));
+      case 'SHORT':
+        return Array.from({ length: count }, (_, i) => view.getUint16(at + i * 2, little));
+      case 'LONG':
+        return Array.from({ length: count }, (_, i) => view.getUint32(at + i * 4, little));
+      case 'RATIONAL':
+        return Array.from({ length: count }, (_, i) => [view.getUint32(at + i * 8, little), view.getUint32(at + i * 8 + 4, little)]);
+      case 'SRATIONAL':
+        return Array.from({ length: count }, (_, i) => [view.getInt32(at + i * 8, little), view.getInt32(at + i * 8 + 4, little)]);
+      default:
+        return bytes.slice(at, at + count);
+    }
+  };
+
+  const readIfd = (offset) => {
+    const tags = new Map();
+    if (!offset || offset + 2 > bytes.length) return tags;
+    const count = view.getUint16(offset, little);
+    for (let i = 0; i < count; i++) {
+      const at = offset + 2 + i * 12;
+      if (at + 12 > bytes.length) break;
+      const type = TYPES[view.getUint16(at + 2, little)];
+      if (!type) continue;
+      const n = view.getUint32(at + 4, little);
+      const size = type.size * n;
+      const dataAt = size > 4 ? view.getUint32(at + 8, little) : at + 8;
+      if (dataAt + size > bytes.length) continue;
+      tags.set(view.getUint16(at, little), { type: type.name, value: readValue(type.name, dataAt, n) });
+    }
+    return tags;
+  };
+
+  const ifd0 = readIfd(view.getUint32(4, little));
+  return {
+    ifd0,
+    exif: readIfd(ifd0.get(0x8769)?.value[0]),
+    gps: readIfd(ifd0.get(0x8825)?.value[0]),
+  };
+};
+
+// Raw EXIF, XMP and PNG text keywords from the file container
+const extractBlocks = (bytes) => {
+  const blocks = { exif: null, xmp: null, textKeys: [] };
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const startsWith = (data, text) => latin1(data.subarray(0, text.length)) === text;
+
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+    for (let at = 2; at + 4 <= bytes.length && bytes[at] === 0xff;) {
+      const marker = bytes[at + 1];
+      if (marker === 0xda || marker === 0xd9) break; // image data starts
+      const length = view.getUint16(at + 2);
+      const data = bytes.subarray(at + 4, at + 2 + length);
+      if (marker === 0xe1 && startsWith(data, 'Exif\0\0')) blocks.exif = data.subarray(6);
+      if (marker === 0xe1 && startsWith(data, 'http://ns.adobe.com/xap/1.0/\0')) blocks.xmp = decodeText(data.subarray(29));
+      at += 2 + length;
+    }
+  } else if (startsWith(bytes, '\x89PNG')) {
+    for (let at = 8; at + 12 <= bytes.length;) {
+      const length = view.getUint32(at);
+      const type = latin1(bytes.subarray(at + 4, at + 8));
+      const data = bytes.subarray(at + 8, at + 8 + length);
+      if (type === 'eXIf') blocks.exif = data;
+      if (type === 'tEXt' || type === 'iTXt' || type === 'zTXt') {
+        const keyword = latin1(data.subarray(0, data.indexOf(0)));
+        // Only uncompressed iTXt XMP packets are read
+        if (keyword === 'XML:com.adobe.xmp') {
+          if (type === 'iTXt' && data[keyword.length + 1] === 0) {
+            let textAt = keyword.length + 3;
+            textAt = data.indexOf(0, textAt) + 1; // language tag
+            textAt = data.indexOf(0, textAt) + 1; // translated keyword
+            blocks.xmp = decodeText(data.subarray(textAt));
+          }
+        } else {
+          blocks.textKeys.push(keyword);
+        }
+      }
+      if (type === 'IDAT' || type === 'IEND') break;
+      at += 12 + length;
+    }
+  } else if (startsWith(bytes, 'RIFF') && latin1(bytes.subarray(8, 12)) === 'WEBP') {
+    for (let at = 12; at + 8 <= bytes.length;) {
+      const type = latin1(bytes.subarray(at, at + 4));
+      const length = view.getUint32(at + 4, true);
+      const data = bytes.subarray(at + 8, at + 8 + length);
+      if (type === 'EXIF') blocks.exif = startsWith(data, 'Exif\0\0') ? data.subarray(6) : data;
+      if (type === 'XMP ') blocks.xmp = decodeText(data);
+      at += 8 + length + (length % 2);
+    }
+  }
+  return blocks;
+};
+
+// Report fields and the EXIF tags each one covers. GPS covers the whole GPS IFD.
+const EXIF_FIELDS = [
+  { id: 'gps', sensitive: true, tags: 'gps' },
+  { id: 'serialNumber', sensitive: true, tags: [['exif', 0xa431]] },
+  { id: 'lensSerialNumber', sensitive: true, tags: [['exif', 0xa435]] },
+  { id: 'cameraOwner', sensitive: true, tags: [['exif', 0xa430]] },
+  { id: 'software', tags: [['ifd0', 0x0131], ['ifd0', 0x013c]] },
+  { id: 'captureDate', tags: [['exif', 0x9003], ['exif', 0x9011], ['exif', 0x9291]] },
+  { id: 'modifiedDate', tags: [['ifd0', 0x0132], ['exif', 0x9010], ['exif', 0x9004], ['exif', 0x9012]] },
+  { id: 'camera', tags: [['ifd0', 0x010f], ['ifd0', 0x0110]] },
+  { id: 'lens', tags: [['exif', 0xa433], ['exif', 0xa434]] },
+  { id: 'cameraSettings', tags: [['exif', 0x829a], ['exif', 0x829d], ['exif', 0x8827], ['exif', 0x920a]] },
+  { id: 'originalCopyright', tags: [['ifd0', 0x013b], ['ifd0', 0x8298]] },
+];
+
+// Fields carried over unless the user strips them
+export const DEFAULT_KEPT_METADATA = ['captureDate', 'camera', 'lens', 'cameraSettings', 'originalCopyright'];
+
+const rational = ([num, den]) => (den ? num / den : 0);
+const exifDate = (text) => text.replace(/^(\d{4}):(\d{2}):(\d{2})/, '$1-$2-$3');
+
+const gpsCoordinate = (value, ref) => {
+  const [deg, min, sec] = value.map(rational);
+  const decimal = deg + (min || 0) / 60 + (sec || 0) / 3600;
+  return (ref === 'S' || ref === 'W' ? -decimal : decimal).toFixed(5);
+};
+
+const formatGps = (gps) => {
+  const lat = gps.get(0x0002);
+  const lon = gps.get(0x0004);
+  if (!lat || !lon) return '…';
+  return `${gpsCoordinate(lat.value, gps.get(0x0001)?.value)}, ${gpsCoordinate(lon.value, gps.get(0x0003)?.value)}`;
+};
+
+const formatEntry = (tag, { type, value }) => {
+  switch (tag) {
+    case 0x829a: {
+      const seconds = rational(value[0]);
+      return seconds && seconds < 1 ? `1/${Math.round(1 / seconds)} s` : `${seconds} s`;
+    }
+    case 0x829d:
+      return `f/${rational(value[0]).toFixed(1)}`;
+    case 0x8827:
+      return `ISO ${value[0]}`;
+    case 0x920a:
+      return `${Math.round(rational(value[0]))} mm`;
+    case 0x0132:
+    case 0x9003:
+    case 0x9004:
+      return exifDate(value);
+    case 0x9291:
+      return ''; // sub-seconds only matter for the carried-over value
+    default:
+      if (type === 'ASCII') return value;
+      if (type === 'RATIONAL' || type === 'SRATIONAL') return value.map(rational).join(' ');
+      return Array.isArray(value) ? value.join(' ') : '';
+  }
+};
+
+// The first value of an XMP property, written as an attribute or an element
+const xmpValue = (xmp, name) => {
+  const match = xmp.match(new RegExp(`${name}="([^"]*)"`)) ||
+    xmp.match(new RegExp(`<${name}>\\s*(?:<rdf:\\w+>\\s*<rdf:li[^>]*>)?([^<]*)<`));
+  return match ? match[1].trim() : '';
+};
+
+// "2024-05-01T14:22:10+02:00" -> EXIF date + offset entries
+const isoDateEntries = (iso, dateTag, offsetTag, ifd) => {
+  const match = iso.match(/^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?(?:\.\d+)?(Z|[+-]\d{2}:\d{2})?/);
+  if (!match) return [];
+  const [, y, mo, d, h = '00', mi = '00', s = '00', zone] = match;
+  return [
+    { ifd, tag: dateTag, type: 'ASCII', value: `${y}:${mo}:${d} ${h}:${mi}:${s}` },
+    zone && { ifd: 'exif', tag: offsetTag, type: 'ASCII', value: zone === 'Z' ? '+00:00' : zone },
+  ].filter(Boolean);
+};
+
+// "48,51.5022N" or "48,51,30.1N" -> GPS latitude/longitude entries
+const xmpGpsEntries = (text, refTag, valueTag) => {
+  const match = text.match(/^(\d+),(\d+(?:\.\d+)?)(?:,(\d+(?:\.\d+)?))?([NSEW])$/);
+  if (!match) return null;
+  const [, deg, min, sec = '0', ref] = match;
+  const toRational = (number) => [Math.round(parseFloat(number) * 10000), 10000];
+  return [
+    { ifd: 'gps', tag: refTag, type: 'ASCII', value: ref },
+    { ifd: 'gps', tag: valueTag, type: 'RATIONAL', value: [toRational(deg), toRational(min), toRational(sec)] },
+  ];
+};
+
+// Fields only found in XMP (e.g. written by Lightroom or phones without EXIF)
+const xmpFields = (xmp) => {
+  const fields = [];
+  const lat = xmpValue(xmp, 'exif:GPSLatitude');
+  const lon = xmpValue(xmp, 'exif:GPSLongitude');
+  if (lat && lon) {
+    fields.push({
+      id: 'gps',
+      sensitive: true,
+      value: `${lat}, ${lon}`,
+      entries: [...(xmpGpsEntries(lat, 0x0001, 0x0002) || []), ...(xmpGpsEntries(lon, 0x0003, 0x0004) || [])],
+    });
+  }
+  const serial = xmpValue(xmp, 'aux:SerialNumber') || xmpValue(xmp, 'exifEX:BodySerialNumber');
+  if (serial) fields.push({ id: 'serialNumber', sensitive: true, value: serial, entries: [{ ifd: 'exif', tag: 0xa431, type: 'ASCII', value: serial }] });
+  const lensSerial = xmpValue(xmp, 'aux:LensSerialNumber') || xmpValue(xmp, 'exifEX:LensSerialNumber');
+  if (lensSerial) fields.push({ id: 'lensSerialNumber', sensitive: true, value: lensSerial, entries: [{ ifd: 'exif', tag: 0xa435, type: 'ASCII', value: lensSerial }] });
+  const tool = xmpValue(xmp, 'xmp:CreatorTool');
+  if (tool) fields.push({ id: 'software', sensitive: false, value: tool, entries: [{ ifd: 'ifd0', tag: 0x0131, type: 'ASCII', value: tool }] });
+  const created = xmpValue(xmp, 'exif:DateTimeOriginal') || xmpValue(xmp, 'photoshop:DateCreated') || xmpValue(xmp, 'xmp:CreateDate');
+  if (created) fields.push({ id: 'captureDate', sensitive: false, value: created.replace('T', ' '), entries: isoDateEntries(created, 0x9003, 0x9011, 'exif') });
+  const modified = xmpValue(xmp, 'xmp:ModifyDate') || xmpValue(xmp, 'xmp:MetadataDate');
+  if (modified) fields.push({ id: 'modifiedDate', sensitive: false, value: modified.replace('T', ' '), entries: isoDateEntries(modified, 0x0132, 0x9010, 'ifd0') });
+  // Edit history lists every program and often local file paths; never carried over
+  if (/xmpMM:History|xmpMM:DerivedFrom|photoshop:DocumentAncestors/.test(xmp)) {
+    fields.push({ id: 'editHistory', sensitive: true, value: '', entries: [] });
+  }
+  return fields;
+};
+
+// Reads a File and returns report fields:
+// [{ id, sensitive, value, entries: [{ ifd, tag, type, value }] }]
+// Fields without entries can only be stripped.
+export const readSourceMetadata = async (file) => {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const fields = [];
+  let blocks;
+  try {
+    blocks = extractBlocks(bytes);
+  } catch (error) {
+    console.error('Metadata parsing failed:', error);
+    return fields;
+  }
+
+  let tiff = null;
+  try {
+    tiff = blocks.exif && readTiff(blocks.exif);
+  } catch (error) {
+    console.error('EXIF parsing failed:', error);
+  }
+  if (tiff) {
+    EXIF_FIELDS.forEach(({ id, sensitive, tags }) => {
+      const pairs = tags === 'gps' ? [...tiff.gps.keys()].map((tag) => ['gps', tag]) : tags;
+      const entries = pairs
+        .filter(([ifd, tag]) => tiff[ifd].has(tag))
+        .map(([ifd, tag]) => ({ ifd, tag, ...tiff[ifd].get(tag) }));
+      if (!entries.length) return;
+      const value = tags === 'gps'
+        ? formatGps(tiff.gps)
+        : entries.map((entry) => formatEntry(entry.tag, entry)).filter(Boolean).join(' · ');
+      fields.push({ id, sensitive: Boolean(sensitive), value, entries });
+    });
+  }
+
+  if (blocks.xmp) {
+    xmpFields(blocks.xmp).forEach((field) => {
+      if (!fields.some((f) => f.id === field.id)) fields.push(field);
+    });
+  }
+
+  // PNG text chunks, e.g. AI generation parameters or editor comments
+  if (blocks.textKeys.length) {
+    fields.push({ id: 'pngText', sensitive: false, value: [...new Set(blocks.textKeys)].join(', '), entries: [] });
+  }
+  return fields;
+};
+
+// EXIF entries of the fields the user keeps
+export const carriedMetadata = (fields, kept) =>
+  (fields || []).filter((field) => kept.includes(field.id)).flatMap((field) => field.entries);
@@ -0,0 +1,121 @@
+import { buildPayloadBody, serializePayload, signedContent } from './payload';
+import { signText, visualHash } from './signing';
+
+// Builds the payload for an image of `size`, signed together with the hash
+// of the visible picture `img` (anything drawable) when a key pair is given.
+export const createPayload = async (img, ownership, keyPair = null, size = { width: img.width, height: img.height }) => {
+  if (!keyPair) return serializePayload(buildPayloadBody(ownership, size));
+
+  const body = buildPayloadBody(ownership, size, { h: visualHash(img), k: keyPair.fingerprint });
+  body.g = await signText(keyPair.privateKey, signedContent(body));
+  return serializePayload(body);
+};
+
+// ts-steganography defaults: 3 bits per pixel in the alpha channel, UTF-16
+// code units, prime modulus 11
+const BITS = 3;
+const CODE_UNIT = 16;
+const PRIME = 11;
+
+// Splits the message into 3-bit groups the way ts-steganography does,
+// a code unit's leftover bit carried into the next group
+const bitGroups = (message) => {
+  const perUnit = Math.floor(CODE_UNIT / BITS);
+  const overlapping = CODE_UNIT % BITS;
+  const groups = [];
+  let previous = 0;
+  for (let i = 0; i <= message.length; i++) {
+    const code = message.charCodeAt(i) || 0;
+    const carried = (overlapping * i) % BITS;
+    if (carried > 0 && previous) {
+      const left = (code & (2 ** (BITS - carried) - 1)) << carried;
+      const right = (previous & (2 ** CODE_UNIT * (1 - 2 ** -carried))) >> (CODE_UNIT - carried);
+      groups.push(left + right);
+      if (i < message.length) {
+        let mask = 2 ** (2 * BITS - carried) * (1 - 2 ** -BITS);
+        for (let j = 1; j < perUnit; j++) {
+          groups.push((code & mask) >> ((j - 1) * BITS + (BITS - carried)));
+          mask <<= BITS;
+        }
+        if ((overlapping * (i + 1)) % BITS === 0) {
+          groups.push((code & (2 ** CODE_UNIT * (1 - 2 ** -BITS))) >> (CODE_UNIT - BITS));
+        } else if ((overlapping * (i + 1)) % BITS + (BITS - carried) <= BITS) {
+          groups.push((code & mask) >> ((perUnit - 1) * BITS + (BITS - carried)));
+        }
+      }
+    } else if (i < message.length) {
+      let mask = 2 ** BITS - 1;
+      for (let j = 0; j < perUnit; j++) {
+        groups.push((code & mask) >> (j * BITS));
+        mask <<= BITS;
+      }
+    }
+    previous = code;
+  }
+  return groups;
+};
+
+// Payload pixels hold 245 to 252 in the alpha channel
+const LOWEST = 256 - PRIME;
+const HIGHEST = LOWEST + 2 ** BITS - 1;
+
+// Only opaque pixels carry the payload, so transparent and translucent
+// artwork keeps its alpha
+export const carrierPixels = (data) => {
+  let count = 0;
+  for (let i = 3; i < data.length; i += 4) if (data[i] === 255) count++;
+  return count;
+};
+
+// Hides `message` in the alpha channel of RGBA `data`, in place, in
+// ts-steganography's encoding without needing the DOM, so it runs in workers
+// and on images of any size; readHiddenMessage() reads it. The groups go
+// into opaque pixels in order, and the next opaque pixel (left at 255) ends
+// the message. Translucent pixels on the way that would read as payload are
+// made slightly more transparent.
+export const hideMessage = (data, message) => {
+  const groups = bitGroups(message);
+  let written = 0;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] === 255) {
+      if (written === groups.length) break;
+      data[i] = LOWEST + (groups[written++] % PRIME);
+    } else if (data[i] >= LOWEST) {
+      data[i] = LOWEST - 1;
+    }
+  }
+  return data;
+};
+
+// Reads the message hidden by hideMessage from RGBA `data`: pixels below the
+// payload range are skipped, the first one above it ends the message.
+export const revealMessage = (data) => {
+  let message = '';
+  let charCode = 0;
+  let bitCount = 0;
+  for (let i = 3; i < data.length && data[i] <= HIGHEST; i += 4) {
+    if (data[i] < LOWEST) continue;
+    const group = data[i] - LOWEST;
+    charCode += group << bitCount;
+    bitCount += BITS;
+    if (bitCount >= CODE_UNIT) {
+      message += String.fromCharCode(charCode & (2 ** CODE_UNIT - 1));
+      bitCount %= CODE_UNIT;
+      charCode = group >> (BITS - bitCount);
+    }
+  }
+  if (charCode !== 0) message += String.fromCharCode(charCode & (2 ** CODE_UNIT - 1));
+  return message;
+};
+
+// Reads the message hidden by hideMessage from image pixels. Returns null
+// when the image carries nothing readable.
+export const readHiddenMessage = (imageData) => {
+  const text = revealMessage(imageData.data).replace(/\0+$/, '');
+  if (text.startsWith('PIMG')) return text;
+  // Untouched or damaged images decode to an empty string or random code units
+  if (!text || !/^[\x20-\x7E\u00A0-\u024F\u2000-\u206F]+$/.test(text)) {
+    return null;
+  }
+  return text;
+};
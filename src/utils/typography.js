@@ -0,0 +1,136 @@
+// Text styling for signatures: font, weight, spacing, outline, shadow and
+// multi-line layout. Used by the watermark renderer.
+
+export const SYSTEM_FONTS = [
+  'Arial',
+  'Helvetica',
+  'Verdana',
+  'Tahoma',
+  'Trebuchet MS',
+  'Georgia',
+  'Times New Roman',
+  'Garamond',
+  'Courier New',
+  'Brush Script MT',
+  'Impact',
+  'serif',
+  'sans-serif',
+  'monospace',
+  'cursive',
+];
+
+const GENERIC_FAMILIES = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui'];
+
+export const TEXT_ALIGNS = ['left', 'center', 'right'];
+
+export const defaultTypography = () => ({
+  fontFamily: 'Arial',
+  bold: false,
+  italic: false,
+  letterSpacing: 0, // px between characters
+  strokeColor: '#ffffff',
+  strokeWidth: 0, // px, 0 = no outline
+  shadowColor: '#000000',
+  shadowBlur: 0, // px, 0 = no shadow
+  textAlign: 'center', // alignment of the lines within a multi-line signature
+});
+
+const FONT_EXTENSIONS = ['ttf', 'otf', 'woff', 'woff2'];
+
+// Font files uploaded this session by family, the render worker needs its
+// own copy of each
+const uploadedFonts = new Map();
+
+export const uploadedFontData = (family) => uploadedFonts.get(family) || null;
+
+// Registers an uploaded font file with the FontFace API and returns its family name
+export const loadFontFile = async (file) => {
+  const extension = file.name.split('.').pop().toLowerCase();
+  if (!FONT_EXTENSIONS.includes(extension) || typeof FontFace === 'undefined') {
+    throw new Error('invalidFont');
+  }
+  const family = file.name.replace(/\.[^.]+$/, '').replace(/["\\]/g, '').trim() || 'Custom font';
+  try {
+    const data = await file.arrayBuffer();
+    const face = new FontFace(family, data.slice(0));
+    await face.load();
+    document.fonts.add(face);
+    uploadedFonts.set(family, data);
+  } catch (error) {
+    console.error('Font load failed:', error);
+    throw new Error('invalidFont');
+  }
+  return family;
+};
+
+export const fontString = ({ fontFamily = 'Arial', bold, italic, fontSize }) => {
+  const family = GENERIC_FAMILIES.includes(fontFamily) ? fontFamily : `"${fontFamily}"`;
+  return `${italic ? 'italic ' : ''}${bold ? 'bold ' : ''}${fontSize}px ${family}`;
+};
+
+const lineWidth = (ctx, line, spacing) => {
+  if (!spacing) return ctx.measureText(line).width;
+  return [...line].reduce((width, char) => width + ctx.measureText(char).width + spacing, 0) - spacing;
+};
+
+// Character by character when letter spacing is set, canvas letterSpacing
+// support is still patchy
+const drawLine = (ctx, line, x, y, spacing, stroke) => {
+  const draw = (text, at) => (stroke ? ctx.strokeText(text, at, y) : ctx.fillText(text, at, y));
+  if (!spacing) {
+    draw(line, x);
+    return;
+  }
+  let at = x;
+  [...line].forEach((char) => {
+    draw(char, at);
+    at += ctx.measureText(char).width + spacing;
+  });
+};
+
+// Measures a (possibly multi-line) signature with the given style
+export const layoutText = (ctx, text, style) => {
+  ctx.font = fontString(style);
+  const lines = text.split('\n');
+  const widths = lines.map((line) => lineWidth(ctx, line, style.letterSpacing));
+  const lineHeight = style.fontSize * 1.2;
+  return {
+    lines,
+    widths,
+    lineHeight,
+    width: Math.max(...widths),
+    height: style.fontSize + lineHeight * (lines.length - 1),
+  };
+};
+
+// Draws a laid out text block whose left edge is `x`; `y` is the first line's
+// position for the current textBaseline. `fill` is the CSS fill colour.
+export const drawTextBlock = (ctx, layout, x, y, style, fill) => {
+  const { strokeColor, strokeWidth = 0, shadowColor, shadowBlur = 0, textAlign = 'center', letterSpacing = 0 } = style;
+  const offset = { left: 0, center: 0.5, right: 1 }[textAlign] ?? 0;
+
+  ctx.save();
+  ctx.font = fontString(style);
+  ctx.textAlign = 'left';
+  ctx.fillStyle = fill;
+  ctx.strokeStyle = strokeColor;
+  ctx.lineWidth = strokeWidth * 2; // half of the stroke is covered by the fill
+  ctx.lineJoin = 'round';
+
+  const passes = strokeWidth > 0 ? [true, false] : [false];
+  passes.forEach((stroke, i) => {
+    // Only the first pass casts the shadow, otherwise it doubles up
+    if (i === 0 && shadowBlur > 0) {
+      ctx.shadowColor = shadowColor;
+      ctx.shadowBlur = shadowBlur;
+      ctx.shadowOffsetX = ctx.shadowOffsetY = Math.ceil(shadowBlur / 3);
+    } else {
+      ctx.shadowColor = 'transparent';
+    }
+    layout.lines.forEach((line, n) => {
+      const lineX = x + (layout.width - layout.widths[n]) * offset;
+      drawLine(ctx, line, lineX, y + n * layout.lineHeight, letterSpacing, stroke);
+    });
+  });
+  ctx.restore();
+};
@@ -0,0 +1,102 @@
+import { readHiddenMessage } from './steganography';
+import { parsePayload, signedContent } from './payload';
+import { VISUAL_HASH_TOLERANCE, hashDistance, verifyText, visualHash } from './signing';
+import { detectRobustWatermark } from './robustWatermark';
+
+const LOSSY_TYPES = ['image/jpeg', 'image/webp', 'image/avif', 'image/heic'];
+
+// Reads pixels of a loaded image
+export const getImageData = (img) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = img.width;
+  canvas.height = img.height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0);
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+};
+
+// Ratio of luminance jumps on 8px block edges versus everywhere else.
+// Around 1.0 for untouched images, clearly above it after JPEG compression.
+export const blockinessScore = ({ data, width, height }) => {
+  const lum = (i) => 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  // Sample rows/columns so very large images stay fast
+  const step = Math.max(1, Math.floor(Math.sqrt((width * height) / 1000000)));
+  let edge = 0, edgeCount = 0, inner = 0, innerCount = 0;
+
+  for (let y = 0; y < height; y += step) {
+    for (let x = 0; x < width - 1; x++) {
+      const i = (y * width + x) * 4;
+      const diff = Math.abs(lum(i + 4) - lum(i));
+      if ((x + 1) % 8 === 0) { edge += diff; edgeCount++; } else { inner += diff; innerCount++; }
+    }
+  }
+  for (let x = 0; x < width; x += step) {
+    for (let y = 0; y < height - 1; y++) {
+      const i = (y * width + x) * 4;
+      const diff = Math.abs(lum(i + width * 4) - lum(i));
+      if ((y + 1) % 8 === 0) { edge += diff; edgeCount++; } else { inner += diff; innerCount++; }
+    }
+  }
+
+  if (!edgeCount || !innerCount || inner === 0) return 1;
+  return (edge / edgeCount) / (inner / innerCount);
+};
+
+// True when the alpha channel still looks like it carries hidden data
+// (values just below 255 at the start of the image)
+const hasPayloadTraces = ({ data }) => {
+  let marked = 0;
+  const limit = Math.min(data.length, 4 * 256);
+  for (let i = 3; i < limit; i += 4) {
+    if (data[i] >= 248 && data[i] < 255) marked++;
+  }
+  return marked > 8;
+};
+
+// Checks the payload signature against the known public keys
+// ([{ publicKey, fingerprint }]) and the signed hash against the pixels.
+const checkSignature = async (payload, img, publicKeys) => {
+  if (!payload || !payload.signed) return { status: 'unsigned' };
+
+  const { body } = payload;
+  const distance = typeof body.h === 'string' ? hashDistance(body.h, visualHash(img)) : null;
+  const imageMatches = distance !== null && distance <= VISUAL_HASH_TOLERANCE;
+  const key = publicKeys.find((k) => k.fingerprint === body.k);
+  if (!key) return { status: 'unknownKey', fingerprint: body.k, imageMatches, distance };
+
+  const valid = await verifyText(key.publicKey, signedContent(body), body.g);
+  return { status: valid ? 'valid' : 'invalid', fingerprint: body.k, imageMatches, distance };
+};
+
+// Decodes the hidden message of a suspect image and estimates whether the
+// copy was recompressed or resized since it was exported by the app.
+export const verifyImage = async (file, img, publicKeys = []) => {
+  const imageData = getImageData(img);
+  const message = readHiddenMessage(imageData);
+  const payload = parsePayload(message);
+  const originalSize = payload && payload.valid ? payload.size : null;
+
+  const blockiness = blockinessScore(imageData);
+  const lossyFormat = LOSSY_TYPES.includes(file.type);
+  const recompressed = lossyFormat || blockiness > 1.25;
+
+  let resized = null; // unknown without the original size
+  if (originalSize) {
+    resized = originalSize.width !== img.width || originalSize.height !== img.height;
+  }
+
+  return {
+    message,
+    found: Boolean(message),
+    payload,
+    signature: await checkSignature(payload, img, publicKeys),
+    robust: detectRobustWatermark(imageData),
+    damaged: !message && hasPayloadTraces(imageData),
+    recompressed,
+    lossyFormat,
+    blockiness,
+    resized,
+    originalSize,
+    size: { width: img.width, height: img.height },
+  };
+};
@@ -0,0 +1,398 @@
+import { drawTextBlock, layoutText } from './typography';
+import { createRandom, hashSeed } from './random';
+import { createCanvas } from './canvas';
+
+// Placement modes for the visible mark
+export const PLACEMENTS = ['tiled', 'brick', 'single', 'border', 'free'];
+
+// 9-point anchors for the single mark, row by row
+export const ANCHORS = [
+  'top-left', 'top-center', 'top-right',
+  'middle-left', 'center', 'middle-right',
+  'bottom-left', 'bottom-center', 'bottom-right',
+];
+
+// Canvas composite modes offered for the watermark layer
+export const BLEND_MODES = ['source-over', 'multiply', 'screen', 'overlay', 'soft-light', 'hard-light', 'difference'];
+
+// 'fixed' uses the text colour everywhere, 'adaptive' flips its lightness
+// against the artwork under each mark, 'invert' inverts the artwork locally
+export const COLOR_MODES = ['fixed', 'adaptive', 'invert'];
+
+// Faint overlays crossing the subject so no single template can be lifted off
+export const INTERFERENCE = ['none', 'noise', 'mesh'];
+
+const parseHex = (hex) => [1, 3, 5].map((i) => parseInt(hex.substr(i, 2), 16));
+
+const textFill = (textColor, opacity) => {
+  // Parse the hex color and add opacity
+  const [r, g, b] = parseHex(textColor);
+  return `rgba(${r}, ${g}, ${b}, ${opacity})`;
+};
+
+const hexToHsl = (hex) => {
+  const [r, g, b] = parseHex(hex).map((v) => v / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  if (max === min) return [0, 0, l];
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  const h = max === r ? (g - b) / d + (g < b ? 6 : 0) : max === g ? (b - r) / d + 2 : (r - g) / d + 4;
+  return [h * 60, s, l];
+};
+
+// Relative luminance of the image on a coarse grid (longest side 96 cells)
+const luminanceMap = (image, width, height) => {
+  const scale = Math.min(1, 96 / Math.max(width, height));
+  const w = Math.max(1, Math.round(width * scale));
+  const h = Math.max(1, Math.round(height * scale));
+  const ctx = createCanvas(w, h).getContext('2d');
+  ctx.drawImage(image, 0, 0, w, h);
+  const { data } = ctx.getImageData(0, 0, w, h);
+  const lum = new Float32Array(w * h);
+  for (let i = 0; i < lum.length; i++) {
+    lum[i] = (0.2126 * data[i * 4] + 0.7152 * data[i * 4 + 1] + 0.0722 * data[i * 4 + 2]) / 255;
+  }
+  return { lum, w, h, scale };
+};
+
+// Average luminance within `radius` of an image position, 0.5 off the image
+const averageLuminance = ({ lum, w, h, scale }, x, y, radius) => {
+  const r = Math.max(1, Math.round(radius * scale));
+  const cx = Math.round(x * scale);
+  const cy = Math.round(y * scale);
+  let sum = 0;
+  let count = 0;
+  for (let j = Math.max(0, cy - r); j <= Math.min(h - 1, cy + r); j++) {
+    for (let i = Math.max(0, cx - r); i <= Math.min(w - 1, cx + r); i++) {
+      sum += lum[j * w + i];
+      count++;
+    }
+  }
+  return count ? sum / count : 0.5;
+};
+
+// Returns fillAt(x, y, radius): the text colour for a mark centred on an
+// image position
+const createFill = (image, canvas, { textColor, opacity, colorMode = 'fixed' }) => {
+  if (colorMode === 'invert') return () => '#ffffff';
+  if (colorMode !== 'adaptive') {
+    const fill = textFill(textColor, opacity);
+    return () => fill;
+  }
+  const map = luminanceMap(image, canvas.width, canvas.height);
+  const [hue, saturation] = hexToHsl(textColor);
+  return (x, y, radius) => {
+    const lightness = averageLuminance(map, x, y, radius) > 0.5 ? 15 : 88;
+    return `hsla(${Math.round(hue)}, ${Math.round(saturation * 100)}%, ${lightness}%, ${opacity})`;
+  };
+};
+
+// The signature image in a single colour, its transparency kept
+const tintedImage = (image, color) => {
+  const canvas = createCanvas(image.width, image.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0);
+  ctx.globalCompositeOperation = 'source-in';
+  ctx.fillStyle = color;
+  ctx.fillRect(0, 0, image.width, image.height);
+  return canvas;
+};
+
+// Size of one mark (signature image stacked above the text) and a function
+// that draws it centred on the current origin
+const createMark = (ctx, canvas, settings) => {
+  const { signature, signatureImage, fontSize, signatureSize } = settings;
+  let imageWidth = 0;
+  let imageHeight = 0;
+  if (signatureImage) {
+    imageWidth = (canvas.width * signatureSize) / 100;
+    imageHeight = imageWidth / (signatureImage.width / signatureImage.height);
+  }
+  const text = signature ? layoutText(ctx, signature, settings) : null;
+  const textWidth = text ? text.width : 0;
+  const textHeight = text ? text.height : 0;
+  const gap = signatureImage && signature ? fontSize / 4 : 0;
+  const width = Math.max(imageWidth, textWidth);
+  const height = imageHeight + gap + textHeight;
+
+  const draw = (fill) => {
+    if (signatureImage) {
+      ctx.drawImage(signatureImage, -imageWidth / 2, -height / 2, imageWidth, imageHeight);
+    }
+    if (text) {
+      ctx.textBaseline = 'top';
+      drawTextBlock(ctx, text, -textWidth / 2, height / 2 - textHeight, settings, fill);
+    }
+  };
+  return { width, height, draw };
+};
+
+// Draws the mark centred on (x, y), rotated by `degrees`
+const drawMarkAt = (ctx, mark, x, y, degrees, fillAt, variation = null) => {
+  ctx.save();
+  if (variation) applyVariation(ctx, variation, x, y, Math.max(mark.width, mark.height));
+  ctx.translate(x, y);
+  ctx.rotate((degrees * Math.PI) / 180);
+  mark.draw(fillAt(x, y, Math.max(mark.width, mark.height) / 2));
+  ctx.restore();
+};
+
+// Axis-aligned size of the mark once rotated
+const rotatedBox = ({ width, height }, degrees) => {
+  const rad = (degrees * Math.PI) / 180;
+  const cos = Math.abs(Math.cos(rad));
+  const sin = Math.abs(Math.sin(rad));
+  return { width: width * cos + height * sin, height: width * sin + height * cos };
+};
+
+// Seeded per-tile variation. Seeding from the tile's row and column instead
+// of the drawing order keeps the pattern identical at any resolution.
+const tileVariation = (seed, row, col, strength) => {
+  if (!strength) return null;
+  const random = createRandom(seed ^ Math.imul(row + 1, 73856093) ^ Math.imul(col + 1, 19349663));
+  const spread = (range) => (random() * 2 - 1) * range * strength;
+  return {
+    dx: spread(0.25), // fraction of the tile spacing
+    dy: spread(0.25),
+    rotate: spread(20), // degrees
+    scale: 1 + spread(0.25),
+    alpha: 1 - random() * 0.45 * strength,
+    skewX: spread(0.25),
+    skewY: spread(0.1),
+  };
+};
+
+// Applies a tile variation around the centre (cx, cy) of a mark
+const applyVariation = (ctx, variation, cx, cy, spacing) => {
+  ctx.translate(cx + variation.dx * spacing, cy + variation.dy * spacing);
+  ctx.rotate((variation.rotate * Math.PI) / 180);
+  ctx.transform(variation.scale, variation.skewY, variation.skewX, variation.scale, 0, 0);
+  ctx.translate(-cx, -cy);
+  ctx.globalAlpha *= variation.alpha;
+};
+
+// Original diagonal grid. `brick` shifts every other row by half a step.
+const drawGrid = (ctx, canvas, settings, brick, fillAt) => {
+  const { signature, signatureImage, opacity, angle, density, fontSize, signatureSize, blendMode, jitter = 0, seed = '' } = settings;
+  const seedHash = hashSeed(seed);
+
+  // Calculate spacing based on density
+  const spacing = Math.max(canvas.width, canvas.height) / density;
+
+  // Save current state before rotation
+  ctx.save();
+
+  // Rotate context for diagonal watermark
+  ctx.rotate((angle * Math.PI) / 180);
+
+  // Set global alpha for opacity
+  ctx.globalAlpha = opacity;
+  ctx.globalCompositeOperation = blendMode;
+
+  // Offset of a row, every other row moves half a step in brick mode
+  const rowOffset = (y) => (brick && Math.round((y + canvas.height) / spacing) % 2 ? spacing / 2 : 0);
+
+  // Draws one tile, varied when hardening is on
+  const drawTile = (x, y, cx, cy, draw) => {
+    const variation = tileVariation(seedHash, Math.round((y + canvas.height) / spacing), Math.round((x + canvas.width + rowOffset(y)) / spacing), jitter / 100);
+    if (!variation) {
+      draw();
+      return;
+    }
+    ctx.save();
+    applyVariation(ctx, variation, cx, cy, spacing);
+    draw();
+    ctx.restore();
+  };
+
+  // Draw text watermark if signature exists
+  if (signature) {
+    const text = layoutText(ctx, signature, settings);
+    const rad = (angle * Math.PI) / 180;
+    const radius = Math.max(text.width, text.height) / 2;
+
+    // Draw text watermarks
+    for (let y = -canvas.height; y < canvas.height * 2; y += spacing) {
+      for (let x = -canvas.width - rowOffset(y); x < canvas.width * 2; x += spacing) {
+        // Centre of the text block, rotated back into image coordinates
+        const cx = x + text.width / 2;
+        const cy = y - fontSize * 0.8 + text.height / 2;
+        const fill = fillAt(cx * Math.cos(rad) - cy * Math.sin(rad), cx * Math.sin(rad) + cy * Math.cos(rad), radius);
+        drawTile(x, y, cx, cy, () => drawTextBlock(ctx, text, x, y, settings, fill));
+      }
+    }
+  }
+
+  // Draw image watermark if signature image exists
+  if (signatureImage) {
+    // Calculate size based on signatureSize (percentage of canvas width)
+    const size = (canvas.width * signatureSize) / 100;
+    const ratio = signatureImage.width / signatureImage.height;
+    const width = size;
+    const height = size / ratio;
+
+    // Draw image watermarks
+    for (let y = -canvas.height; y < canvas.height * 2; y += spacing) {
+      for (let x = -canvas.width - rowOffset(y); x < canvas.width * 2; x += spacing) {
+        drawTile(x, y, x + width / 2, y + height / 2, () => ctx.drawImage(signatureImage, x, y, width, height));
+      }
+    }
+  }
+
+  // Restore the unrotated context
+  ctx.restore();
+};
+
+// One mark at a 9-point anchor, `margin` is a percentage of the shorter side
+const drawSingle = (ctx, canvas, mark, { angle, anchor = 'bottom-right', margin = 3 }, fillAt) => {
+  const inset = (Math.min(canvas.width, canvas.height) * margin) / 100;
+  const box = rotatedBox(mark, angle);
+  const [row, col] = anchor === 'center' ? ['middle', 'center'] : anchor.split('-');
+  const x = { left: inset + box.width / 2, center: canvas.width / 2, right: canvas.width - inset - box.width / 2 }[col];
+  const y = { top: inset + box.height / 2, middle: canvas.height / 2, bottom: canvas.height - inset - box.height / 2 }[row];
+  drawMarkAt(ctx, mark, x, y, angle, fillAt);
+};
+
+// Centres of `length / (size + gap)` marks spread evenly along one edge
+const bandPositions = (start, end, size, gap) => {
+  const length = end - start;
+  const count = Math.max(1, Math.floor((length + gap) / (size + gap)));
+  const used = count * size + (count - 1) * gap;
+  return Array.from({ length: count }, (_, i) => start + (length - used) / 2 + size / 2 + i * (size + gap));
+};
+
+// Marks repeated along all four edges, reading along each edge. Density sets
+// the gap between marks.
+const drawBorder = (ctx, canvas, mark, { density, margin = 3, jitter = 0, seed = '' }, fillAt) => {
+  const inset = (Math.min(canvas.width, canvas.height) * margin) / 100;
+  const gap = (mark.width * 2) / density;
+  const { width: w, height: h } = canvas;
+  const seedHash = hashSeed(seed);
+  // Border marks only get half the variation so they stay inside the band
+  const vary = (edge, i) => tileVariation(seedHash, edge, i, jitter / 200);
+
+  bandPositions(inset, w - inset, mark.width, gap).forEach((x, i) => {
+    drawMarkAt(ctx, mark, x, inset + mark.height / 2, 0, fillAt, vary(0, i));
+    drawMarkAt(ctx, mark, x, h - inset - mark.height / 2, 0, fillAt, vary(1, i));
+  });
+  // The side bands run between the top and bottom bands
+  const sideStart = inset + mark.height + gap / 2;
+  const sideEnd = h - inset - mark.height - gap / 2;
+  if (sideEnd - sideStart < mark.width) return;
+  bandPositions(sideStart, sideEnd, mark.width, gap).forEach((y, i) => {
+    drawMarkAt(ctx, mark, inset + mark.height / 2, y, -90, fillAt, vary(2, i));
+    drawMarkAt(ctx, mark, w - inset - mark.height / 2, y, 90, fillAt, vary(3, i));
+  });
+};
+
+// Wavy lines across the whole image in both directions, or speckled grain.
+// Drawn faintly in the text colour (or white for the invert mode), given
+// at full strength: the opacity setting is applied here.
+const drawInterference = (ctx, canvas, { interference = 'none', density, seed = '', opacity, blendMode }, colour) => {
+  if (interference === 'none') return;
+  const random = createRandom(hashSeed(`${seed}:${interference}`));
+  const { width: w, height: h } = canvas;
+  const unit = Math.max(1, Math.min(w, h) / 600);
+
+  ctx.save();
+  ctx.globalAlpha = opacity * 0.35;
+  ctx.globalCompositeOperation = blendMode;
+  if (interference === 'mesh') {
+    ctx.strokeStyle = colour;
+    ctx.lineWidth = unit;
+    const lines = density * 3;
+    // Horizontal then vertical families of sine waves with seeded phase
+    [[w, h], [h, w]].forEach(([along, across], vertical) => {
+      for (let i = 0; i < lines; i++) {
+        const base = ((i + 0.25 + random() * 0.5) / lines) * across;
+        const amplitude = (across / lines) * (0.2 + random() * 0.4);
+        const waves = 1 + random() * 2;
+        const phase = random() * Math.PI * 2;
+        ctx.beginPath();
+        for (let step = 0; step <= 64; step++) {
+          const t = (step / 64) * along;
+          const offset = base + amplitude * Math.sin((t / along) * waves * Math.PI * 2 + phase);
+          if (vertical) ctx.lineTo(offset, t);
+          else ctx.lineTo(t, offset);
+        }
+        ctx.stroke();
+      }
+    });
+  } else {
+    // Specks, about one per 300 pixels
+    const count = Math.min(200000, Math.round((w * h) / 300));
+    ctx.fillStyle = colour;
+    for (let i = 0; i < count; i++) {
+      const size = unit * (1 + random());
+      ctx.fillRect(random() * w, random() * h, size, size);
+    }
+  }
+  ctx.restore();
+};
+
+// Pixel sized settings scaled for a reduced copy of the image, so the live
+// preview looks like the full resolution export
+export const scaleSettings = (settings, scale) =>
+  scale === 1
+    ? settings
+    : {
+        ...settings,
+        fontSize: settings.fontSize * scale,
+        letterSpacing: (settings.letterSpacing || 0) * scale,
+        strokeWidth: (settings.strokeWidth || 0) * scale,
+        shadowBlur: (settings.shadowBlur || 0) * scale,
+      };
+
+// Draws the original image plus the watermark onto `canvas` using the
+// selected placement. Shared by the live preview and the exporter so every
+// file gets the exact same look. Free placement stores the mark centre
+// relative to the image size ({ x, y } in 0..1) so it fits any resolution.
+// The colour mode applies to text; 'invert' also inverts under image marks.
+// `signatureTint` recolours the signature image with the text colour.
+// `region` ({ x, y, width, height }) renders only that part of the image,
+// for images too large for a single canvas.
+export function drawWatermark(canvas, image, markSettings, region = null) {
+  const { signatureImage, signatureTint, textColor } = markSettings;
+  const settings = signatureImage && signatureTint ? { ...markSettings, signatureImage: tintedImage(signatureImage, textColor) } : markSettings;
+  const { opacity, angle, placement = 'tiled', position = { x: 0.5, y: 0.5 }, colorMode = 'fixed' } = settings;
+  const blendMode = colorMode === 'invert' ? 'difference' : settings.blendMode || 'source-over';
+  const ctx = canvas.getContext('2d');
+  // Layout always follows the whole image, whatever part is drawn
+  const frame = { width: image.width, height: image.height };
+  const { x = 0, y = 0, width = frame.width, height = frame.height } = region || {};
+
+  // Set canvas dimensions to match the drawn area
+  canvas.width = width;
+  canvas.height = height;
+  ctx.translate(-x, -y);
+
+  // Draw the original image
+  ctx.drawImage(image, 0, 0);
+
+  const fillAt = createFill(image, frame, settings);
+  // The overlay applies the opacity itself, its colour comes at full strength
+  const interferenceColour = settings.interference && settings.interference !== 'none'
+    ? createFill(image, frame, { ...settings, opacity: 1 })(frame.width / 2, frame.height / 2, frame.width)
+    : null;
+
+  if (placement === 'tiled' || placement === 'brick') {
+    drawGrid(ctx, frame, { ...settings, blendMode }, placement === 'brick', fillAt);
+    drawInterference(ctx, frame, { ...settings, blendMode }, interferenceColour);
+    return canvas;
+  }
+
+  ctx.save();
+  // Set global alpha for opacity
+  ctx.globalAlpha = opacity;
+  ctx.globalCompositeOperation = blendMode;
+  const mark = createMark(ctx, frame, settings);
+  if (placement === 'single') drawSingle(ctx, frame, mark, settings, fillAt);
+  else if (placement === 'border') drawBorder(ctx, frame, mark, settings, fillAt);
+  else drawMarkAt(ctx, mark, position.x * frame.width, position.y * frame.height, angle, fillAt);
+  ctx.restore();
+  drawInterference(ctx, frame, { ...settings, blendMode }, interferenceColour);
+
+  return canvas;
+}
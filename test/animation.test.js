@@ -0,0 +1,182 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { animationInfo, decodeAnimation, encodeAnimation, protectAnimation } from '../src/utils/animation.js';
+import { pixelsCanvas } from '../src/utils/canvas.js';
+import { protect, renderWatermark } from '../src/utils/core.js';
+import { detectRobustWatermark, formatOwnerId, robustOwnerId } from '../src/utils/robustWatermark.js';
+import { blobPixels, testImage } from './helpers.js';
+
+const WIDTH = 40;
+const HEIGHT = 30;
+
+// Three frames: a square moving over a few colour steps above a transparent
+// band, with `alpha` for the square (GIF only keeps fully opaque or fully
+// transparent pixels). Sizes are multiples of 40 × 30.
+const testAnimation = ({ alpha = 255, band = true, width = WIDTH, height = HEIGHT } = {}) => ({
+  width,
+  height,
+  plays: 3,
+  frames: [100, 250, 70].map((delay, i) => {
+    const data = new Uint8ClampedArray(width * height * 4);
+    const scale = width / WIDTH;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const [u, v] = [Math.floor(x / scale), Math.floor(y / scale)];
+        const at = (y * width + x) * 4;
+        const inSquare = u >= 5 + i * 10 && u < 15 + i * 10 && v >= 5 && v < 15;
+        if (inSquare) data.set([200, 40 * i, 90, alpha], at);
+        else if (!band || v < 20) data.set([(u >> 2) * 24, (v >> 2) * 40, 255 - (u >> 2) * 24, 255], at);
+      }
+    }
+    return { data, delay };
+  }),
+});
+
+const maxDifference = (a, b) => a.reduce((max, value, i) => Math.max(max, Math.abs(value - b[i])), 0);
+
+// What the animation decodes to after encoding in `format`
+const roundTrip = async (animation, format) => {
+  const { blob, format: written } = await encodeAnimation(animation, format, 0.9);
+  assert.equal(written, format);
+  assert.deepEqual(await animationInfo(blob), { format, frames: animation.frames.length });
+  return { blob, decoded: await decodeAnimation(blob, format) };
+};
+
+describe('animation', () => {
+  test('GIF keeps frames, delays, looping and transparency', async () => {
+    const animation = testAnimation();
+    const { blob, decoded } = await roundTrip(animation, 'gif');
+    assert.deepEqual([decoded.width, decoded.height, decoded.plays], [WIDTH, HEIGHT, 3]);
+    assert.deepEqual(decoded.frames.map((frame) => frame.delay), [100, 250, 70]);
+    // Few enough colours for an exact palette
+    decoded.frames.forEach((frame, i) => assert.equal(maxDifference(frame.data, animation.frames[i].data), 0));
+    // Other decoders read the same first frame
+    const first = await blobPixels(blob);
+    assert.equal(maxDifference(first.data, animation.frames[0].data), 0);
+  });
+
+  test('GIF reduces artwork with many colours to a close palette', async () => {
+    const data = testImage(240, 160).getContext('2d').getImageData(0, 0, 240, 160).data;
+    const { decoded } = await roundTrip({ width: 240, height: 160, plays: 0, frames: [{ data, delay: 50 }, { data, delay: 50 }] }, 'gif');
+    assert.equal(decoded.plays, 0);
+    const difference = decoded.frames[0].data.reduce((sum, value, i) => sum + Math.abs(value - data[i]), 0) / data.length;
+    assert.ok(difference < 2, `mean difference ${difference}`);
+  });
+
+  test('APNG keeps partial transparency exactly', async () => {
+    const animation = testAnimation({ alpha: 128 });
+    const { blob, decoded } = await roundTrip(animation, 'apng');
+    assert.deepEqual([decoded.width, decoded.height, decoded.plays], [WIDTH, HEIGHT, 3]);
+    assert.deepEqual(decoded.frames.map((frame) => frame.delay), [100, 250, 70]);
+    decoded.frames.forEach((frame, i) => assert.deepEqual(frame.data, animation.frames[i].data));
+    assert.equal((await blobPixels(blob)).width, WIDTH);
+  });
+
+  test('WebP keeps frames, delays, looping and transparency', async () => {
+    const animation = testAnimation({ alpha: 128 });
+    const { decoded } = await roundTrip(animation, 'webp');
+    assert.deepEqual([decoded.width, decoded.height, decoded.plays], [WIDTH, HEIGHT, 3]);
+    assert.deepEqual(decoded.frames.map((frame) => frame.delay), [100, 250, 70]);
+    decoded.frames.forEach((frame, i) => {
+      const expected = animation.frames[i].data;
+      // Lossy, but the transparent band stays transparent and the square half so
+      const at = (25 * WIDTH + 20) * 4;
+      assert.equal(frame.data[at + 3], 0);
+      const square = ((10 * WIDTH) + 10 + i * 10) * 4;
+      assert.ok(Math.abs(frame.data[square + 3] - 128) <= 2);
+      const top = frame.data.subarray(0, 5 * WIDTH * 4);
+      assert.ok(top.reduce((sum, value, j) => sum + Math.abs(value - expected[j]), 0) / top.length < 4);
+    });
+  });
+
+  test('decodes frames drawn over part of the canvas', async () => {
+    // GIF: a full first frame, then an 8×8 patch at (4, 4) that is cleared
+    // after showing ("restore to background"), then an empty frame
+    const bytes = Uint8Array.from([
+      ...new TextEncoder().encode('GIF89a'), 16, 0, 16, 0, 0x80, 0, 0, // 16×16, global table of 2 colours
+      255, 0, 0, 0, 0, 255,
+      0x21, 0xff, 11, ...new TextEncoder().encode('NETSCAPE2.0'), 3, 1, 0, 0, 0,
+      0x21, 0xf9, 4, 0, 10, 0, 0, 0,
+      0x2c, 0, 0, 0, 0, 16, 0, 16, 0, 0, ...lzwBlock(new Array(256).fill(0)),
+      0x21, 0xf9, 4, 2 << 2, 20, 0, 0, 0,
+      0x2c, 4, 0, 4, 0, 8, 0, 8, 0, 0, ...lzwBlock(new Array(64).fill(1)),
+      0x21, 0xf9, 4, 1, 30, 0, 0, 0,
+      0x2c, 0, 0, 0, 0, 1, 0, 1, 0, 0, ...lzwBlock([0]),
+      0x3b,
+    ]);
+    const { plays, frames } = await decodeAnimation(new Blob([bytes]), 'gif');
+    assert.equal(plays, 0);
+    assert.deepEqual(frames.map((frame) => frame.delay), [100, 200, 300]);
+    const pixel = (frame, x, y) => Array.from(frames[frame].data.subarray((y * 16 + x) * 4, (y * 16 + x) * 4 + 4));
+    assert.deepEqual(pixel(1, 5, 5), [0, 0, 255, 255]);
+    assert.deepEqual(pixel(1, 0, 0), [255, 0, 0, 255]);
+    // The patch is gone; the last frame's single pixel is transparent
+    assert.deepEqual(pixel(2, 5, 5), [0, 0, 0, 0]);
+    assert.deepEqual(pixel(2, 15, 15), [255, 0, 0, 255]);
+  });
+
+  test('watermarks every frame', async () => {
+    // The robust watermark needs opaque pixels to be found again
+    const animation = testAnimation({ band: false, width: 320, height: 240 });
+    const ownership = { author: 'Animator', contact: 'animator@example.com', license: '', created: '2024-01-01', note: '' };
+    const options = { signature: 'ProtectorIMG', fontSize: 18, opacity: 0.8, textColor: '#ffffff', typography: { fontFamily: 'Lato' }, ownership, embedMode: 'robust' };
+    const progress = [];
+    const result = await protectAnimation(animation, (image, onProgress) => protect(image, options, onProgress), (value) => progress.push(value));
+
+    assert.deepEqual([result.width, result.height, result.plays, result.frames.length], [320, 240, 3, 3]);
+    assert.deepEqual(result.frames.map((frame) => frame.delay), [100, 250, 70]);
+    assert.equal(progress.at(-1), 1);
+    result.frames.forEach((frame, i) => {
+      assert.ok(maxDifference(frame.data, animation.frames[i].data) > 32, `frame ${i} is watermarked`);
+      const found = detectRobustWatermark({ ...frame, width: 320, height: 240 });
+      assert.equal(found.found, true);
+      assert.equal(formatOwnerId(found.ownerId), formatOwnerId(robustOwnerId(ownership, null)));
+    });
+  });
+
+  test('keeps the transparent band through the default embed mode', async () => {
+    const animation = testAnimation({ width: 320, height: 240 });
+    const ownership = { author: 'Animator', contact: 'animator@example.com', license: '', created: '2024-01-01', note: '' };
+    const options = { signature: 'ProtectorIMG', fontSize: 18, opacity: 0.8, textColor: '#ffffff', typography: { fontFamily: 'Lato' }, ownership };
+    const result = await protectAnimation(animation, (image, onProgress) => protect(image, options, onProgress));
+    // Band pixels the visible watermark leaves clear must stay fully transparent
+    const clear = animation.frames.map(({ data }) => {
+      const rendered = renderWatermark(pixelsCanvas({ data, width: 320, height: 240 }), options).data;
+      const pixels = [];
+      for (let at = 160 * 320 * 4; at < rendered.length; at += 4) if (rendered[at + 3] === 0) pixels.push(at);
+      return pixels;
+    });
+    clear.forEach((pixels) => assert.ok(pixels.length > 320 * 40));
+    for (const format of ['gif', 'apng', 'webp']) {
+      const { decoded } = await roundTrip(result, format);
+      decoded.frames.forEach((frame, i) => {
+        const opaque = clear[i].filter((at) => frame.data[at + 3] !== 0);
+        assert.equal(opaque.length, 0, `${format} frame ${i}`);
+      });
+    }
+  });
+});
+
+// Image data of a GIF frame: minimum code size 2, then the LZW codes of
+// `indices` written as plain codes with a clear before each, in sub-blocks
+function lzwBlock(indices) {
+  const codes = [];
+  indices.forEach((index) => codes.push(4, index));
+  codes.push(5);
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  codes.forEach((code) => {
+    buffer |= code << bits;
+    bits += 3;
+    while (bits >= 8) {
+      bytes.push(buffer & 255);
+      buffer >>= 8;
+      bits -= 8;
+    }
+  });
+  if (bits) bytes.push(buffer & 255);
+  const blocks = [];
+  for (let at = 0; at < bytes.length; at += 255) blocks.push(Math.min(255, bytes.length - at), ...bytes.slice(at, at + 255));
+  return [2, ...blocks, 0];
+}
@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdir, mkdtemp, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { encodeAnimation } from '../src/utils/animation.js';
+import { gifFrameCount } from '../src/utils/gif.js';
+import { testImage } from './helpers.js';
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const CLI = path.join(here, '..', 'cli', 'protectorimg.js');
+const FONT = path.join(here, 'fixtures', 'Lato-Regular.ttf');
+
+// Exit code and output of the CLI, without throwing on a failure
+const run = (args) =>
+  promisify(execFile)(process.execPath, [CLI, ...args]).then(
+    ({ stdout }) => ({ code: 0, stdout }),
+    (error) => ({ code: error.code, stdout: error.stdout, stderr: error.stderr })
+  );
+
+describe('cli', () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'protectorimg-'));
+    await writeFile(path.join(dir, 'preset.json'), JSON.stringify({ signature: 'CLI test', typography: { fontFamily: 'Lato' } }));
+    await writeFile(path.join(dir, 'broken.json'), '{ signature');
+    const input = path.join(dir, 'in');
+    await mkdir(path.join(input, 'nested'), { recursive: true });
+    await writeFile(path.join(input, 'one.png'), await testImage().encode('png'));
+    await writeFile(path.join(input, 'nested', 'two.jpg'), await testImage(200, 200).encode('jpeg'));
+    await writeFile(path.join(input, 'notes.txt'), 'not an image');
+    const pixels = testImage().getContext('2d').getImageData(0, 0, 240, 160).data;
+    const animation = { width: 240, height: 160, plays: 0, frames: [{ data: pixels, delay: 100 }, { data: pixels.map((v, i) => (i % 4 === 3 ? v : 255 - v)), delay: 100 }] };
+    await mkdir(path.join(dir, 'animated'));
+    const { blob } = await encodeAnimation(animation, 'gif');
+    await writeFile(path.join(dir, 'animated', 'loop.gif'), Buffer.from(await blob.arrayBuffer()));
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  test('protects every image of a folder tree', async () => {
+    const out = path.join(dir, 'out');
+    const { code, stdout } = await run([path.join(dir, 'in'), '--preset', path.join(dir, 'preset.json'), '--out', out, '-r', '--font', `${FONT}=Lato`, '--author', 'CLI Tester']);
+    assert.equal(code, 0);
+    assert.match(stdout, /2 of 2 images protected/);
+    assert.deepEqual((await readdir(out, { recursive: true })).sort(), ['nested', path.join('nested', 'two-protected.png'), 'one-protected.png']);
+  });
+
+  test('writes lossy formats', async () => {
+    const out = path.join(dir, 'jpeg-out');
+    const { code } = await run([path.join(dir, 'in'), '--preset', path.join(dir, 'preset.json'), '--out', out, '--font', `${FONT}=Lato`, '--format', 'jpeg']);
+    assert.equal(code, 0);
+    const bytes = await readFile(path.join(out, 'one-protected.jpg'));
+    assert.deepEqual([...bytes.subarray(0, 3)], [0xff, 0xd8, 0xff]);
+  });
+
+  test('keeps animations in their format', async () => {
+    const out = path.join(dir, 'animated-out');
+    const { code } = await run([path.join(dir, 'animated'), '--preset', path.join(dir, 'preset.json'), '--out', out, '--font', `${FONT}=Lato`, '--format', 'jpeg']);
+    assert.equal(code, 0);
+    assert.equal(gifFrameCount(await readFile(path.join(out, 'loop-protected.gif'))), 2);
+  });
+
+  test('exits with 2 on an unreadable preset', async () => {
+    const { code, stderr } = await run([path.join(dir, 'in'), '--preset', path.join(dir, 'broken.json')]);
+    assert.equal(code, 2);
+    assert.match(stderr, /not valid JSON/);
+  });
+});
@@ -0,0 +1,34 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { pasteTarget, pastedImageFiles } from '../src/utils/clipboard.js';
+
+const png = new File(['png'], 'image.png', { type: 'image/png' });
+const text = new File(['text'], 'notes.txt', { type: 'text/plain' });
+const fileItem = (file) => ({ kind: 'file', getAsFile: () => file });
+
+// Just enough of an element for closest('[data-paste-target]')
+const element = (pasteTargetName, parent = null) => ({
+  dataset: pasteTargetName ? { pasteTarget: pasteTargetName } : {},
+  closest() {
+    return pasteTargetName ? this : parent && parent.closest();
+  },
+});
+
+describe('clipboard', () => {
+  test('picks the pasted image files', () => {
+    const items = [{ kind: 'string', getAsFile: () => null }, fileItem(text), fileItem(png)];
+    assert.deepEqual(pastedImageFiles({ items, files: [] }), [png]);
+    // Browsers without file items still list the files
+    assert.deepEqual(pastedImageFiles({ items: [], files: [png, text] }), [png]);
+    assert.deepEqual(pastedImageFiles({ items: [{ kind: 'string' }], files: [] }), []);
+    assert.deepEqual(pastedImageFiles(null), []);
+  });
+
+  test('sends the paste to the focused area', () => {
+    assert.equal(pasteTarget(element(null, element('signature'))), 'signature');
+    assert.equal(pasteTarget(element('artwork')), 'artwork');
+    assert.equal(pasteTarget(element(null)), 'artwork');
+    // Nothing focused: the paste event targets the document
+    assert.equal(pasteTarget({}), 'artwork');
+  });
+});
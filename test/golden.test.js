@@ -0,0 +1,72 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { renderWatermark } from '../src/utils/core.js';
+import { assertGolden, createCanvas, testImage, testStamp } from './helpers.js';
+
+// Visible watermark renders compared with reviewed golden images. Any change
+// to layout, typography, colouring or overlays shows up here.
+const typography = { fontFamily: 'Lato' };
+
+const CASES = {
+  'tiled-text': { signature: 'ProtectorIMG', fontSize: 18, opacity: 0.6, textColor: '#ffffff', typography },
+  'brick-jitter': { signature: 'ProtectorIMG', placement: 'brick', density: 4, jitter: 60, seed: 'golden', fontSize: 14, opacity: 0.7, typography },
+  'single-outline': {
+    signature: '© Artist',
+    placement: 'single',
+    anchor: 'bottom-right',
+    margin: 4,
+    angle: 0,
+    fontSize: 24,
+    opacity: 0.9,
+    textColor: '#ffffff',
+    typography: { ...typography, strokeWidth: 2, strokeColor: '#000000' },
+  },
+  border: { signature: 'ProtectorIMG', placement: 'border', angle: 0, fontSize: 12, opacity: 0.8, typography },
+  'free-multiline': {
+    signature: 'First line\nsecond',
+    placement: 'free',
+    position: { x: 0.3, y: 0.4 },
+    angle: -15,
+    fontSize: 20,
+    opacity: 0.8,
+    typography: { ...typography, textAlign: 'left', letterSpacing: 2 },
+  },
+  'adaptive-mesh': { signature: 'ProtectorIMG', colorMode: 'adaptive', interference: 'mesh', seed: 'golden', fontSize: 16, opacity: 0.6, typography },
+  'invert-noise': { signature: 'ProtectorIMG', colorMode: 'invert', interference: 'noise', seed: 'golden', fontSize: 16, opacity: 0.6, typography },
+  'multiply-shadow': {
+    signature: 'ProtectorIMG',
+    blendMode: 'multiply',
+    textColor: '#c02020',
+    fontSize: 18,
+    opacity: 0.8,
+    typography: { ...typography, shadowBlur: 4, shadowColor: '#000000' },
+  },
+  'signature-image': { signatureImage: testStamp(), signatureSize: 40, density: 3, opacity: 0.7 },
+  'signature-tint': { signatureImage: testStamp(), signatureTint: true, textColor: '#2a9d8f', placement: 'single', anchor: 'center', angle: 0, signatureSize: 50, opacity: 0.9 },
+};
+
+describe('renderWatermark', () => {
+  Object.entries(CASES).forEach(([name, options]) => {
+    test(name, async () => {
+      await assertGolden(name, renderWatermark(testImage(), options));
+    });
+  });
+
+  test('interference takes the text colour and the opacity once', () => {
+    const white = createCanvas(200, 200);
+    const ctx = white.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, 200, 200);
+    const { data } = renderWatermark(white, { signature: '', interference: 'noise', seed: 'specks', textColor: '#ff0000', opacity: 0.5 });
+    const counts = new Array(256).fill(0);
+    for (let i = 0; i < data.length; i += 4) {
+      // Every speck is red: only green and blue drop
+      assert.equal(data[i], 255);
+      if (data[i + 1] < 245) counts[data[i + 1]]++;
+    }
+    // Past the antialiased edges, most speck pixels are covered once at
+    // 0.5 × 0.35 alpha
+    const common = counts.indexOf(Math.max(...counts));
+    assert.ok(Math.abs(common - 255 * (1 - 0.5 * 0.35)) <= 2, `most common ${common}`);
+  });
+});
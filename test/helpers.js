@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { setCanvasBackend } from '../src/utils/canvas.js';
+import { decodeImage, nodeCanvasBackend, registerFont } from '../cli/nodeCanvas.js';
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const GOLDEN_DIR = path.join(here, 'golden');
+
+// Channel differences up to this are antialiasing noise between Skia builds
+const CHANNEL_TOLERANCE = 8;
+// Share of pixels allowed past the tolerance
+const MAX_CHANGED = 0.002;
+
+setCanvasBackend(nodeCanvasBackend);
+registerFont(path.join(here, 'fixtures', 'Lato-Regular.ttf'), 'Lato');
+
+export const { createCanvas } = nodeCanvasBackend;
+
+// Deterministic artwork with smooth areas, hard edges and fine detail
+export const testImage = (width = 240, height = 160) => {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  const gradient = ctx.createLinearGradient(0, 0, width, height);
+  gradient.addColorStop(0, '#1d3557');
+  gradient.addColorStop(0.5, '#e9c46a');
+  gradient.addColorStop(1, '#f1faee');
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, width, height);
+  ctx.fillStyle = '#e63946';
+  ctx.beginPath();
+  ctx.arc(width * 0.3, height * 0.55, height * 0.3, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.fillStyle = '#2a9d8f';
+  for (let x = width * 0.6; x < width * 0.9; x += 4) ctx.fillRect(Math.round(x), height * 0.15, 2, height * 0.7);
+  return canvas;
+};
+
+// Small signature image with transparency
+export const testStamp = () => {
+  const canvas = createCanvas(48, 24);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#6a0dad';
+  ctx.fillRect(2, 2, 20, 20);
+  ctx.beginPath();
+  ctx.arc(36, 12, 10, 0, Math.PI * 2);
+  ctx.fill();
+  return canvas;
+};
+
+const pixelsOf = (image) => {
+  const canvas = createCanvas(image.width, image.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0);
+  return ctx.getImageData(0, 0, image.width, image.height);
+};
+
+// Decoded pixels of a PNG Blob
+export const blobPixels = async (blob) => pixelsOf(await decodeImage(Buffer.from(await blob.arrayBuffer())));
+
+const encodePixels = ({ data, width, height }) => {
+  const canvas = createCanvas(width, height);
+  canvas.getContext('2d').putImageData(nodeCanvasBackend.createImageData(data, width, height), 0, 0);
+  return canvas.encode('png');
+};
+
+// Compares pixels with test/golden/<name>.png. UPDATE_GOLDEN=1 rewrites the
+// golden images; a mismatch leaves the actual result next to the golden one.
+// `exactAlpha` requires the alpha channel (where the LSB payload lives) to
+// match bit for bit.
+export const assertGolden = async (name, pixels, { exactAlpha = false } = {}) => {
+  const file = path.join(GOLDEN_DIR, `${name}.png`);
+  if (process.env.UPDATE_GOLDEN) {
+    await writeFile(file, await encodePixels(pixels));
+    return;
+  }
+
+  let golden;
+  try {
+    golden = pixelsOf(await decodeImage(await readFile(file)));
+  } catch {
+    assert.fail(`Missing golden image ${path.relative(process.cwd(), file)}, run UPDATE_GOLDEN=1 npm test`);
+  }
+  assert.deepEqual([pixels.width, pixels.height], [golden.width, golden.height], `${name}: size differs from the golden image`);
+
+  let changed = 0;
+  let alphaChanged = 0;
+  for (let i = 0; i < pixels.data.length; i += 4) {
+    if (pixels.data[i + 3] !== golden.data[i + 3]) alphaChanged++;
+    for (let c = 0; c < 4; c++) {
+      if (Math.abs(pixels.data[i + c] - golden.data[i + c]) > CHANNEL_TOLERANCE) {
+        changed++;
+        break;
+      }
+    }
+  }
+  const share = changed / (pixels.width * pixels.height);
+  if (share > MAX_CHANGED || (exactAlpha && alphaChanged)) {
+    const actual = file.replace(/\.png$/, '.actual.png');
+    await writeFile(actual, await encodePixels(pixels));
+    assert.fail(
+      `${name}: ${(share * 100).toFixed(2)}% of the pixels differ${exactAlpha ? `, ${alphaChanged} alpha values` : ''}. ` +
+        `Compare ${path.relative(process.cwd(), actual)} with the golden image, or run UPDATE_GOLDEN=1 npm test if the change is intended.`
+    );
+  }
+};
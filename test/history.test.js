@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { canRedo, canUndo, emptyHistory, isTextEntry, recordSnapshot, redo, undo } from '../src/utils/history.js';
+
+// Records the snapshots in order, one every `step` milliseconds
+const recordAll = (snapshots, step = 1000, history = emptyHistory()) =>
+  snapshots.reduce((current, snapshot, i) => recordSnapshot(current, snapshot, i * step), history);
+
+describe('history', () => {
+  test('a slider drag is one entry', () => {
+    const dragged = recordAll([{ opacity: 0.5 }, { opacity: 0.6 }, { opacity: 0.7 }, { opacity: 0.8 }], 100);
+    assert.deepEqual(dragged.past, [{ opacity: 0.5 }]);
+    assert.deepEqual(undo(dragged).present, { opacity: 0.5 });
+
+    // Slower changes, or changes to other fields, are separate entries
+    assert.equal(recordAll([{ opacity: 0.5 }, { opacity: 0.6 }, { opacity: 0.7 }], 800).past.length, 2);
+    const mixed = recordAll([{ opacity: 0.5, angle: 45 }, { opacity: 0.6, angle: 45 }, { opacity: 0.6, angle: 30 }], 100);
+    assert.equal(mixed.past.length, 2);
+  });
+
+  test('undo and redo step through the snapshots', () => {
+    const history = recordAll([{ opacity: 0.5 }, { opacity: 0.6 }, { opacity: 0.7 }]);
+    const back = undo(undo(history));
+    assert.deepEqual(back.present, { opacity: 0.5 });
+    assert.equal(canUndo(back), false);
+    assert.deepEqual(redo(back).present, { opacity: 0.6 });
+    assert.deepEqual(redo(redo(back)).present, { opacity: 0.7 });
+    assert.equal(canRedo(redo(redo(back))), false);
+    // Applying the undone snapshot records as no change
+    assert.equal(recordSnapshot(back, back.present, 5000), back);
+  });
+
+  test('a new change clears redo', () => {
+    const back = undo(recordAll([{ opacity: 0.5 }, { opacity: 0.6 }]));
+    assert.equal(canRedo(back), true);
+    const changed = recordSnapshot(back, { opacity: 0.9 }, 5000);
+    assert.equal(canRedo(changed), false);
+    assert.deepEqual(changed.past, [{ opacity: 0.5 }]);
+    // Even right after the undo, within the coalescing window
+    assert.equal(canRedo(recordSnapshot(back, { opacity: 0.55 }, 1001)), false);
+  });
+
+  test('undo and redo at the ends do nothing', () => {
+    const start = recordSnapshot(emptyHistory(), { opacity: 0.5 });
+    assert.equal(undo(start), start);
+    assert.equal(redo(start), start);
+    const end = recordAll([{ opacity: 0.5 }, { opacity: 0.6 }]);
+    assert.equal(redo(end), end);
+  });
+
+  test('keyboard shortcuts skip text fields', () => {
+    assert.equal(isTextEntry({ tagName: 'TEXTAREA' }), true);
+    assert.equal(isTextEntry({ tagName: 'INPUT', type: 'text' }), true);
+    assert.equal(isTextEntry({ tagName: 'DIV', isContentEditable: true }), true);
+    assert.equal(isTextEntry({ tagName: 'INPUT', type: 'range' }), false);
+    assert.equal(isTextEntry(null), false);
+  });
+});
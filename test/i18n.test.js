@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import { before, describe, test } from 'node:test';
+import { DEFAULT_LANGUAGE, LANGUAGES, detectLanguage, loadTranslations, missingKeys, translate } from '../src/utils/i18n.js';
+
+const placeholders = (entry) =>
+  [...new Set((typeof entry === 'string' ? entry : Object.values(entry).join(' ')).match(/\{\w+\}/g))].sort();
+
+describe('i18n', () => {
+  const catalogs = {};
+
+  before(async () => {
+    for (const language of Object.keys(LANGUAGES)) catalogs[language] = await loadTranslations(language);
+  });
+
+  test('every language is complete and uses the same placeholders', () => {
+    const reference = catalogs[DEFAULT_LANGUAGE];
+    Object.keys(LANGUAGES).forEach((language) => {
+      assert.deepEqual(missingKeys(language), [], `${language} lacks keys`);
+      const unknown = Object.keys(catalogs[language]).filter((key) => !(key in reference));
+      assert.deepEqual(unknown, [], `${language} has keys English does not`);
+      Object.entries(catalogs[language]).forEach(([key, entry]) => {
+        // A plural form may spell the number out instead of using {count}
+        const expected = placeholders(reference[key]).filter((name) => typeof entry === 'string' || name !== '{count}');
+        const actual = placeholders(entry);
+        expected.forEach((name) => assert.ok(actual.includes(name), `${language}.${key} lacks ${name}`));
+      });
+    });
+  });
+
+  test('fills placeholders and picks plural forms', () => {
+    assert.equal(translate('en', 'outputDimensions', { width: 1080, height: 1350 }), 'Output: 1080 × 1350 px');
+    assert.equal(translate('en', 'batchFiles', { count: 1 }), 'Batch (1 image)');
+    assert.equal(translate('en', 'batchFiles', { count: 3 }), 'Batch (3 images)');
+    assert.equal(translate('ar', 'batchFiles', { count: 2 }), 'الدفعة (صورتان)');
+    assert.equal(translate('ar', 'batchFiles', { count: 4 }), 'الدفعة (4 صور)');
+    assert.equal(translate('ja', 'batchFiles', { count: 1 }), '一括処理(1 枚)');
+  });
+
+  test('falls back to English, then to the key', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const { es } = catalogs;
+    const saved = es.undo;
+    delete es.undo;
+    try {
+      assert.equal(translate('es', 'undo'), 'Undo');
+      assert.equal(translate('es', 'undo'), 'Undo');
+      assert.equal(translate('es', 'noSuchKey'), 'noSuchKey');
+    } finally {
+      es.undo = saved;
+    }
+    // Each missing key is reported once
+    assert.equal(warn.mock.callCount(), 2);
+  });
+
+  test('detects the first supported browser language', () => {
+    assert.equal(detectLanguage(['pt-BR', 'en-US']), 'pt');
+    assert.equal(detectLanguage(['zh-CN', 'de-AT']), 'de');
+    assert.equal(detectLanguage(['zh-CN']), DEFAULT_LANGUAGE);
+    assert.equal(detectLanguage([]), DEFAULT_LANGUAGE);
+  });
+});
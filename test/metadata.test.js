@@ -0,0 +1,40 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { writeMetadata } from '../src/utils/metadata.js';
+import { defaultOwnership } from '../src/utils/payload.js';
+import { testImage } from './helpers.js';
+
+const encoded = async (format) => new Blob([await testImage(40, 30).encode(format)], { type: `image/${format}` });
+const bytesOf = async (blob) => new Uint8Array(await blob.arrayBuffer());
+const latin1 = async (blob) => new TextDecoder('latin1').decode(await blob.arrayBuffer());
+
+// The EXIF block of a JPEG written by writeMetadata (APP1 "Exif\0\0")
+const exifBlock = (bytes) => {
+  for (let at = 2; at < bytes.length; at += 2 + ((bytes[at + 2] << 8) | bytes[at + 3])) {
+    const length = (bytes[at + 2] << 8) | bytes[at + 3];
+    if (bytes[at + 1] === 0xe1 && String.fromCharCode(...bytes.subarray(at + 4, at + 8)) === 'Exif') return bytes.subarray(at + 10, at + 2 + length);
+  }
+  return null;
+};
+
+describe('metadata', () => {
+  test('leaves files alone when only the default license and date are set', async () => {
+    const png = await encoded('png');
+    assert.equal(await writeMetadata(png, 'png', defaultOwnership()), png);
+    const written = await latin1(await writeMetadata(png, 'png', { ...defaultOwnership(), contact: 'https://example.com', created: '2019-05-04' }));
+    assert.ok(written.includes('https://example.com'));
+    assert.ok(written.includes('2019-05-04'));
+  });
+
+  test('keeps EXIF ASCII tags ASCII and the full text in XP tags', async () => {
+    const ownership = { ...defaultOwnership(), author: 'Zoë 山田', note: 'Café sketch' };
+    const exif = exifBlock(await bytesOf(await writeMetadata(await encoded('jpeg'), 'jpeg', ownership)));
+    const text = new TextDecoder('latin1').decode(exif);
+    assert.ok(text.includes('Zoe ??\0'), 'Artist');
+    assert.ok(text.includes('(c) '), 'Copyright');
+    assert.ok(text.includes('Cafe sketch\0'), 'ImageDescription');
+    // XPAuthor in UTF-16LE
+    const author = Buffer.from('Zoë 山田\0', 'utf16le');
+    assert.ok(Buffer.from(exif).includes(author), 'XPAuthor');
+  });
+});
@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { protect, protectWithReport, renderWatermark } from '../src/utils/core.js';
+import { computeCloak } from '../src/utils/cloak.js';
+import { parsePayload } from '../src/utils/payload.js';
+import { readHiddenMessage } from '../src/utils/steganography.js';
+import { detectRobustWatermark, formatOwnerId, robustOwnerId } from '../src/utils/robustWatermark.js';
+import { assertGolden, blobPixels, testImage } from './helpers.js';
+
+const ownership = { author: 'Golden Tester', contact: 'golden@example.com', license: 'All rights reserved', created: '2024-01-01', note: '' };
+const options = { signature: 'ProtectorIMG', fontSize: 18, typography: { fontFamily: 'Lato' }, ownership };
+
+describe('protect', () => {
+  test('embeds the invisible watermarks after the visible one', async () => {
+    // The alpha channel holds the LSB payload, it must match bit for bit
+    await assertGolden('protected', await blobPixels(await protect(testImage(320, 240), options)), { exactAlpha: true });
+  });
+
+  test('the robust watermark carries the owner ID', async () => {
+    const pixels = await blobPixels(await protect(testImage(320, 240), { ...options, embedMode: 'robust' }));
+    const result = detectRobustWatermark(pixels);
+    assert.equal(result.found, true);
+    assert.equal(formatOwnerId(result.ownerId), formatOwnerId(robustOwnerId(ownership, null)));
+  });
+
+  test('the LSB payload only changes the alpha channel', async () => {
+    const image = testImage(320, 240);
+    const rendered = renderWatermark(image, options);
+    const lsbOnly = await blobPixels(await protect(image, { ...options, embedMode: 'lsb' }));
+    // Colours only move by the rounding of the decoder's premultiplied alpha
+    for (let i = 0; i < rendered.data.length; i += 4) {
+      assert.deepEqual([...lsbOnly.data.subarray(i, i + 3)].map((v, c) => Math.abs(v - rendered.data[i + c]) <= 2), [true, true, true]);
+    }
+  });
+
+  test('the LSB payload keeps transparent areas transparent', async () => {
+    // Transparent top rows, then a translucent strip, then opaque artwork
+    const image = testImage(320, 240);
+    const ctx = image.getContext('2d');
+    ctx.clearRect(0, 0, 320, 20);
+    ctx.clearRect(0, 20, 320, 4);
+    ctx.fillStyle = 'rgba(40, 80, 120, 0.5)';
+    ctx.fillRect(0, 20, 160, 4);
+    ctx.fillStyle = 'rgba(40, 80, 120, 0.98)';
+    ctx.fillRect(160, 20, 160, 4);
+
+    const rendered = renderWatermark(image, options);
+    const pixels = await blobPixels(await protect(image, options));
+    let carriers = 0;
+    for (let i = 3; i < rendered.data.length; i += 4) {
+      const before = rendered.data[i];
+      if (before === 255) {
+        carriers += pixels.data[i] < 255;
+        continue;
+      }
+      // Only alphas that would read as payload move, and by a few levels
+      if (before >= 245) assert.equal(pixels.data[i], 244);
+      else assert.equal(pixels.data[i], before);
+    }
+    assert.ok(carriers > 0);
+    // The first row is mostly clear even under the visible watermark
+    const clear = rendered.data.slice(0, 320 * 4).filter((alpha, i) => i % 4 === 3 && alpha === 0).length;
+    assert.ok(clear > 160, `${clear} clear pixels in the first row`);
+    assert.equal(parsePayload(readHiddenMessage(pixels)).body.a, ownership.author);
+  });
+
+  test('rejects images too small for the payload', async () => {
+    await assert.rejects(protect(testImage(12, 8), { ...options, embedMode: 'lsb' }), /payloadTooLarge/);
+  });
+
+  test('encodes lossy export formats itself', async () => {
+    const image = testImage(320, 240);
+    image.getContext('2d').clearRect(0, 0, 40, 40);
+    const jpeg = await protect(image, { ...options, output: { format: 'jpeg', quality: 0.8 } });
+    assert.equal(jpeg.type, 'image/jpeg');
+    // Transparent areas come out white
+    assert.ok((await blobPixels(jpeg)).data.slice(0, 3).every((value) => value > 240));
+    assert.equal((await protect(image, { ...options, output: { format: 'webp', quality: 0.8 } })).type, 'image/webp');
+    // Too large for a single canvas, refused before rendering
+    await assert.rejects(protect({ width: 5000, height: 4000 }, { ...options, output: { format: 'jpeg', quality: 0.8 } }), /imageTooLarge/);
+  });
+
+  test('reports the cloak measured on the exported pixels', async () => {
+    const plain = await protectWithReport(testImage(), options);
+    assert.equal(plain.cloakReport, null);
+    const cloaked = [];
+    const cloakPixels = (data, width, height, level, onProgress) => {
+      cloaked.push([width, height, level]);
+      return Promise.resolve(computeCloak(data, width, height, level, onProgress));
+    };
+    const { blob, cloakReport } = await protectWithReport(testImage(), { ...options, cloak: 'low', cloakPixels });
+    assert.deepEqual(cloaked, [[240, 160, 'low']]);
+    assert.equal(blob.type, 'image/png');
+    assert.ok(cloakReport.psnr > 30 && cloakReport.ssim > 0.9, JSON.stringify(cloakReport));
+  });
+
+  test('reports progress up to 1', async () => {
+    const reported = [];
+    await protect(testImage(), options, (progress) => reported.push(progress));
+    assert.equal(reported.at(-1), 1);
+    assert.deepEqual([...reported].sort((a, b) => a - b), reported);
+  });
+});
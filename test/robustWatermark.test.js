@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import { before, describe, test } from 'node:test';
+import { decodeImage } from '../cli/nodeCanvas.js';
+import { protect } from '../src/utils/core.js';
+import { detectRobustWatermark, formatOwnerId, robustOwnerId } from '../src/utils/robustWatermark.js';
+import { blobPixels, createCanvas, testImage } from './helpers.js';
+
+const ownership = { author: 'Robust Tester', contact: 'robust@example.com', license: '', created: '2024-01-01', note: '' };
+const options = { signature: 'ProtectorIMG', fontSize: 18, typography: { fontFamily: 'Lato' }, ownership, embedMode: 'robust' };
+
+// The image drawn to a new canvas: `region` of it (default all of it) scaled
+// to `width` × `height`
+const redraw = (image, { x = 0, y = 0, width = image.width, height = image.height } = {}, scale = 1) => {
+  const canvas = createCanvas(Math.round(width * scale), Math.round(height * scale));
+  canvas.getContext('2d').drawImage(image, x, y, width, height, 0, 0, canvas.width, canvas.height);
+  return canvas;
+};
+
+const jpeg = async (canvas, quality) => decodeImage(await canvas.encode('jpeg', quality));
+
+// Drops `share` of the width and height, split over both sides
+const crop = (image, share) => {
+  const [dx, dy] = [Math.round(image.width * share), Math.round(image.height * share)];
+  return redraw(image, { x: dx >> 1, y: dy >> 1, width: image.width - dx, height: image.height - dy });
+};
+
+const detectedOwnerId = (canvas) => {
+  const result = detectRobustWatermark(canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height));
+  assert.equal(result.found, true);
+  return formatOwnerId(result.ownerId);
+};
+
+describe('robust watermark', () => {
+  const expected = formatOwnerId(robustOwnerId(ownership, null));
+  let marked;
+
+  before(async () => {
+    const pixels = await blobPixels(await protect(testImage(640, 480), options));
+    marked = createCanvas(640, 480);
+    marked.getContext('2d').putImageData(pixels, 0, 0);
+  });
+
+  test('survives JPEG quality 70', async () => {
+    assert.equal(detectedOwnerId(redraw(await jpeg(marked, 70))), expected);
+  });
+
+  test('survives JPEG quality 50', async () => {
+    assert.equal(detectedOwnerId(redraw(await jpeg(marked, 50))), expected);
+  });
+
+  test('survives JPEG quality 70 and a half size downscale', async () => {
+    assert.equal(detectedOwnerId(redraw(await jpeg(marked, 70), undefined, 0.5)), expected);
+  });
+
+  test('survives a 10% crop', () => {
+    assert.equal(detectedOwnerId(crop(marked, 0.1)), expected);
+  });
+
+  test('survives JPEG and a 5% crop', async () => {
+    assert.equal(detectedOwnerId(crop(await jpeg(marked, 70), 0.05)), expected);
+  });
+
+  test('finds nothing in unmarked images', () => {
+    const image = crop(testImage(640, 480), 0.05);
+    assert.equal(detectRobustWatermark(image.getContext('2d').getImageData(0, 0, image.width, image.height)).found, false);
+  });
+});
@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { cleanSignature, defaultSignatureCleanup, estimateBackground } from '../src/utils/signatureCleanup.js';
+import { createCanvas, testStamp } from './helpers.js';
+
+// A dark pen stroke on slightly uneven off-white paper, like a phone photo
+const photographedSignature = () => {
+  const canvas = createCanvas(120, 80);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#f2efe8';
+  ctx.fillRect(0, 0, 120, 80);
+  ctx.fillStyle = '#e8e5de';
+  ctx.fillRect(0, 60, 120, 20);
+  ctx.strokeStyle = '#1a1a40';
+  ctx.lineWidth = 4;
+  ctx.beginPath();
+  ctx.moveTo(30, 50);
+  ctx.bezierCurveTo(45, 10, 60, 70, 90, 30);
+  ctx.stroke();
+  return canvas;
+};
+
+const pixelsOf = (canvas) => canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+
+describe('signature cleanup', () => {
+  test('keys out the paper and trims the margins', () => {
+    const cleaned = pixelsOf(cleanSignature(photographedSignature(), defaultSignatureCleanup()));
+    // Only the stroke's box is left: 60 px across plus the 4 px pen
+    assert.ok(cleaned.width >= 62 && cleaned.width <= 68, `width ${cleaned.width}`);
+    assert.ok(cleaned.height >= 16 && cleaned.height <= 40, `height ${cleaned.height}`);
+
+    let opaque = 0;
+    let partial = 0;
+    for (let i = 0; i < cleaned.data.length; i += 4) {
+      const alpha = cleaned.data[i + 3];
+      if (alpha === 255) {
+        opaque++;
+        // Kept pixels are ink, not paper
+        assert.ok(cleaned.data[i] < 200, 'no paper left opaque');
+      } else if (alpha > 0) {
+        partial++;
+      }
+    }
+    assert.ok(opaque > 100, 'the stroke stays opaque');
+    assert.ok(partial > 0, 'the antialiased edge is feathered');
+    assert.equal(cleaned.data[3], 0, 'the corner is transparent');
+  });
+
+  test('leaves transparent signatures alone', () => {
+    const stamp = testStamp();
+    assert.equal(estimateBackground(pixelsOf(stamp)), null);
+    const cleaned = pixelsOf(cleanSignature(stamp, { ...defaultSignatureCleanup(), trim: false }));
+    assert.deepEqual(cleaned.data, pixelsOf(stamp).data);
+  });
+
+  test('keeps the image as it is with every step off', () => {
+    const original = photographedSignature();
+    const cleaned = pixelsOf(cleanSignature(original, { ...defaultSignatureCleanup(), removeBackground: false, trim: false }));
+    assert.deepEqual([cleaned.width, cleaned.height], [120, 80]);
+    assert.deepEqual(cleaned.data, pixelsOf(original).data);
+  });
+});
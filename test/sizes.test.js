@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { outputDimensions } from '../src/utils/sizes.js';
+
+const image = (width, height) => ({ width, height });
+const size = (id, extra) => ({ id, focus: { x: 0.5, y: 0.5 }, ...extra });
+
+describe('outputDimensions', () => {
+  test('the original size and unknown sizes leave the image as is', () => {
+    assert.equal(outputDimensions(image(4000, 3000), size('original')), null);
+    assert.equal(outputDimensions(image(4000, 3000), size('poster')), null);
+  });
+
+  test('cover crops to the aspect around the focus', () => {
+    assert.deepEqual(outputDimensions(image(4000, 3000), size('instagram-square')), {
+      crop: { x: 500, y: 0, width: 3000, height: 3000 },
+      width: 1080,
+      height: 1080,
+    });
+    // Portrait crops of a landscape take the full height
+    assert.deepEqual(outputDimensions(image(4000, 3000), size('instagram-portrait')).crop, { x: 800, y: 0, width: 2400, height: 3000 });
+    // The focus slides the crop to the edges
+    assert.equal(outputDimensions(image(4000, 3000), size('instagram-square', { focus: { x: 0, y: 0.5 } })).crop.x, 0);
+    assert.equal(outputDimensions(image(3000, 4000), size('widescreen', { focus: { x: 0.5, y: 1 } })).crop.y, 4000 - 1688);
+    // Rounded crops stay inside the image
+    const { crop } = outputDimensions(image(3000, 4000), size('widescreen', { focus: { x: 1, y: 1 } }));
+    assert.ok(crop.x + crop.width <= 3000 && crop.y + crop.height <= 4000, JSON.stringify(crop));
+  });
+
+  test('sizes are rounded to whole pixels', () => {
+    // 1000 × 562.5 crop, centred
+    const { crop, width, height } = outputDimensions(image(1000, 1000), size('widescreen'));
+    assert.deepEqual(crop, { x: 0, y: 219, width: 1000, height: 563 });
+    assert.equal(width, 1000);
+    assert.ok(Math.abs(width / height - 16 / 9) < 0.01, `${width}×${height}`);
+    // Custom sizes round too
+    assert.deepEqual(outputDimensions(image(3000, 2000), size('custom', { width: 300.6, height: 200.2 })), {
+      crop: { x: 0, y: 4, width: 3000, height: 1993 },
+      width: 301,
+      height: 200,
+    });
+  });
+
+  test('images are never enlarged', () => {
+    assert.deepEqual(outputDimensions(image(800, 600), size('instagram-square')), {
+      crop: { x: 100, y: 0, width: 600, height: 600 },
+      width: 600,
+      height: 600,
+    });
+    assert.deepEqual(outputDimensions(image(1000, 500), size('artstation')), {
+      crop: { x: 0, y: 0, width: 1000, height: 500 },
+      width: 1000,
+      height: 500,
+    });
+  });
+
+  test('fit scales the whole picture down to the box', () => {
+    assert.deepEqual(outputDimensions(image(8000, 4000), size('artstation')), {
+      crop: { x: 0, y: 0, width: 8000, height: 4000 },
+      width: 3840,
+      height: 1920,
+    });
+  });
+
+  test('sizes are clamped to at least one pixel', () => {
+    // Empty or invalid custom sizes
+    const custom = outputDimensions(image(400, 300), size('custom', { width: -20, height: NaN }));
+    assert.equal(custom.width, 1);
+    assert.equal(custom.height, 1);
+    // A sliver of an image scaled down
+    const sliver = outputDimensions(image(10000, 1), size('artstation'));
+    assert.equal(sliver.width, 3840);
+    assert.equal(sliver.height, 1);
+  });
+});
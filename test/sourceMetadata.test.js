@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { writeMetadata } from '../src/utils/metadata.js';
+import { defaultOwnership } from '../src/utils/payload.js';
+import { carriedMetadata, readSourceMetadata } from '../src/utils/sourceMetadata.js';
+import { testImage } from './helpers.js';
+
+const encoded = async (format) => new Blob([await testImage(40, 30).encode(format)], { type: `image/${format}` });
+const bytesOf = async (blob) => new Uint8Array(await blob.arrayBuffer());
+const byId = (fields) => Object.fromEntries(fields.map((field) => [field.id, field]));
+
+// What a camera writes: make and model, exposure and the position
+const CAMERA = [
+  { ifd: 'ifd0', tag: 0x010f, type: 'ASCII', value: 'Canon' },
+  { ifd: 'ifd0', tag: 0x0110, type: 'ASCII', value: 'EOS R5' },
+  { ifd: 'exif', tag: 0x829a, type: 'RATIONAL', value: [[1, 250]] },
+  { ifd: 'gps', tag: 0x0001, type: 'ASCII', value: 'N' },
+  { ifd: 'gps', tag: 0x0002, type: 'RATIONAL', value: [[48, 1], [51, 1], [30, 1]] },
+  { ifd: 'gps', tag: 0x0003, type: 'ASCII', value: 'E' },
+  { ifd: 'gps', tag: 0x0004, type: 'RATIONAL', value: [[2, 1], [17, 1], [40, 1]] },
+];
+
+// A PNG tEXt chunk placed after IHDR (the reader does not check CRCs)
+const withTextChunk = (bytes, keyword, text) => {
+  const data = new TextEncoder().encode(`${keyword}\0${text}`);
+  const chunk = new Uint8Array(12 + data.length);
+  new DataView(chunk.buffer).setUint32(0, data.length);
+  chunk.set(new TextEncoder().encode('tEXt'), 4);
+  chunk.set(data, 8);
+  const end = 8 + 25; // signature + IHDR
+  return new Blob([bytes.subarray(0, end), chunk, bytes.subarray(end)], { type: 'image/png' });
+};
+
+describe('readSourceMetadata', () => {
+  test('sorts JPEG EXIF into report fields', async () => {
+    const jpeg = await writeMetadata(await encoded('jpeg'), 'jpeg', defaultOwnership(), CAMERA);
+    const fields = byId(await readSourceMetadata(jpeg));
+    assert.deepEqual(Object.keys(fields).sort(), ['camera', 'cameraSettings', 'gps']);
+    assert.equal(fields.camera.value, 'Canon · EOS R5');
+    assert.equal(fields.cameraSettings.value, '1/250 s');
+    assert.equal(fields.gps.value, '48.85833, 2.29444');
+    assert.equal(fields.gps.sensitive, true);
+    assert.equal(fields.camera.sensitive, false);
+    // Kept fields carry their entries unchanged
+    assert.deepEqual(carriedMetadata(Object.values(fields), ['camera']), CAMERA.slice(0, 2));
+  });
+
+  test('reads PNG eXIf, XMP and text chunks', async () => {
+    const png = await writeMetadata(await encoded('png'), 'png', { ...defaultOwnership(), author: 'Ann' }, CAMERA.slice(0, 2));
+    const fields = byId(await readSourceMetadata(withTextChunk(await bytesOf(png), 'parameters', 'a castle, 4k')));
+    assert.equal(fields.camera.value, 'Canon · EOS R5');
+    assert.ok(fields.originalCopyright.value.includes('Ann'));
+    // Only the keywords are listed, the XMP packet is read as XMP
+    assert.equal(fields.pngText.value, 'parameters, Author, Copyright, Creation Time, Software');
+    assert.deepEqual(fields.pngText.entries, []);
+  });
+
+  test('a plain image has no metadata', async () => {
+    assert.deepEqual(await readSourceMetadata(await encoded('png')), []);
+    assert.deepEqual(await readSourceMetadata(await encoded('jpeg')), []);
+  });
+
+  test('truncated and malformed files resolve with what could be read', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const jpeg = await bytesOf(await writeMetadata(await encoded('jpeg'), 'jpeg', defaultOwnership(), CAMERA));
+
+    // Cut inside the EXIF segment
+    assert.deepEqual(await readSourceMetadata(new Blob([jpeg.subarray(0, 60)])), []);
+
+    // IFD offsets pointing past the end of the EXIF block
+    const broken = jpeg.slice();
+    const tiff = Buffer.from(broken).indexOf('Exif\0\0') + 6;
+    const little = broken[tiff] === 0x49;
+    new DataView(broken.buffer).setUint32(tiff + 4, 0xffffff, little);
+    assert.deepEqual(await readSourceMetadata(new Blob([broken])), []);
+
+    // Not an image at all, or nothing
+    assert.deepEqual(await readSourceMetadata(new Blob(['GIF89a, or some other text'])), []);
+    assert.deepEqual(await readSourceMetadata(new Blob([])), []);
+    assert.deepEqual(await readSourceMetadata(new Blob([new Uint8Array([0xff, 0xd8, 0xff])])), []);
+  });
+});
@@ -0,0 +1,110 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { describe, test } from 'node:test';
+import vm from 'node:vm';
+
+const SCOPE = 'https://protector.test/app/';
+
+// In-memory CacheStorage, enough for the service worker
+const cacheStorage = () => {
+  const caches = new Map();
+  const open = async (name) => {
+    if (!caches.has(name)) caches.set(name, new Map());
+    const entries = caches.get(name);
+    return {
+      put: async (request, response) => entries.set(String(request.url || request), response),
+      addAll: async (urls) => urls.forEach((url) => entries.set(url, new Response(`cached ${url}`))),
+      keys: async () => [...entries.keys()].map((url) => new Request(url)),
+      match: async (request) => entries.get(String(request.url || request))?.clone(),
+    };
+  };
+  return {
+    caches,
+    open,
+    keys: async () => [...caches.keys()],
+    delete: async (name) => caches.delete(name),
+    match: async (request, { ignoreSearch } = {}) => {
+      const url = new URL(request.url || request);
+      if (ignoreSearch) url.search = '';
+      for (const entries of caches.values()) {
+        if (entries.has(url.href)) return entries.get(url.href).clone();
+      }
+      return undefined;
+    },
+  };
+};
+
+// Runs sw.js as the build emits it and returns a way to fire its events
+const startWorker = async (fetchImpl) => {
+  const listeners = {};
+  const caches = cacheStorage();
+  const self = {
+    __PRECACHE__: ['assets/index.js'],
+    __VERSION__: 'v2',
+    location: new URL(SCOPE),
+    registration: { scope: SCOPE },
+    clients: { claim: async () => {} },
+    skipWaiting: async () => {},
+    addEventListener: (type, listener) => { listeners[type] = listener; },
+  };
+  const source = await readFile(new URL('../src/sw.js', import.meta.url), 'utf8');
+  vm.runInNewContext(source, { self, caches, fetch: fetchImpl, URL, Request, Response, File, Promise });
+
+  const fire = async (type, fields = {}) => {
+    let waiting = Promise.resolve();
+    let response;
+    listeners[type]({
+      ...fields,
+      waitUntil: (promise) => { waiting = promise; },
+      respondWith: (promise) => { response = promise; },
+    });
+    await waiting;
+    return response && (await response);
+  };
+  return { caches, fire };
+};
+
+describe('service worker', () => {
+  test('precaches the app and drops older versions', async () => {
+    const { caches, fire } = await startWorker();
+    await (await caches.open('protectorimg-v1')).put(`${SCOPE}old.js`, new Response('old'));
+    await fire('install');
+    await fire('activate');
+
+    assert.deepEqual(await caches.keys(), ['protectorimg-v2']);
+    const cached = [...caches.caches.get('protectorimg-v2').keys()];
+    assert.deepEqual(cached, [SCOPE, `${SCOPE}assets/index.js`]);
+  });
+
+  test('serves the cached app offline', async () => {
+    const { fire } = await startWorker(() => Promise.reject(new TypeError('offline')));
+    await fire('install');
+
+    // Request() refuses the navigate mode, pages only get it from the browser
+    const page = await fire('fetch', { request: { url: `${SCOPE}?utm=1`, method: 'GET', mode: 'navigate' } });
+    assert.equal(await page.text(), `cached ${SCOPE}`);
+    const script = await fire('fetch', { request: new Request(`${SCOPE}assets/index.js`) });
+    assert.equal(await script.text(), `cached ${SCOPE}assets/index.js`);
+    await assert.rejects(fire('fetch', { request: new Request(`${SCOPE}missing.js`) }), /offline/);
+  });
+
+  test('parks shared images and opens the app', async () => {
+    const { caches, fire } = await startWorker();
+    const body = new FormData();
+    body.append('image', new File(['pixels'], 'mon œuvre.png', { type: 'image/png' }));
+    body.append('title', 'not a file');
+
+    const response = await fire('fetch', {
+      request: new Request(`${SCOPE}share-target`, { method: 'POST', body }),
+    });
+    assert.equal(response.status, 303);
+    assert.equal(response.headers.get('Location'), `${SCOPE}?share-target`);
+
+    const shared = await caches.open('protectorimg-share');
+    const [request] = await shared.keys();
+    const file = await shared.match(request);
+    assert.equal(decodeURIComponent(file.headers.get('X-File-Name')), 'mon œuvre.png');
+    assert.equal(file.headers.get('Content-Type'), 'image/png');
+    assert.equal(await file.text(), 'pixels');
+  });
+});
@@ -1,7 +1,37 @@
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync } from 'node:fs'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Files of public/, copied as they are to the root of the build
+const publicFiles = (dir, prefix = '') =>
+  readdirSync(dir, { withFileTypes: true }).flatMap((entry) =>
+    entry.isDirectory()
+      ? publicFiles(`${dir}/${entry.name}`, `${prefix}${entry.name}/`)
+      : [`${prefix}${entry.name}`]
+  )
+
+// Emits src/sw.js as /sw.js with the list of every built file to precache.
+// The version hashes the built files, so any change replaces the old cache.
+const serviceWorker = () => ({
+  name: 'protectorimg-service-worker',
+  apply: 'build',
+  generateBundle(_, bundle) {
+    const files = [...Object.keys(bundle), ...publicFiles('public')]
+      .filter((file) => !file.endsWith('.map') && file !== 'index.html')
+      .sort()
+    const hash = createHash('sha256').update(files.join('\n'))
+    Object.values(bundle).forEach((file) => hash.update(file.code ?? file.source ?? ''))
+    const version = hash.digest('hex').slice(0, 12)
+    this.emitFile({
+      type: 'asset',
+      fileName: 'sw.js',
+      source: `self.__PRECACHE__ = ${JSON.stringify(files)};\nself.__VERSION__ = '${version}';\n${readFileSync('src/sw.js', 'utf8')}`,
+    })
+  },
+})
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
 })